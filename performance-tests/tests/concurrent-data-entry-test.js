@@ -345,8 +345,8 @@ export default function (data) {
     // Phase 7: Cleanup Operations (Concurrent Deletes)
     group('Phase 7: Concurrent Cleanup Operations', function () {
         // Simulate cleanup operations that might happen concurrently
-        const cleanupResponse = http.post(
-            `${config.baseUrl}/api/daily-meals/${userDay}/cleanup-placeholders`,
+        const cleanupResponse = http.del(
+            `${config.baseUrl}/api/daily-meals/${userDay}/meals/1/items`,
             null,
             { headers }
         );
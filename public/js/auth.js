@@ -1,13 +1,17 @@
-// Authentication utilities for frontend
+// Authentication utilities for frontend.
+// With the jwt strategy tokens are kept in localStorage and sent in the
+// Authorization header; with the session strategy the server keeps them in
+// httpOnly cookies, and only the user is stored here.
 class AuthManager {
     constructor() {
         this.token = localStorage.getItem('authToken');
         this.user = JSON.parse(localStorage.getItem('user') || 'null');
+        this.refreshPromise = null;
     }
 
     // Check if user is authenticated
     isAuthenticated() {
-        return !!this.token && !!this.user;
+        return !!this.user;
     }
 
     // Get current user
@@ -20,12 +24,18 @@ class AuthManager {
         return this.token;
     }
 
-    // Set authentication data
-    setAuth(token, user) {
-        this.token = token;
+    // Set authentication data (tokens are only there with the jwt strategy)
+    setAuth(token, user, refreshToken) {
         this.user = user;
-        localStorage.setItem('authToken', token);
         localStorage.setItem('user', JSON.stringify(user));
+        this.setTokens(token, refreshToken);
+    }
+
+    setTokens(token, refreshToken) {
+        if (!token) return;
+        this.token = token;
+        localStorage.setItem('authToken', token);
+        localStorage.setItem('refreshToken', refreshToken);
     }
 
     // Clear authentication data
@@ -34,6 +44,49 @@ class AuthManager {
         this.user = null;
         localStorage.removeItem('authToken');
         localStorage.removeItem('user');
+        localStorage.removeItem('refreshToken');
+    }
+
+    // Get a new access token with the refresh token. Each refresh token can
+    // only be used once, so concurrent callers share one request.
+    refreshTokens() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.requestTokenRefresh().finally(() => {
+                this.refreshPromise = null;
+            });
+        }
+        return this.refreshPromise;
+    }
+
+    async requestTokenRefresh() {
+        // The session strategy sends the refresh token as a cookie
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken && !localStorage.getItem('user')) return false;
+
+        try {
+            const response = await fetch('/api/auth/refresh', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(refreshToken ? { refreshToken } : {})
+            });
+
+            if (!response.ok) {
+                // The session is over; server errors leave it for the next try
+                if (response.status === 401) {
+                    this.clearAuth();
+                }
+                return false;
+            }
+
+            const data = await response.json();
+            this.setTokens(data.token, data.refreshToken);
+            return true;
+        } catch (error) {
+            console.error('Token refresh error:', error);
+            return false;
+        }
     }
 
     // Make authenticated API request
@@ -76,7 +129,7 @@ class AuthManager {
             const data = await response.json();
 
             if (response.ok) {
-                this.setAuth(data.token, data.user);
+                this.setAuth(data.token, data.user, data.refreshToken);
                 return { success: true, user: data.user };
             } else {
                 return { success: false, error: data.error };
@@ -101,7 +154,7 @@ class AuthManager {
             const data = await response.json();
 
             if (response.ok) {
-                this.setAuth(data.token, data.user);
+                this.setAuth(data.token, data.user, data.refreshToken);
                 return { success: true, user: data.user };
             } else {
                 return { success: false, error: data.error };
@@ -118,10 +171,10 @@ class AuthManager {
             // Set redirecting flag to prevent auth checks during logout
             window.isRedirecting = true;
             
-            if (this.token) {
-                await this.apiRequest('/api/auth/logout', {
-                    method: 'POST'
-                });
+            // Goes through authenticatedFetch, so an expired token is refreshed
+            // and the session is still revoked on the server
+            if (this.user) {
+                await API.auth.logout();
             }
         } catch (error) {
             console.error('Logout error:', error);
@@ -134,9 +187,9 @@ class AuthManager {
         }
     }
 
-    // Verify token
-    async verifyToken() {
-        if (!this.token) return false;
+    // Verify token, refreshing it once if it has expired
+    async verifyToken(canRefresh = true) {
+        if (!this.user) return false;
 
         try {
             // Use direct fetch instead of apiRequest to avoid auth clearing
@@ -144,7 +197,7 @@ class AuthManager {
                 method: 'GET',
                 headers: {
                     'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${this.token}`
+                    ...(this.token ? { 'Authorization': `Bearer ${this.token}` } : {})
                 }
             });
 
@@ -153,6 +206,11 @@ class AuthManager {
                 return data.valid;
             }
 
+            // Access tokens are short-lived; an expired one can be refreshed
+            if (response.status === 401 && canRefresh && await this.refreshTokens()) {
+                return this.verifyToken(false);
+            }
+
             // Token is invalid
             if (response.status === 401 || response.status === 403) {
                 return false;
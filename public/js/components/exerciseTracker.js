@@ -0,0 +1,162 @@
+// Exercise tracker - activities logged on the diary's current date and the calories they burned
+class ExerciseTracker {
+    constructor() {
+        this.date = null;
+        this.activities = [];
+        this.weightKg = null;
+        this.modal = null;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // Use event delegation to handle dynamically created buttons
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('.exercise-entry-delete')) {
+                this.deleteEntry(e.target.closest('.exercise-entry-delete').dataset.entryId);
+            }
+        });
+
+        const addButton = document.getElementById('addExerciseBtn');
+        if (addButton) {
+            addButton.addEventListener('click', () => this.openDialog());
+        }
+
+        const form = document.getElementById('exerciseForm');
+        if (form) {
+            form.addEventListener('submit', (e) => this.addEntry(e));
+            ['exerciseActivity', 'exerciseIntensity', 'exerciseDuration'].forEach(id => {
+                document.getElementById(id).addEventListener('input', () => this.updateEstimate());
+            });
+        }
+    }
+
+    // Load and show the exercise for a date (YYYY-MM-DD)
+    async load(date) {
+        this.date = date;
+        // Don't count the previous day's exercise while this one loads
+        exerciseCalories = 0;
+        try {
+            await this.loadActivities();
+            const response = await API.exercise.getDay(date);
+            const data = await response.json();
+            // Ignore responses for a date the user has already navigated away from
+            if (date === this.date) {
+                this.render(data);
+            }
+        } catch (error) {
+            console.error('Error loading exercise entries:', error);
+        }
+    }
+
+    render({ entries, totalCalories }) {
+        exerciseCalories = totalCalories;
+        document.getElementById('exerciseTotal').textContent = `${Math.round(totalCalories)} kcal`;
+        document.getElementById('exerciseGoalNote').textContent =
+            addExerciseCalories && totalCalories > 0 ? '(added to goal)' : '';
+
+        const list = document.getElementById('exerciseEntries');
+        list.innerHTML = '';
+        entries.forEach(entry => {
+            const chip = document.createElement('span');
+            chip.className = 'exercise-entry';
+            chip.innerHTML = `
+                ${this.getActivityLabel(entry.activity)} · ${Math.round(entry.duration)} min · ${Math.round(entry.calories)} kcal
+                <button type="button" class="btn btn-link btn-sm exercise-entry-delete" data-entry-id="${entry.id}" title="Remove">
+                    <i class="bi bi-x"></i>
+                </button>`;
+            list.appendChild(chip);
+        });
+
+        // Burned calories may change the day's goal
+        applyCalorieAdjustment();
+        calculateMacroStatsWithoutSave();
+    }
+
+    getActivityLabel(key) {
+        const activity = this.activities.find(a => a.key === key);
+        return activity ? activity.label : key;
+    }
+
+    async loadActivities() {
+        if (this.activities.length > 0) return;
+
+        const response = await API.exercise.getActivities();
+        const data = await response.json();
+        this.activities = data.activities;
+        this.weightKg = data.weightKg;
+
+        document.getElementById('exerciseActivity').innerHTML = this.activities
+            .map(activity => `<option value="${activity.key}">${activity.label}</option>`)
+            .join('');
+    }
+
+    async openDialog() {
+        if (!this.modal) {
+            this.modal = new bootstrap.Modal(document.getElementById('exerciseModal'));
+        }
+
+        try {
+            await this.loadActivities();
+        } catch (error) {
+            console.error('Error loading activities:', error);
+            return;
+        }
+
+        document.getElementById('exerciseDuration').value = '';
+        document.getElementById('exerciseCaloriesInput').value = '';
+        this.updateEstimate();
+        this.modal.show();
+    }
+
+    // Show the MET estimate for the chosen activity, intensity and duration
+    updateEstimate() {
+        const estimate = document.getElementById('exerciseEstimate');
+        const activity = this.activities.find(a => a.key === document.getElementById('exerciseActivity').value);
+        const met = activity ? activity.met[document.getElementById('exerciseIntensity').value] : null;
+        const duration = parseFloat(document.getElementById('exerciseDuration').value);
+
+        if (!this.weightKg) {
+            estimate.textContent = 'Set your weight in Settings to estimate calories, or enter them here.';
+        } else if (met && duration > 0) {
+            estimate.textContent = `Estimated ${Math.round(met * this.weightKg * duration / 60)} kcal (MET ${met}). Leave empty to use the estimate.`;
+        } else {
+            estimate.textContent = 'Leave empty to estimate from the activity, intensity and duration.';
+        }
+    }
+
+    async addEntry(e) {
+        e.preventDefault();
+        if (!this.date) return;
+
+        const caloriesInput = document.getElementById('exerciseCaloriesInput').value;
+        try {
+            await API.exercise.add({
+                date: this.date,
+                activity: document.getElementById('exerciseActivity').value,
+                intensity: document.getElementById('exerciseIntensity').value,
+                duration: parseFloat(document.getElementById('exerciseDuration').value),
+                calories: caloriesInput.trim() !== '' ? parseFloat(caloriesInput) : undefined
+            });
+            this.modal.hide();
+            await this.load(this.date);
+        } catch (error) {
+            console.error('Error adding exercise:', error);
+        }
+    }
+
+    async deleteEntry(entryId) {
+        try {
+            await API.exercise.delete(entryId);
+            await this.load(this.date);
+        } catch (error) {
+            console.error('Error deleting exercise:', error);
+            window.mealCopyPaste.showMessage('Error removing exercise', 'error');
+        }
+    }
+}
+
+// Create global instance
+const exerciseTracker = new ExerciseTracker();
+
+// Export for use in other modules
+window.exerciseTracker = exerciseTracker;
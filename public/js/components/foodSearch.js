@@ -53,6 +53,22 @@ class FoodSearch {
         } catch (error) {
             console.error('Error loading foods:', error);
         }
+
+        // Recipes are offered like foods, one serving at a time
+        try {
+            const response = await API.recipes.getAll();
+            const data = await response.json();
+            const recipeFoods = (data.recipes || []).map(recipe => ({
+                id: recipe.id,
+                item: recipe.name,
+                amount: recipe.servingSize,
+                ...recipe.perServing,
+                source: 'recipe'
+            }));
+            this.foods = this.foods.concat(recipeFoods);
+        } catch (error) {
+            console.error('Error loading recipes:', error);
+        }
     }
 
     setupSearchInput(input) {
@@ -146,6 +162,32 @@ class FoodSearch {
 
         // Display results
         this.displayResults(filteredFoods, resultsDiv);
+
+        // A scanned or typed barcode looks up the packaged product
+        if (/^\d{8,14}$/.test(searchTerm)) {
+            this.searchBarcode(searchTerm, event.target, resultsDiv);
+        }
+    }
+
+    async searchBarcode(code, input, resultsDiv) {
+        if (!this.searchResults.has(code)) {
+            try {
+                const response = await API.foods.getByBarcode(code);
+                this.searchResults.set(code, await response.json());
+            } catch (error) {
+                // Remember unknown barcodes, but retry after other errors
+                if (error.message.startsWith('HTTP 404') || error.message.startsWith('HTTP 400')) {
+                    this.searchResults.set(code, null);
+                }
+                return;
+            }
+        }
+
+        // Ignore the result if the user has kept typing
+        const product = this.searchResults.get(code);
+        if (product && input.value.toLowerCase() === code) {
+            this.displayResults([product], resultsDiv);
+        }
     }
 
     displayResults(foods, resultsDiv) {
@@ -160,6 +202,12 @@ class FoodSearch {
             const div = document.createElement('div');
             div.className = 'food-search-item';
             div.textContent = food.item;
+            if (food.source === 'recipe' || food.source === 'product') {
+                const badge = document.createElement('span');
+                badge.className = 'badge bg-secondary ms-2';
+                badge.textContent = food.source === 'recipe' ? 'recipe' : food.barcode;
+                div.appendChild(badge);
+            }
             div.setAttribute('data-food', JSON.stringify(food));
             
             div.addEventListener('click', () => {
@@ -181,6 +229,23 @@ class FoodSearch {
         // Store the food data for later calculations
         input.setAttribute('data-food', JSON.stringify(food));
 
+        // Link the diary item to the food it came from. Barcode products aren't
+        // saved foods, so they're logged like a manual entry.
+        if (food.id) {
+            row.dataset.foodId = food.id;
+            row.dataset.foodSource = food.source;
+            row.dataset.foodName = food.item;
+        } else {
+            delete row.dataset.foodId;
+            delete row.dataset.foodSource;
+            delete row.dataset.foodName;
+        }
+
+        // Micronutrients are given for the food's amount and scaled to the amount logged
+        if (window.setRowMicronutrients) {
+            window.setRowMicronutrients(row, food.micronutrients, food.amount);
+        }
+
         // Set the food name in the input
         input.value = food.item;
 
@@ -69,7 +69,13 @@ class MealCopyPaste {
                         baseCarbs: nutritionalValues[1]?.getAttribute('data-base-value') || nutritionalValues[1]?.textContent || '',
                         baseProtein: nutritionalValues[2]?.getAttribute('data-base-value') || nutritionalValues[2]?.textContent || '',
                         baseFat: nutritionalValues[3]?.getAttribute('data-base-value') || nutritionalValues[3]?.textContent || '',
-                        baseProteinG: nutritionalValues[4]?.getAttribute('data-base-value') || nutritionalValues[4]?.textContent || ''
+                        baseProteinG: nutritionalValues[4]?.getAttribute('data-base-value') || nutritionalValues[4]?.textContent || '',
+                        // Keep the link to the source food
+                        foodId: row.dataset.foodId || null,
+                        foodSource: row.dataset.foodSource || null,
+                        foodName: row.dataset.foodName || null,
+                        // Micronutrients for the copied amount
+                        micronutrients: getRowMicronutrients(row)
                     };
                     mealData.items.push(item);
                 }
@@ -82,7 +88,7 @@ class MealCopyPaste {
             this.updatePasteButtons();
 
             // Show success message
-            this.showMessage(`Meal ${mealId} copied! (${mealData.items.length} items)`, 'success');
+            this.showMessage(`${this.getMealName(mealSection)} copied! (${mealData.items.length} items)`, 'success');
 
             console.log('Meal copied:', mealData);
 
@@ -132,7 +138,7 @@ class MealCopyPaste {
 
             // Show success message
             this.showMessage(
-                `Meal pasted to Meal ${targetMealId}! (${this.copiedMeal.items.length} items)`, 
+                `Meal pasted to ${this.getMealName(targetMealSection)}! (${this.copiedMeal.items.length} items)`, 
                 'success'
             );
 
@@ -160,11 +166,10 @@ class MealCopyPaste {
         
         // Delete existing database entries for this meal
         const mealId = mealSection.dataset.mealId;
-        const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-        // Use the global currentDate from diary-core.js
-        const dayName = days[window.currentDate ? window.currentDate.getDay() : new Date().getDay()];
+        // Use the current diary date from diary-core.js
+        const dayKey = getDayKey(window.currentDate || new Date());
         
-        console.log(`Clearing meal ${mealId} for day ${dayName} (current date: ${window.currentDate})`);
+        console.log(`Clearing meal ${mealId} for ${dayKey}`);
         
         // Delete ALL items for this meal from database (regardless of itemId in UI)
         try {
@@ -174,7 +179,7 @@ class MealCopyPaste {
             
             if (mealTime) {
                 // Delete all items at this meal time for this meal_id
-                const result = await API.meals.deleteAllMealItems(dayName, mealId);
+                const result = await API.meals.deleteAllMealItems(dayKey, mealId);
                 console.log(`Deleted all items from meal ${mealId} at ${mealTime}`);
             }
         } catch (error) {
@@ -198,8 +203,12 @@ class MealCopyPaste {
                 div.removeAttribute('data-base-value');
             });
             
-            // Remove item ID if it exists
+            // Remove item ID and food link if they exist
             row.removeAttribute('data-item-id');
+            delete row.dataset.foodId;
+            delete row.dataset.foodSource;
+            delete row.dataset.foodName;
+            setRowMicronutrients(row, null);
         });
     }
 
@@ -249,6 +258,15 @@ class MealCopyPaste {
             foodInput.value = itemData.name;
         }
 
+        // Carry over the link to the source food
+        if (itemData.foodId) {
+            row.dataset.foodId = itemData.foodId;
+            row.dataset.foodSource = itemData.foodSource;
+            row.dataset.foodName = itemData.foodName;
+        }
+
+        setRowMicronutrients(row, itemData.micronutrients, itemData.amount);
+
         // Set amount and base amount
         if (amountInput) {
             amountInput.value = itemData.amount;
@@ -366,6 +384,11 @@ class MealCopyPaste {
         }, 3000);
     }
 
+    getMealName(mealSection) {
+        const title = mealSection.querySelector('.meal-header h3');
+        return title ? title.textContent : `Meal ${mealSection.dataset.mealId}`;
+    }
+
     async clearMealOnly(mealId) {
         try {
             const mealSection = document.querySelector(`[data-meal-id="${mealId}"]`);
@@ -376,7 +399,7 @@ class MealCopyPaste {
 
             // Check if meal has items before clearing
             if (!this.mealHasItems(mealSection)) {
-                this.showMessage(`Meal ${mealId} is already empty`, 'info');
+                this.showMessage(`${this.getMealName(mealSection)} is already empty`, 'info');
                 return;
             }
 
@@ -391,7 +414,7 @@ class MealCopyPaste {
             calculateMacroStats();
 
             // Show success message
-            this.showMessage(`Meal ${mealId} cleared successfully`, 'success');
+            this.showMessage(`${this.getMealName(mealSection)} cleared successfully`, 'success');
 
             console.log('Meal cleared:', mealId);
 
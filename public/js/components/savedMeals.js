@@ -0,0 +1,147 @@
+// Saved meals - named meals stored on the server that can be inserted into any meal
+class SavedMeals {
+    constructor() {
+        this.targetMealId = null;
+        this.modal = null;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // Use event delegation to handle dynamically created buttons
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('.save-meal-btn')) {
+                const button = e.target.closest('.save-meal-btn');
+                this.saveMeal(button.dataset.mealId);
+            }
+
+            if (e.target.closest('.saved-meals-btn')) {
+                const button = e.target.closest('.saved-meals-btn');
+                this.openSavedMeals(button.dataset.mealId);
+            }
+        });
+    }
+
+    async saveMeal(mealId) {
+        const mealSection = document.querySelector(`.meal-section[data-meal-id="${mealId}"]`);
+        if (!mealSection) return;
+
+        if (!window.mealCopyPaste.mealHasItems(mealSection)) {
+            this.showMessage('Add some food to this meal before saving it', 'warning');
+            return;
+        }
+
+        const name = prompt('Name for this saved meal:', window.mealCopyPaste.getMealName(mealSection));
+        if (!name || !name.trim()) return;
+
+        try {
+            // The server copies the meal as it is stored for this day
+            await API.savedMeals.add({ name: name.trim(), day: getDayKey(), mealId: parseInt(mealId) });
+            this.showMessage(`Saved "${name.trim()}"`, 'success');
+        } catch (error) {
+            console.error('Error saving meal:', error);
+            this.showMessage('Error saving meal', 'error');
+        }
+    }
+
+    async openSavedMeals(mealId) {
+        this.targetMealId = parseInt(mealId);
+        if (!this.modal) {
+            this.modal = new bootstrap.Modal(document.getElementById('savedMealsModal'));
+        }
+
+        document.getElementById('savedMealScale').value = 1;
+        document.getElementById('savedMealReplace').checked = false;
+        await this.renderSavedMeals();
+        this.modal.show();
+    }
+
+    async renderSavedMeals() {
+        const list = document.getElementById('savedMealsList');
+        list.innerHTML = '';
+
+        let savedMeals = [];
+        try {
+            const response = await API.savedMeals.getAll();
+            const data = await response.json();
+            savedMeals = data.savedMeals || [];
+        } catch (error) {
+            console.error('Error loading saved meals:', error);
+            list.innerHTML = '<div class="text-danger">Failed to load saved meals</div>';
+            return;
+        }
+
+        if (savedMeals.length === 0) {
+            list.innerHTML = '<div class="text-muted">No saved meals yet. Use "Save" on a meal to add one.</div>';
+            return;
+        }
+
+        savedMeals.forEach(savedMeal => {
+            const row = document.createElement('div');
+            row.className = 'saved-meal-row';
+            row.innerHTML = `
+                <div>
+                    <div class="fw-semibold saved-meal-name"></div>
+                    <div class="small text-muted">${savedMeal.items.length} items · ${savedMeal.totals.calories} kcal</div>
+                </div>
+                <div class="d-flex gap-2">
+                    <button type="button" class="btn btn-success btn-sm insert-btn">Insert</button>
+                    <button type="button" class="btn btn-outline-danger btn-sm delete-saved-meal-btn" title="Delete saved meal">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </div>
+            `;
+            // Saved meal names are user input, so set them as text rather than markup
+            row.querySelector('.saved-meal-name').textContent = savedMeal.name;
+            row.querySelector('.insert-btn').addEventListener('click', () => this.insertSavedMeal(savedMeal));
+            row.querySelector('.delete-saved-meal-btn').addEventListener('click', () => this.deleteSavedMeal(savedMeal));
+            list.appendChild(row);
+        });
+    }
+
+    async insertSavedMeal(savedMeal) {
+        const scale = parseFloat(document.getElementById('savedMealScale').value);
+        if (!(scale > 0) || scale > 10) {
+            this.showMessage('Portion must be between 0.1 and 10', 'warning');
+            return;
+        }
+
+        try {
+            await API.savedMeals.insert(savedMeal.id, {
+                day: getDayKey(),
+                mealId: this.targetMealId,
+                scale,
+                replace: document.getElementById('savedMealReplace').checked
+            });
+            this.modal.hide();
+            await loadMeals();
+            this.showMessage(`Inserted "${savedMeal.name}"`, 'success');
+        } catch (error) {
+            console.error('Error inserting saved meal:', error);
+            this.showMessage('Error inserting saved meal', 'error');
+        }
+    }
+
+    async deleteSavedMeal(savedMeal) {
+        if (!confirm(`Delete saved meal "${savedMeal.name}"?`)) {
+            return;
+        }
+
+        try {
+            await API.savedMeals.delete(savedMeal.id);
+            await this.renderSavedMeals();
+        } catch (error) {
+            console.error('Error deleting saved meal:', error);
+            this.showMessage('Error deleting saved meal', 'error');
+        }
+    }
+
+    showMessage(message, type) {
+        window.mealCopyPaste.showMessage(message, type);
+    }
+}
+
+// Create global instance
+const savedMeals = new SavedMeals();
+
+// Export for use in other modules
+window.savedMeals = savedMeals;
@@ -0,0 +1,118 @@
+// Water tracker - drinks logged on the diary's current date, with quick-add buttons
+const WATER_QUICK_ADD_AMOUNTS = [250, 500, 750];
+
+class WaterTracker {
+    constructor() {
+        this.date = null;
+        this.renderQuickAddButtons();
+        this.setupEventListeners();
+    }
+
+    renderQuickAddButtons() {
+        const container = document.getElementById('waterQuickAdd');
+        if (!container) return;
+
+        container.innerHTML = WATER_QUICK_ADD_AMOUNTS.map(amount => `
+            <button type="button" class="btn btn-outline-info btn-sm water-quick-add-btn" data-amount="${amount}">
+                +${amount} ml
+            </button>`).join('');
+    }
+
+    setupEventListeners() {
+        // Use event delegation to handle dynamically created buttons
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('.water-quick-add-btn')) {
+                this.addEntry(parseFloat(e.target.closest('.water-quick-add-btn').dataset.amount));
+            }
+
+            if (e.target.closest('.water-entry-delete')) {
+                this.deleteEntry(e.target.closest('.water-entry-delete').dataset.entryId);
+            }
+        });
+
+        const addButton = document.getElementById('waterAddBtn');
+        if (addButton) {
+            addButton.addEventListener('click', () => {
+                const input = document.getElementById('waterCustomAmount');
+                const amount = parseFloat(input.value);
+                if (!(amount > 0) || amount > 5000) {
+                    this.showMessage('Enter an amount between 1 and 5000 ml', 'warning');
+                    return;
+                }
+                this.addEntry(amount).then(() => {
+                    input.value = '';
+                });
+            });
+        }
+    }
+
+    // Load and show the drinks for a date (YYYY-MM-DD)
+    async load(date) {
+        this.date = date;
+        try {
+            const response = await API.water.getDay(date);
+            const data = await response.json();
+            // Ignore responses for a date the user has already navigated away from
+            if (date === this.date) {
+                this.render(data);
+            }
+        } catch (error) {
+            console.error('Error loading water entries:', error);
+        }
+    }
+
+    render({ entries, total, goal }) {
+        const percentage = goal > 0 ? Math.min(100, (total / goal) * 100) : 0;
+        document.getElementById('waterTotal').textContent = `${Math.round(total)} / ${goal} ml`;
+        document.getElementById('waterProgress').style.width = `${percentage}%`;
+
+        const list = document.getElementById('waterEntries');
+        list.innerHTML = '';
+        entries.forEach(entry => {
+            const chip = document.createElement('span');
+            chip.className = 'water-entry';
+            chip.innerHTML = `
+                ${Math.round(entry.amount)} ml ${entry.beverage}
+                <button type="button" class="btn btn-link btn-sm water-entry-delete" data-entry-id="${entry.id}" title="Remove">
+                    <i class="bi bi-x"></i>
+                </button>`;
+            list.appendChild(chip);
+        });
+    }
+
+    async addEntry(amount) {
+        if (!this.date) return;
+
+        try {
+            await API.water.add({
+                date: this.date,
+                amount,
+                beverage: document.getElementById('waterBeverage').value
+            });
+            await this.load(this.date);
+        } catch (error) {
+            console.error('Error adding water entry:', error);
+            this.showMessage('Error saving drink', 'error');
+        }
+    }
+
+    async deleteEntry(entryId) {
+        try {
+            await API.water.delete(entryId);
+            await this.load(this.date);
+        } catch (error) {
+            console.error('Error deleting water entry:', error);
+            this.showMessage('Error removing drink', 'error');
+        }
+    }
+
+    showMessage(message, type) {
+        window.mealCopyPaste.showMessage(message, type);
+    }
+}
+
+// Create global instance
+const waterTracker = new WaterTracker();
+
+// Export for use in other modules
+window.waterTracker = waterTracker;
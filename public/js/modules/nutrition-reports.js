@@ -1,8 +1,10 @@
 // Nutrition Reports Manager
+// The totals, goals and adherence come from GET /api/reports/nutrition, so the
+// page can show any date range grouped by day, week or month.
 class NutritionReports {
     constructor() {
-        this.settings = null;
-        this.weeklyData = {};
+        this.range = null;
+        this.report = null;
         this.charts = {};
         this.initialized = false;
     }
@@ -15,9 +17,10 @@ class NutritionReports {
 
         try {
             console.log('Initializing NutritionReports...');
-            await this.loadSettings();
-            await this.loadWeeklyData();
-            this.generateWeeklyReport();
+            this.range = { ...this.getThisWeek(), groupBy: 'day' };
+            this.setupRangePicker();
+            await this.loadReport();
+            this.generateReport();
             this.initialized = true;
             console.log('NutritionReports initialized successfully');
         } catch (error) {
@@ -26,167 +29,121 @@ class NutritionReports {
         }
     }
 
-    async loadSettings() {
-        try {
-            const response = await API.settings.get();
-            this.settings = await response.json();
-        } catch (error) {
-            console.error('Error loading settings:', error);
-        }
+    toDateKey(date) {
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
     }
 
-    async loadWeeklyData() {
-        const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    parseDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
 
-        for (const day of days) {
-            try {
-                const response = await API.meals.get(day);
-                this.weeklyData[day] = await response.json();
-            } catch (error) {
-                console.error(`Error loading ${day} data:`, error);
-                this.weeklyData[day] = { meals: [] };
-            }
-        }
+    // The Sunday-Saturday week containing today
+    getThisWeek() {
+        const today = new Date();
+        const sunday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - today.getDay());
+        const saturday = new Date(sunday.getFullYear(), sunday.getMonth(), sunday.getDate() + 6);
+        return { from: this.toDateKey(sunday), to: this.toDateKey(saturday) };
     }
 
-    calculateDayTotals(dayData) {
-        let totals = {
-            calories: 0,
-            carbs: 0,
-            protein: 0,
-            fat: 0,
-            proteinG: 0
-        };
+    getLast30Days() {
+        const today = new Date();
+        const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 29);
+        return { from: this.toDateKey(start), to: this.toDateKey(today) };
+    }
 
-        if (!dayData.meals) return totals;
-
-        dayData.meals.forEach(meal => {
-            if (meal.items) {
-                meal.items.forEach(item => {
-                    totals.calories += parseFloat(item.calories) || 0;
-                    totals.carbs += parseFloat(item.carbs) || 0;
-                    totals.protein += parseFloat(item.protein) || 0;
-                    totals.fat += parseFloat(item.fat) || 0;
-                    totals.proteinG += parseFloat(item.proteinG) || 0;
-                });
-            }
-        });
+    setupRangePicker() {
+        const form = document.getElementById('nutritionRangeForm');
+        if (!form) return;
 
-        return totals;
-    }
+        this.updateRangePicker();
 
-    generateWeeklyReport() {
-        const weeklyTotals = this.calculateWeeklyTotals();
-        this.updateAchievementStats(weeklyTotals);
-        this.createWeeklyCaloriesChart(weeklyTotals);
-        this.updateWeeklyMacroTable(weeklyTotals);
-    }   
- calculateWeeklyTotals() {
-        const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-        const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-
-        return days.map((day, index) => {
-            const totals = this.calculateDayTotals(this.weeklyData[day]);
-
-            // Get daily macro settings for this day
-            const dayData = this.weeklyData[day];
-            const baseGoalCalories = this.settings?.totalCalories || 2700;
-            const dailyAdjustment = dayData.calorieAdjustment || 0;
-            const goalCalories = baseGoalCalories + dailyAdjustment;
-
-            // Get daily protein level for this day
-            const dailyProteinLevel = dayData.proteinLevel || 0;
-            const proteinTarget = (this.settings?.weight || 70) * dailyProteinLevel;
-
-            const calorieAchievement = goalCalories > 0 ? (totals.calories / goalCalories) * 100 : 0;
-
-            let status = 'needs-improvement';
-            if (calorieAchievement >= 95 && calorieAchievement <= 105) {
-                status = 'excellent';
-            } else if (calorieAchievement >= 90 && calorieAchievement <= 110) {
-                status = 'good';
-            }
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.showRange({
+                from: document.getElementById('nutritionFrom').value,
+                to: document.getElementById('nutritionTo').value,
+                groupBy: document.getElementById('nutritionGroupBy').value
+            });
+        });
 
-            return {
-                day: dayNames[index],
-                dayKey: day,
-                ...totals,
-                goalCalories,
-                proteinTarget,
-                calorieAchievement,
-                status,
-                dailyAdjustment
-            };
+        document.getElementById('nutritionThisWeek').addEventListener('click', () => {
+            this.showRange({ ...this.getThisWeek(), groupBy: 'day' });
+        });
+        document.getElementById('nutritionLast30').addEventListener('click', () => {
+            this.showRange({ ...this.getLast30Days(), groupBy: 'week' });
         });
     }
 
-    updateAchievementStats(weeklyTotals) {
-        const totalCalories = weeklyTotals.reduce((sum, day) => sum + day.calories, 0);
-        const avgDailyCalories = totalCalories / 7;
-
-        // Calculate average goal based on daily goals
-        const totalGoalCalories = weeklyTotals.reduce((sum, day) => sum + day.goalCalories, 0);
-        const avgGoalCalories = totalGoalCalories / 7;
-        const goalAchievement = avgGoalCalories > 0 ? (avgDailyCalories / avgGoalCalories) * 100 : 0;
-
-        // Calculate average protein target based on daily protein levels
-        const totalProteinTarget = weeklyTotals.reduce((sum, day) => sum + day.proteinTarget, 0);
-        const avgProteinTarget = totalProteinTarget / 7;
-        const avgProtein = weeklyTotals.reduce((sum, day) => sum + day.protein + day.proteinG, 0) / 7;
-        const proteinAchievement = avgProteinTarget > 0 ? (avgProtein / avgProteinTarget) * 100 : 0;
-
-        // Calculate average fat target based on daily fat levels
-        const userWeight = this.settings?.weight || 70;
-        let totalFatTarget = 0;
-        let totalFat = 0;
-
-        weeklyTotals.forEach(day => {
-            const dayData = this.weeklyData[day.dayKey] || {};
-            const dailyFatLevel = dayData.fatLevel || 0;
-            const fatTarget = userWeight * dailyFatLevel;
-            totalFatTarget += fatTarget;
-            totalFat += day.fat;
-        });
+    updateRangePicker() {
+        document.getElementById('nutritionFrom').value = this.range.from;
+        document.getElementById('nutritionTo').value = this.range.to;
+        document.getElementById('nutritionGroupBy').value = this.range.groupBy;
+    }
+
+    async showRange(range) {
+        const errorElement = document.getElementById('nutritionRangeError');
+        errorElement.textContent = '';
 
-        const avgFatTarget = totalFatTarget / 7;
-        const avgFat = totalFat / 7;
-        const fatAchievement = avgFatTarget > 0 ? (avgFat / avgFatTarget) * 100 : 0;
+        if (!range.from || !range.to || range.from > range.to) {
+            errorElement.textContent = 'Choose a start date on or before the end date';
+            return;
+        }
 
-        // Calculate average carb target based on remaining calories after protein and fat targets
-        let totalCarbTarget = 0;
-        let totalCarbs = 0;
+        const previousRange = this.range;
+        this.range = range;
+        this.updateRangePicker();
 
-        weeklyTotals.forEach(day => {
-            const dayData = this.weeklyData[day.dayKey] || {};
-            const dailyFatLevel = dayData.fatLevel || 0;
-            const fatTarget = userWeight * dailyFatLevel;
+        try {
+            await this.loadReport();
+            this.generateReport();
+        } catch (error) {
+            console.error('Error loading nutrition report:', error);
+            errorElement.textContent = error.message.replace(/^HTTP \d+: /, '');
+            this.range = previousRange;
+            this.updateRangePicker();
+        }
+    }
 
-            const targetProteinCalories = day.proteinTarget * 4;
-            const targetFatCalories = fatTarget * 9;
-            const remainingCalories = Math.max(0, day.goalCalories - targetProteinCalories - targetFatCalories);
-            const carbTarget = remainingCalories / 4;
+    async loadReport() {
+        const { from, to, groupBy } = this.range;
+        const response = await API.reports.nutrition(from, to, groupBy);
+        this.report = await response.json();
+    }
 
-            totalCarbTarget += carbTarget;
-            totalCarbs += day.carbs;
-        });
+    generateReport() {
+        this.updateAchievementStats();
+        this.createWeeklyCaloriesChart();
+        this.updateWeeklyMacroTable();
+        this.updateMealBreakdown();
+        this.updateHydration();
+    }
 
-        const avgCarbTarget = totalCarbTarget / 7;
-        const avgCarbs = totalCarbs / 7;
-        const carbsAchievement = avgCarbTarget > 0 ? (avgCarbs / avgCarbTarget) * 100 : 0;
+    // Label of a period in the chart and tables
+    formatPeriod(period) {
+        const start = this.parseDateKey(period.from);
+        if (this.report.groupBy === 'month') {
+            return start.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+        }
+        if (this.report.groupBy === 'week') {
+            return `Week of ${start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`;
+        }
+        return start.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+    }
 
-        const daysOnTrack = weeklyTotals.filter(day =>
-            day.calorieAchievement >= 95 && day.calorieAchievement <= 105
-        ).length;
+    updateAchievementStats() {
+        const { summary } = this.report;
 
-        document.getElementById('avgDailyCalories').textContent = `${Math.round(avgDailyCalories)} kcal`;
-        document.getElementById('goalAchievement').textContent = `${goalAchievement.toFixed(1)}%`;
-        document.getElementById('proteinAchievement').textContent = `${proteinAchievement.toFixed(1)}%`;
-        document.getElementById('fatAchievement').textContent = `${fatAchievement.toFixed(1)}%`;
-        document.getElementById('carbsAchievement').textContent = `${carbsAchievement.toFixed(1)}%`;
-        document.getElementById('daysOnTrack').textContent = `${daysOnTrack}/7 days`;
+        document.getElementById('avgDailyCalories').textContent = `${Math.round(summary.avgDailyCalories)} kcal`;
+        document.getElementById('goalAchievement').textContent = `${summary.goalAchievement.toFixed(1)}%`;
+        document.getElementById('proteinAchievement').textContent = `${summary.proteinAchievement.toFixed(1)}%`;
+        document.getElementById('fatAchievement').textContent = `${summary.fatAchievement.toFixed(1)}%`;
+        document.getElementById('carbsAchievement').textContent = `${summary.carbsAchievement.toFixed(1)}%`;
+        document.getElementById('daysOnTrack').textContent = `${summary.daysOnTrack}/${summary.totalDays} days`;
+        document.getElementById('caloriesBurned').textContent = `${Math.round(summary.totalBurned)} kcal (${summary.exerciseDays} days)`;
     }
 
-    createWeeklyCaloriesChart(weeklyTotals) {
+    createWeeklyCaloriesChart() {
         const ctx = document.getElementById('weeklyCaloriesChart');
         if (!ctx) return;
 
@@ -202,34 +159,38 @@ class NutritionReports {
             existingChart.destroy();
         }
 
+        // Weeks and months are compared by their daily averages, as they can have different lengths
+        const { periods, groupBy } = this.report;
+        const perDay = (value, period) => value / period.days;
+
         this.charts.weeklyCalories = new Chart(ctx, {
             type: 'bar',
             data: {
-                labels: weeklyTotals.map(day => day.day.slice(0, 3)),
+                labels: periods.map(period => this.formatPeriod(period)),
                 datasets: [
                     {
-                        label: 'Actual Calories',
-                        data: weeklyTotals.map(day => day.calories),
-                        backgroundColor: weeklyTotals.map(day => {
-                            if (day.status === 'excellent') return 'rgba(40, 167, 69, 0.8)';
-                            if (day.status === 'good') return 'rgba(255, 193, 7, 0.8)';
+                        label: groupBy === 'day' ? 'Actual Calories' : 'Average Daily Calories',
+                        data: periods.map(period => perDay(period.totals.calories, period)),
+                        backgroundColor: periods.map(period => {
+                            if (period.status === 'excellent') return 'rgba(40, 167, 69, 0.8)';
+                            if (period.status === 'good') return 'rgba(255, 193, 7, 0.8)';
                             return 'rgba(220, 53, 69, 0.8)';
                         }),
-                        borderColor: weeklyTotals.map(day => {
-                            if (day.status === 'excellent') return 'rgba(40, 167, 69, 1)';
-                            if (day.status === 'good') return 'rgba(255, 193, 7, 1)';
+                        borderColor: periods.map(period => {
+                            if (period.status === 'excellent') return 'rgba(40, 167, 69, 1)';
+                            if (period.status === 'good') return 'rgba(255, 193, 7, 1)';
                             return 'rgba(220, 53, 69, 1)';
                         }),
                         borderWidth: 2
                     },
                     {
                         label: 'Daily Goals',
-                        data: weeklyTotals.map(day => day.goalCalories),
+                        data: periods.map(period => perDay(period.goals.calories, period)),
                         type: 'line',
                         borderColor: 'rgba(26, 115, 232, 1)',
                         backgroundColor: 'rgba(26, 115, 232, 0.1)',
                         borderWidth: 3,
-                        pointRadius: 5,
+                        pointRadius: periods.length > 31 ? 0 : 5,
                         pointBackgroundColor: 'rgba(26, 115, 232, 1)'
                     }
                 ]
@@ -243,7 +204,7 @@ class NutritionReports {
                 scales: {
                     y: {
                         beginAtZero: true,
-                        title: { display: true, text: 'Calories' }
+                        title: { display: true, text: groupBy === 'day' ? 'Calories' : 'Calories per Day' }
                     }
                 }
             }
@@ -254,6 +215,9 @@ class NutritionReports {
     }
 
     setupResizeListener() {
+        if (this.resizeListenerAdded) return;
+        this.resizeListenerAdded = true;
+
         // Debounce resize events to avoid excessive calls
         let resizeTimeout;
         window.addEventListener('resize', () => {
@@ -266,56 +230,39 @@ class NutritionReports {
         });
     }
 
-    updateWeeklyMacroTable(weeklyTotals) {
+    updateWeeklyMacroTable() {
         const tbody = document.querySelector('#weeklyMacroTable tbody');
         if (!tbody) return;
 
+        const header = document.getElementById('macroPeriodHeader');
+        if (header) {
+            header.textContent = { day: 'Day', week: 'Week', month: 'Month' }[this.report.groupBy];
+        }
+
         tbody.innerHTML = '';
 
-        weeklyTotals.forEach(day => {
-            const statusText = {
-                'excellent': 'Excellent',
-                'good': 'Good',
-                'needs-improvement': 'Needs Improvement'
-            };
-
-            // Calculate macro achievement percentages
-            const totalProtein = day.protein + day.proteinG;
-            const proteinAchievement = day.proteinTarget > 0 ? (totalProtein / day.proteinTarget) * 100 : 0;
-
-            // For fat and carbs, we need to calculate targets based on daily macro settings
-            // Get the daily macro data to calculate fat and carb targets
-            const dayData = this.weeklyData[day.dayKey] || {};
-            const userWeight = this.settings?.weight || 70;
-            const dailyFatLevel = dayData.fatLevel || 0;
-            const fatTarget = userWeight * dailyFatLevel;
-            const fatAchievement = fatTarget > 0 ? (day.fat / fatTarget) * 100 : 0;
-
-            // For carbs, calculate remaining calories after TARGET protein and fat (not actual consumed)
-            // This should match the diary.html calculation which uses target values
-            const targetProteinCalories = day.proteinTarget * 4;
-            const targetFatCalories = fatTarget * 9;
-            const remainingCalories = Math.max(0, day.goalCalories - targetProteinCalories - targetFatCalories);
-            const carbTarget = remainingCalories / 4;
-
-            const carbAchievement = carbTarget > 0 ? (day.carbs / carbTarget) * 100 : 0;
-
-            // Helper function to get status class based on achievement percentage
-            const getStatusClass = (achievement) => {
-                if (achievement >= 95 && achievement <= 105) return 'status-excellent';
-                if (achievement >= 90 && achievement <= 110) return 'status-good';
-                return 'status-needs-improvement';
-            };
-
-            // Calculate calorie achievement percentage
-            const calorieAchievement = day.goalCalories > 0 ? (day.calories / day.goalCalories) * 100 : 0;
+        const statusText = {
+            'excellent': 'Excellent',
+            'good': 'Good',
+            'needs-improvement': 'Needs Improvement'
+        };
+
+        // Helper function to get status class based on achievement percentage
+        const getStatusClass = (achievement) => {
+            if (achievement >= 95 && achievement <= 105) return 'status-excellent';
+            if (achievement >= 90 && achievement <= 110) return 'status-good';
+            return 'status-needs-improvement';
+        };
+
+        this.report.periods.forEach(period => {
+            const { totals, goals, adherence } = period;
 
             // Calculate overall status based on all macro achievements
             const macroAchievements = [
-                { name: 'calories', value: calorieAchievement, hasTarget: day.goalCalories > 0 },
-                { name: 'protein', value: proteinAchievement, hasTarget: day.proteinTarget > 0 },
-                { name: 'fat', value: fatAchievement, hasTarget: fatTarget > 0 },
-                { name: 'carbs', value: carbAchievement, hasTarget: carbTarget > 0 }
+                { name: 'calories', value: adherence.calories, hasTarget: goals.calories > 0 },
+                { name: 'protein', value: adherence.protein, hasTarget: goals.protein > 0 },
+                { name: 'fat', value: adherence.fat, hasTarget: goals.fat > 0 },
+                { name: 'carbs', value: adherence.carbs, hasTarget: goals.carbs > 0 }
             ];
 
             // Only consider macros that have targets set
@@ -345,39 +292,109 @@ class NutritionReports {
                 }
             }
 
+            const adjustment = goals.adjustment !== 0 ? ` (${goals.adjustment > 0 ? '+' : ''}${goals.adjustment})` : '';
+            const daysNote = this.report.groupBy !== 'day' ? `<div class="small text-muted">${period.daysLogged}/${period.days} days logged</div>` : '';
+
             const row = document.createElement('tr');
             row.innerHTML = `
-                <td><strong>${day.day}</strong></td>
+                <td><strong>${this.formatPeriod(period)}</strong>${daysNote}</td>
                 <td>
-                    ${day.calories > 0 ?
-                    `<span class="status-badge ${getStatusClass(calorieAchievement)}">${Math.round(day.calories)} / ${Math.round(day.goalCalories)} (${calorieAchievement.toFixed(0)}%)${day.dailyAdjustment !== 0 ? ` (${day.dailyAdjustment > 0 ? '+' : ''}${day.dailyAdjustment})` : ''}</span>` :
-                    `${Math.round(day.calories)} / ${Math.round(day.goalCalories)}${day.dailyAdjustment !== 0 ? ` (${day.dailyAdjustment > 0 ? '+' : ''}${day.dailyAdjustment})` : ''}`
+                    ${totals.calories > 0 ?
+                    `<span class="status-badge ${getStatusClass(adherence.calories)}">${Math.round(totals.calories)} / ${Math.round(goals.calories)} (${adherence.calories.toFixed(0)}%)${adjustment}</span>` :
+                    `${Math.round(totals.calories)} / ${Math.round(goals.calories)}${adjustment}`
                 }
+                    ${totals.burnedCalories > 0 ? `<div class="small text-muted exercise-note">Exercise: ${Math.round(totals.burnedCalories)} kcal${goals.exerciseBonus > 0 ? ' (in goal)' : ''}</div>` : ''}
                 </td>
                 <td>
-                    ${totalProtein > 0 && day.proteinTarget > 0 ?
-                    `<span class="status-badge ${getStatusClass(proteinAchievement)}">${totalProtein.toFixed(1)} / ${Math.round(day.proteinTarget)} (${proteinAchievement.toFixed(0)}%)</span>` :
-                    `${totalProtein.toFixed(1)} / ${Math.round(day.proteinTarget)}`
+                    ${totals.protein > 0 && goals.protein > 0 ?
+                    `<span class="status-badge ${getStatusClass(adherence.protein)}">${totals.protein.toFixed(1)} / ${Math.round(goals.protein)} (${adherence.protein.toFixed(0)}%)</span>` :
+                    `${totals.protein.toFixed(1)} / ${Math.round(goals.protein)}`
                 }
                 </td>
                 <td>
-                    ${fatTarget > 0 && day.fat > 0 ?
-                    `<span class="status-badge ${getStatusClass(fatAchievement)}">${day.fat.toFixed(1)} / ${fatTarget.toFixed(1)} (${fatAchievement.toFixed(0)}%)</span>` :
-                    fatTarget > 0 ? `${day.fat.toFixed(1)} / ${fatTarget.toFixed(1)}` : `${day.fat.toFixed(1)}`
+                    ${goals.fat > 0 && totals.fat > 0 ?
+                    `<span class="status-badge ${getStatusClass(adherence.fat)}">${totals.fat.toFixed(1)} / ${goals.fat.toFixed(1)} (${adherence.fat.toFixed(0)}%)</span>` :
+                    goals.fat > 0 ? `${totals.fat.toFixed(1)} / ${goals.fat.toFixed(1)}` : `${totals.fat.toFixed(1)}`
                 }
                 </td>
                 <td>
-                    ${carbTarget > 0 && day.carbs > 0 ?
-                    `<span class="status-badge ${getStatusClass(carbAchievement)}">${day.carbs.toFixed(1)} / ${carbTarget.toFixed(1)} (${carbAchievement.toFixed(0)}%)</span>` :
-                    carbTarget > 0 ? `${day.carbs.toFixed(1)} / ${carbTarget.toFixed(1)}` : `${day.carbs.toFixed(1)}`
+                    ${goals.carbs > 0 && totals.carbs > 0 ?
+                    `<span class="status-badge ${getStatusClass(adherence.carbs)}">${totals.carbs.toFixed(1)} / ${goals.carbs.toFixed(1)} (${adherence.carbs.toFixed(0)}%)</span>` :
+                    goals.carbs > 0 ? `${totals.carbs.toFixed(1)} / ${goals.carbs.toFixed(1)}` : `${totals.carbs.toFixed(1)}`
                 }
                 </td>
+                <td class="small">${this.formatMicronutrients(period.micronutrients)}</td>
                 <td><span class="status-badge status-${overallStatus}">${statusText[overallStatus]}</span></td>
             `;
             tbody.appendChild(row);
         });
     }
+
+    // Totals per meal over the whole range
+    updateMealBreakdown() {
+        const tbody = document.querySelector('#mealBreakdownTable tbody');
+        if (!tbody) return;
+
+        tbody.innerHTML = '';
+        const { meals } = this.report.total;
+
+        if (meals.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" class="text-center text-muted">No meals logged in this range</td></tr>';
+            return;
+        }
+
+        meals.forEach(meal => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td><strong></strong></td>
+                <td>${Math.round(meal.calories)}</td>
+                <td>${meal.share.toFixed(0)}%</td>
+                <td>${meal.protein.toFixed(1)}</td>
+                <td>${meal.fat.toFixed(1)}</td>
+                <td>${meal.carbs.toFixed(1)}</td>
+                <td>${meal.days}</td>
+            `;
+            // Meal names are entered by the user
+            row.querySelector('strong').textContent = meal.name;
+            tbody.appendChild(row);
+        });
+    }
+
+    updateHydration() {
+        const tbody = document.querySelector('#weeklyHydrationTable tbody');
+        if (!tbody || !this.report.hydration) return;
+
+        const { goal, days, avgDailyWater, daysAtGoal } = this.report.hydration;
+
+        document.getElementById('avgDailyWater').textContent = `${Math.round(avgDailyWater)} ml`;
+        document.getElementById('waterGoal').textContent = `${goal} ml`;
+        document.getElementById('daysAtWaterGoal').textContent = `${daysAtGoal}/${days.length} days`;
+
+        tbody.innerHTML = '';
+        days.forEach(day => {
+            const statusClass = day.achievement >= 100 ? 'status-excellent' : day.achievement >= 75 ? 'status-good' : 'status-needs-improvement';
+
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td><strong>${this.parseDateKey(day.date).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}</strong></td>
+                <td>${Math.round(day.total)}</td>
+                <td>${goal}</td>
+                <td>${day.total > 0 ? `<span class="status-badge ${statusClass}">${day.achievement.toFixed(0)}%</span>` : '-'}</td>
+            `;
+            tbody.appendChild(row);
+        });
+    }
+
+    // Compact list of the micronutrients logged for a day, e.g. "Fiber 28 g · Sodium 2100 mg"
+    formatMicronutrients(micronutrients) {
+        const known = MICRONUTRIENTS.filter(nutrient => micronutrients?.[nutrient.key] !== undefined);
+        if (known.length === 0) return '-';
+
+        return known
+            .map(nutrient => `${nutrient.label} ${micronutrients[nutrient.key]} ${nutrient.unit}`)
+            .join(' · ');
+    }
 }
 
 // Export for use in other modules
-window.NutritionReports = NutritionReports;
\ No newline at end of file
+window.NutritionReports = NutritionReports;
@@ -145,8 +145,9 @@ class PDFReportGenerator {
             pdf.addPage();
             this.addPDFHeader(pdf, 'Nutrition Report');
 
-            // Add macro table on second page
-            await this.addMacroTable(pdf, 55);
+            // Add macro table on second page, followed by hydration
+            currentY = await this.addMacroTable(pdf, 55);
+            await this.addHydrationTable(pdf, currentY + 5);
 
             // Save the PDF
             const fileName = `nutrition-report-${new Date().toISOString().split('T')[0]}.pdf`;
@@ -340,7 +341,8 @@ class PDFReportGenerator {
             pdf.addPage();
             this.addPDFHeader(pdf, 'Complete Health Report');
 
-            await this.addMacroTable(pdf, 55);
+            currentY = await this.addMacroTable(pdf, 55);
+            await this.addHydrationTable(pdf, currentY + 5);
 
             // Add new page for weight section
             pdf.addPage();
@@ -465,6 +467,7 @@ class PDFReportGenerator {
         const fatAchievement = this.cleanTextForPDF(document.getElementById('fatAchievement')?.textContent) || 'N/A';
         const carbsAchievement = this.cleanTextForPDF(document.getElementById('carbsAchievement')?.textContent) || 'N/A';
         const daysOnTrack = this.cleanTextForPDF(document.getElementById('daysOnTrack')?.textContent) || 'N/A';
+        const caloriesBurned = this.cleanTextForPDF(document.getElementById('caloriesBurned')?.textContent) || 'N/A';
 
         // Section header with background
         pdf.setFillColor(236, 240, 241); // Light gray background
@@ -473,7 +476,9 @@ class PDFReportGenerator {
         pdf.setTextColor(52, 73, 94); // Dark blue-gray
         pdf.setFontSize(14);
         pdf.setFont(undefined, 'bold');
-        pdf.text('Weekly Nutrition Summary', 20, startY);
+        // The summary covers the range picked on the reports page
+        const range = this.nutritionReports?.range;
+        pdf.text(range ? `Nutrition Summary (${range.from} to ${range.to})` : 'Nutrition Summary', 20, startY);
 
         // Reset text color and add stats with better formatting
         pdf.setTextColor(0, 0, 0);
@@ -486,7 +491,8 @@ class PDFReportGenerator {
             { label: 'Protein Target:', value: this.cleanTextForPDF(proteinAchievement) },
             { label: 'Fat Target:', value: this.cleanTextForPDF(fatAchievement) },
             { label: 'Carbs Target:', value: this.cleanTextForPDF(carbsAchievement) },
-            { label: 'Days On Track:', value: this.cleanTextForPDF(daysOnTrack) }
+            { label: 'Days On Track:', value: this.cleanTextForPDF(daysOnTrack) },
+            { label: 'Calories Burned (Exercise):', value: this.cleanTextForPDF(caloriesBurned) }
         ];
 
         let yPos = startY + 12;
@@ -519,7 +525,7 @@ class PDFReportGenerator {
         pdf.setTextColor(52, 73, 94);
         pdf.setFontSize(14);
         pdf.setFont(undefined, 'bold');
-        pdf.text('Weekly Calories Chart', 20, startY);
+        pdf.text('Calories Chart', 20, startY);
 
         startY += 10;
 
@@ -635,7 +641,9 @@ class PDFReportGenerator {
                 const cells = row.querySelectorAll('td');
                 if (cells.length >= 5) {
                     const day = this.cleanTextForPDF(cells[0]?.textContent?.trim()) || '';
-                    const calories = this.cleanTextForPDF(cells[1]?.textContent?.trim()) || '';
+                    // The exercise note under the calories doesn't fit the PDF column
+                    const exerciseNote = cells[1]?.querySelector('.exercise-note')?.textContent || '';
+                    const calories = this.cleanTextForPDF(cells[1]?.textContent?.replace(exerciseNote, '').trim()) || '';
                     const protein = this.cleanTextForPDF(cells[2]?.textContent?.trim()) || '';
                     const carbs = this.cleanTextForPDF(cells[3]?.textContent?.trim()) || '';
                     const fat = this.cleanTextForPDF(cells[4]?.textContent?.trim()) || '';
@@ -661,6 +669,78 @@ class PDFReportGenerator {
         return yPos + 10;
     }
 
+    async addHydrationTable(pdf, startY = 150) {
+        const table = document.getElementById('weeklyHydrationTable');
+        const rows = table ? table.querySelectorAll('tbody tr') : [];
+
+        // Section header with background
+        pdf.setFillColor(236, 240, 241);
+        pdf.rect(15, startY - 5, 180, 8, 'F');
+
+        pdf.setTextColor(52, 73, 94);
+        pdf.setFontSize(14);
+        pdf.setFont(undefined, 'bold');
+        pdf.text('Hydration', 20, startY);
+
+        if (rows.length === 0) {
+            pdf.setTextColor(128, 128, 128);
+            pdf.setFontSize(10);
+            pdf.setFont(undefined, 'normal');
+            pdf.text('No hydration data available', 20, startY + 10);
+            pdf.setTextColor(0, 0, 0);
+            return startY + 20;
+        }
+
+        const avgWater = this.cleanTextForPDF(document.getElementById('avgDailyWater')?.textContent) || 'N/A';
+        const daysAtGoal = this.cleanTextForPDF(document.getElementById('daysAtWaterGoal')?.textContent) || 'N/A';
+
+        pdf.setTextColor(0, 0, 0);
+        pdf.setFontSize(10);
+        pdf.setFont(undefined, 'normal');
+        pdf.text(`Average daily water: ${avgWater}    Days at goal: ${daysAtGoal}`, 20, startY + 10);
+
+        let yPos = startY + 20;
+
+        // Table header
+        pdf.setFillColor(23, 162, 184);
+        pdf.rect(15, yPos - 5, 180, 8, 'F');
+
+        pdf.setTextColor(255, 255, 255);
+        pdf.setFont(undefined, 'bold');
+        pdf.text('Day', 20, yPos);
+        pdf.text('Water (ml)', 70, yPos);
+        pdf.text('Goal (ml)', 110, yPos);
+        pdf.text('Achievement', 150, yPos);
+
+        yPos += 10;
+        pdf.setTextColor(0, 0, 0);
+        pdf.setFont(undefined, 'normal');
+
+        rows.forEach((row, rowIndex) => {
+            if (yPos > 270) {
+                pdf.addPage();
+                this.addPDFHeader(pdf, 'Nutrition Report');
+                yPos = 60;
+            }
+
+            // Alternating row colors
+            if (rowIndex % 2 === 0) {
+                pdf.setFillColor(249, 249, 249);
+                pdf.rect(15, yPos - 3, 180, 8, 'F');
+            }
+
+            const cells = row.querySelectorAll('td');
+            pdf.setFontSize(9);
+            pdf.text(this.cleanTextForPDF(cells[0]?.textContent?.trim()) || '', 20, yPos);
+            pdf.text(this.cleanTextForPDF(cells[1]?.textContent?.trim()) || '', 70, yPos);
+            pdf.text(this.cleanTextForPDF(cells[2]?.textContent?.trim()) || '', 110, yPos);
+            pdf.text(this.cleanTextForPDF(cells[3]?.textContent?.trim()) || '', 150, yPos);
+            yPos += 8;
+        });
+
+        return yPos + 10;
+    }
+
     async addWeightStats(pdf, startY = 55) {
         // Ensure weight tracker is initialized and has data
         if (this.weightTracker && !this.weightTracker.initialized) {
@@ -674,13 +754,23 @@ class PDFReportGenerator {
         let overallChange = 'N/A';
         let avgChange = 'N/A';
         let trend = 'N/A';
+        let trendWeight = 'N/A';
+        let weeklyRate = 'N/A';
+        let goalDate = 'N/A';
 
         if (this.weightTracker && this.weightTracker.weightData && this.weightTracker.weightData.length > 0) {
             const weightData = this.weightTracker.weightData;
             const unit = this.weightTracker.weightUnit || 'kg';
+            const analysis = this.weightTracker.calculateTrend();
 
             // Calculate stats directly from data
             currentWeight = `${weightData[0].weight.toFixed(1)} ${unit}`;
+            trendWeight = `${analysis.trendWeight.toFixed(1)} ${unit}`;
+            trend = this.weightTracker.formatTrendDirection(analysis.direction);
+            goalDate = this.weightTracker.formatGoalProjection(analysis.goal);
+            if (analysis.goal) {
+                goalDate += ` (target ${analysis.goal.targetWeight.toFixed(1)} ${unit})`;
+            }
 
             if (weightData.length >= 2) {
                 const latestChangeValue = weightData[0].weight - weightData[1].weight;
@@ -691,8 +781,9 @@ class PDFReportGenerator {
 
                 const avgChangeValue = this.weightTracker.calculateAvgWeightChange();
                 avgChange = `${avgChangeValue > 0 ? '+' : ''}${avgChangeValue.toFixed(1)} ${unit}/week`;
-
-                trend = this.weightTracker.calculateTrend();
+            }
+            if (analysis.weeklyRate !== null) {
+                weeklyRate = `${analysis.weeklyRate > 0 ? '+' : ''}${analysis.weeklyRate.toFixed(2)} ${unit}/week`;
             }
         } else {
             // Fallback to DOM elements with text cleaning
@@ -701,6 +792,9 @@ class PDFReportGenerator {
             overallChange = this.cleanTextForPDF(document.getElementById('weightChange')?.textContent) || 'N/A';
             avgChange = this.cleanTextForPDF(document.getElementById('avgWeightChange')?.textContent) || 'N/A';
             trend = this.cleanTextForPDF(document.getElementById('weightTrend')?.textContent) || 'N/A';
+            trendWeight = this.cleanTextForPDF(document.getElementById('trendWeight')?.textContent) || 'N/A';
+            weeklyRate = this.cleanTextForPDF(document.getElementById('weeklyRate')?.textContent) || 'N/A';
+            goalDate = this.cleanTextForPDF(document.getElementById('goalDate')?.textContent) || 'N/A';
         }
 
         // Section header with background
@@ -722,7 +816,10 @@ class PDFReportGenerator {
             { label: 'Latest Change:', value: this.cleanTextForPDF(latestChange) },
             { label: 'Overall Change:', value: this.cleanTextForPDF(overallChange) },
             { label: 'Average Change:', value: this.cleanTextForPDF(avgChange) },
-            { label: 'Trend:', value: this.cleanTextForPDF(trend) }
+            { label: 'Trend Weight:', value: this.cleanTextForPDF(trendWeight) },
+            { label: 'Weekly Rate:', value: this.cleanTextForPDF(weeklyRate) },
+            { label: 'Trend:', value: this.cleanTextForPDF(trend) },
+            { label: 'Goal Date:', value: this.cleanTextForPDF(goalDate) }
         ];
 
         let yPos = startY + 12;
@@ -741,7 +838,8 @@ class PDFReportGenerator {
             pdf.text(this.cleanTextForPDF(stat.value), 120, yPos);
             pdf.setTextColor(0, 0, 0);
 
-            yPos += 10;
+            // Tighter rows so the chart still fits below all eight stats
+            yPos += 8;
         });
 
         return yPos + 5;
@@ -126,12 +126,19 @@ class WeightTracker {
         const weightChange = this.calculateWeightChange();
         const avgWeightChange = this.calculateAvgWeightChange();
         const trend = this.calculateTrend();
+        const signed = (value, digits = 1) => `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
 
         document.getElementById('currentWeight').textContent = currentWeight ? `${currentWeight.toFixed(1)} ${this.weightUnit}` : 'No data';
         document.getElementById('latestWeightChange').textContent = latestWeightChange !== null ? `${latestWeightChange > 0 ? '+' : ''}${latestWeightChange.toFixed(1)} ${this.weightUnit}` : 'No data';
         document.getElementById('weightChange').textContent = weightChange ? `${weightChange > 0 ? '+' : ''}${weightChange.toFixed(1)} ${this.weightUnit}` : 'No change';
         document.getElementById('avgWeightChange').textContent = avgWeightChange ? `${avgWeightChange > 0 ? '+' : ''}${avgWeightChange.toFixed(1)} ${this.weightUnit}/week` : 'No data';
-        document.getElementById('weightTrend').textContent = trend;
+        document.getElementById('weightTrend').textContent = this.formatTrendDirection(trend.direction);
+        document.getElementById('trendWeight').textContent = trend.trendWeight !== null ? `${trend.trendWeight.toFixed(1)} ${this.weightUnit}` : 'No data';
+        document.getElementById('weeklyRate').textContent = trend.weeklyRate !== null ? `${signed(trend.weeklyRate, 2)} ${this.weightUnit}/week` : 'No data';
+        document.getElementById('goalDate').textContent = this.formatGoalProjection(trend.goal);
+        document.getElementById('goalTarget').textContent = trend.goal
+            ? `Target ${trend.goal.targetWeight.toFixed(1)} ${this.weightUnit} (${Math.abs(trend.goal.remaining).toFixed(1)} ${this.weightUnit} to go)`
+            : '';
     }
 
     calculateLatestWeightChange() {
@@ -172,17 +179,45 @@ class WeightTracker {
         return avgPerDay * 7; // Weekly average
     }
 
+    // Smoothed trend weight, weekly rate and goal projection (see utils/weightTrend.js)
     calculateTrend() {
-        if (this.weightData.length < 3) return 'Insufficient data';
+        const targetWeight = this.settings ? parseFloat(this.settings.targetWeight) || null : null;
+        return analyzeWeightTrend(this.weightData, targetWeight);
+    }
+
+    formatTrendDirection(direction) {
+        const arrows = { Increasing: '↗️', Decreasing: '↘️', Stable: '↔️' };
+        return arrows[direction] ? `${arrows[direction]} ${direction}` : direction;
+    }
+
+    formatGoalProjection(goal) {
+        if (!goal) return 'Set a target weight in Settings';
+
+        switch (goal.status) {
+            case 'reached':
+                return '🎯 Reached';
+            case 'on-track': {
+                const [year, month, day] = goal.date.split('-').map(Number);
+                return new Date(year, month - 1, day).toLocaleDateString();
+            }
+            case 'insufficient-data':
+                return 'Not enough data';
+            default:
+                return 'Not on track';
+        }
+    }
 
-        const recent = this.weightData.slice(0, 3);
-        const total = recent.reduce((sum, entry) => sum + entry.weight, 0);
-        const average = total / recent.length;
-        const latest = recent[0].weight;
+    // Chart datasets for the logged weights, the smoothed trend and the target weight
+    getChartData() {
+        const trend = this.calculateTrend();
+        const chartData = trend.trendLine;
 
-        if (latest > average + 0.5) return '↗️ Increasing';
-        if (latest < average - 0.5) return '↘️ Decreasing';
-        return '↔️ Stable';
+        return {
+            labels: chartData.map(entry => new Date(entry.date).toLocaleDateString()),
+            weights: chartData.map(entry => entry.weight),
+            trendWeights: chartData.map(entry => Math.round(entry.trend * 10) / 10),
+            targetWeights: trend.goal ? chartData.map(() => trend.goal.targetWeight) : []
+        };
     }
 
     createWeightChart() {
@@ -201,9 +236,7 @@ class WeightTracker {
             existingChart.destroy();
         }
 
-        const chartData = this.weightData.slice().reverse();
-        const labels = chartData.map(entry => new Date(entry.date).toLocaleDateString());
-        const weights = chartData.map(entry => entry.weight);
+        const { labels, weights, trendWeights, targetWeights } = this.getChartData();
 
         this.chart = new Chart(ctx, {
             type: 'line',
@@ -221,13 +254,33 @@ class WeightTracker {
                     pointBackgroundColor: 'rgba(26, 115, 232, 1)',
                     pointBorderColor: 'white',
                     pointBorderWidth: 2
+                }, {
+                    label: `Trend (${this.weightUnit})`,
+                    data: trendWeights,
+                    borderColor: 'rgba(46, 204, 113, 1)',
+                    borderWidth: 2,
+                    fill: false,
+                    tension: 0.4,
+                    pointRadius: 0
+                }, {
+                    label: `Target (${this.weightUnit})`,
+                    data: targetWeights,
+                    borderColor: 'rgba(243, 156, 18, 1)',
+                    borderWidth: 2,
+                    borderDash: [6, 6],
+                    fill: false,
+                    pointRadius: 0
                 }]
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
                 plugins: {
-                    legend: { display: false }
+                    legend: {
+                        display: true,
+                        // Hide the target from the legend when none is set
+                        labels: { filter: (item, data) => data.datasets[item.datasetIndex].data.length > 0 }
+                    }
                 },
                 scales: {
                     y: {
@@ -275,12 +328,12 @@ class WeightTracker {
     updateWeightChart() {
         if (!this.chart) return;
 
-        const chartData = this.weightData.slice().reverse();
-        const labels = chartData.map(entry => new Date(entry.date).toLocaleDateString());
-        const weights = chartData.map(entry => entry.weight);
+        const { labels, weights, trendWeights, targetWeights } = this.getChartData();
 
         this.chart.data.labels = labels;
         this.chart.data.datasets[0].data = weights;
+        this.chart.data.datasets[1].data = trendWeights;
+        this.chart.data.datasets[2].data = targetWeights;
         this.chart.update();
     }
 
@@ -39,6 +39,11 @@ function updateTotals(table) {
     updateHeaderStats();
 }
 
+// Calories burned by exercise count toward the day's goal when enabled in Settings
+function getExerciseGoalCalories() {
+    return addExerciseCalories ? exerciseCalories : 0;
+}
+
 function calculateMacroStats() {
     // Get protein level (as percentage of body weight)
     const proteinLevelInput = document.getElementById('proteinLevelInput');
@@ -238,6 +243,8 @@ function updateHeaderStats() {
     if (mealCarbPercentage) mealCarbPercentage.textContent = actualCarbPercentage.toFixed(1);
     if (mealCarb) mealCarb.textContent = totals.carbs.toFixed(1);
     if (mealCarbCal) mealCarbCal.textContent = actualCarbCalories.toFixed(1);
+    updateMicronutrientStats();
+
     if (mealGoal) {
         mealGoal.textContent = totals.calories.toFixed(1);
 
@@ -255,4 +262,18 @@ function updateHeaderStats() {
             mealGoal.style.border = '1px solid #f5c6cb';
         }
     }
-}
\ No newline at end of file
+}
+
+// Show the day's micronutrient totals from every filled row
+function updateMicronutrientStats() {
+    const rows = Array.from(document.querySelectorAll('.meal-table .meal-row'))
+        .filter(row => row.querySelector('.food-search-input')?.value.trim());
+    const totals = sumMicronutrients(rows.map(getRowMicronutrients));
+
+    MICRONUTRIENTS.forEach(nutrient => {
+        const card = document.getElementById(`micronutrient-${nutrient.key}`);
+        if (card) {
+            card.textContent = totals[nutrient.key] !== undefined ? totals[nutrient.key].toFixed(1) : '-';
+        }
+    });
+}
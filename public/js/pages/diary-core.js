@@ -6,6 +6,9 @@ let userWeight = 70; // Default weight, will be updated from settings
 let goalCalories = 0; // Will be updated from settings
 let isMetricSystem = true; // Will be updated from settings
 let baseGoalCalories = 0; // Store the base goal calories before adjustment
+let exerciseCalories = 0; // Calories burned by exercise on the loaded day
+let addExerciseCalories = false; // Whether burned calories are added to the goal (from settings)
+let currentMealIds = []; // Meal slot IDs of the loaded day in display order
 
 // Add debounce tracking for saves
 const saveDebounceMap = new Map();
@@ -44,6 +47,7 @@ async function loadSettings() {
         baseGoalCalories = settings.totalCalories || 0;
         goalCalories = baseGoalCalories; // Initialize with base value
         isMetricSystem = settings.unitSystem === 'metric';
+        addExerciseCalories = !!settings.addExerciseCalories;
 
         console.log('🔍 Settings loaded - Base Goal Calories:', baseGoalCalories);
 
@@ -86,7 +90,7 @@ async function initializePage() {
 function applyCalorieAdjustment() {
     const calorieAdjustmentInput = document.getElementById('calorieAdjustmentInput');
     const adjustment = parseInt(calorieAdjustmentInput.value) || 0;
-    goalCalories = baseGoalCalories + adjustment;
+    goalCalories = baseGoalCalories + adjustment + getExerciseGoalCalories();
     document.getElementById('goalCalories').textContent = Math.round(goalCalories);
     console.log('🔍 Calorie adjustment applied - Base:', baseGoalCalories, 'Adjustment:', adjustment, 'Final:', goalCalories, 'Raw input:', calorieAdjustmentInput.value);
     // Remove saveMacroSettings call from here since it will be called by calculateMacroStats
@@ -111,11 +115,10 @@ async function saveMacroSettings() {
             const proteinLevel = proteinLevelInput.value ? parseFloat(proteinLevelInput.value) : null;
             const fatLevel = fatLevelInput.value ? parseFloat(fatLevelInput.value) : null;
             const calorieAdjustment = calorieAdjustmentInput.value ? parseInt(calorieAdjustmentInput.value) : 0;
-            const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-            const dayName = days[currentDate.getDay()];
+            const dayKey = getDayKey();
 
             console.log('💾 Saving macro settings:', {
-                dayName,
+                dayKey,
                 proteinLevel,
                 fatLevel,
                 calorieAdjustment,
@@ -123,7 +126,7 @@ async function saveMacroSettings() {
             });
 
             // Save all macro settings together
-            await API.meals.saveMacros(dayName, {
+            await API.meals.saveMacros(dayKey, {
                 proteinLevel,
                 fatLevel,
                 calorieAdjustment
@@ -146,11 +149,11 @@ function updateActiveDayButton(dayIndex) {
     });
 }
 
+// Get the date of a weekday within the week currently shown in the diary
 function getDateForDayOfWeek(targetDay) {
-    const today = new Date();
-    const currentDay = today.getDay();
+    const currentDay = currentDate.getDay();
     const diff = targetDay - currentDay;
-    const date = new Date(today);
+    const date = new Date(currentDate);
     date.setDate(date.getDate() + diff);
     return date;
 }
@@ -162,11 +165,150 @@ function formatDate(date) {
     return `${year}-${month}-${day}`;
 }
 
+// Meals are stored per calendar date, so the API day key is the current date
+function getDayKey(date = currentDate) {
+    return formatDate(date);
+}
+
+function getWeekdayName(date = currentDate) {
+    const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    return days[date.getDay()];
+}
+
+function updateDateLabel() {
+    const dateLabel = document.getElementById('currentDateLabel');
+    if (dateLabel) {
+        dateLabel.textContent = currentDate.toLocaleDateString(undefined, {
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
+    }
+}
+
+// Fill the current date from its weekday template
+async function applyWeekdayTemplate() {
+    const dayKey = getDayKey();
+    const weekday = getWeekdayName();
+
+    try {
+        const response = await API.meals.applyTemplate(dayKey, { weekday });
+        const result = await response.json();
+        console.log('✅', result.message);
+    } catch (error) {
+        // The date already has items - confirm before replacing them
+        if (error.message.startsWith('HTTP 409') &&
+            confirm(`This day already has food items. Replace them with the ${weekday} template?`)) {
+            await API.meals.applyTemplate(dayKey, { weekday, overwrite: true });
+        } else {
+            console.error('Error applying template:', error);
+            if (!error.message.startsWith('HTTP 409')) {
+                showError('Failed to apply template');
+            }
+            return;
+        }
+    }
+
+    await loadMeals();
+}
+
+// Store the current date as the template for its weekday
+async function saveAsWeekdayTemplate() {
+    const weekday = getWeekdayName();
+    if (!confirm(`Save this day as your ${weekday} template?`)) {
+        return;
+    }
+
+    try {
+        const response = await API.meals.saveAsTemplate(getDayKey(), { weekday });
+        const result = await response.json();
+        console.log('✅', result.message);
+    } catch (error) {
+        console.error('Error saving template:', error);
+        showError('Failed to save template');
+    }
+}
+
+let copyDayModal = null;
+
+// Open the copy dialog, defaulting to the next day (or the same day next week)
+function openCopyDialog() {
+    if (!copyDayModal) {
+        copyDayModal = new bootstrap.Modal(document.getElementById('copyDayModal'));
+    }
+    document.getElementById('copyScopeDay').checked = true;
+    document.getElementById('copyMode').value = 'merge';
+    updateCopyTarget();
+    copyDayModal.show();
+}
+
+function updateCopyTarget() {
+    const isWeek = document.getElementById('copyScopeWeek').checked;
+    const target = new Date(currentDate);
+    target.setDate(target.getDate() + (isWeek ? 7 : 1));
+    document.getElementById('copyTargetDate').value = formatDate(target);
+    document.getElementById('copyTargetLabel').textContent = isWeek ? 'Copy to the week containing' : 'Copy to';
+}
+
+// Copy the current day or week on the server in one step
+async function copyDayOrWeek(event) {
+    event.preventDefault();
+    const isWeek = document.getElementById('copyScopeWeek').checked;
+    const options = {
+        to: document.getElementById('copyTargetDate').value,
+        mode: document.getElementById('copyMode').value
+    };
+
+    try {
+        const response = isWeek
+            ? await API.meals.copyWeek(getDayKey(), options)
+            : await API.meals.copyDay(getDayKey(), options);
+        const result = await response.json();
+        console.log('✅', result.message);
+        copyDayModal.hide();
+        window.mealCopyPaste.showMessage(`Copied ${result.copied} items`, 'success');
+    } catch (error) {
+        console.error('Error copying meals:', error);
+    }
+}
+
+// Let the user know when foods logged on this day have been edited since
+async function checkFoodChanges() {
+    const notice = document.getElementById('foodChangesNotice');
+    if (!notice) return;
+
+    try {
+        const response = await API.meals.getFoodChanges(getDayKey());
+        const { changes } = await response.json();
+
+        notice.classList.toggle('d-none', changes.length === 0);
+        document.getElementById('foodChangesText').textContent = changes.length === 1
+            ? `"${changes[0].current.name}" has changed in your foods database since it was logged.`
+            : `${changes.length} items have changed in your foods database since they were logged.`;
+    } catch (error) {
+        console.error('Error checking food changes:', error);
+        notice.classList.add('d-none');
+    }
+}
+
+// Re-apply the current food values to this day's changed items
+async function applyFoodChanges() {
+    try {
+        const response = await API.meals.applyFoodChanges(getDayKey());
+        const result = await response.json();
+        console.log('✅', result.message);
+        await loadMeals();
+    } catch (error) {
+        console.error('Error applying food changes:', error);
+        showError('Failed to update food items');
+    }
+}
+
 async function loadMeals() {
     try {
-        const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-        const dayName = days[currentDate.getDay()];
-        const response = await API.meals.get(dayName);
+        const dayKey = getDayKey();
+        const response = await API.meals.get(dayKey);
         const data = await response.json();
 
         // Update protein and fat level inputs from daily data
@@ -185,48 +327,34 @@ async function loadMeals() {
             fatLevelType: typeof data.fatLevel
         });
 
+        // Drinks and exercise load alongside the meals (burned calories update the goal when they arrive)
+        window.waterTracker.load(dayKey);
+        window.exerciseTracker.load(dayKey);
+
         // Apply the daily calorie adjustment to the base goal
         applyCalorieAdjustment();
 
+        updateDateLabel();
+
         const mealsContainer = document.getElementById('mealsContainer');
         mealsContainer.innerHTML = ''; // Clear existing content
 
-        // Ensure we always have all 6 meals with default data
-        const defaultTimes = ["08:00", "11:00", "14:00", "17:00", "20:00", "23:00"];
-        const allMeals = [];
-
-        for (let i = 0; i < 6; i++) {
-            // Use existing meal data if available, otherwise create default meal
-            const existingMeal = data.meals && data.meals.find(m => m.id === i + 1);
-            const meal = existingMeal || {
-                id: i + 1,
-                time: defaultTimes[i],
-                items: []
-            };
-            allMeals.push(meal);
+        // Meals come back in the user's slot order; lay them out in two columns
+        // (first half on the left, second half on the right)
+        const allMeals = data.meals || [];
+        currentMealIds = allMeals.map(meal => meal.id);
+        const half = Math.ceil(allMeals.length / 2);
+
+        for (let i = 0; i < half; i++) {
+            const row = document.createElement('div');
+            row.className = 'meals-row';
+            row.appendChild(createMealSection(allMeals[i], i === 0));
+            if (allMeals[i + half]) {
+                row.appendChild(createMealSection(allMeals[i + half], false));
+            }
+            mealsContainer.appendChild(row);
         }
 
-        // Create row 1: meals 1 and 4
-        const row1 = document.createElement('div');
-        row1.className = 'meals-row';
-        row1.appendChild(createMealSection(allMeals[0])); // Meal 1
-        row1.appendChild(createMealSection(allMeals[3])); // Meal 4
-        mealsContainer.appendChild(row1);
-
-        // Create row 2: meals 2 and 5
-        const row2 = document.createElement('div');
-        row2.className = 'meals-row';
-        row2.appendChild(createMealSection(allMeals[1])); // Meal 2
-        row2.appendChild(createMealSection(allMeals[4])); // Meal 5
-        mealsContainer.appendChild(row2);
-
-        // Create row 3: meals 3 and 6
-        const row3 = document.createElement('div');
-        row3.className = 'meals-row';
-        row3.appendChild(createMealSection(allMeals[2])); // Meal 3
-        row3.appendChild(createMealSection(allMeals[5])); // Meal 6
-        mealsContainer.appendChild(row3);
-
         // Calculate macro stats without saving (after all meal sections are created)
         calculateMacroStatsWithoutSave();
 
@@ -235,6 +363,8 @@ async function loadMeals() {
             window.mealCopyPaste.updatePasteButtons();
         }
 
+        checkFoodChanges();
+
     } catch (error) {
         console.error('Error loading meals:', error);
         showError('Failed to load meals');
@@ -252,15 +382,14 @@ async function updateAllMealTimes(firstMealTime) {
         const startMinutes = hours * 60 + minutes;
 
         // First save the first meal's time
-        await saveMealTime(1, firstMealTime);
+        const [firstMealId, ...mealOrder] = currentMealIds;
+        await saveMealTime(firstMealId, firstMealTime);
 
-        // Create an array of meal IDs in the correct order (2,3,4,5,6)
-        const mealOrder = [2, 3, 4, 5, 6];
-
-        // Update each meal in the correct sequence
-        for (const mealId of mealOrder) {
+        // Update each following meal in display order
+        for (let index = 0; index < mealOrder.length; index++) {
+            const mealId = mealOrder[index];
             // Calculate minutes to add based on interval (remove Math.floor to handle fractional hours correctly)
-            const minutesToAdd = (mealId - 1) * interval * 60;
+            const minutesToAdd = (index + 1) * interval * 60;
             let totalMinutes = startMinutes + minutesToAdd;
 
             // Handle day overflow
@@ -288,24 +417,13 @@ async function updateAllMealTimes(firstMealTime) {
         showError('Failed to update meal times');
         loadMeals(); // Reload to show previous state
     }
-
-    // Clean up any duplicate placeholders after updating all meal times
-    try {
-        const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-        const dayName = days[currentDate.getDay()];
-        await API.meals.cleanupPlaceholders(dayName);
-    } catch (error) {
-        console.error('Error cleaning up placeholders:', error);
-        // Don't show error to user, this is just cleanup
-    }
 }
 
 async function saveMealTime(mealId, newTime) {
     try {
-        const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-        const dayName = days[currentDate.getDay()];
-        console.log(`💾 Saving meal ${mealId} time to ${newTime} for ${dayName}`);
-        await API.meals.updateMealTime(dayName, mealId, newTime);
+        const dayKey = getDayKey();
+        console.log(`💾 Saving meal ${mealId} time to ${newTime} for ${dayKey}`);
+        await API.meals.updateMealTime(dayKey, mealId, newTime);
         console.log(`✅ Meal ${mealId} time saved successfully`);
     } catch (error) {
         console.error('Error saving meal time:', error);
@@ -313,19 +431,40 @@ async function saveMealTime(mealId, newTime) {
     }
 }
 
+// Micronutrients of a row for its current amount. A row keeps the values it got from
+// the selected food (or the saved item) together with the amount they are for.
+function getRowMicronutrients(row) {
+    if (!row.dataset.micronutrients) {
+        return {};
+    }
+    const micronutrients = JSON.parse(row.dataset.micronutrients);
+    const baseAmount = parseFloat(row.dataset.micronutrientsAmount) || 0;
+    const amount = parseFloat(row.querySelector('.amount-input')?.value) || 0;
+    return baseAmount > 0 ? scaleMicronutrients(micronutrients, amount / baseAmount) : micronutrients;
+}
+
+function setRowMicronutrients(row, micronutrients, amount) {
+    if (micronutrients && Object.keys(micronutrients).length > 0) {
+        row.dataset.micronutrients = JSON.stringify(micronutrients);
+        row.dataset.micronutrientsAmount = amount || '';
+    } else {
+        delete row.dataset.micronutrients;
+        delete row.dataset.micronutrientsAmount;
+    }
+}
+
 async function saveMealData(row) {
     try {
         const mealSection = row.closest('.meal-section');
         if (!mealSection) return;
 
         const mealId = mealSection.dataset.mealId;
-        const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-        const dayName = days[currentDate.getDay()];
+        const dayKey = getDayKey();
 
         // Create unique key for this row to prevent duplicate saves
         const nameInput = row.querySelector('.food-search-input');
         const amountInput = row.querySelector('input[type="number"]');
-        const rowKey = `${dayName}-${mealId}-${nameInput?.value?.trim() || 'empty'}-${amountInput?.value || '0'}`;
+        const rowKey = `${dayKey}-${mealId}-${nameInput?.value?.trim() || 'empty'}-${amountInput?.value || '0'}`;
 
         // Check if we're already saving this row recently (within 500ms)
         // Reduced from 1 second to be more responsive to amount changes
@@ -355,7 +494,7 @@ async function saveMealData(row) {
         if (!nameInput || !nameInput.value.trim()) {
             const itemId = row.dataset.itemId;
             if (itemId) {
-                await API.meals.deleteItem(dayName, mealId, itemId);
+                await API.meals.deleteItem(dayKey, mealId, itemId);
                 delete row.dataset.itemId;
             }
             return;
@@ -379,6 +518,9 @@ async function saveMealData(row) {
         const currentAmount = parseFloat(amountInput?.value) || 0;
         const currentBaseAmount = parseFloat(amountInput?.getAttribute('data-base-amount')) || currentAmount || 0;
 
+        // The food link only holds while the name still matches the selected food
+        const isLinked = row.dataset.foodId && row.dataset.foodName === nameInput.value.trim();
+
         const itemData = {
             name: nameInput.value.trim(),
             amount: currentAmount,
@@ -392,7 +534,10 @@ async function saveMealData(row) {
             baseCarbs: parseFloat(nutritionalDivs[1]?.getAttribute('data-base-value')) || parseFloat(nutritionalDivs[1]?.textContent) || 0,
             baseProtein: parseFloat(nutritionalDivs[2]?.getAttribute('data-base-value')) || parseFloat(nutritionalDivs[2]?.textContent) || 0,
             baseFat: parseFloat(nutritionalDivs[3]?.getAttribute('data-base-value')) || parseFloat(nutritionalDivs[3]?.textContent) || 0,
-            baseProteinG: parseFloat(nutritionalDivs[4]?.getAttribute('data-base-value')) || parseFloat(nutritionalDivs[4]?.textContent) || 0
+            baseProteinG: parseFloat(nutritionalDivs[4]?.getAttribute('data-base-value')) || parseFloat(nutritionalDivs[4]?.textContent) || 0,
+            foodId: isLinked ? parseInt(row.dataset.foodId) : null,
+            foodSource: isLinked ? row.dataset.foodSource : null,
+            micronutrients: getRowMicronutrients(row)
         };
 
         // Log what we're about to save for debugging
@@ -413,7 +558,7 @@ async function saveMealData(row) {
 
         if (itemId) {
             // Update existing item
-            const response = await API.meals.updateItem(dayName, mealId, itemId, itemData);
+            const response = await API.meals.updateItem(dayKey, mealId, itemId, itemData);
             savedItem = await response.json();
         } else {
             // Create new item - get the current meal time
@@ -423,7 +568,7 @@ async function saveMealData(row) {
             // Add meal time to itemData so the backend can use it
             const itemDataWithTime = { ...itemData, mealTime };
 
-            const response = await API.meals.addItem(dayName, mealId, itemDataWithTime);
+            const response = await API.meals.addItem(dayKey, mealId, itemDataWithTime);
             savedItem = await response.json();
         }
 
@@ -445,6 +590,8 @@ async function saveMealData(row) {
 
 // Make saveMealData available globally for use by other components
 window.saveMealData = saveMealData;
+window.getRowMicronutrients = getRowMicronutrients;
+window.setRowMicronutrients = setRowMicronutrients;
 
 function showError(message) {
     const errorDisplay = document.getElementById('errorDisplay');
@@ -104,6 +104,21 @@ function createStatCards() {
     // Add the new row after the existing stats grid
     statsContainer.appendChild(actualValuesRow);
 
+    // Day totals for the optional micronutrients, below the macro rows
+    const existingMicronutrients = statsContainer.querySelector('.micronutrient-stats');
+    if (existingMicronutrients) {
+        existingMicronutrients.remove();
+    }
+
+    const micronutrientRow = document.createElement('div');
+    micronutrientRow.className = 'micronutrient-stats';
+    micronutrientRow.innerHTML = MICRONUTRIENTS.map(nutrient => `
+        <div class="stat-card micronutrient-card" title="Only counts foods that have ${nutrient.label.toLowerCase()} values">
+            <div>${nutrient.label} (${nutrient.unit})</div>
+            <div id="micronutrient-${nutrient.key}" class="stat-value">-</div>
+        </div>`).join('');
+    statsContainer.appendChild(micronutrientRow);
+
     // Add green background to the first row goal card
     const firstRowGoalCard = document.querySelector('.stats-grid:not(.meal-stats-grid) .goal-section .stat-value');
     if (firstRowGoalCard) {
@@ -126,7 +141,7 @@ function createStatCards() {
     });
 }
 
-function createMealSection(meal) {
+function createMealSection(meal, isFirst = false) {
     const section = document.createElement('div');
     section.className = 'meal-section';
     section.dataset.mealId = meal.id;
@@ -142,18 +157,18 @@ function createMealSection(meal) {
     const leftGroup = document.createElement('div');
     leftGroup.className = 'd-flex align-items-center';
     leftGroup.innerHTML = `
-        <h3 class="me-2 mb-0">Meal ${meal.id}</h3>
+        <h3 class="me-2 mb-0"></h3>
         <input type="text" 
                class="form-control form-control-sm meal-time" 
-               style="width: 120px; ${meal.id > 1 ? 'border-color: #28a745;' : ''}" 
+               style="width: 120px; ${!isFirst ? 'border-color: #28a745;' : ''}" 
                value="${meal.time}"
                placeholder="HH:MM"
                maxlength="5"
                data-meal-id="${meal.id}"
-               title="${meal.id === 1 ? 'Change this time to update all meals' : 'Change this meal time independently'}">
+               title="${isFirst ? 'Change this time to update all meals' : 'Change this meal time independently'}">
     `;
 
-    // Right side: copy/paste/clear buttons
+    // Right side: copy/paste/save/clear buttons
     const rightGroup = document.createElement('div');
     rightGroup.className = 'd-flex align-items-center gap-2';
     rightGroup.innerHTML = `
@@ -170,6 +185,18 @@ function createMealSection(meal) {
                 disabled>
             <i class="bi bi-clipboard"></i> Paste
         </button>
+        <button type="button" 
+                class="btn btn-outline-secondary btn-sm save-meal-btn" 
+                data-meal-id="${meal.id}"
+                title="Save this meal for reuse">
+            <i class="bi bi-bookmark-plus"></i> Save
+        </button>
+        <button type="button" 
+                class="btn btn-outline-secondary btn-sm saved-meals-btn" 
+                data-meal-id="${meal.id}"
+                title="Insert a saved meal here">
+            <i class="bi bi-bookmarks"></i> Saved
+        </button>
         <button type="button" 
                 class="btn btn-outline-danger btn-sm clear-meal-btn" 
                 data-meal-id="${meal.id}"
@@ -178,6 +205,9 @@ function createMealSection(meal) {
         </button>
     `;
 
+    // Set the title as text since meal names are user-defined
+    leftGroup.querySelector('h3').textContent = meal.name || `Meal ${meal.id}`;
+
     timeGroup.appendChild(leftGroup);
     timeGroup.appendChild(rightGroup);
     header.appendChild(timeGroup);
@@ -185,13 +215,13 @@ function createMealSection(meal) {
 
     // Add event listener for meal time input
     const timeInput = timeGroup.querySelector('.meal-time');
-    if (meal.id === 1) {
-        // For meal 1, update all other meals based on interval
+    if (isFirst) {
+        // For the first meal, update all other meals based on interval
         timeInput.addEventListener('change', function () {
             updateAllMealTimes(this.value);
         });
     } else {
-        // For meals 2-6, update only this meal's time
+        // For the other meals, update only this meal's time
         timeInput.addEventListener('change', function () {
             saveMealTime(meal.id, this.value);
         });
@@ -407,6 +437,8 @@ function clearRowValues(row) {
     nutritionalValues.forEach(div => {
         div.textContent = '';
     });
+    delete row.dataset.micronutrients;
+    delete row.dataset.micronutrientsAmount;
     updateRowTotals(row.querySelector('input'));
 }
 
@@ -499,7 +531,9 @@ function createFoodItemRow(item) {
     const weightUnit = isMetricSystem ? 'g' : 'lb';
 
     return `
-        <tr class="meal-row" ${item.id ? `data-item-id="${item.id}"` : ''}>
+        <tr class="meal-row" ${item.id ? `data-item-id="${item.id}"` : ''}
+            ${item.foodId ? `data-food-id="${item.foodId}" data-food-source="${item.foodSource}" data-food-name="${item.name || ''}"` : ''}
+            ${item.micronutrients && Object.keys(item.micronutrients).length > 0 ? `data-micronutrients='${JSON.stringify(item.micronutrients)}' data-micronutrients-amount="${item.amount}"` : ''}>
             <td class="food-search-cell" style="text-align: center;">
                 <div class="food-search-container">
                     <input type="text" 
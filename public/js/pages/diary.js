@@ -30,6 +30,14 @@ document.addEventListener('DOMContentLoaded', function () {
         loadMeals();
     });
 
+    // Add event listeners for weekday templates
+    document.getElementById('applyTemplateBtn').addEventListener('click', applyWeekdayTemplate);
+    document.getElementById('saveTemplateBtn').addEventListener('click', saveAsWeekdayTemplate);
+    document.getElementById('applyFoodChangesBtn').addEventListener('click', applyFoodChanges);
+    document.getElementById('copyDayBtn').addEventListener('click', openCopyDialog);
+    document.getElementById('copyDayForm').addEventListener('submit', copyDayOrWeek);
+    document.querySelectorAll('input[name="copyScope"]').forEach(input => input.addEventListener('change', updateCopyTarget));
+
     // Add event listeners for meal actions
     document.addEventListener('click', function (e) {
         if (e.target.classList.contains('btn-success') && e.target.closest('.add-item-row')) {
@@ -0,0 +1,201 @@
+// Foods page - import foods from a CSV file and export the foods database
+class FoodImporter {
+    constructor() {
+        this.fileInput = document.getElementById('importFile');
+        this.duplicatesSelect = document.getElementById('importDuplicates');
+        this.importButton = document.getElementById('importFoodsBtn');
+        this.mappingContainer = document.getElementById('importMapping');
+        this.previewContainer = document.getElementById('importPreview');
+        this.status = document.getElementById('importStatus');
+        this.csv = null;
+        this.mapping = {}; // Columns chosen by the user, by field key ('' leaves a field out)
+        if (!this.fileInput) return;
+
+        this.fileInput.addEventListener('change', () => this.readFile());
+        this.duplicatesSelect.addEventListener('change', () => this.preview());
+        this.importButton.addEventListener('click', () => this.importFoods());
+        document.querySelectorAll('[data-export-format]').forEach(button => {
+            button.addEventListener('click', () => this.exportFoods(button.dataset.exportFormat));
+        });
+    }
+
+    async readFile() {
+        this.reset();
+        const file = this.fileInput.files[0];
+        if (!file) return;
+
+        try {
+            this.csv = await file.text();
+        } catch (error) {
+            console.error('Error reading CSV file:', error);
+            this.showStatus('Could not read the file', 'error');
+            return;
+        }
+        await this.preview();
+    }
+
+    reset() {
+        this.csv = null;
+        this.mapping = {};
+        this.importButton.disabled = true;
+        this.mappingContainer.innerHTML = '';
+        this.mappingContainer.classList.add('d-none');
+        this.previewContainer.innerHTML = '';
+        this.showStatus('', 'success');
+    }
+
+    getRequest(dryRun) {
+        return {
+            csv: this.csv,
+            mapping: this.mapping,
+            duplicates: this.duplicatesSelect.value,
+            dryRun
+        };
+    }
+
+    // Check the file without saving anything and show what an import would do
+    async preview() {
+        if (!this.csv) return;
+
+        try {
+            const response = await API.foods.import(this.getRequest(true));
+            const result = await response.json();
+            this.renderMapping(result);
+            this.renderPreview(result);
+
+            const { added, updated } = result.summary;
+            if (result.missingFields.length > 0) {
+                this.showStatus('Choose the columns for the required fields', 'error');
+            } else {
+                this.showStatus(`${added} to add, ${updated} to update`, 'success');
+            }
+            this.importButton.disabled = result.missingFields.length > 0 || added + updated === 0;
+        } catch (error) {
+            console.error('Error checking CSV import:', error);
+            this.showStatus(error.message.replace(/^HTTP \d+: /, ''), 'error');
+            this.importButton.disabled = true;
+        }
+    }
+
+    async importFoods() {
+        if (!this.csv) return;
+
+        this.importButton.disabled = true;
+        try {
+            const response = await API.foods.import(this.getRequest(false));
+            const { summary } = await response.json();
+            this.fileInput.value = '';
+            this.reset();
+            this.showStatus(`Imported: ${summary.added} added, ${summary.updated} updated, ${summary.skipped} skipped`, 'success');
+            // Let the foods table reload
+            document.dispatchEvent(new CustomEvent('foodsImported'));
+        } catch (error) {
+            console.error('Error importing foods:', error);
+            this.showStatus(error.message.replace(/^HTTP \d+: /, ''), 'error');
+            this.importButton.disabled = false;
+        }
+    }
+
+    // One column picker per food field, starting from the columns recognized by name
+    renderMapping({ fields, columns, mapping }) {
+        this.mappingContainer.innerHTML = '';
+        fields.forEach(field => {
+            const col = document.createElement('div');
+            col.className = 'col-md-3 col-6 mb-2';
+
+            const label = document.createElement('label');
+            label.className = 'form-label small mb-1';
+            label.textContent = field.required ? `${field.label} *` : field.label;
+
+            const select = document.createElement('select');
+            select.className = 'form-select form-select-sm';
+            select.add(new Option('(not imported)', ''));
+            columns.forEach(column => select.add(new Option(column, column)));
+            select.value = mapping[field.key] || '';
+            select.addEventListener('change', () => {
+                this.mapping[field.key] = select.value;
+                this.preview();
+            });
+
+            col.append(label, select);
+            this.mappingContainer.appendChild(col);
+        });
+        this.mappingContainer.classList.remove('d-none');
+    }
+
+    renderPreview({ summary, preview }) {
+        const duplicateLabels = { skip: 'exists - skip', update: 'exists - update', add: 'exists - add' };
+        const statusBadges = {
+            new: ['bg-success', 'new'],
+            duplicate: ['bg-warning text-dark', duplicateLabels[this.duplicatesSelect.value]],
+            invalid: ['bg-danger', 'invalid']
+        };
+
+        this.previewContainer.innerHTML = `
+            <p class="small mb-2">
+                ${summary.rows} rows: ${summary.added} to add, ${summary.updated} to update,
+                ${summary.skipped} skipped (${summary.duplicates} already in your foods, ${summary.invalid} invalid)
+            </p>
+            <div class="table-responsive" style="max-height: 300px;">
+                <table class="table table-sm small">
+                    <thead>
+                        <tr><th>Line</th><th>Item</th><th>Amount</th><th>Calories</th><th>Carbs</th><th>Protein</th><th>Fat</th><th>Status</th></tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>`;
+
+        const tbody = this.previewContainer.querySelector('tbody');
+        preview.forEach(row => {
+            const food = row.food || {};
+            const tr = document.createElement('tr');
+            [row.line, food.item, food.amount, food.calories, food.carbs, food.protein, food.fat].forEach(value => {
+                const td = document.createElement('td');
+                td.textContent = value ?? '';
+                tr.appendChild(td);
+            });
+
+            const statusCell = document.createElement('td');
+            const [badgeClass, badgeText] = statusBadges[row.status];
+            const badge = document.createElement('span');
+            badge.className = `badge ${badgeClass}`;
+            badge.textContent = badgeText;
+            statusCell.appendChild(badge);
+            if (row.error) {
+                statusCell.append(` ${row.error}`);
+            }
+            tr.appendChild(statusCell);
+            tbody.appendChild(tr);
+        });
+    }
+
+    async exportFoods(format) {
+        const scope = document.getElementById('exportScope').value;
+        try {
+            const response = await API.foods.export(format, scope);
+            const blob = await response.blob();
+            // Use the file name the server picked
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = match ? match[1] : `foods.${format}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            console.error('Error exporting foods:', error);
+        }
+    }
+
+    showStatus(message, status) {
+        this.status.textContent = message;
+        this.status.className = `small ${status === 'error' ? 'text-danger' : 'text-success'}`;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new FoodImporter();
+});
@@ -30,6 +30,17 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
 
+    // Add an input for each optional micronutrient, filled with the food's known values
+    function renderMicronutrientInputs(container, micronutrients = {}) {
+        container.innerHTML = MICRONUTRIENTS.map(nutrient => `
+            <div class="col-md-3 col-6 mb-2">
+                <label class="form-label small mb-1">${nutrient.label} (${nutrient.unit})</label>
+                <input type="number" class="form-control form-control-sm" data-micronutrient="${nutrient.key}"
+                    value="${micronutrients[nutrient.key] ?? ''}" min="0" step="0.1">
+            </div>
+        `).join('');
+    }
+
     // Load foods from server
     async function loadFoods() {
         try {
@@ -128,6 +139,9 @@ document.addEventListener('DOMContentLoaded', function() {
                         <button type="button" class="btn btn-outline-secondary cancel-btn d-none">
                             <i class="bi bi-x"></i>
                         </button>
+                        <button type="button" class="btn btn-outline-secondary nutrients-btn" title="Edit all nutrients">
+                            <i class="bi bi-list-ul"></i>
+                        </button>
                         <button type="button" class="btn btn-outline-danger delete-btn">
                             <i class="bi bi-trash"></i>
                         </button>
@@ -146,6 +160,7 @@ document.addEventListener('DOMContentLoaded', function() {
             saveBtn.addEventListener('click', () => handleSaveInline(tr));
             cancelBtn.addEventListener('click', () => handleCancelInline(tr));
             deleteBtn.addEventListener('click', handleDelete);
+            tr.querySelector('.nutrients-btn').addEventListener('click', () => handleEdit(food));
         });
     }
 
@@ -172,12 +187,15 @@ document.addEventListener('DOMContentLoaded', function() {
             carbs: parseFloat(document.getElementById('carbs').value) || null,
             protein: parseFloat(document.getElementById('protein').value) || null,
             proteinGeneral: parseFloat(document.getElementById('proteinGeneral').value) || null,
-            fat: parseFloat(document.getElementById('fat').value) || null
+            fat: parseFloat(document.getElementById('fat').value) || null,
+            micronutrients: readMicronutrientInputs(document.getElementById('addFoodMicronutrients'))
         };
 
         try {
             await API.foods.add(newFood);
                 addFoodForm.reset();
+                document.getElementById('barcodeStatus').textContent = '';
+                renderMicronutrientInputs(document.querySelector('#addFoodMicronutrients .micronutrient-inputs'));
                 await loadFoods();
         } catch (error) {
             console.error('Error adding food:', error);
@@ -185,13 +203,42 @@ document.addEventListener('DOMContentLoaded', function() {
         }
     }
 
-    // Edit food
-    function handleEdit(event) {
-        const index = parseInt(event.target.dataset.index);
-        const food = filteredFoods[index];
-        const originalIndex = foods.findIndex(f => f.item === food.item);
+    // Fill the add form from a packaged product found by its barcode
+    async function handleBarcodeLookup() {
+        const code = document.getElementById('barcode').value.trim();
+        const status = document.getElementById('barcodeStatus');
+        if (!code) return;
+
+        try {
+            const response = await API.foods.getByBarcode(code);
+            const product = await response.json();
+            document.getElementById('item').value = product.item;
+            document.getElementById('amount').value = product.amount;
+            document.getElementById('calories').value = product.calories ?? '';
+            document.getElementById('carbs').value = product.carbs ?? '';
+            document.getElementById('protein').value = product.protein ?? '';
+            document.getElementById('proteinGeneral').value = '';
+            document.getElementById('fat').value = product.fat ?? '';
+            renderMicronutrientInputs(document.querySelector('#addFoodMicronutrients .micronutrient-inputs'), product.micronutrients);
+            status.textContent = 'Product found. Values are per 100 g - check them and add the food.';
+            status.className = 'small text-success';
+        } catch (error) {
+            console.error('Error looking up barcode:', error);
+            if (error.message.startsWith('HTTP 404')) {
+                status.textContent = 'No product found for this barcode';
+            } else if (error.message.startsWith('HTTP 400')) {
+                status.textContent = 'Enter an 8, 12, 13 or 14 digit EAN/UPC barcode';
+            } else {
+                status.textContent = 'Barcode lookup failed. Please try again.';
+            }
+            status.className = 'small text-danger';
+        }
+    }
 
-        document.getElementById('editIndex').value = originalIndex;
+    // Edit food in the modal, including its micronutrients
+    function handleEdit(food) {
+        document.getElementById('editFoodId').value = food.id;
+        document.getElementById('editFoodSource').value = food.source;
         document.getElementById('editItem').value = food.item;
         document.getElementById('editAmount').value = food.amount;
         document.getElementById('editCalories').value = food.calories || '';
@@ -199,13 +246,15 @@ document.addEventListener('DOMContentLoaded', function() {
         document.getElementById('editProtein').value = food.protein || '';
         document.getElementById('editProteinGeneral').value = food.proteinGeneral || '';
         document.getElementById('editFat').value = food.fat || '';
+        renderMicronutrientInputs(document.getElementById('editFoodMicronutrients'), food.micronutrients);
 
         editFoodModal.show();
     }
 
     // Save edited food
     async function handleSaveEdit() {
-        const index = parseInt(document.getElementById('editIndex').value);
+        const foodId = document.getElementById('editFoodId').value;
+        const foodSource = document.getElementById('editFoodSource').value;
         const updatedFood = {
             item: document.getElementById('editItem').value,
             amount: parseFloat(document.getElementById('editAmount').value),
@@ -213,24 +262,14 @@ document.addEventListener('DOMContentLoaded', function() {
             carbs: parseFloat(document.getElementById('editCarbs').value) || null,
             protein: parseFloat(document.getElementById('editProtein').value) || null,
             proteinGeneral: parseFloat(document.getElementById('editProteinGeneral').value) || null,
-            fat: parseFloat(document.getElementById('editFat').value) || null
+            fat: parseFloat(document.getElementById('editFat').value) || null,
+            micronutrients: readMicronutrientInputs(document.getElementById('editFoodMicronutrients'))
         };
 
         try {
-            const response = await fetch(`/api/foods/${index}`, {
-                method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(updatedFood)
-            });
-
-            if (response.ok) {
-                editFoodModal.hide();
-                await loadFoods(); // This will now maintain the search filter
-            } else {
-                throw new Error('Failed to update food');
-            }
+            await API.foods.update(foodSource, foodId, updatedFood);
+            editFoodModal.hide();
+            await loadFoods(); // This will now maintain the search filter
         } catch (error) {
             console.error('Error updating food:', error);
             alert('Error updating food. Please try again.');
@@ -247,17 +286,8 @@ document.addEventListener('DOMContentLoaded', function() {
         try {
             const index = parseInt(row.getAttribute('data-index'));
             const food = filteredFoods[index];
-            const originalIndex = foods.findIndex(f => 
-                f.item === food.item && 
-                f.amount === food.amount && 
-                f.calories === food.calories
-            );
 
-            if (originalIndex === -1) {
-                throw new Error('Could not find food item to delete');
-            }
-
-            await API.foods.delete(originalIndex);
+            await API.foods.delete(food.source, food.id);
                 await loadFoods(); // This will maintain the search filter
         } catch (error) {
             console.error('Error deleting food:', error);
@@ -286,7 +316,7 @@ document.addEventListener('DOMContentLoaded', function() {
     // Handle saving inline edit
     async function handleSaveInline(row) {
         const index = parseInt(row.getAttribute('data-index'));
-        const originalIndex = foods.findIndex(f => f.item === filteredFoods[index].item);
+        const food = filteredFoods[index];
         
         const inputs = row.querySelectorAll('.food-edit');
         const updatedFood = {
@@ -300,7 +330,7 @@ document.addEventListener('DOMContentLoaded', function() {
         };
 
         try {
-            await API.foods.update(originalIndex, updatedFood);
+            await API.foods.update(food.source, food.id, updatedFood);
                 await loadFoods(); // This will maintain the search filter
         } catch (error) {
             console.error('Error updating food:', error);
@@ -323,7 +353,17 @@ document.addEventListener('DOMContentLoaded', function() {
     addFoodForm.addEventListener('submit', handleAddFood);
     document.getElementById('saveEdit').addEventListener('click', handleSaveEdit);
     searchFood.addEventListener('input', handleSearch);
+    document.addEventListener('foodsImported', () => loadFoods());
+    document.getElementById('barcodeLookupBtn').addEventListener('click', handleBarcodeLookup);
+    document.getElementById('barcode').addEventListener('keydown', (e) => {
+        // Scanners type the code followed by Enter, which would otherwise submit the form
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            handleBarcodeLookup();
+        }
+    });
 
     // Initial load
+    renderMicronutrientInputs(document.querySelector('#addFoodMicronutrients .micronutrient-inputs'));
     loadUserSettings().then(() => loadFoods());
 }); 
\ No newline at end of file
@@ -0,0 +1,226 @@
+// Recipes section of the foods page - create recipes from foods in the database
+class RecipeManager {
+    constructor() {
+        this.form = document.getElementById('recipeForm');
+        this.ingredientsList = document.getElementById('recipeIngredients');
+        this.foodOptions = document.getElementById('recipeFoodOptions');
+        this.tableBody = document.getElementById('recipesTableBody');
+        this.status = document.getElementById('recipeStatus');
+        this.cancelButton = document.getElementById('cancelRecipeBtn');
+        this.foods = [];
+        this.recipes = [];
+        if (!this.form) return;
+
+        this.form.addEventListener('submit', (e) => this.saveRecipe(e));
+        document.getElementById('addIngredientBtn').addEventListener('click', () => this.addIngredientRow());
+        this.cancelButton.addEventListener('click', () => this.resetForm());
+        document.addEventListener('foodsImported', () => this.loadFoods());
+
+        this.resetForm();
+        this.loadFoods();
+        this.loadRecipes();
+    }
+
+    async loadFoods() {
+        try {
+            const response = await API.foods.getAll();
+            const data = await response.json();
+            this.foods = Array.isArray(data) ? data : (data.foods || []);
+
+            this.foodOptions.innerHTML = '';
+            this.foods.forEach(food => {
+                const option = document.createElement('option');
+                option.value = food.item;
+                this.foodOptions.appendChild(option);
+            });
+        } catch (error) {
+            console.error('Error loading foods for recipes:', error);
+        }
+    }
+
+    async loadRecipes() {
+        try {
+            const response = await API.recipes.getAll();
+            const data = await response.json();
+            this.recipes = data.recipes || [];
+            this.render();
+        } catch (error) {
+            console.error('Error loading recipes:', error);
+            this.showStatus('Failed to load recipes', 'error');
+        }
+    }
+
+    render() {
+        this.tableBody.innerHTML = '';
+        if (this.recipes.length === 0) {
+            this.tableBody.innerHTML = '<tr><td colspan="6" class="text-center">No recipes yet.</td></tr>';
+            return;
+        }
+
+        this.recipes.forEach(recipe => {
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td class="recipe-name"></td>
+                <td>${recipe.servings}</td>
+                <td>${recipe.servingSize}</td>
+                <td>${recipe.perServing.calories}</td>
+                <td>${recipe.per100g.calories}</td>
+                <td>
+                    <div class="btn-group btn-group-sm">
+                        <button type="button" class="btn btn-outline-primary edit-recipe-btn" title="Edit recipe">
+                            <i class="bi bi-pencil"></i>
+                        </button>
+                        <button type="button" class="btn btn-outline-danger delete-recipe-btn" title="Delete recipe">
+                            <i class="bi bi-trash"></i>
+                        </button>
+                    </div>
+                </td>
+            `;
+            // Recipe names are user input, so set them as text rather than markup
+            tr.querySelector('.recipe-name').textContent = recipe.name;
+            tr.querySelector('.edit-recipe-btn').addEventListener('click', () => this.editRecipe(recipe));
+            tr.querySelector('.delete-recipe-btn').addEventListener('click', () => this.deleteRecipe(recipe));
+            this.tableBody.appendChild(tr);
+        });
+    }
+
+    addIngredientRow(ingredient = null) {
+        const row = document.createElement('div');
+        row.className = 'recipe-ingredient-row';
+        row.innerHTML = `
+            <input type="text" class="form-control form-control-sm recipe-ingredient-food" list="recipeFoodOptions" placeholder="Search food...">
+            <input type="number" class="form-control form-control-sm recipe-ingredient-amount" min="0" step="1" placeholder="g">
+            <button type="button" class="btn btn-outline-danger btn-sm remove-ingredient-btn" title="Remove ingredient">
+                <i class="bi bi-trash"></i>
+            </button>
+        `;
+
+        if (ingredient) {
+            row.querySelector('.recipe-ingredient-food').value = ingredient.name;
+            row.querySelector('.recipe-ingredient-amount').value = ingredient.amount;
+            row.dataset.foodId = ingredient.foodId;
+            row.dataset.foodSource = ingredient.foodSource;
+        }
+
+        // Picking a different food drops the link to the stored one
+        row.querySelector('.recipe-ingredient-food').addEventListener('input', () => {
+            delete row.dataset.foodId;
+            delete row.dataset.foodSource;
+        });
+        row.querySelector('.remove-ingredient-btn').addEventListener('click', () => row.remove());
+
+        this.ingredientsList.appendChild(row);
+    }
+
+    // Collect the ingredient rows as { foodId, foodSource, amount }, or null if one can't be matched
+    getIngredients() {
+        const ingredients = [];
+        const rows = this.ingredientsList.querySelectorAll('.recipe-ingredient-row');
+
+        for (const row of rows) {
+            const name = row.querySelector('.recipe-ingredient-food').value.trim();
+            const amount = parseFloat(row.querySelector('.recipe-ingredient-amount').value);
+            if (!name) continue;
+
+            let foodId = parseInt(row.dataset.foodId);
+            let foodSource = row.dataset.foodSource;
+            if (!foodId) {
+                const food = this.foods.find(f => f.item === name);
+                if (!food) {
+                    this.showStatus(`"${name}" is not in your foods database`, 'error');
+                    return null;
+                }
+                foodId = food.id;
+                foodSource = food.source;
+            }
+
+            if (!(amount > 0)) {
+                this.showStatus(`Enter an amount for "${name}"`, 'error');
+                return null;
+            }
+
+            ingredients.push({ foodId, foodSource, amount });
+        }
+
+        if (ingredients.length === 0) {
+            this.showStatus('Add at least one ingredient', 'error');
+            return null;
+        }
+        return ingredients;
+    }
+
+    async saveRecipe(event) {
+        event.preventDefault();
+
+        const ingredients = this.getIngredients();
+        if (!ingredients) return;
+
+        const recipeId = document.getElementById('recipeId').value;
+        const totalYield = parseFloat(document.getElementById('recipeYield').value);
+        const recipe = {
+            name: document.getElementById('recipeName').value.trim(),
+            servings: parseInt(document.getElementById('recipeServings').value) || 1,
+            totalYield: totalYield > 0 ? totalYield : null,
+            ingredients
+        };
+
+        try {
+            if (recipeId) {
+                await API.recipes.update(recipeId, recipe);
+            } else {
+                await API.recipes.add(recipe);
+            }
+            this.showStatus('Recipe saved', 'saved');
+            this.resetForm();
+            await this.loadRecipes();
+        } catch (error) {
+            console.error('Error saving recipe:', error);
+            this.showStatus('Failed to save recipe', 'error');
+        }
+    }
+
+    editRecipe(recipe) {
+        document.getElementById('recipeId').value = recipe.id;
+        document.getElementById('recipeName').value = recipe.name;
+        document.getElementById('recipeServings').value = recipe.servings;
+        document.getElementById('recipeYield').value = recipe.yieldIsMeasured ? recipe.totalYield : '';
+
+        this.ingredientsList.innerHTML = '';
+        recipe.ingredients.forEach(ingredient => this.addIngredientRow(ingredient));
+        this.cancelButton.classList.remove('d-none');
+        this.form.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    async deleteRecipe(recipe) {
+        if (!confirm(`Delete "${recipe.name}"? Food already logged from it will stay in your diary.`)) {
+            return;
+        }
+
+        try {
+            await API.recipes.delete(recipe.id);
+            this.showStatus('Recipe deleted', 'saved');
+            await this.loadRecipes();
+        } catch (error) {
+            console.error('Error deleting recipe:', error);
+            this.showStatus('Failed to delete recipe', 'error');
+        }
+    }
+
+    resetForm() {
+        this.form.reset();
+        document.getElementById('recipeId').value = '';
+        this.ingredientsList.innerHTML = '';
+        this.addIngredientRow();
+        this.addIngredientRow();
+        this.cancelButton.classList.add('d-none');
+    }
+
+    showStatus(message, status) {
+        this.status.textContent = message;
+        this.status.className = `small ${status === 'error' ? 'text-danger' : 'text-success'}`;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new RecipeManager();
+});
@@ -7,12 +7,16 @@ class UserSettings {
         this.saveStatus = document.getElementById('saveStatus');
         this.unitSystem = document.getElementById('unitSystem');
         this.weightUnit = document.querySelector('.unit-weight');
+        this.targetWeightUnit = document.querySelector('.unit-target-weight');
         this.heightUnit = document.querySelector('.unit-height');
         this.userDisplay = document.getElementById('userDisplay');
         this.hasUnsavedChanges = false;
         this.saveTimeout = null;
+        // 'adaptive' when the calorie goal is an applied TDEE estimate instead of BMR × activity
+        this.calorieGoalSource = 'calculated';
+        this.adaptiveGoal = null;
         this.setupEventListeners();
-        this.loadSettings();
+        this.loaded = this.loadSettings();
     }
 
     setupEventListeners() {
@@ -22,7 +26,7 @@ class UserSettings {
         });
 
         // Auto-save on field blur and input changes
-        ['userNameInput', 'sex', 'age', 'weight', 'height', 'activityLevel', 'mealInterval'].forEach(id => {
+        ['userNameInput', 'sex', 'age', 'weight', 'height', 'activityLevel', 'mealInterval', 'targetWeight'].forEach(id => {
             const element = document.getElementById(id);
             if (element) {
                 // Update calculations on input
@@ -30,7 +34,7 @@ class UserSettings {
                     this.hasUnsavedChanges = true;
                     this.showSaveStatus('pending');
                     
-                    if (id !== 'userNameInput') {
+                    if (id !== 'userNameInput' && id !== 'targetWeight') {
                         this.updateCalculations();
                     }
                     
@@ -47,6 +51,11 @@ class UserSettings {
             }
         });
 
+        // Handle exercise calories setting changes (immediate save)
+        document.getElementById('addExerciseCalories').addEventListener('change', () => {
+            this.saveSettings();
+        });
+
         // Handle unit system changes (immediate save)
         this.unitSystem.addEventListener('change', () => {
             this.updateUnitLabels();
@@ -59,21 +68,25 @@ class UserSettings {
     updateUnitLabels() {
         const isMetric = this.unitSystem.value === 'metric';
         this.weightUnit.textContent = isMetric ? 'kg' : 'lb';
+        this.targetWeightUnit.textContent = isMetric ? 'kg' : 'lb';
         this.heightUnit.textContent = isMetric ? 'cm' : 'in';
     }
 
     convertUnits() {
         const isMetric = this.unitSystem.value === 'metric';
         const weightInput = document.getElementById('weight');
+        const targetWeightInput = document.getElementById('targetWeight');
         const heightInput = document.getElementById('height');
         
         if (isMetric) {
             // Convert from imperial to metric
             weightInput.value = weightInput.value ? (parseFloat(weightInput.value) * 0.453592).toFixed(1) : '';
+            targetWeightInput.value = targetWeightInput.value ? (parseFloat(targetWeightInput.value) * 0.453592).toFixed(1) : '';
             heightInput.value = heightInput.value ? (parseFloat(heightInput.value) * 2.54).toFixed(1) : '';
         } else {
             // Convert from metric to imperial
             weightInput.value = weightInput.value ? (parseFloat(weightInput.value) * 2.20462).toFixed(1) : '';
+            targetWeightInput.value = targetWeightInput.value ? (parseFloat(targetWeightInput.value) * 2.20462).toFixed(1) : '';
             heightInput.value = heightInput.value ? (parseFloat(heightInput.value) / 2.54).toFixed(1) : '';
         }
     }
@@ -133,7 +146,9 @@ class UserSettings {
             formData.sex
         );
 
-        const totalCals = (bmr * parseFloat(formData.activityLevel));
+        const totalCals = this.calorieGoalSource === 'adaptive' && this.adaptiveGoal
+            ? this.adaptiveGoal
+            : bmr * parseFloat(formData.activityLevel);
         const weeklyCals = totalCals * 7;
 
         this.bmrValue.textContent = Math.round(bmr);
@@ -150,9 +165,12 @@ class UserSettings {
             sex: document.getElementById('sex').value,
             age: document.getElementById('age').value,
             weight: document.getElementById('weight').value,
+            targetWeight: document.getElementById('targetWeight').value,
             height: document.getElementById('height').value,
             activityLevel: document.getElementById('activityLevel').value,
-            mealInterval: document.getElementById('mealInterval').value
+            mealInterval: document.getElementById('mealInterval').value,
+            addExerciseCalories: document.getElementById('addExerciseCalories').checked,
+            calorieGoalSource: this.calorieGoalSource
         };
     }
 
@@ -254,9 +272,18 @@ class UserSettings {
         }
     }
 
+    // Use an adaptive TDEE estimate as the calorie goal, or go back to the
+    // BMR calculation when calories is null
+    async setCalorieGoal(calories) {
+        this.calorieGoalSource = calories ? 'adaptive' : 'calculated';
+        this.adaptiveGoal = calories || null;
+        this.updateCalculations();
+        await this.saveSettings();
+    }
+
     showFieldSaveSuccess() {
         // Add 'saved' class to all form fields briefly
-        const fields = ['userNameInput', 'sex', 'age', 'weight', 'height', 'activityLevel', 'calorieAdjustment', 'mealInterval'];
+        const fields = ['userNameInput', 'sex', 'age', 'weight', 'height', 'activityLevel', 'calorieAdjustment', 'mealInterval', 'targetWeight'];
         fields.forEach(id => {
             const element = document.getElementById(id);
             if (element) {
@@ -283,6 +310,8 @@ class UserSettings {
             console.log('Loading settings for user:', settings.userName || 'UNKNOWN');
             
             this.populateForm(settings);
+            this.calorieGoalSource = settings.calorieGoalSource || 'calculated';
+            this.adaptiveGoal = this.calorieGoalSource === 'adaptive' ? settings.totalCalories : null;
             this.updateUnitLabels();
             this.updateCalculations();
             this.updateUserDisplay(settings.userName);
@@ -315,6 +344,8 @@ class UserSettings {
                 if (key === 'activityLevel') {
                     // For activity level, use the first option (1.2) if empty
                     element.value = value || '1.2';
+                } else if (element.type === 'checkbox') {
+                    element.checked = !!value;
                 } else {
                     // For other fields, use empty string if no value
                     element.value = value || '';
@@ -361,7 +392,471 @@ class UserSettings {
     }
 }
 
+class MealSlotSettings {
+    constructor() {
+        this.list = document.getElementById('mealSlotsList');
+        this.addButton = document.getElementById('addMealSlotBtn');
+        this.status = document.getElementById('mealSlotsStatus');
+        this.slots = [];
+        if (!this.list) return;
+        this.addButton.addEventListener('click', () => this.addSlot());
+        this.loadSlots();
+    }
+
+    async loadSlots() {
+        try {
+            const response = await API.mealSlots.getAll();
+            const data = await response.json();
+            this.slots = data.slots || [];
+            this.render();
+        } catch (error) {
+            console.error('Error loading meal slots:', error);
+            this.showStatus('Failed to load meal slots', 'error');
+        }
+    }
+
+    render() {
+        this.list.innerHTML = '';
+        this.slots.forEach((slot, index) => {
+            const row = document.createElement('div');
+            row.className = 'meal-slot-row';
+            row.innerHTML = `
+                <input type="text" class="form-control form-control-sm meal-slot-name" maxlength="50" placeholder="Meal ${slot.id}">
+                <input type="text" class="form-control form-control-sm meal-slot-time" maxlength="5" placeholder="HH:MM">
+                <button type="button" class="btn btn-outline-secondary btn-sm move-up-btn" title="Move up" ${index === 0 ? 'disabled' : ''}>
+                    <i class="bi bi-arrow-up"></i>
+                </button>
+                <button type="button" class="btn btn-outline-secondary btn-sm move-down-btn" title="Move down" ${index === this.slots.length - 1 ? 'disabled' : ''}>
+                    <i class="bi bi-arrow-down"></i>
+                </button>
+                <button type="button" class="btn btn-outline-danger btn-sm remove-btn" title="Remove meal" ${this.slots.length <= 1 ? 'disabled' : ''}>
+                    <i class="bi bi-trash"></i>
+                </button>
+            `;
+
+            // Names are user input, so set them as values rather than markup
+            const nameInput = row.querySelector('.meal-slot-name');
+            const timeInput = row.querySelector('.meal-slot-time');
+            nameInput.value = slot.customName ? slot.name : '';
+            timeInput.value = slot.defaultTime;
+
+            nameInput.addEventListener('change', () => this.updateSlot(slot.id, { name: nameInput.value.trim() }));
+            timeInput.addEventListener('change', () => this.updateSlot(slot.id, { defaultTime: timeInput.value.trim() }));
+            row.querySelector('.move-up-btn').addEventListener('click', () => this.moveSlot(index, -1));
+            row.querySelector('.move-down-btn').addEventListener('click', () => this.moveSlot(index, 1));
+            row.querySelector('.remove-btn').addEventListener('click', () => this.removeSlot(slot));
+
+            this.list.appendChild(row);
+        });
+
+        this.addButton.disabled = this.slots.length >= 12;
+    }
+
+    async addSlot() {
+        try {
+            await API.mealSlots.add({});
+            this.showStatus('Meal added', 'saved');
+            await this.loadSlots();
+        } catch (error) {
+            console.error('Error adding meal slot:', error);
+            this.showStatus('Failed to add meal', 'error');
+        }
+    }
+
+    async updateSlot(slotId, changes) {
+        if (changes.defaultTime !== undefined && !/^([01]\d|2[0-3]):[0-5]\d$/.test(changes.defaultTime)) {
+            this.showStatus('Time must be in HH:MM format', 'error');
+            return;
+        }
+
+        try {
+            await API.mealSlots.update(slotId, changes);
+            this.showStatus('All changes saved', 'saved');
+            await this.loadSlots();
+        } catch (error) {
+            console.error('Error updating meal slot:', error);
+            this.showStatus('Error saving changes', 'error');
+        }
+    }
+
+    async moveSlot(index, direction) {
+        const order = this.slots.map(slot => slot.id);
+        const target = index + direction;
+        if (target < 0 || target >= order.length) return;
+        [order[index], order[target]] = [order[target], order[index]];
+
+        try {
+            await API.mealSlots.reorder(order);
+            this.showStatus('All changes saved', 'saved');
+            await this.loadSlots();
+        } catch (error) {
+            console.error('Error reordering meal slots:', error);
+            this.showStatus('Error saving changes', 'error');
+        }
+    }
+
+    async removeSlot(slot) {
+        if (!confirm(`Remove "${slot.name}"? Food already logged in it will stay in your diary.`)) {
+            return;
+        }
+
+        try {
+            await API.mealSlots.delete(slot.id);
+            this.showStatus('Meal removed', 'saved');
+            await this.loadSlots();
+        } catch (error) {
+            console.error('Error removing meal slot:', error);
+            this.showStatus('Failed to remove meal', 'error');
+        }
+    }
+
+    showStatus(message, status) {
+        this.status.textContent = message;
+        this.status.className = `small ${status === 'error' ? 'text-danger' : 'text-success'}`;
+    }
+}
+
+class PasswordSettings {
+    constructor() {
+        this.form = document.getElementById('changePasswordForm');
+        this.status = document.getElementById('changePasswordStatus');
+        if (!this.form) return;
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.changePassword();
+        });
+    }
+
+    async changePassword() {
+        const passwords = {
+            currentPassword: document.getElementById('currentPassword').value,
+            newPassword: document.getElementById('newPassword').value,
+            confirmPassword: document.getElementById('confirmNewPassword').value
+        };
+
+        if (passwords.newPassword !== passwords.confirmPassword) {
+            this.showStatus('Passwords do not match', 'error');
+            return;
+        }
+
+        try {
+            await API.auth.changePassword(passwords);
+            this.form.reset();
+            this.showStatus('Password changed. Your other devices have been logged out.', 'saved');
+        } catch (error) {
+            console.error('Error changing password:', error);
+            this.showStatus(error.message.replace(/^HTTP \d+: /, ''), 'error');
+        }
+    }
+
+    showStatus(message, status) {
+        this.status.textContent = message;
+        this.status.className = `small ${status === 'error' ? 'text-danger' : 'text-success'}`;
+    }
+}
+
+class SessionSettings {
+    constructor() {
+        this.logoutAllButton = document.getElementById('logoutAllBtn');
+        this.status = document.getElementById('logoutAllStatus');
+        if (!this.logoutAllButton) return;
+
+        this.logoutAllButton.addEventListener('click', () => this.logoutAll());
+    }
+
+    async logoutAll() {
+        if (!confirm('Log out of all devices, including this one?')) {
+            return;
+        }
+
+        this.logoutAllButton.disabled = true;
+        try {
+            await API.auth.logoutAll();
+            window.isRedirecting = true;
+            auth.clearAuth();
+            window.location.href = '/login.html';
+        } catch (error) {
+            console.error('Error logging out of all devices:', error);
+            this.showStatus(error.message.replace(/^HTTP \d+: /, ''), 'error');
+            this.logoutAllButton.disabled = false;
+        }
+    }
+
+    showStatus(message, status) {
+        this.status.textContent = message;
+        this.status.className = `small ms-2 ${status === 'error' ? 'text-danger' : 'text-success'}`;
+    }
+}
+
+class DigestSettings {
+    constructor() {
+        this.form = document.getElementById('digestForm');
+        this.status = document.getElementById('digestStatus');
+        if (!this.form) return;
+
+        this.enabled = document.getElementById('digestEnabled');
+        this.sendDay = document.getElementById('digestSendDay');
+        this.sendTime = document.getElementById('digestSendTime');
+        this.timezone = document.getElementById('digestTimezone');
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+        this.load();
+    }
+
+    // The digest is sent in the time zone of the device the settings were saved on
+    deviceTimezone() {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    }
+
+    async load() {
+        try {
+            const response = await API.digest.get();
+            const settings = await response.json();
+            this.enabled.checked = settings.enabled;
+            this.sendDay.value = String(settings.sendDay);
+            this.sendTime.value = settings.sendTime;
+            // Until the digest is turned on, show the zone it would use
+            this.timezone.value = settings.enabled ? settings.timezone : this.deviceTimezone();
+        } catch (error) {
+            console.error('Error loading digest settings:', error);
+            this.showStatus('Could not load digest settings', 'error');
+        }
+    }
+
+    async save() {
+        const settings = {
+            enabled: this.enabled.checked,
+            sendDay: parseInt(this.sendDay.value, 10),
+            sendTime: this.sendTime.value,
+            timezone: this.deviceTimezone()
+        };
+
+        try {
+            await API.digest.update(settings);
+            this.timezone.value = settings.timezone;
+            this.showStatus(settings.enabled ? 'Weekly digest on' : 'Weekly digest off', 'saved');
+        } catch (error) {
+            console.error('Error saving digest settings:', error);
+            this.showStatus(error.message.replace(/^HTTP \d+: /, ''), 'error');
+        }
+    }
+
+    showStatus(message, status) {
+        this.status.textContent = message;
+        this.status.className = `small ${status === 'error' ? 'text-danger' : 'text-success'}`;
+    }
+}
+
+// Adaptive TDEE estimate from /api/insights/tdee, with a button to use it as the calorie goal
+class TdeeEstimateSettings {
+    constructor(userSettings) {
+        this.userSettings = userSettings;
+        this.container = document.getElementById('tdeeEstimate');
+        if (!this.container) return;
+
+        this.weeks = document.getElementById('tdeeWeeks');
+        this.text = document.getElementById('tdeeEstimateText');
+        this.details = document.getElementById('tdeeEstimateDetails');
+        this.useEstimateButton = document.getElementById('useTdeeEstimate');
+        this.useCalculatedButton = document.getElementById('useCalculatedGoal');
+        this.estimate = null;
+
+        this.weeks.addEventListener('change', () => this.load());
+        this.useEstimateButton.addEventListener('click', () => this.useEstimate());
+        this.useCalculatedButton.addEventListener('click', () => this.useCalculated());
+        this.load();
+    }
+
+    async load() {
+        this.text.textContent = 'Loading...';
+        this.details.textContent = '';
+        try {
+            const response = await API.insights.tdee(parseInt(this.weeks.value, 10));
+            this.estimate = await response.json();
+        } catch (error) {
+            console.error('Error loading TDEE estimate:', error);
+            this.estimate = null;
+        }
+        // The buttons depend on the calorie goal the settings form loaded
+        await this.userSettings.loaded;
+        this.render();
+    }
+
+    render() {
+        const estimate = this.estimate;
+        const usingAdaptive = this.userSettings.calorieGoalSource === 'adaptive';
+        this.useCalculatedButton.classList.toggle('d-none', !usingAdaptive);
+
+        if (!estimate) {
+            this.text.textContent = 'The estimate could not be loaded';
+            this.useEstimateButton.classList.add('d-none');
+            return;
+        }
+
+        const { intake, weight } = estimate;
+        if (estimate.status !== 'ok') {
+            this.text.textContent = estimate.message;
+            this.details.textContent = `${intake.loggedDays} of ${intake.totalDays} days logged`;
+            this.useEstimateButton.classList.add('d-none');
+            return;
+        }
+
+        const rate = `${weight.weeklyRate > 0 ? '+' : ''}${weight.weeklyRate.toFixed(2)} ${weight.unit}/week`;
+        this.text.textContent = `You burn about ${estimate.tdee} kcal a day. Suggested calorie goal: ${estimate.suggestedGoalCalories} kcal.`;
+        this.details.textContent = `Average intake ${Math.round(intake.average)} kcal on ${intake.loggedDays} of ${intake.totalDays} days logged, weight trend ${rate}.`;
+
+        // Offer the suggestion unless it's already the goal
+        const currentGoal = parseFloat(this.userSettings.totalCalories.textContent) || 0;
+        this.useEstimateButton.classList.toggle('d-none', usingAdaptive && currentGoal === estimate.suggestedGoalCalories);
+    }
+
+    async useEstimate() {
+        await this.userSettings.setCalorieGoal(this.estimate.suggestedGoalCalories);
+        this.render();
+    }
+
+    async useCalculated() {
+        await this.userSettings.setCalorieGoal(null);
+        this.render();
+    }
+}
+
+class AccountDataSettings {
+    constructor() {
+        this.exportButton = document.getElementById('exportAccountBtn');
+        this.fileInput = document.getElementById('accountImportFile');
+        this.importButton = document.getElementById('importAccountBtn');
+        this.status = document.getElementById('accountDataStatus');
+        if (!this.exportButton) return;
+
+        this.exportButton.addEventListener('click', () => this.exportData());
+        this.fileInput.addEventListener('change', () => {
+            this.importButton.disabled = this.fileInput.files.length === 0;
+        });
+        this.importButton.addEventListener('click', () => this.importData());
+    }
+
+    async exportData() {
+        try {
+            const response = await API.account.export();
+            const blob = await response.blob();
+            // Use the file name the server picked
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = match ? match[1] : 'nutristats-export.json';
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            console.error('Error exporting account data:', error);
+        }
+    }
+
+    async importData() {
+        const file = this.fileInput.files[0];
+        if (!file) return;
+
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            this.showStatus('The file is not a valid JSON export', 'error');
+            return;
+        }
+
+        if (!confirm('Import this export into your account? Your settings and meal slots will be replaced by the ones in the file.')) {
+            return;
+        }
+
+        this.importButton.disabled = true;
+        try {
+            const response = await API.account.import(data);
+            const { counts } = await response.json();
+            const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+            this.fileInput.value = '';
+            this.showStatus(`Imported ${total} records. Reloading...`, 'saved');
+            // Settings and meal slots on this page came from the import
+            setTimeout(() => window.location.reload(), 1500);
+        } catch (error) {
+            console.error('Error importing account data:', error);
+            this.showStatus(error.message.replace(/^HTTP \d+: /, ''), 'error');
+            this.importButton.disabled = false;
+        }
+    }
+
+    showStatus(message, status) {
+        this.status.textContent = message;
+        this.status.className = `small d-block mt-2 ${status === 'error' ? 'text-danger' : 'text-success'}`;
+    }
+}
+
+class AccountDeletion {
+    constructor() {
+        this.passwordInput = document.getElementById('deleteAccountPassword');
+        this.immediateCheckbox = document.getElementById('deleteAccountImmediately');
+        this.deleteButton = document.getElementById('deleteAccountBtn');
+        this.status = document.getElementById('deleteAccountStatus');
+        if (!this.deleteButton) return;
+
+        this.deleteButton.addEventListener('click', () => this.deleteAccount());
+    }
+
+    async deleteAccount() {
+        const password = this.passwordInput.value;
+        if (!password) {
+            this.showStatus('Enter your password to confirm', 'error');
+            return;
+        }
+
+        const immediate = this.immediateCheckbox.checked;
+        const question = immediate
+            ? 'Permanently erase your account and all of its data now? This cannot be undone.'
+            : 'Delete your account? It will be erased with all of its data after the grace period unless you log in and restore it.';
+        if (!confirm(question)) {
+            return;
+        }
+
+        this.deleteButton.disabled = true;
+        try {
+            const response = await API.account.delete(password, immediate);
+            const result = await response.json();
+            this.passwordInput.value = '';
+            this.showStatus(result.message, 'saved');
+            // The account can't be used anymore, so sign out
+            setTimeout(() => {
+                window.isRedirecting = true;
+                auth.clearAuth();
+                window.location.href = '/login.html';
+            }, 2000);
+        } catch (error) {
+            console.error('Error deleting account:', error);
+            this.showStatus(error.message.replace(/^HTTP \d+: /, ''), 'error');
+            this.deleteButton.disabled = false;
+        }
+    }
+
+    showStatus(message, status) {
+        this.status.textContent = message;
+        this.status.className = `small d-block mt-2 ${status === 'error' ? 'text-danger' : 'text-success'}`;
+    }
+}
+
 // Initialize settings when the page loads
 document.addEventListener('DOMContentLoaded', () => {
-    new UserSettings();
+    const userSettings = new UserSettings();
+    new TdeeEstimateSettings(userSettings);
+    new MealSlotSettings();
+    new PasswordSettings();
+    new SessionSettings();
+    new DigestSettings();
+    new AccountDataSettings();
+    new AccountDeletion();
 }); 
\ No newline at end of file
@@ -13,21 +13,17 @@ async function authenticatedFetch(url, options = {}, showErrorMessages = true, i
         // Get JWT token from localStorage
         const token = localStorage.getItem('authToken');
 
-        // Prepare headers with JWT token
-        const headers = {
-            'Content-Type': 'application/json',
-            ...options.headers
-        };
-
-        if (token) {
-            headers['Authorization'] = `Bearer ${token}`;
+        let response = await fetchWithToken(url, options, token);
+
+        // Access tokens are short-lived: on a 401, get a new one and try once more.
+        // Another tab may already have refreshed it, in which case it's just reused.
+        if (response.status === 401 && typeof auth !== 'undefined') {
+            const currentToken = localStorage.getItem('authToken');
+            if ((currentToken && currentToken !== token) || await auth.refreshTokens()) {
+                response = await fetchWithToken(url, options, localStorage.getItem('authToken'));
+            }
         }
 
-        const response = await fetch(url, {
-            ...options,
-            headers
-        });
-
         // Handle authentication errors
         if (response.status === 401 || response.status === 403) {
             console.log('Authentication failed for:', url);
@@ -35,6 +31,7 @@ async function authenticatedFetch(url, options = {}, showErrorMessages = true, i
             // Clear invalid token
             localStorage.removeItem('authToken');
             localStorage.removeItem('user');
+            localStorage.removeItem('refreshToken');
 
             // Only trigger redirect if we're not on a public page and not already redirecting
             if (!isPublicPage() && !isAuthCheck && !window.isRedirecting) {
@@ -67,6 +64,30 @@ async function authenticatedFetch(url, options = {}, showErrorMessages = true, i
     }
 }
 
+/**
+ * Send a request with a JWT access token
+ * @param {string} url - The API endpoint URL
+ * @param {object} options - Fetch options
+ * @param {string|null} token - Access token, if there is one
+ * @returns {Promise<Response>}
+ */
+function fetchWithToken(url, options, token) {
+    // Prepare headers with JWT token
+    const headers = {
+        'Content-Type': 'application/json',
+        ...options.headers
+    };
+
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    return fetch(url, {
+        ...options,
+        headers
+    });
+}
+
 /**
  * Handle authentication errors (disabled to prevent redirect loops)
  */
@@ -190,17 +211,95 @@ const API = {
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(food)
         }),
-        update: (index, food) => authenticatedFetch(`/api/foods/${index}`, {
+        // source is 'global' or 'user' (the food's `source` field), id is its stable ID
+        update: (source, id, food) => authenticatedFetch(`/api/foods/${source}/${id}`, {
             method: 'PUT',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(food)
         }),
-        delete: (index) => authenticatedFetch(`/api/foods/${index}`, {
+        delete: (source, id) => authenticatedFetch(`/api/foods/${source}/${id}`, {
+            method: 'DELETE'
+        }),
+        // Packaged product by EAN/UPC barcode, in the same format as a food.
+        // Errors aren't shown because callers handle unknown barcodes themselves.
+        getByBarcode: (code) => authenticatedFetch(`/api/foods/barcode/${encodeURIComponent(code)}`, {}, false),
+        // Import foods from CSV text ({ csv, mapping, duplicates, dryRun }); errors are shown by the import form
+        import: (data) => authenticatedFetch('/api/foods/import', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        }, false),
+        // format is 'csv' or 'json', scope is 'all' or 'user'
+        export: (format, scope = 'all') => authenticatedFetch(`/api/foods/export?format=${format}&scope=${scope}`)
+    },
+
+    // Recipes API - foods built from other foods
+    recipes: {
+        getAll: () => authenticatedFetch('/api/recipes'),
+        get: (id) => authenticatedFetch(`/api/recipes/${id}`),
+        add: (recipe) => authenticatedFetch('/api/recipes', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(recipe)
+        }),
+        update: (id, recipe) => authenticatedFetch(`/api/recipes/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(recipe)
+        }),
+        delete: (id) => authenticatedFetch(`/api/recipes/${id}`, {
             method: 'DELETE'
         })
     },
 
-    // Daily meals API
+    // Saved meals API - named meals that can be inserted into any day
+    savedMeals: {
+        getAll: () => authenticatedFetch('/api/saved-meals'),
+        add: (savedMeal) => authenticatedFetch('/api/saved-meals', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(savedMeal)
+        }),
+        update: (id, savedMeal) => authenticatedFetch(`/api/saved-meals/${id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(savedMeal)
+        }),
+        delete: (id) => authenticatedFetch(`/api/saved-meals/${id}`, {
+            method: 'DELETE'
+        }),
+        // options: { day, mealId, scale, replace }
+        insert: (id, options) => authenticatedFetch(`/api/saved-meals/${id}/insert`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(options)
+        })
+    },
+
+    // Meal slots API - the user's configurable meals per day
+    mealSlots: {
+        getAll: () => authenticatedFetch('/api/meal-slots'),
+        add: (slot) => authenticatedFetch('/api/meal-slots', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(slot)
+        }),
+        update: (slotId, slot) => authenticatedFetch(`/api/meal-slots/${slotId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(slot)
+        }),
+        delete: (slotId) => authenticatedFetch(`/api/meal-slots/${slotId}`, {
+            method: 'DELETE'
+        }),
+        reorder: (order) => authenticatedFetch('/api/meal-slots/order', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ order })
+        })
+    },
+
+    // Daily meals API - dayKey is a date (YYYY-MM-DD) or a weekday template name
     meals: {
         get: (dayName) => authenticatedFetch(`/api/daily-meals/${dayName}`),
         saveMacros: (dayName, macros) => authenticatedFetch(`/api/daily-meals/${dayName}/macros`, {
@@ -229,15 +328,48 @@ const API = {
         deleteAllMealItems: (dayName, mealId) => authenticatedFetch(`/api/daily-meals/${dayName}/meals/${mealId}/items`, {
             method: 'DELETE'
         }),
-        cleanupPlaceholders: (dayName) => authenticatedFetch(`/api/daily-meals/${dayName}/cleanup-placeholders`, {
-            method: 'POST'
+        applyTemplate: (dayKey, options = {}) => authenticatedFetch(`/api/daily-meals/${dayKey}/apply-template`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(options)
+        }, false),
+        saveAsTemplate: (dayKey, options = {}) => authenticatedFetch(`/api/daily-meals/${dayKey}/save-as-template`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(options)
+        }),
+        // Copy a day, or the week containing it, onto another date ({ to, mode })
+        copyDay: (dayKey, options) => authenticatedFetch(`/api/daily-meals/${dayKey}/copy`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(options)
+        }),
+        copyWeek: (dayKey, options) => authenticatedFetch(`/api/daily-meals/${dayKey}/copy-week`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(options)
+        }),
+        // Diary items whose source food has changed since they were logged
+        getFoodChanges: (dayKey) => authenticatedFetch(`/api/daily-meals/food-changes?day=${dayKey}`, {}, false),
+        applyFoodChanges: (dayKey, itemIds) => authenticatedFetch('/api/daily-meals/food-changes/apply', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ day: dayKey, itemIds })
         })
     },
 
     // Auth API
     auth: {
         me: () => authenticatedFetch('/api/auth/me', {}, false, true), // Silent auth check
-        logout: () => authenticatedFetch('/api/auth/logout', { method: 'POST' })
+        logout: () => authenticatedFetch('/api/auth/logout', { method: 'POST' }),
+        // Revokes every session of the user, including this one
+        logoutAll: () => authenticatedFetch('/api/auth/logout-all', { method: 'POST' }, false),
+        // { currentPassword, newPassword, confirmPassword }; errors are shown by the settings page
+        changePassword: (passwords) => authenticatedFetch('/api/auth/password', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(passwords)
+        }, false)
     },
 
     // Weight tracking API
@@ -258,6 +390,35 @@ const API = {
         })
     },
 
+    // Water and beverage intake API
+    water: {
+        getDay: (date) => authenticatedFetch(`/api/water?date=${date}`),
+        getSummary: (from, to) => authenticatedFetch(`/api/water/summary?from=${from}&to=${to}`),
+        add: (entry) => authenticatedFetch('/api/water', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(entry)
+        }),
+        delete: (id) => authenticatedFetch(`/api/water/${id}`, {
+            method: 'DELETE'
+        })
+    },
+
+    // Exercise log API
+    exercise: {
+        getActivities: () => authenticatedFetch('/api/exercise/activities'),
+        getDay: (date) => authenticatedFetch(`/api/exercise?date=${date}`),
+        getSummary: (from, to) => authenticatedFetch(`/api/exercise/summary?from=${from}&to=${to}`),
+        add: (entry) => authenticatedFetch('/api/exercise', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(entry)
+        }),
+        delete: (id) => authenticatedFetch(`/api/exercise/${id}`, {
+            method: 'DELETE'
+        })
+    },
+
     // Measurements tracking API
     measurements: {
         getAll: () => authenticatedFetch('/api/measurements'),
@@ -277,6 +438,45 @@ const API = {
         delete: (id) => authenticatedFetch(`/api/measurements/${id}`, {
             method: 'DELETE'
         })
+    },
+
+    // Reports API - nutrition totals for any date range; errors are shown by the reports page
+    reports: {
+        nutrition: (from, to, groupBy = 'day') => authenticatedFetch(`/api/reports/nutrition?from=${from}&to=${to}&groupBy=${groupBy}`, {}, false)
+    },
+
+    // Estimates from logged food and weight
+    insights: {
+        // Shown inline on the settings page instead of as an error popup
+        tdee: (weeks = 4) => authenticatedFetch(`/api/insights/tdee?weeks=${weeks}`, {}, false)
+    },
+
+    // Weekly email digest API
+    digest: {
+        get: () => authenticatedFetch('/api/digest'),
+        // Errors are shown by the settings page
+        update: (settings) => authenticatedFetch('/api/digest', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(settings)
+        }, false)
+    },
+
+    // Account data API - takeout of everything the user has stored
+    account: {
+        export: () => authenticatedFetch('/api/account/export'),
+        // Restore an export into an empty account; errors are shown by the settings page
+        import: (data) => authenticatedFetch('/api/account/import', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        }, false),
+        // Delete the account (after a grace period unless immediate); errors are shown by the settings page
+        delete: (password, immediate = false) => authenticatedFetch('/api/auth/account', {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password, immediate })
+        }, false)
     }
 };
 
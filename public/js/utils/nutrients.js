@@ -0,0 +1,70 @@
+// Optional micronutrients tracked alongside calories and macros.
+// Keys match the `micronutrients` objects returned by the API; a missing key means unknown.
+
+const MICRONUTRIENTS = [
+    { key: 'fiber', label: 'Fiber', unit: 'g' },
+    { key: 'sugar', label: 'Sugar', unit: 'g' },
+    { key: 'saturatedFat', label: 'Saturated Fat', unit: 'g' },
+    { key: 'sodium', label: 'Sodium', unit: 'mg' },
+    { key: 'potassium', label: 'Potassium', unit: 'mg' },
+    { key: 'cholesterol', label: 'Cholesterol', unit: 'mg' },
+    { key: 'calcium', label: 'Calcium', unit: 'mg' },
+    { key: 'iron', label: 'Iron', unit: 'mg' },
+    { key: 'magnesium', label: 'Magnesium', unit: 'mg' },
+    { key: 'zinc', label: 'Zinc', unit: 'mg' },
+    { key: 'vitaminA', label: 'Vitamin A', unit: 'µg' },
+    { key: 'vitaminC', label: 'Vitamin C', unit: 'mg' },
+    { key: 'vitaminD', label: 'Vitamin D', unit: 'µg' },
+    { key: 'vitaminB12', label: 'Vitamin B12', unit: 'µg' }
+];
+
+/**
+ * Scale micronutrients, e.g. from a food's serving to the amount logged
+ * @param {object} micronutrients - Values by key
+ * @param {number} ratio - Scale factor
+ * @returns {object} - Scaled values, rounded to 0.1
+ */
+function scaleMicronutrients(micronutrients, ratio) {
+    const scaled = {};
+    Object.entries(micronutrients || {}).forEach(([key, value]) => {
+        scaled[key] = Math.round(value * ratio * 10) / 10;
+    });
+    return scaled;
+}
+
+/**
+ * Add up the micronutrients of several items
+ * @param {Array<object>} list - Micronutrient objects
+ * @returns {object} - Totals for every nutrient at least one item has
+ */
+function sumMicronutrients(list) {
+    const totals = {};
+    list.forEach(micronutrients => {
+        Object.entries(micronutrients || {}).forEach(([key, value]) => {
+            totals[key] = Math.round(((totals[key] || 0) + value) * 10) / 10;
+        });
+    });
+    return totals;
+}
+
+/**
+ * Read micronutrient inputs named by key (data-micronutrient="fiber") inside a container
+ * @param {HTMLElement} container - Element holding the inputs
+ * @returns {object} - Values for the inputs that were filled in
+ */
+function readMicronutrientInputs(container) {
+    const micronutrients = {};
+    container.querySelectorAll('[data-micronutrient]').forEach(input => {
+        const value = parseFloat(input.value);
+        if (input.value.trim() !== '' && value >= 0) {
+            micronutrients[input.dataset.micronutrient] = value;
+        }
+    });
+    return micronutrients;
+}
+
+// Export for use in other modules
+window.MICRONUTRIENTS = MICRONUTRIENTS;
+window.scaleMicronutrients = scaleMicronutrients;
+window.sumMicronutrients = sumMicronutrients;
+window.readMicronutrientInputs = readMicronutrientInputs;
@@ -0,0 +1,133 @@
+// Smoothed weight trend, weekly rate of change and goal projection.
+// Same calculations as src/utils/weightTrend.js on the server, so the reports page
+// and the server-side reports agree: each entry pulls the trend 10% of the way
+// towards it for every day since the entry before.
+
+const TREND_SMOOTHING = 0.1;
+// The weekly rate is measured over the last four weeks of the trend
+const RATE_WINDOW_DAYS = 28;
+// Rates slower than this per week count as stable
+const STABLE_RATE = 0.1;
+// Within this distance of the target weight counts as reached
+const GOAL_TOLERANCE = 0.2;
+// Projections further out than two years are not shown
+const MAX_PROJECTION_DAYS = 730;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+function addDays(dateKey, days) {
+    return new Date(Date.parse(`${dateKey}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Calculate the smoothed trend weight for every entry
+ * @param {Array<object>} entries - Weight entries ({ date, weight }) in any order
+ * @returns {Array<object>} - The entries with their trend, sorted oldest first
+ */
+function calculateTrendLine(entries) {
+    const sorted = [...entries].sort((a, b) => a.date.localeCompare(b.date));
+    let trend = null;
+    let previousDate = null;
+
+    return sorted.map(entry => {
+        if (trend === null) {
+            trend = entry.weight;
+        } else {
+            const days = Math.max(daysBetween(previousDate, entry.date), 1);
+            const alpha = 1 - Math.pow(1 - TREND_SMOOTHING, days);
+            trend += alpha * (entry.weight - trend);
+        }
+        previousDate = entry.date;
+        return { ...entry, trend };
+    });
+}
+
+/**
+ * Weekly rate of change of the trend over the last four weeks
+ * @param {Array<object>} trendLine - Result of calculateTrendLine (oldest first)
+ * @returns {number|null} - Change per week, or null with fewer than two days of data
+ */
+function calculateWeeklyRate(trendLine) {
+    if (trendLine.length < 2) return null;
+
+    const latest = trendLine[trendLine.length - 1];
+    const windowStart = addDays(latest.date, -RATE_WINDOW_DAYS);
+    let start = trendLine.find(point => point.date >= windowStart);
+    // A single entry in the window is measured from the one before it
+    if (start === latest) {
+        start = trendLine[trendLine.length - 2];
+    }
+
+    const days = daysBetween(start.date, latest.date);
+    return days > 0 ? ((latest.trend - start.trend) / days) * 7 : null;
+}
+
+/**
+ * Direction of the trend from its weekly rate
+ * @param {number|null} weeklyRate - Result of calculateWeeklyRate
+ * @returns {string} - Increasing, Decreasing, Stable or Insufficient data
+ */
+function describeTrend(weeklyRate) {
+    if (weeklyRate === null) return 'Insufficient data';
+    if (weeklyRate >= STABLE_RATE) return 'Increasing';
+    if (weeklyRate <= -STABLE_RATE) return 'Decreasing';
+    return 'Stable';
+}
+
+/**
+ * Project when the trend reaches the target weight at the current weekly rate
+ * @param {object} latest - Last point of the trend line ({ date, trend })
+ * @param {number|null} weeklyRate - Result of calculateWeeklyRate
+ * @param {number|null} targetWeight - Target weight from Settings
+ * @returns {object|null} - { targetWeight, remaining, status, date }, or null without a target.
+ *   status is reached, on-track, off-track or insufficient-data
+ */
+function projectGoal(latest, weeklyRate, targetWeight) {
+    if (!targetWeight || !latest) return null;
+
+    const remaining = targetWeight - latest.trend;
+    const projection = { targetWeight, remaining, status: 'off-track', date: null };
+
+    if (Math.abs(remaining) <= GOAL_TOLERANCE) {
+        return { ...projection, status: 'reached' };
+    }
+    if (weeklyRate === null) {
+        return { ...projection, status: 'insufficient-data' };
+    }
+    if (Math.sign(weeklyRate) !== Math.sign(remaining)) {
+        return projection;
+    }
+
+    const days = Math.ceil((remaining / weeklyRate) * 7);
+    if (days > MAX_PROJECTION_DAYS) {
+        return projection;
+    }
+    return { ...projection, status: 'on-track', date: addDays(latest.date, days) };
+}
+
+/**
+ * Trend weight, weekly rate and goal projection for a list of weight entries
+ * @param {Array<object>} entries - Weight entries ({ date, weight }) in any order
+ * @param {number|null} targetWeight - Target weight from Settings
+ * @returns {object} - { trendLine, trendWeight, weeklyRate, direction, goal }
+ */
+function analyzeWeightTrend(entries, targetWeight = null) {
+    const trendLine = calculateTrendLine(entries);
+    const latest = trendLine[trendLine.length - 1] || null;
+    const weeklyRate = calculateWeeklyRate(trendLine);
+
+    return {
+        trendLine,
+        trendWeight: latest ? latest.trend : null,
+        weeklyRate,
+        direction: describeTrend(weeklyRate),
+        goal: projectGoal(latest, weeklyRate, targetWeight)
+    };
+}
+
+// Export for use in other modules
+window.analyzeWeightTrend = analyzeWeightTrend;
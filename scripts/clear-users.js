@@ -30,6 +30,8 @@ async function clearUsers() {
         await query('DELETE FROM user_weight');
         
         console.log('Deleting user meals...');
+        await query('DELETE FROM meal_items');
+        await query('DELETE FROM meals');
         await query('DELETE FROM user_meals');
         
         console.log('Deleting user settings...');
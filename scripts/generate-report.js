@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * PDF Report Script
+ *
+ * Builds the same PDF reports as GET /api/reports/:type.pdf for a user,
+ * without going through the web app (e.g. from cron or for support).
+ *
+ * Usage:
+ *   node scripts/generate-report.js --email user@example.com [--type complete]
+ *       [--from YYYY-MM-DD --to YYYY-MM-DD] [--output report.pdf] [--db-path /path/to/db]
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const getArg = (name) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : undefined;
+};
+
+// The database path has to be set before the connection module is loaded
+if (getArg('--db-path')) {
+    process.env.DB_PATH = path.resolve(getArg('--db-path'));
+}
+
+const { isDatabaseAvailable } = require('../src/database/connection');
+const userService = require('../src/database/userService');
+const pdfReportService = require('../src/services/pdfReportService');
+const { isDateKey } = require('../src/utils/dayKeys');
+
+async function waitForDatabase() {
+    // Wait for database to be available
+    let attempts = 0;
+    while (!isDatabaseAvailable() && attempts < 10) {
+        console.log('Waiting for database connection...');
+        await new Promise(resolve => setTimeout(resolve, 500));
+        attempts++;
+    }
+    return isDatabaseAvailable();
+}
+
+async function generateReport() {
+    const email = getArg('--email');
+    const type = getArg('--type') || 'complete';
+    const from = getArg('--from');
+    const to = getArg('--to');
+
+    if (!email) {
+        throw new Error('--email is required');
+    }
+    if (!pdfReportService.reportTypes.includes(type)) {
+        throw new Error(`--type must be one of: ${pdfReportService.reportTypes.join(', ')}`);
+    }
+    if ((from || to) && (!isDateKey(from) || !isDateKey(to) || from > to)) {
+        throw new Error('--from and --to must be given together as YYYY-MM-DD, from not after to');
+    }
+    if (!pdfReportService.isAvailable()) {
+        throw new Error('canvas is not installed or not built, PDF reports are unavailable');
+    }
+
+    if (!await waitForDatabase()) {
+        throw new Error('Database not available after waiting');
+    }
+
+    const user = await userService.getUserByEmail(email);
+    if (!user) {
+        throw new Error(`No user with email ${email}`);
+    }
+
+    const pdf = await pdfReportService.generateReport(user.id, type, from ? { from, to } : {});
+    const output = path.resolve(getArg('--output') || pdfReportService.getFileName(type));
+    await fs.writeFile(output, pdf);
+
+    console.log(`✅ ${type} report for ${email} written to ${output}`);
+}
+
+// Show help if requested
+if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+📄 PDF Report Script
+
+Usage: node scripts/generate-report.js --email <email> [options]
+
+Builds a user's PDF report, the same as downloading it from the reports page.
+
+Options:
+  --email       Email of the user the report is for (required)
+  --type        nutrition, weight, measurements or complete (default: complete)
+  --from, --to  Date range as YYYY-MM-DD (default: the current week for
+                nutrition, all entries for weight and measurements)
+  --output      File to write (default: <type>-report-<date>.pdf)
+  --db-path     Path to database file (optional)
+  --help, -h    Show this help message
+
+Examples:
+  node scripts/generate-report.js --email user@example.com --type weight
+  node scripts/generate-report.js --email user@example.com --from 2026-09-01 --to 2026-09-30 --output september.pdf
+`);
+    process.exit(0);
+}
+
+generateReport().then(() => {
+    process.exit(0);
+}).catch(error => {
+    console.error('❌ Report generation failed:', error.message);
+    process.exit(1);
+});
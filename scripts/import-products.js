@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+
+/**
+ * Product Import Script
+ *
+ * Bulk-loads packaged products for barcode lookups from an Open Food Facts
+ * style dump: the CSV/TSV export or the JSONL export. Products are matched by
+ * barcode, so importing a newer dump updates the existing products.
+ *
+ * Usage:
+ *   node scripts/import-products.js <file> [--format csv|tsv|jsonl] [--db-path /path/to/db]
+ */
+
+const path = require('path');
+const fs = require('fs');
+const readline = require('readline');
+const { parse } = require('csv-parse');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+
+function getOption(name) {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : null;
+}
+
+// The database path has to be set before the connection module is loaded
+const dbPathOption = getOption('--db-path');
+if (dbPathOption) {
+    process.env.DB_PATH = path.resolve(dbPathOption);
+}
+
+const { isDatabaseAvailable } = require('../src/database/connection');
+const migrations = require('../src/database/migrations');
+const productService = require('../src/database/productService');
+const { normalizeBarcode } = require('../src/utils/barcodes');
+const { MICRONUTRIENTS } = require('../src/utils/nutrients');
+
+const BATCH_SIZE = 1000;
+
+// Open Food Facts field names for our micronutrients. Its values are all in
+// grams per 100 g, so they're converted to the unit each micronutrient uses.
+const OFF_NUTRIENT_FIELDS = {
+    fiber: 'fiber',
+    sugar: 'sugars',
+    saturatedFat: 'saturated-fat',
+    sodium: 'sodium',
+    potassium: 'potassium',
+    cholesterol: 'cholesterol',
+    calcium: 'calcium',
+    iron: 'iron',
+    magnesium: 'magnesium',
+    zinc: 'zinc',
+    vitaminA: 'vitamin-a',
+    vitaminC: 'vitamin-c',
+    vitaminD: 'vitamin-d',
+    vitaminB12: 'vitamin-b12'
+};
+const GRAMS_PER_UNIT = { g: 1, mg: 0.001, 'µg': 0.000001 };
+const KJ_PER_KCAL = 4.184;
+const SALT_PER_SODIUM = 2.5;
+
+// Round to the 0.1 precision used across the diary (two decimals for tiny vitamin amounts)
+const round = (value) => {
+    const factor = value < 1 ? 100 : 10;
+    return Math.round(value * factor) / factor;
+};
+
+// Read a per-100 g value from a CSV row or a JSONL product (which nests them under `nutriments`)
+function readNutrient(record, field) {
+    const source = record.nutriments && typeof record.nutriments === 'object' ? record.nutriments : record;
+    const value = parseFloat(source[`${field}_100g`]);
+    return isFinite(value) && value >= 0 ? value : null;
+}
+
+// Read a macro in grams per 100 g, rounded
+function readMacro(record, field) {
+    const value = readNutrient(record, field);
+    return value === null ? null : round(value);
+}
+
+/**
+ * Convert an Open Food Facts record to a product
+ * @param {object} record - CSV row or JSONL product
+ * @returns {object|null} - Product for productService.saveProducts, or null if it can't be used
+ */
+function toProduct(record) {
+    const barcode = normalizeBarcode(record.code);
+    const name = String(record.product_name || record.product_name_en || '').trim();
+    if (!barcode || !name) {
+        return null;
+    }
+
+    let calories = readNutrient(record, 'energy-kcal');
+    if (calories === null && readNutrient(record, 'energy') !== null) {
+        calories = readNutrient(record, 'energy') / KJ_PER_KCAL;
+    }
+    if (calories === null) {
+        return null;
+    }
+
+    const micronutrients = {};
+    MICRONUTRIENTS.forEach(({ key, unit }) => {
+        let grams = readNutrient(record, OFF_NUTRIENT_FIELDS[key]);
+        if (key === 'sodium' && grams === null && readNutrient(record, 'salt') !== null) {
+            grams = readNutrient(record, 'salt') / SALT_PER_SODIUM;
+        }
+        if (grams !== null) {
+            micronutrients[key] = round(grams / GRAMS_PER_UNIT[unit]);
+        }
+    });
+
+    const brands = Array.isArray(record.brands) ? record.brands.join(',') : String(record.brands || '');
+
+    return {
+        barcode,
+        name,
+        brand: brands.split(',')[0].trim() || null,
+        calories: round(calories),
+        carbs: readMacro(record, 'carbohydrates'),
+        protein: readMacro(record, 'proteins'),
+        fat: readMacro(record, 'fat'),
+        micronutrients
+    };
+}
+
+// Pick the file format from the extension. The Open Food Facts "CSV" export is
+// tab-separated, so .csv files are checked for tabs in their header.
+function detectFormat(file) {
+    const extension = path.extname(file).toLowerCase();
+    if (extension === '.jsonl' || extension === '.json') {
+        return 'jsonl';
+    }
+    if (extension === '.tsv') {
+        return 'tsv';
+    }
+
+    const buffer = Buffer.alloc(4096);
+    const fd = fs.openSync(file, 'r');
+    const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    fs.closeSync(fd);
+    const header = buffer.toString('utf8', 0, bytesRead).split('\n')[0];
+    return header.includes('\t') ? 'tsv' : 'csv';
+}
+
+// Stream the records of a dump without loading it into memory
+async function* readRecords(file, format) {
+    if (format === 'jsonl') {
+        const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                yield JSON.parse(line);
+            } catch (error) {
+                yield null;
+            }
+        }
+        return;
+    }
+
+    const parser = fs.createReadStream(file).pipe(parse({
+        columns: true,
+        delimiter: format === 'tsv' ? '\t' : ',',
+        // The tab-separated export doesn't quote fields, so quotes are just text
+        quote: format === 'tsv' ? false : '"',
+        relax_column_count: true,
+        skip_records_with_error: true,
+        bom: true
+    }));
+    yield* parser;
+}
+
+async function waitForDatabase() {
+    // Wait for database to be available
+    let attempts = 0;
+    while (!isDatabaseAvailable() && attempts < 10) {
+        console.log('Waiting for database connection...');
+        await new Promise(resolve => setTimeout(resolve, 500));
+        attempts++;
+    }
+    return isDatabaseAvailable();
+}
+
+async function importProducts(file, format) {
+    console.log('🏷️  Product Import');
+    console.log('==================');
+    console.log(`📄 File: ${file} (${format})`);
+
+    if (!await waitForDatabase()) {
+        throw new Error('Database not available after waiting');
+    }
+
+    // Make sure the products table exists
+    await migrations.migrate();
+
+    let batch = [];
+    let imported = 0;
+    let skipped = 0;
+
+    const flush = async () => {
+        if (batch.length === 0) return;
+        const saved = await productService.saveProducts(batch);
+        if (saved === null) {
+            throw new Error('Failed to save products');
+        }
+        imported += saved;
+        batch = [];
+        console.log(`   ... ${imported} products imported`);
+    };
+
+    for await (const record of readRecords(file, format)) {
+        const product = record ? toProduct(record) : null;
+        if (!product) {
+            skipped++;
+            continue;
+        }
+        batch.push(product);
+        if (batch.length >= BATCH_SIZE) {
+            await flush();
+        }
+    }
+    await flush();
+
+    console.log(`✅ Imported ${imported} products, skipped ${skipped} records without a valid barcode, name or calories`);
+    console.log(`📊 Products available for barcode lookup: ${await productService.countProducts()}`);
+}
+
+// Show help if requested
+if (args.length === 0 || args.includes('--help') || args.includes('-h')) {
+    console.log(`
+🏷️  Product Import Script
+
+Usage: node scripts/import-products.js <file> [options]
+
+Imports an Open Food Facts style dump (CSV, TSV or JSONL) into the products
+table used by GET /api/foods/barcode/:code. Values are per 100 g.
+
+Options:
+  --format      csv, tsv or jsonl (default: from the file extension)
+  --db-path     Path to database file (optional)
+  --help, -h    Show this help message
+
+Examples:
+  node scripts/import-products.js en.openfoodfacts.org.products.csv
+  node scripts/import-products.js openfoodfacts-products.jsonl --db-path /path/to/nutrition_app.db
+`);
+    process.exit(0);
+}
+
+const file = path.resolve(args[0]);
+if (!fs.existsSync(file)) {
+    console.error(`❌ File not found: ${file}`);
+    process.exit(1);
+}
+
+const format = getOption('--format') || detectFormat(file);
+if (!['csv', 'tsv', 'jsonl'].includes(format)) {
+    console.error('❌ Format must be csv, tsv or jsonl');
+    process.exit(1);
+}
+
+importProducts(file, format).then(() => {
+    process.exit(0);
+}).catch(error => {
+    console.error('❌ Product import failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * Deleted Account Purge Script
+ *
+ * Erases accounts whose deletion grace period has ended, together with all of
+ * their data. Accounts are scheduled for deletion by DELETE /api/auth/account;
+ * run this regularly (e.g. daily from cron) to complete those deletions.
+ *
+ * Usage:
+ *   node scripts/purge-deleted-accounts.js [--dry-run] [--db-path /path/to/db]
+ */
+
+const path = require('path');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+
+// The database path has to be set before the connection module is loaded
+const dbPathIndex = args.indexOf('--db-path');
+if (dbPathIndex !== -1 && args[dbPathIndex + 1]) {
+    process.env.DB_PATH = path.resolve(args[dbPathIndex + 1]);
+}
+
+const { isDatabaseAvailable } = require('../src/database/connection');
+const userService = require('../src/database/userService');
+const accountService = require('../src/database/accountService');
+
+async function waitForDatabase() {
+    // Wait for database to be available
+    let attempts = 0;
+    while (!isDatabaseAvailable() && attempts < 10) {
+        console.log('Waiting for database connection...');
+        await new Promise(resolve => setTimeout(resolve, 500));
+        attempts++;
+    }
+    return isDatabaseAvailable();
+}
+
+async function purgeDeletedAccounts() {
+    console.log('🗑️  Deleted Account Purge');
+    console.log('========================');
+    if (dryRun) {
+        console.log('🔍 Dry run - nothing will be erased');
+    }
+
+    if (!await waitForDatabase()) {
+        throw new Error('Database not available after waiting');
+    }
+
+    const users = await userService.getUsersDueForDeletion();
+    if (users.length === 0) {
+        console.log('✅ No accounts are due for deletion');
+        return;
+    }
+
+    let failed = 0;
+    for (const user of users) {
+        console.log(`   ${user.email} (scheduled for ${user.delete_after})`);
+        if (dryRun) continue;
+
+        if (!await accountService.eraseAccount(user.id)) {
+            failed++;
+        }
+    }
+
+    if (dryRun) {
+        console.log(`📊 ${users.length} accounts would be erased`);
+    } else if (failed > 0) {
+        throw new Error(`${failed} of ${users.length} accounts could not be erased`);
+    } else {
+        console.log(`✅ Erased ${users.length} accounts`);
+    }
+}
+
+// Show help if requested
+if (args.includes('--help') || args.includes('-h')) {
+    console.log(`
+🗑️  Deleted Account Purge Script
+
+Usage: node scripts/purge-deleted-accounts.js [options]
+
+Erases accounts scheduled for deletion whose grace period has ended
+(ACCOUNT_DELETION_GRACE_DAYS, 30 days by default).
+
+Options:
+  --dry-run     List the accounts that are due without erasing them
+  --db-path     Path to database file (optional)
+  --help, -h    Show this help message
+
+Examples:
+  node scripts/purge-deleted-accounts.js --dry-run
+  node scripts/purge-deleted-accounts.js --db-path /path/to/nutrition_app.db
+`);
+    process.exit(0);
+}
+
+purgeDeletedAccounts().then(() => {
+    process.exit(0);
+}).catch(error => {
+    console.error('❌ Account purge failed:', error.message);
+    process.exit(1);
+});
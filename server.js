@@ -4,9 +4,8 @@ require('dotenv').config();
 const express = require('express');
 const path = require('path');
 const fs = require('fs').promises;
-const session = require('express-session');
 
-// Database initialization (non-blocking)
+// Database initialization
 const { initializeDatabase, testConnection } = require('./src/database/init');
 
 // Email service initialization
@@ -16,20 +15,25 @@ const EmailService = require('./src/services/emailService');
 const app = express();
 const port = process.env.PORT || 8080;
 
+// Behind a reverse proxy, set TRUST_PROXY so rate limits see each client's
+// address instead of the proxy's: the number of proxies (e.g. 1), their
+// addresses or subnets (e.g. loopback or 10.0.0.0/8), or true to trust all
+if (process.env.TRUST_PROXY) {
+    const setting = process.env.TRUST_PROXY.trim();
+    const hops = Number(setting);
+    if (setting === 'true' || setting === 'false') {
+        app.set('trust proxy', setting === 'true');
+    } else {
+        app.set('trust proxy', Number.isNaN(hops) ? setting : hops);
+    }
+}
+
 // Middleware for parsing JSON and logging
+// Imports send a whole file, so they get a larger body limit
+app.use('/api/foods/import', express.json({ limit: '5mb' }));
+app.use('/api/account/import', express.json({ limit: '25mb' }));
 app.use(express.json());
 
-// Session middleware for authentication
-app.use(session({
-    secret: 'nutrition-app-secret-key-' + Date.now(), // In production, use environment variable
-    resave: false,
-    saveUninitialized: false,
-    cookie: { 
-        secure: false, // Set to true in production with HTTPS
-        maxAge: 24 * 60 * 60 * 1000 // 24 hours
-    }
-}));
-
 app.use((req, res, next) => {
     // Skip logging common bot/scanner requests
     const botPatterns = [
@@ -52,9 +56,21 @@ app.use(express.static(path.join(__dirname, 'public')));
 const foodsRoutes = require('./src/routes/foodsRoutes');
 const dailyMealsRoutes = require('./src/routes/dailyMealsRoutes');
 const settingsRoutes = require('./src/routes/settingsRoutes');
-const authRoutes = require('./src/routes/auth'); // Use JWT-based auth
+const authRoutes = require('./src/routes/auth'); // JWT or cookie session, see AUTH_STRATEGY
 const weightRoutes = require('./src/routes/weightRoutes');
 const measurementsRoutes = require('./src/routes/measurementsRoutes');
+const mealSlotsRoutes = require('./src/routes/mealSlotsRoutes');
+const recipesRoutes = require('./src/routes/recipesRoutes');
+const savedMealsRoutes = require('./src/routes/savedMealsRoutes');
+const waterRoutes = require('./src/routes/waterRoutes');
+const exerciseRoutes = require('./src/routes/exerciseRoutes');
+const accountRoutes = require('./src/routes/accountRoutes');
+const reportsRoutes = require('./src/routes/reportsRoutes');
+const digestRoutes = require('./src/routes/digestRoutes');
+const insightsRoutes = require('./src/routes/insightsRoutes');
+const digestScheduler = require('./src/services/digestScheduler');
+const { writeRateLimit } = require('./src/middleware/rateLimit');
+const { AUTH_STRATEGY } = require('./src/middleware/auth');
 
 // Ensure data directory exists for SQLite database
 async function ensureDataDirectory() {
@@ -66,6 +82,7 @@ async function ensureDataDirectory() {
 }
 
 // Mount API routes
+app.use('/api', writeRateLimit);               // Limits POST/PUT/PATCH/DELETE requests per user or client
 app.use('/api/auth', authRoutes);              // Authentication routes
 app.use('/api/foods', foodsRoutes);
 app.use('/api/daily-meals', dailyMealsRoutes); // Keep original path to maintain compatibility
@@ -73,6 +90,15 @@ app.use('/api/meals', dailyMealsRoutes);       // Add new path for consistency
 app.use('/api/settings', settingsRoutes);
 app.use('/api/weight', weightRoutes);          // Weight tracking routes
 app.use('/api/measurements', measurementsRoutes); // Measurements tracking routes
+app.use('/api/meal-slots', mealSlotsRoutes);   // Per-user meal slot configuration
+app.use('/api/recipes', recipesRoutes);        // Recipes built from foods
+app.use('/api/saved-meals', savedMealsRoutes); // Named meals that can be inserted into any day
+app.use('/api/water', waterRoutes);            // Water and beverage intake
+app.use('/api/exercise', exerciseRoutes);      // Exercise log and calories burned
+app.use('/api/account', accountRoutes);        // Account data export and import
+app.use('/api/reports', reportsRoutes);        // PDF reports rendered on the server
+app.use('/api/digest', digestRoutes);          // Weekly email digest settings and unsubscribe
+app.use('/api/insights', insightsRoutes);      // Estimates from logged food and weight (adaptive TDEE)
 
 // Test route to verify API is working
 app.get('/api/test', (req, res) => {
@@ -127,8 +153,9 @@ async function startServer() {
         if (process.env.SKIP_DB_DEPLOY === 'true') {
             console.log('⚠️  Database deployment skipped (SKIP_DB_DEPLOY=true)');
         } else {
-            // Initialize database (non-blocking - server starts even if DB fails)
-            initializeDatabaseAsync();
+            // Initialize database before migrating it and accepting requests
+            // (the server still starts if the database fails)
+            await initializeDatabaseAsync();
 
             // Run database migrations
             try {
@@ -144,6 +171,20 @@ async function startServer() {
         const emailService = new EmailService();
         emailService.validateConfiguration();
 
+        // Links in password reset, verification and digest emails are only built from APP_URL
+        if (!process.env.APP_URL) {
+            console.log('⚠️  APP_URL not set: password reset, verification and weekly digest emails will not be sent');
+        }
+
+        // Weekly digests need email and APP_URL for their links, and
+        // DIGEST_SCHEDULER=false turns them off (e.g. when several server
+        // instances share one database)
+        if (emailService.isConfigured() && process.env.APP_URL && process.env.DIGEST_SCHEDULER !== 'false') {
+            digestScheduler.start(emailService);
+        } else {
+            console.log('⚠️  Weekly digest scheduler not started (email not configured, APP_URL not set or DIGEST_SCHEDULER=false)');
+        }
+
         // Get version from package.json
         const packageJson = require('./package.json');
         const version = `v${packageJson.version}`;
@@ -156,14 +197,18 @@ async function startServer() {
             console.log('Available routes:');
             console.log('- GET  /api/test         (Test endpoint)');
             console.log('- GET  /api/version      (Version info)');
-            console.log('- POST /api/auth/*       (Authentication endpoints)');
+            console.log(`- POST /api/auth/*       (Authentication endpoints, ${AUTH_STRATEGY} strategy)`);
             console.log('- GET  /api/foods        (Get all foods)');
             console.log('- POST /api/foods        (Add new food)');
-            console.log('- GET  /api/daily-meals  (Get daily meals - user-specific)');
-            console.log('- GET  /api/meals        (Alias for daily-meals)');
+            console.log('- GET  /api/meals/:day   (Get meals by date or weekday template - user-specific)');
+            console.log('- GET  /api/daily-meals  (Alias for meals)');
+            console.log('- GET  /api/meal-slots   (Get meal slots - user-specific)');
             console.log('- GET  /api/settings     (Get settings - user-specific)');
             console.log('- GET  /api/weight       (Get weight entries - user-specific)');
             console.log('- GET  /api/measurements (Get measurement entries - user-specific)');
+            console.log('- GET  /api/reports/:type.pdf (PDF report - user-specific)');
+            console.log('- GET  /api/digest       (Weekly email digest settings - user-specific)');
+            console.log('- GET  /api/insights/tdee (Adaptive TDEE estimate - user-specific)');
             console.log('=================================');
         });
     } catch (error) {
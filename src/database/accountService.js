@@ -0,0 +1,273 @@
+const { query, transaction, isDatabaseAvailable } = require('./connection');
+
+// Identifies an account export and the version of its layout
+const EXPORT_FORMAT = 'nutristats-account-export';
+const EXPORT_VERSION = 1;
+
+// Every table holding a user's data, in the order an import restores them:
+// referenced rows come before the rows that point at them.
+// - parent: child tables without a user_id, owned through a parent row
+// - replace: per-account settings rows (most are created automatically for new
+//   accounts), replaced by an import
+// - foodLinks: rows linked to a food by food_source and food_id
+// The legacy user_meals table is left out of exports (its meals were moved to
+// meals/meal_items) but is still cleared when an account is erased.
+const ACCOUNT_TABLES = [
+    { table: 'user_settings', replace: true },
+    { table: 'user_meal_slots', replace: true },
+    { table: 'user_foods' },
+    { table: 'recipes' },
+    { table: 'recipe_ingredients', parent: { table: 'recipes', column: 'recipe_id' }, foodLinks: true },
+    { table: 'meals' },
+    { table: 'meal_items', parent: { table: 'meals', column: 'meal_id' }, foodLinks: true },
+    { table: 'saved_meals' },
+    { table: 'saved_meal_items', parent: { table: 'saved_meals', column: 'saved_meal_id' }, foodLinks: true },
+    { table: 'user_daily_macros' },
+    { table: 'user_weight' },
+    { table: 'user_measurements' },
+    { table: 'user_water' },
+    { table: 'user_exercise' },
+    { table: 'email_digests', replace: true }
+];
+
+// Tables whose IDs food links point at, by food_source
+const FOOD_LINK_TABLES = { user: 'user_foods', recipe: 'recipes' };
+
+class AccountService {
+    constructor() {
+        // Wait a moment for database to initialize, then check status
+        setTimeout(() => this.checkDatabaseStatus(), 300);
+    }
+
+    // Check database status on startup
+    async checkDatabaseStatus() {
+        if (isDatabaseAvailable()) {
+            console.log('📦 Account service using SQLite database');
+        } else {
+            console.log('🚫 Account database not available');
+        }
+    }
+
+    // SELECT for a table's rows that belong to the user
+    ownedRowsSql(spec) {
+        if (spec.parent) {
+            return `SELECT * FROM ${spec.table} WHERE ${spec.parent.column} IN (SELECT id FROM ${spec.parent.table} WHERE user_id = ?) ORDER BY id`;
+        }
+        return `SELECT * FROM ${spec.table} WHERE user_id = ?${spec.table === 'user_settings' ? '' : ' ORDER BY id'}`;
+    }
+
+    // Get all of a user's data as one document. Rows keep their IDs so the
+    // links between them can be restored; user_id is left out.
+    async exportAccount(userId) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const userResult = await query('SELECT email, name, created_at FROM users WHERE id = ?', [userId]);
+            if (userResult.rows.length === 0) {
+                return null;
+            }
+
+            const tables = {};
+            for (const spec of ACCOUNT_TABLES) {
+                const result = await query(this.ownedRowsSql(spec), [userId]);
+                tables[spec.table] = result.rows.map(({ user_id, ...row }) => row);
+            }
+
+            const user = userResult.rows[0];
+            return {
+                format: EXPORT_FORMAT,
+                version: EXPORT_VERSION,
+                exportedAt: new Date().toISOString(),
+                user: { email: user.email, name: user.name, createdAt: user.created_at },
+                tables
+            };
+        } catch (error) {
+            console.error('❌ Database error exporting account:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Check that a document is an account export this version can import
+     * @param {object} data - Parsed export
+     * @returns {string|null} - What's wrong with it, or null if it can be imported
+     */
+    validateExport(data) {
+        if (!data || typeof data !== 'object' || data.format !== EXPORT_FORMAT) {
+            return 'This is not an account export';
+        }
+        if (data.version !== EXPORT_VERSION) {
+            return `Unsupported export version: ${data.version}`;
+        }
+        if (!data.tables || typeof data.tables !== 'object') {
+            return 'The export has no tables';
+        }
+
+        for (const { table } of ACCOUNT_TABLES) {
+            const rows = data.tables[table];
+            if (rows === undefined) continue;
+            if (!Array.isArray(rows)) {
+                return `${table} must be a list of rows`;
+            }
+            const validRows = rows.every(row => row && typeof row === 'object' && !Array.isArray(row) &&
+                Object.values(row).every(value => value === null || ['string', 'number', 'boolean'].includes(typeof value)));
+            if (!validRows) {
+                return `${table} has rows that aren't flat objects`;
+            }
+        }
+        return null;
+    }
+
+    // Check whether a user has data an import would mix with. Settings and meal
+    // slots don't count, since they're created for every account.
+    async hasAccountData(userId) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            for (const spec of ACCOUNT_TABLES.filter(spec => !spec.replace && !spec.parent)) {
+                const result = await query(`SELECT 1 FROM ${spec.table} WHERE user_id = ? LIMIT 1`, [userId]);
+                if (result.rows.length > 0) {
+                    return true;
+                }
+            }
+            return false;
+        } catch (error) {
+            console.error('❌ Database error checking account data:', error.message);
+            return null;
+        }
+    }
+
+    // Restore an export into a user's account, all or nothing. Rows get new IDs,
+    // and the references between them are moved to the new IDs. Columns this
+    // database doesn't have are ignored; missing ones get their defaults.
+    // Returns the number of rows restored per table, or null on error.
+    async importAccount(userId, data) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const counts = await transaction(async (tx) => {
+                const idMaps = {};
+                const counts = {};
+
+                for (const spec of ACCOUNT_TABLES) {
+                    const columnInfo = await tx(`PRAGMA table_info(${spec.table})`);
+                    const columns = columnInfo.rows.map(column => column.name).filter(name => name !== 'id' && name !== 'user_id');
+                    const requiredFoodLink = columnInfo.rows.some(column => column.name === 'food_id' && column.notnull);
+                    const ownerColumns = spec.parent ? [] : ['user_id'];
+
+                    if (spec.replace) {
+                        await tx(`DELETE FROM ${spec.table} WHERE user_id = ?`, [userId]);
+                    }
+
+                    idMaps[spec.table] = new Map();
+                    counts[spec.table] = 0;
+
+                    for (const sourceRow of data.tables[spec.table] || []) {
+                        const row = { ...sourceRow };
+
+                        if (spec.parent) {
+                            const parentId = idMaps[spec.parent.table].get(row[spec.parent.column]);
+                            // Skip rows whose parent isn't in the export
+                            if (parentId === undefined) continue;
+                            row[spec.parent.column] = parentId;
+                        }
+
+                        // Point food links at the restored foods and recipes (global foods keep their IDs).
+                        // A link to a food that isn't in the export is dropped where the column allows it.
+                        if (spec.foodLinks && FOOD_LINK_TABLES[row.food_source]) {
+                            const foodId = idMaps[FOOD_LINK_TABLES[row.food_source]].get(row.food_id);
+                            if (foodId !== undefined) {
+                                row.food_id = foodId;
+                            } else if (!requiredFoodLink) {
+                                row.food_id = null;
+                                row.food_source = null;
+                            }
+                        }
+
+                        const rowColumns = columns.filter(column => row[column] !== undefined);
+                        const result = await tx(`
+                            INSERT INTO ${spec.table} (${[...ownerColumns, ...rowColumns].join(', ')})
+                            VALUES (${[...ownerColumns, ...rowColumns].map(() => '?').join(', ')})
+                        `, [...(spec.parent ? [] : [userId]), ...rowColumns.map(column => row[column])]);
+
+                        if (row.id !== undefined) {
+                            idMaps[spec.table].set(row.id, result.lastInsertRowid);
+                        }
+                        counts[spec.table]++;
+                    }
+                }
+                return counts;
+            });
+
+            console.log('✅ Account data imported for user:', userId);
+            return counts;
+        } catch (error) {
+            console.error('❌ Database error importing account:', error.message);
+            return null;
+        }
+    }
+
+    // Delete the rate limit counts kept for a user (see middleware/rateLimit.js):
+    // keyed by their email for logins and emails sent to them, by their ID
+    // for writes and food searches. Uses the transaction's query function.
+    async deleteRateLimits(tx, userId) {
+        await tx('DELETE FROM rate_limits WHERE key IN (?, ?)', [`writes:user:${userId}`, `foodSearch:${userId}`]);
+
+        const { rows } = await tx('SELECT email FROM users WHERE id = ?', [userId]);
+        if (rows.length === 0) {
+            return;
+        }
+        const email = rows[0].email;
+        // Password reset counts are also keyed by the client IP after the email
+        const escapedEmail = email.replace(/[\\%_]/g, character => `\\${character}`);
+        await tx(`
+            DELETE FROM rate_limits
+            WHERE key IN (?, ?, ?) OR key LIKE ? ESCAPE '\\'
+        `, [`login:${email}`, `passwordReset:${email}`, `verificationEmail:${email}`, `passwordReset:${escapedEmail}:%`]);
+    }
+
+    // Permanently erase a user and every row they own, all or nothing.
+    // Foreign keys aren't enforced, so each table is cleared explicitly,
+    // child rows before the parents they're found through.
+    async eraseAccount(userId) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return false;
+        }
+
+        try {
+            await transaction(async (tx) => {
+                for (const spec of [...ACCOUNT_TABLES].reverse()) {
+                    if (spec.parent) {
+                        await tx(`DELETE FROM ${spec.table} WHERE ${spec.parent.column} IN (SELECT id FROM ${spec.parent.table} WHERE user_id = ?)`, [userId]);
+                    } else {
+                        await tx(`DELETE FROM ${spec.table} WHERE user_id = ?`, [userId]);
+                    }
+                }
+                await tx('DELETE FROM user_meals WHERE user_id = ?', [userId]);
+                await tx('DELETE FROM password_reset_tokens WHERE user_id = ?', [userId]);
+                await tx('DELETE FROM refresh_tokens WHERE user_id = ?', [userId]);
+                await tx('DELETE FROM revoked_sessions WHERE user_id = ?', [userId]);
+                await this.deleteRateLimits(tx, userId);
+                await tx('DELETE FROM users WHERE id = ?', [userId]);
+            });
+
+            console.log('✅ Account erased for user:', userId);
+            return true;
+        } catch (error) {
+            console.error('❌ Database error erasing account:', error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = new AccountService();
@@ -54,8 +54,8 @@ function initializeDatabase() {
     }
 }
 
-// Simple query function with fallback handling
-const query = (sql, params = []) => {
+// Run a single statement on the shared connection
+const runQuery = (sql, params = []) => {
     return new Promise((resolve, reject) => {
         if (!dbAvailable || !db) {
             reject(new Error('Database not available'));
@@ -93,6 +93,56 @@ const query = (sql, params = []) => {
     });
 };
 
+// The transaction currently holding the connection, if any
+let activeTransaction = null;
+
+// Wait until no transaction holds the connection
+const waitForTransaction = async () => {
+    while (activeTransaction) {
+        await activeTransaction.catch(() => {});
+    }
+};
+
+// Simple query function with fallback handling.
+// Waits for an open transaction so its statements aren't mixed with other requests'.
+const query = async (sql, params = []) => {
+    await waitForTransaction();
+    return runQuery(sql, params);
+};
+
+/**
+ * Run several statements atomically. Other queries wait until the transaction ends.
+ * @param {Function} fn - async (tx) => result; must run every statement through tx, not query
+ * @returns {Promise} - fn's result after COMMIT; rejects after ROLLBACK if fn throws
+ */
+const transaction = async (fn) => {
+    // Check and claim the connection without yielding in between
+    while (activeTransaction) {
+        await activeTransaction.catch(() => {});
+    }
+
+    const run = (async () => {
+        await runQuery('BEGIN IMMEDIATE');
+        try {
+            const result = await fn(runQuery);
+            await runQuery('COMMIT');
+            return result;
+        } catch (error) {
+            await runQuery('ROLLBACK').catch(rollbackError => {
+                console.error('Database rollback error:', rollbackError.message);
+            });
+            throw error;
+        }
+    })();
+
+    activeTransaction = run;
+    try {
+        return await run;
+    } finally {
+        activeTransaction = null;
+    }
+};
+
 // Check if database is available (with retry logic)
 const isDatabaseAvailable = () => {
     // If not available, try to reinitialize once
@@ -111,6 +161,7 @@ initializeDatabase();
 
 module.exports = {
     query,
+    transaction,
     db,
     isDatabaseAvailable,
     dbPath: resolvedDbPath
@@ -19,12 +19,7 @@ class DailyMacroService {
             );
 
             if (result.rows.length > 0) {
-                const macros = result.rows[0];
-                const macroData = {
-                    proteinLevel: macros.protein_level || null,
-                    fatLevel: macros.fat_level || null,
-                    calorieAdjustment: macros.calorie_adjustment || 0
-                };
+                const macroData = this.formatMacros(result.rows[0]);
                 console.log(`🔍 DailyMacroService.getDailyMacros for ${dayName}:`, macroData);
                 return macroData;
             } else {
@@ -39,6 +34,35 @@ class DailyMacroService {
         }
     }
 
+    // Get the daily macro settings stored for dates in a range (YYYY-MM-DD).
+    // Returns a Map of date to settings; dates without settings are left out.
+    async getDailyMacrosBetween(userId, from, to) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return new Map();
+        }
+
+        try {
+            const result = await query(
+                'SELECT day, protein_level, fat_level, calorie_adjustment FROM user_daily_macros WHERE user_id = ? AND day BETWEEN ? AND ?',
+                [userId, from, to]
+            );
+            return new Map(result.rows.map(row => [row.day, this.formatMacros(row)]));
+        } catch (error) {
+            console.error('❌ Database error getting daily macros for date range:', error.message);
+            return new Map();
+        }
+    }
+
+    // Convert a user_daily_macros row to the API format
+    formatMacros(row) {
+        return {
+            proteinLevel: row.protein_level || null,
+            fatLevel: row.fat_level || null,
+            calorieAdjustment: row.calorie_adjustment || 0
+        };
+    }
+
     // Save daily macro settings for a specific user and day
     async saveDailyMacros(userId, dayName, macros) {
         if (!isDatabaseAvailable()) {
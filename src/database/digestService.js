@@ -0,0 +1,144 @@
+const { query, isDatabaseAvailable } = require('./connection');
+
+// Settings for users who never changed them: off, Monday at 08:00 UTC
+const DEFAULT_DIGEST_SETTINGS = {
+    enabled: false,
+    sendDay: 1,
+    sendTime: '08:00',
+    timezone: 'UTC',
+    lastSentAt: null
+};
+
+const formatDigest = (row) => ({
+    enabled: !!row.enabled,
+    sendDay: row.send_day,
+    sendTime: row.send_time,
+    timezone: row.timezone,
+    lastSentAt: row.last_sent_at
+});
+
+// Weekly email digest preferences. A user without a row has the defaults.
+class DigestService {
+    constructor() {
+        // Wait a moment for database to initialize, then check status
+        setTimeout(() => this.checkDatabaseStatus(), 300);
+    }
+
+    // Check database status on startup
+    async checkDatabaseStatus() {
+        if (isDatabaseAvailable()) {
+            console.log('📬 Digest service using SQLite database');
+        } else {
+            console.log('🚫 Digest database not available');
+        }
+    }
+
+    // Get a user's digest settings. Returns null on error.
+    async getSettings(userId) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const result = await query('SELECT * FROM email_digests WHERE user_id = ?', [userId]);
+            return result.rows[0] ? formatDigest(result.rows[0]) : { ...DEFAULT_DIGEST_SETTINGS };
+        } catch (error) {
+            console.error('❌ Database error getting digest settings:', error.message);
+            return null;
+        }
+    }
+
+    // Save a user's digest settings. Returns the saved settings, or null on error.
+    async saveSettings(userId, { enabled, sendDay, sendTime, timezone }) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            await query(`
+                INSERT INTO email_digests (user_id, enabled, send_day, send_time, timezone)
+                VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT(user_id) DO UPDATE SET
+                    enabled = excluded.enabled,
+                    send_day = excluded.send_day,
+                    send_time = excluded.send_time,
+                    timezone = excluded.timezone,
+                    updated_at = CURRENT_TIMESTAMP
+            `, [userId, enabled ? 1 : 0, sendDay, sendTime, timezone]);
+
+            console.log('✅ Digest settings saved for user:', userId);
+            return this.getSettings(userId);
+        } catch (error) {
+            console.error('❌ Database error saving digest settings:', error.message);
+            return null;
+        }
+    }
+
+    // Turn the digest off, keeping the rest of the settings
+    async unsubscribe(userId) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return false;
+        }
+
+        try {
+            await query(`
+                UPDATE email_digests SET enabled = 0, updated_at = CURRENT_TIMESTAMP
+                WHERE user_id = ?
+            `, [userId]);
+            console.log('✅ Digest unsubscribed for user:', userId);
+            return true;
+        } catch (error) {
+            console.error('❌ Database error unsubscribing digest:', error.message);
+            return false;
+        }
+    }
+
+    // Enabled digests with the user's email and name, skipping accounts
+    // scheduled for deletion
+    async getEnabledDigests() {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return [];
+        }
+
+        try {
+            const result = await query(`
+                SELECT d.*, u.email, u.name
+                FROM email_digests d
+                JOIN users u ON u.id = d.user_id
+                WHERE d.enabled = 1 AND u.delete_after IS NULL
+            `);
+            return result.rows.map(row => ({
+                userId: row.user_id,
+                email: row.email,
+                name: row.name,
+                ...formatDigest(row),
+                updatedAt: row.updated_at
+            }));
+        } catch (error) {
+            console.error('❌ Database error getting enabled digests:', error.message);
+            return [];
+        }
+    }
+
+    // Record when a user's digest was sent
+    async markSent(userId, sentAt = new Date().toISOString()) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return false;
+        }
+
+        try {
+            await query('UPDATE email_digests SET last_sent_at = ? WHERE user_id = ?', [sentAt, userId]);
+            return true;
+        } catch (error) {
+            console.error('❌ Database error marking digest sent:', error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = new DigestService();
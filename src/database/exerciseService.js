@@ -0,0 +1,139 @@
+const { query, isDatabaseAvailable } = require('./connection');
+
+class ExerciseService {
+    constructor() {
+        // Wait a moment for database to initialize, then check status
+        setTimeout(() => this.checkDatabaseStatus(), 300);
+    }
+
+    // Check database status on startup
+    async checkDatabaseStatus() {
+        if (isDatabaseAvailable()) {
+            console.log('🏃 Exercise service using SQLite database');
+        } else {
+            console.log('🚫 Exercise database not available');
+        }
+    }
+
+    // Convert a database row to the API format
+    formatEntry(row) {
+        return {
+            id: row.id,
+            date: row.date,
+            activity: row.activity,
+            intensity: row.intensity,
+            duration: row.duration,
+            met: row.met,
+            calories: row.calories,
+            createdAt: row.created_at
+        };
+    }
+
+    // Get a user's exercise for one date, oldest first
+    async getDayEntries(userId, date) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return [];
+        }
+
+        try {
+            const result = await query(`
+                SELECT * FROM user_exercise
+                WHERE user_id = ? AND date = ?
+                ORDER BY created_at, id
+            `, [userId, date]);
+
+            return result.rows.map(row => this.formatEntry(row));
+        } catch (error) {
+            console.error('❌ Database error getting exercise entries:', error.message);
+            return [];
+        }
+    }
+
+    // Get calories burned and minutes per date between two dates (inclusive).
+    // Dates without exercise are left out.
+    async getDailyTotals(userId, from, to) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return [];
+        }
+
+        try {
+            const result = await query(`
+                SELECT date, SUM(calories) AS calories, SUM(duration) AS duration, COUNT(*) AS entries
+                FROM user_exercise
+                WHERE user_id = ? AND date BETWEEN ? AND ?
+                GROUP BY date
+                ORDER BY date
+            `, [userId, from, to]);
+
+            return result.rows.map(row => ({
+                date: row.date,
+                calories: row.calories,
+                duration: row.duration,
+                entries: row.entries
+            }));
+        } catch (error) {
+            console.error('❌ Database error getting exercise totals:', error.message);
+            return [];
+        }
+    }
+
+    // Log an exercise
+    async addEntry(userId, entryData) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const result = await query(`
+                INSERT INTO user_exercise (user_id, date, activity, intensity, duration, met, calories)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                userId,
+                entryData.date,
+                entryData.activity,
+                entryData.intensity,
+                entryData.duration,
+                entryData.met,
+                entryData.calories
+            ]);
+
+            const entry = await query(`SELECT * FROM user_exercise WHERE id = ?`, [result.lastInsertRowid]);
+
+            console.log('✅ Exercise entry added to database for date:', entryData.date);
+            return this.formatEntry(entry.rows[0]);
+        } catch (error) {
+            console.error('❌ Database error adding exercise entry:', error.message);
+            return null;
+        }
+    }
+
+    // Delete an exercise. Returns false if it doesn't exist.
+    async deleteEntry(userId, entryId) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return false;
+        }
+
+        try {
+            const result = await query(`
+                DELETE FROM user_exercise
+                WHERE id = ? AND user_id = ?
+            `, [entryId, userId]);
+
+            if (result.changes === 0) {
+                return false;
+            }
+
+            console.log('✅ Exercise entry deleted from database, ID:', entryId);
+            return true;
+        } catch (error) {
+            console.error('❌ Database error deleting exercise entry:', error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = new ExerciseService();
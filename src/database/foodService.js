@@ -1,4 +1,12 @@
-const { query, isDatabaseAvailable } = require('./connection');
+const { query, transaction, isDatabaseAvailable } = require('./connection');
+const {
+    MICRONUTRIENT_COLUMN_LIST,
+    MICRONUTRIENT_PLACEHOLDERS,
+    MICRONUTRIENT_ASSIGNMENTS,
+    readMicronutrients,
+    cleanMicronutrients,
+    micronutrientValues
+} = require('../utils/nutrients');
 
 class FoodService {
     constructor() {
@@ -17,6 +25,23 @@ class FoodService {
         }
     }
 
+    // Convert a foods/user_foods row to the API format
+    formatFood(row) {
+        return {
+            id: row.id,
+            item: row.item,
+            amount: row.amount,
+            calories: row.calories,
+            carbs: row.carbs,
+            protein: row.protein,
+            proteinGeneral: row.protein_general,
+            fat: row.fat,
+            micronutrients: readMicronutrients(row),
+            source: row.source,
+            isCustom: row.source === 'user'
+        };
+    }
+
     // Get all foods for a specific user (combines global + user-specific foods)
     async getAllFoods(userId = null) {
         if (!isDatabaseAvailable()) {
@@ -28,20 +53,22 @@ class FoodService {
             let foods = [];
 
             if (userId) {
-                // Get user-specific foods first
+                // Get user-specific foods first (hidden global foods are not listed)
                 const userFoods = await query(`
                     SELECT *, 'user' as source FROM user_foods 
-                    WHERE user_id = ? 
+                    WHERE user_id = ? AND (is_deleted IS NULL OR is_deleted = 0)
                     ORDER BY item
                 `, [userId]);
 
-                // Get global foods that user hasn't customized
+                // Get global foods that user hasn't customized or hidden. Copies
+                // made before global_food_id existed can only be matched by name.
                 const globalFoods = await query(`
-                    SELECT *, 'global' as source FROM foods 
-                    WHERE item NOT IN (
-                        SELECT item FROM user_foods WHERE user_id = ?
+                    SELECT f.*, 'global' as source FROM foods f
+                    WHERE NOT EXISTS (
+                        SELECT 1 FROM user_foods uf
+                        WHERE uf.user_id = ? AND (uf.global_food_id = f.id OR (uf.global_food_id IS NULL AND uf.item = f.item))
                     )
-                    ORDER BY item
+                    ORDER BY f.item
                 `, [userId]);
 
                 // Combine user foods and global foods
@@ -52,18 +79,7 @@ class FoodService {
                 foods = result.rows;
             }
 
-            return foods.map(row => ({
-                id: row.id,
-                item: row.item,
-                amount: row.amount,
-                calories: row.calories,
-                carbs: row.carbs,
-                protein: row.protein,
-                proteinGeneral: row.protein_general,
-                fat: row.fat,
-                source: row.source,
-                isCustom: row.source === 'user'
-            }));
+            return foods.map(row => this.formatFood(row));
         } catch (error) {
             console.error('❌ Database error:', error.message);
             return [];
@@ -89,14 +105,15 @@ class FoodService {
                     LIMIT 25
                 `, [userId, `%${searchTerm}%`]);
 
-                // Search global foods that user hasn't customized or deleted
+                // Search global foods that user hasn't customized or hidden, matched
+                // by name only for copies made before global_food_id existed
                 const globalFoods = await query(`
-                    SELECT *, 'global' as source FROM foods 
-                    WHERE item LIKE ? AND item NOT IN (
-                        SELECT item FROM user_foods 
-                        WHERE user_id = ? AND (is_deleted IS NULL OR is_deleted = 0)
+                    SELECT f.*, 'global' as source FROM foods f
+                    WHERE f.item LIKE ? AND NOT EXISTS (
+                        SELECT 1 FROM user_foods uf
+                        WHERE uf.user_id = ? AND (uf.global_food_id = f.id OR (uf.global_food_id IS NULL AND uf.item = f.item))
                     )
-                    ORDER BY item
+                    ORDER BY f.item
                     LIMIT 25
                 `, [`%${searchTerm}%`, userId]);
 
@@ -113,18 +130,7 @@ class FoodService {
                 foods = result.rows;
             }
 
-            return foods.map(row => ({
-                id: row.id,
-                item: row.item,
-                amount: row.amount,
-                calories: row.calories,
-                carbs: row.carbs,
-                protein: row.protein,
-                proteinGeneral: row.protein_general,
-                fat: row.fat,
-                source: row.source,
-                isCustom: row.source === 'user'
-            }));
+            return foods.map(row => this.formatFood(row));
         } catch (error) {
             console.error('❌ Database search error:', error.message);
             return [];
@@ -145,8 +151,8 @@ class FoodService {
 
         try {
             await query(`
-                INSERT INTO user_foods (user_id, item, amount, calories, carbs, protein, protein_general, fat, is_custom)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)
+                INSERT INTO user_foods (user_id, item, amount, calories, carbs, protein, protein_general, fat, is_custom, ${MICRONUTRIENT_COLUMN_LIST})
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, ${MICRONUTRIENT_PLACEHOLDERS})
             `, [
                 userId,
                 foodData.item,
@@ -155,7 +161,8 @@ class FoodService {
                 foodData.carbs,
                 foodData.protein,
                 foodData.proteinGeneral,
-                foodData.fat
+                foodData.fat,
+                ...micronutrientValues(cleanMicronutrients(foodData.micronutrients))
             ]);
             console.log('✅ Food added to user database:', foodData.item, 'for user:', userId);
             return true;
@@ -165,33 +172,91 @@ class FoodService {
         }
     }
 
-    // Update food by index (Copy-on-Write approach)
-    async updateFood(index, foodData, userId) {
+    // Get a single food by source ('global' or 'user') and ID
+    async getFoodById(source, id, userId) {
         if (!isDatabaseAvailable()) {
             console.error('❌ Database not available');
-            return false;
+            return null;
+        }
+
+        try {
+            let result;
+            if (source === 'user') {
+                result = await query(`
+                    SELECT *, 'user' as source FROM user_foods 
+                    WHERE id = ? AND user_id = ? AND (is_deleted IS NULL OR is_deleted = 0)
+                `, [id, userId]);
+            } else {
+                result = await query(`
+                    SELECT *, 'global' as source FROM foods 
+                    WHERE id = ?
+                `, [id]);
+            }
+
+            return result.rows.length > 0 ? this.formatFood(result.rows[0]) : null;
+        } catch (error) {
+            console.error('❌ Database error getting food:', error.message);
+            return null;
+        }
+    }
+
+    // Get the food the user currently sees for a source and ID. A global food the
+    // user has edited is replaced by their copy; one they have hidden returns null.
+    async getCurrentFood(source, id, userId) {
+        const food = await this.getFoodById(source, id, userId);
+        if (!food || food.source === 'user') {
+            return food;
+        }
+
+        try {
+            // Copies made before global_food_id existed can only be matched by name
+            const result = await query(`
+                SELECT *, 'user' as source FROM user_foods 
+                WHERE user_id = ? AND (global_food_id = ? OR (global_food_id IS NULL AND item = ?))
+                ORDER BY id DESC
+                LIMIT 1
+            `, [userId, food.id, food.item]);
+
+            if (result.rows.length === 0) {
+                return food;
+            }
+            // A hidden global food is gone for this user
+            return result.rows[0].is_deleted ? null : this.formatFood(result.rows[0]);
+        } catch (error) {
+            console.error('❌ Database error getting current food:', error.message);
+            return null;
+        }
+    }
+
+    // Update food by source and ID (Copy-on-Write approach for global foods).
+    // Returns the user's version of the food, or null if it doesn't exist.
+    async updateFoodById(source, id, foodData, userId) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
         }
 
         if (!userId) {
             console.error('❌ User ID required for updating food');
-            return false;
+            return null;
         }
 
         try {
-            // Get all foods for this user to find the target food
-            const allFoods = await this.getAllFoods(userId);
-            if (index < 0 || index >= allFoods.length) {
-                console.error('Invalid index for update:', index);
-                return false;
+            const targetFood = await this.getFoodById(source, id, userId);
+            if (!targetFood) {
+                return null;
             }
 
-            const targetFood = allFoods[index];
+            // Micronutrients are optional in updates; leaving them out keeps the food's current ones
+            const micronutrients = foodData.micronutrients === undefined
+                ? targetFood.micronutrients
+                : cleanMicronutrients(foodData.micronutrients);
 
             if (targetFood.source === 'user') {
                 // Update existing user food
                 await query(`
                     UPDATE user_foods 
-                    SET item = ?, amount = ?, calories = ?, carbs = ?, protein = ?, protein_general = ?, fat = ?, updated_at = CURRENT_TIMESTAMP
+                    SET item = ?, amount = ?, calories = ?, carbs = ?, protein = ?, protein_general = ?, fat = ?, ${MICRONUTRIENT_ASSIGNMENTS}, updated_at = CURRENT_TIMESTAMP
                     WHERE id = ? AND user_id = ?
                 `, [
                     foodData.item,
@@ -201,37 +266,41 @@ class FoodService {
                     foodData.protein,
                     foodData.proteinGeneral,
                     foodData.fat,
+                    ...micronutrientValues(micronutrients),
                     targetFood.id,
                     userId
                 ]);
                 console.log('✅ User food updated:', foodData.item);
-            } else {
-                // Copy-on-Write: Create user-specific version of global food
-                await query(`
-                    INSERT INTO user_foods (user_id, item, amount, calories, carbs, protein, protein_general, fat, is_custom)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0)
-                `, [
-                    userId,
-                    foodData.item,
-                    foodData.amount,
-                    foodData.calories,
-                    foodData.carbs,
-                    foodData.protein,
-                    foodData.proteinGeneral,
-                    foodData.fat
-                ]);
-                console.log('✅ Global food copied and modified for user:', foodData.item, 'User:', userId);
+                return this.getFoodById('user', targetFood.id, userId);
             }
 
-            return true;
+            // Copy-on-Write: Create user-specific version of global food
+            const result = await query(`
+                INSERT INTO user_foods (user_id, item, amount, calories, carbs, protein, protein_general, fat, is_custom, global_food_id, ${MICRONUTRIENT_COLUMN_LIST})
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, ?, ${MICRONUTRIENT_PLACEHOLDERS})
+            `, [
+                userId,
+                foodData.item,
+                foodData.amount,
+                foodData.calories,
+                foodData.carbs,
+                foodData.protein,
+                foodData.proteinGeneral,
+                foodData.fat,
+                targetFood.id,
+                ...micronutrientValues(micronutrients)
+            ]);
+            console.log('✅ Global food copied and modified for user:', foodData.item, 'User:', userId);
+            return this.getFoodById('user', result.lastInsertRowid, userId);
         } catch (error) {
             console.error('❌ Database update error:', error.message);
-            return false;
+            return null;
         }
     }
 
-    // Delete food by index (soft delete for global foods, hard delete for user foods)
-    async deleteFood(index, userId) {
+    // Delete food by source and ID (soft delete for global foods, hard delete for user foods).
+    // Returns false if the food doesn't exist.
+    async deleteFoodById(source, id, userId) {
         if (!isDatabaseAvailable()) {
             console.error('❌ Database not available');
             return false;
@@ -243,15 +312,11 @@ class FoodService {
         }
 
         try {
-            // Get all foods for this user to find the target food
-            const allFoods = await this.getAllFoods(userId);
-            if (index < 0 || index >= allFoods.length) {
-                console.error('Invalid index for delete:', index);
+            const targetFood = await this.getFoodById(source, id, userId);
+            if (!targetFood) {
                 return false;
             }
 
-            const targetFood = allFoods[index];
-
             if (targetFood.source === 'user') {
                 // Hard delete: Remove user's custom food completely
                 await query(`
@@ -262,8 +327,8 @@ class FoodService {
             } else {
                 // Soft delete: Mark global food as deleted for this user
                 await query(`
-                    INSERT INTO user_foods (user_id, item, amount, calories, carbs, protein, protein_general, fat, is_custom, is_deleted)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, 1)
+                    INSERT INTO user_foods (user_id, item, amount, calories, carbs, protein, protein_general, fat, is_custom, is_deleted, global_food_id)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, 1, ?)
                 `, [
                     userId,
                     targetFood.item,
@@ -272,7 +337,8 @@ class FoodService {
                     targetFood.carbs,
                     targetFood.protein,
                     targetFood.proteinGeneral,
-                    targetFood.fat
+                    targetFood.fat,
+                    targetFood.id
                 ]);
                 console.log('✅ Global food hidden for user:', targetFood.item, 'User:', userId);
             }
@@ -284,6 +350,94 @@ class FoodService {
         }
     }
 
+    // Get the IDs of the user's own foods by lowercased name, to find duplicates before an import
+    async getUserFoodIdsByName(userId) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const result = await query(`
+                SELECT id, item FROM user_foods 
+                WHERE user_id = ? AND (is_deleted IS NULL OR is_deleted = 0)
+                ORDER BY id
+            `, [userId]);
+
+            const ids = new Map();
+            result.rows.forEach(row => {
+                const name = row.item.trim().toLowerCase();
+                if (!ids.has(name)) {
+                    ids.set(name, row.id);
+                }
+            });
+            return ids;
+        } catch (error) {
+            console.error('❌ Database error getting user foods:', error.message);
+            return null;
+        }
+    }
+
+    // Add or update many of the user's foods at once. Foods with an existingId
+    // replace that user food; the others are added. All or nothing.
+    async importFoods(foods, userId) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const counts = await transaction(async (tx) => {
+                let added = 0;
+                let updated = 0;
+                for (const food of foods) {
+                    const values = [
+                        food.item,
+                        food.amount,
+                        food.calories,
+                        food.carbs,
+                        food.protein,
+                        food.proteinGeneral,
+                        food.fat,
+                        ...micronutrientValues(cleanMicronutrients(food.micronutrients))
+                    ];
+
+                    if (food.existingId) {
+                        await tx(`
+                            UPDATE user_foods 
+                            SET item = ?, amount = ?, calories = ?, carbs = ?, protein = ?, protein_general = ?, fat = ?, ${MICRONUTRIENT_ASSIGNMENTS}, updated_at = CURRENT_TIMESTAMP
+                            WHERE id = ? AND user_id = ?
+                        `, [...values, food.existingId, userId]);
+                        updated++;
+                    } else {
+                        await tx(`
+                            INSERT INTO user_foods (user_id, item, amount, calories, carbs, protein, protein_general, fat, ${MICRONUTRIENT_COLUMN_LIST}, is_custom)
+                            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ${MICRONUTRIENT_PLACEHOLDERS}, 1)
+                        `, [userId, ...values]);
+                        added++;
+                    }
+                }
+                return { added, updated };
+            });
+
+            console.log(`✅ Imported foods for user ${userId}: ${counts.added} added, ${counts.updated} updated`);
+            return counts;
+        } catch (error) {
+            console.error('❌ Database error importing foods:', error.message);
+            return null;
+        }
+    }
+
+    // Resolve a position in getAllFoods() to a food
+    // @deprecated Only used by the index-based /api/foods/:index routes
+    async getFoodByIndex(index, userId) {
+        const allFoods = await this.getAllFoods(userId);
+        if (index < 0 || index >= allFoods.length) {
+            return null;
+        }
+        return allFoods[index];
+    }
+
     // Get current storage method
     getStorageMethod() {
         return isDatabaseAvailable() ? 'SQLite Database' : 'No Storage Available';
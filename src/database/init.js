@@ -1,6 +1,11 @@
 const { query, isDatabaseAvailable, dbPath } = require('./connection');
+const { WEEKDAYS, getWeekDateKeys } = require('../utils/dayKeys');
+const { MICRONUTRIENT_COLUMNS } = require('../utils/nutrients');
 require('dotenv').config();
 
+// Optional micronutrient columns shared by foods, user_foods and meal_items
+const MICRONUTRIENT_COLUMN_DEFS = MICRONUTRIENT_COLUMNS.map(column => `${column} REAL`).join(',\n                ');
+
 // Migration function for user_foods table
 async function migrateUserFoodsTable() {
     try {
@@ -21,6 +26,75 @@ async function migrateUserFoodsTable() {
     }
 }
 
+// Migration function for the food link columns (meal_items source food, user_foods origin)
+async function migrateMealItemsFoodLink() {
+    try {
+        // Check if food_id / food_source columns exist in meal_items table
+        const tableInfo = await query(`PRAGMA table_info(meal_items)`);
+        const hasFoodId = tableInfo.rows.some(col => col.name === 'food_id');
+
+        // Check if user_foods records the global food a copy was made from
+        const userFoodsInfo = await query(`PRAGMA table_info(user_foods)`);
+        const hasGlobalFoodId = userFoodsInfo.rows.some(col => col.name === 'global_food_id');
+
+        if (!hasFoodId) {
+            await query(`ALTER TABLE meal_items ADD COLUMN food_id INTEGER`);
+            await query(`ALTER TABLE meal_items ADD COLUMN food_source TEXT`);
+            console.log('✅ Added food_id and food_source columns to meal_items table');
+        }
+        if (!hasGlobalFoodId) {
+            await query(`ALTER TABLE user_foods ADD COLUMN global_food_id INTEGER`);
+            console.log('✅ Added global_food_id column to user_foods table');
+        }
+        return (!hasFoodId || !hasGlobalFoodId) ? 'Added food link columns to meal_items and user_foods' : null;
+    } catch (error) {
+        console.log('ℹ️  Meal items food link migration skipped:', error.message);
+        return null;
+    }
+}
+
+// Migration function for the micronutrient columns (foods, user_foods, meal_items)
+async function migrateMicronutrientColumns() {
+    try {
+        const added = [];
+        for (const table of ['foods', 'user_foods', 'meal_items']) {
+            const tableInfo = await query(`PRAGMA table_info(${table})`);
+            const existing = tableInfo.rows.map(col => col.name);
+            const missing = MICRONUTRIENT_COLUMNS.filter(column => !existing.includes(column));
+
+            for (const column of missing) {
+                await query(`ALTER TABLE ${table} ADD COLUMN ${column} REAL`);
+            }
+            if (missing.length > 0) {
+                console.log(`✅ Added ${missing.length} micronutrient columns to ${table} table`);
+                added.push(table);
+            }
+        }
+        return added.length > 0 ? `Added micronutrient columns to ${added.join(', ')}` : null;
+    } catch (error) {
+        console.log('ℹ️  Micronutrient columns migration skipped:', error.message);
+        return null;
+    }
+}
+
+// Add the exercise calories setting to user_settings
+async function migrateExerciseCaloriesSetting() {
+    try {
+        const tableInfo = await query(`PRAGMA table_info(user_settings)`);
+        const hasColumn = tableInfo.rows.some(col => col.name === 'add_exercise_calories');
+
+        if (!hasColumn) {
+            await query(`ALTER TABLE user_settings ADD COLUMN add_exercise_calories INTEGER DEFAULT 0`);
+            console.log('✅ Added add_exercise_calories column to user_settings table');
+            return 'Added add_exercise_calories column to user_settings';
+        }
+        return null;
+    } catch (error) {
+        console.log('ℹ️  Exercise calories setting migration skipped:', error.message);
+        return null;
+    }
+}
+
 // Test database connection
 async function testConnection() {
     try {
@@ -58,6 +132,7 @@ async function initializeDatabase() {
                 protein REAL,
                 protein_general REAL,
                 fat REAL,
+                ${MICRONUTRIENT_COLUMN_DEFS},
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP
             )
         `);
@@ -76,6 +151,8 @@ async function initializeDatabase() {
                 fat REAL,
                 is_custom BOOLEAN DEFAULT 1,
                 is_deleted BOOLEAN DEFAULT 0,
+                global_food_id INTEGER,
+                ${MICRONUTRIENT_COLUMN_DEFS},
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
@@ -93,7 +170,7 @@ async function initializeDatabase() {
             )
         `);
 
-        // Create user_meals table (user-specific meals)
+        // Create user_meals table (legacy meal storage, kept for the meal tables migration)
         await query(`
             CREATE TABLE IF NOT EXISTS user_meals (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -113,6 +190,42 @@ async function initializeDatabase() {
             )
         `);
 
+        // Create meals table (one row per user, day and meal slot)
+        await query(`
+            CREATE TABLE IF NOT EXISTS meals (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id TEXT NOT NULL,
+                day TEXT NOT NULL,
+                slot_id INTEGER NOT NULL,
+                meal_time TEXT NOT NULL,
+                name TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id),
+                UNIQUE(user_id, day, slot_id)
+            )
+        `);
+
+        // Create meal_items table (food entries belonging to a meal)
+        await query(`
+            CREATE TABLE IF NOT EXISTS meal_items (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                meal_id INTEGER NOT NULL,
+                food_item TEXT NOT NULL,
+                amount REAL,
+                calories REAL,
+                carbs REAL,
+                protein REAL,
+                protein_general REAL,
+                fat REAL,
+                food_id INTEGER,
+                food_source TEXT,
+                ${MICRONUTRIENT_COLUMN_DEFS},
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (meal_id) REFERENCES meals (id) ON DELETE CASCADE
+            )
+        `);
+
         // Create user_settings table (user-specific settings)
         await query(`
             CREATE TABLE IF NOT EXISTS user_settings (
@@ -127,6 +240,7 @@ async function initializeDatabase() {
                 bmr REAL DEFAULT 0,
                 unit_system TEXT DEFAULT 'metric',
                 weight_unit TEXT DEFAULT 'kg',
+                add_exercise_calories INTEGER DEFAULT 0,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                 FOREIGN KEY (user_id) REFERENCES users (id)
@@ -218,6 +332,16 @@ async function initializeDatabase() {
             ON user_meals(user_id, day)
         `);
 
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_meals_user_day 
+            ON meals(user_id, day)
+        `);
+
+        await query(`
+            CREATE INDEX IF NOT EXISTS idx_meal_items_meal 
+            ON meal_items(meal_id)
+        `);
+
         await query(`
             CREATE INDEX IF NOT EXISTS idx_user_weight_user_date 
             ON user_weight(user_id, date)
@@ -293,11 +417,50 @@ async function initializeDatabase() {
             }
         }
 
+        // Copy weekday-keyed meals into the current calendar week so the diary
+        // keeps its history; the weekday rows stay behind as the reusable template
+        const dateBasedMealsMigrationName = 'date_based_meals';
+        if (!(await isMigrationCompleted(dateBasedMealsMigrationName))) {
+            const copiedRows = await migrateWeekdayMealsToDates(dateBasedMealsMigrationName);
+            if (copiedRows > 0) {
+                migrationsPerformed.push(`${copiedRows} weekday meal rows copied into dated week`);
+            }
+        }
+
+        // Move meals out of user_meals (where meal times were stored as fake
+        // __MEAL_TIME_PLACEHOLDER__ food rows) into the meals / meal_items tables.
+        // user_meals is left untouched as a backup and is no longer written to.
+        const normalizeMealsMigrationName = 'normalize_meal_tables';
+        if (!(await isMigrationCompleted(normalizeMealsMigrationName))) {
+            const movedItems = await migrateUserMealsToMealTables(normalizeMealsMigrationName);
+            if (movedItems > 0) {
+                migrationsPerformed.push(`${movedItems} meal items moved into meal_items`);
+            }
+        }
+
         // Run user foods migration
         const userFoodsMigration = await migrateUserFoodsTable();
         if (userFoodsMigration) {
             migrationsPerformed.push(userFoodsMigration);
         }
+
+        // Run meal items food link migration
+        const mealItemsFoodLinkMigration = await migrateMealItemsFoodLink();
+        if (mealItemsFoodLinkMigration) {
+            migrationsPerformed.push(mealItemsFoodLinkMigration);
+        }
+
+        // Run micronutrient columns migration
+        const micronutrientMigration = await migrateMicronutrientColumns();
+        if (micronutrientMigration) {
+            migrationsPerformed.push(micronutrientMigration);
+        }
+
+        // Run exercise calories setting migration
+        const exerciseSettingMigration = await migrateExerciseCaloriesSetting();
+        if (exerciseSettingMigration) {
+            migrationsPerformed.push(exerciseSettingMigration);
+        }
         
         console.log('✅ SQLite database schema initialized successfully');
         
@@ -438,6 +601,94 @@ async function migrateExistingMealData() {
     }
 }
 
+// Copy weekday template meals and macros into the dates of the current week.
+// The copy and the completion marker are one transaction, so a failure part
+// way through leaves nothing behind to be copied twice on the next start.
+async function migrateWeekdayMealsToDates(migrationName) {
+    try {
+        const { transaction } = require('./connection');
+        const weekDates = getWeekDateKeys();
+
+        const copiedRows = await transaction(async (tx) => {
+            let copied = 0;
+            for (const weekday of WEEKDAYS) {
+                const dateKey = weekDates[weekday];
+
+                const mealResult = await tx(`
+                    INSERT INTO user_meals (user_id, day, meal_time, meal_id, food_item, amount, calories, carbs, protein, protein_general, fat, created_at)
+                    SELECT user_id, ?, meal_time, meal_id, food_item, amount, calories, carbs, protein, protein_general, fat, created_at
+                    FROM user_meals
+                    WHERE day = ?
+                `, [dateKey, weekday]);
+                copied += mealResult.changes || 0;
+
+                await tx(`
+                    INSERT OR IGNORE INTO user_daily_macros (user_id, day, protein_level, fat_level, calorie_adjustment, created_at, updated_at)
+                    SELECT user_id, ?, protein_level, fat_level, calorie_adjustment, created_at, updated_at
+                    FROM user_daily_macros
+                    WHERE day = ?
+                `, [dateKey, weekday]);
+            }
+
+            await tx('INSERT INTO migrations (migration_name) VALUES (?)', [migrationName]);
+            return copied;
+        });
+
+        if (copiedRows > 0) {
+            console.log(`✅ Copied ${copiedRows} weekday meal rows into the week of ${weekDates.sunday}`);
+        }
+        return copiedRows;
+    } catch (error) {
+        console.error('❌ Date-based meals migration failed:', error.message);
+        return null;
+    }
+}
+
+// Convert user_meals rows into meals (one per user/day/meal_id) and meal_items,
+// in one transaction with the completion marker so a failed run doesn't leave
+// items that would be inserted again on the next start
+async function migrateUserMealsToMealTables(migrationName) {
+    try {
+        const { transaction } = require('./connection');
+
+        const { mealResult, itemResult } = await transaction(async (tx) => {
+            // A meal's time comes from its placeholder row when there is one,
+            // otherwise from its food items (they were kept in sync)
+            const mealResult = await tx(`
+                INSERT OR IGNORE INTO meals (user_id, day, slot_id, meal_time)
+                SELECT user_id, day, meal_id,
+                       COALESCE(
+                           MAX(CASE WHEN food_item LIKE '__MEAL_TIME_PLACEHOLDER__MEAL_%' THEN meal_time END),
+                           MAX(meal_time)
+                       )
+                FROM user_meals
+                WHERE meal_id IS NOT NULL
+                GROUP BY user_id, day, meal_id
+            `);
+
+            const itemResult = await tx(`
+                INSERT INTO meal_items (meal_id, food_item, amount, calories, carbs, protein, protein_general, fat, created_at)
+                SELECT m.id, um.food_item, um.amount, um.calories, um.carbs, um.protein, um.protein_general, um.fat, um.created_at
+                FROM user_meals um
+                JOIN meals m ON m.user_id = um.user_id AND m.day = um.day AND m.slot_id = um.meal_id
+                WHERE um.food_item NOT LIKE '__MEAL_TIME_PLACEHOLDER__%'
+                ORDER BY um.id
+            `);
+
+            await tx('INSERT INTO migrations (migration_name) VALUES (?)', [migrationName]);
+            return { mealResult, itemResult };
+        });
+
+        if (mealResult.changes > 0 || itemResult.changes > 0) {
+            console.log(`✅ Created ${mealResult.changes} meals with ${itemResult.changes} items from user_meals`);
+        }
+        return itemResult.changes;
+    } catch (error) {
+        console.error('❌ Meal tables migration failed:', error.message);
+        return null;
+    }
+}
+
 module.exports = {
     testConnection,
     initializeDatabase
@@ -1,6 +1,31 @@
-const { query, isDatabaseAvailable } = require('./connection');
+const { query, transaction, isDatabaseAvailable } = require('./connection');
 const settingsService = require('./settingsService');
 const dailyMacroService = require('./dailyMacroService');
+const mealSlotService = require('./mealSlotService');
+const foodService = require('./foodService');
+const recipeService = require('./recipeService');
+const { getDateKeysBetween } = require('../utils/dayKeys');
+const {
+    MICRONUTRIENT_COLUMNS,
+    MICRONUTRIENT_COLUMN_LIST,
+    MICRONUTRIENT_PLACEHOLDERS,
+    MICRONUTRIENT_ASSIGNMENTS,
+    readMicronutrients,
+    cleanMicronutrients,
+    micronutrientValues,
+    scaleMicronutrients
+} = require('../utils/nutrients');
+
+// Macro fields compared when checking a diary item against its source food
+const LINKED_MACROS = [
+    { field: 'calories', column: 'calories', foodField: 'calories' },
+    { field: 'carbs', column: 'carbs', foodField: 'carbs' },
+    { field: 'protein', column: 'protein', foodField: 'protein' },
+    { field: 'fat', column: 'fat', foodField: 'fat' },
+    { field: 'proteinG', column: 'protein_general', foodField: 'proteinGeneral' }
+];
+// Differences up to this size are rounding from the diary's 0.1 precision
+const CHANGE_TOLERANCE = 0.5;
 
 class MealService {
     constructor() {
@@ -17,6 +42,30 @@ class MealService {
         }
     }
 
+    // Convert a meal_items row to the API format
+    formatItem(row) {
+        return {
+            id: row.id,
+            name: row.food_item,
+            amount: row.amount,
+            calories: row.calories,
+            carbs: row.carbs,
+            protein: row.protein,
+            proteinG: row.protein_general, // Use protein_general only, no fallback
+            fat: row.fat,
+            // Calculate base values from current values (for backward compatibility)
+            baseAmount: row.amount,
+            baseCalories: row.calories,
+            baseCarbs: row.carbs,
+            baseProtein: row.protein,
+            baseFat: row.fat,
+            baseProteinG: row.protein_general,
+            foodId: row.food_id || null,
+            foodSource: row.food_source || null,
+            micronutrients: readMicronutrients(row)
+        };
+    }
+
     // Get meals for a specific day and user
     async getUserDayMeals(userId, dayName) {
         if (!isDatabaseAvailable()) {
@@ -25,78 +74,20 @@ class MealService {
         }
 
         try {
-            const result = await query(`
-                SELECT * FROM user_meals 
+            const mealResult = await query(`
+                SELECT * FROM meals
                 WHERE user_id = ? AND day = ?
-                ORDER BY meal_time, id
             `, [userId, dayName.toLowerCase()]);
 
-            // Group meals by meal_time with correct ID mapping
-            const defaultTimes = ["08:00", "11:00", "14:00", "17:00", "20:00", "23:00"];
-            const mealsByTime = {};
-
-            // Group by meal_id instead of meal_time for better organization
-            const mealsById = {};
-
-            result.rows.forEach(row => {
-                const mealId = row.meal_id;
-
-                // Skip rows without meal_id (old data)
-                if (!mealId) return;
-
-                if (!mealsById[mealId]) {
-                    mealsById[mealId] = {
-                        id: mealId,
-                        time: null,
-                        items: []
-                    };
-                }
-
-                // Check if this is a placeholder
-                if (row.food_item.startsWith('__MEAL_TIME_PLACEHOLDER__MEAL_')) {
-                    mealsById[mealId].time = row.meal_time;
-                } else if (row.food_item !== '__MEAL_TIME_PLACEHOLDER__') {
-                    // Add real food items
-                    mealsById[mealId].time = row.meal_time; // Use the time from the food item
-                    mealsById[mealId].items.push({
-                        id: row.id,
-                        name: row.food_item,
-                        amount: row.amount,
-                        calories: row.calories,
-                        carbs: row.carbs,
-                        protein: row.protein,
-                        proteinG: row.protein_general, // Use protein_general only, no fallback
-                        fat: row.fat,
-                        // Calculate base values from current values (for backward compatibility)
-                        baseAmount: row.amount,
-                        baseCalories: row.calories,
-                        baseCarbs: row.carbs,
-                        baseProtein: row.protein,
-                        baseFat: row.fat,
-                        baseProteinG: row.protein_general
-                    });
-                }
-            });
-
-            // Convert to array format expected by frontend
-            const fallbackTimes = ["08:00", "11:00", "14:00", "17:00", "20:00", "23:00"];
-            const finalMeals = [];
-
-            // Build final meals array using meal_id
-            for (let i = 1; i <= 6; i++) {
-                if (mealsById[i]) {
-                    finalMeals.push(mealsById[i]);
-                } else {
-                    // Fill with default meal for missing positions
-                    finalMeals.push({
-                        id: i,
-                        time: fallbackTimes[i - 1],
-                        items: []
-                    });
-                }
-            }
+            const itemResult = await query(`
+                SELECT mi.*, m.slot_id FROM meal_items mi
+                JOIN meals m ON m.id = mi.meal_id
+                WHERE m.user_id = ? AND m.day = ?
+                ORDER BY mi.id
+            `, [userId, dayName.toLowerCase()]);
 
-            const resultMeals = finalMeals;
+            const slots = await mealSlotService.getUserSlots(userId, true);
+            const resultMeals = this.buildDayMeals(slots, mealResult.rows, itemResult.rows);
 
             // Get daily macro settings for this specific day
             let macroSettings = { proteinLevel: null, fatLevel: null, calorieAdjustment: 0 };
@@ -116,127 +107,219 @@ class MealService {
         }
     }
 
-    // Add item to a meal
-    async addMealItem(userId, dayName, mealTime, itemData, mealId = null) {
+    /**
+     * Get meals for every date in a range with one query per table, for reports over
+     * long ranges. Days with nothing logged get the user's empty meals.
+     * @param {string} userId - User ID
+     * @param {string} from - First date (YYYY-MM-DD)
+     * @param {string} to - Last date (YYYY-MM-DD)
+     * @returns {Promise<Map>} - Map of date to the same day data as getUserDayMeals
+     */
+    async getUserMealsBetween(userId, from, to) {
+        const dateKeys = getDateKeysBetween(from, to);
+
         if (!isDatabaseAvailable()) {
             console.error('❌ Database not available');
-            return null;
+            const defaults = await this.getDefaultDayMeals();
+            return new Map(dateKeys.map(date => [date, defaults]));
         }
 
         try {
-            // Find the meal_id for this meal time
+            // Weekday templates share the day column, but their names sort after any date
             const mealResult = await query(`
-                SELECT meal_id FROM user_meals 
-                WHERE user_id = ? AND day = ? AND meal_time = ? AND food_item LIKE '__MEAL_TIME_PLACEHOLDER__MEAL_%'
-                LIMIT 1
-            `, [userId, dayName.toLowerCase(), mealTime]);
-
-            // Use provided mealId if available, otherwise try to find it
-            if (!mealId) {
-                if (mealResult.rows.length > 0) {
-                    mealId = mealResult.rows[0].meal_id;
-                } else {
-                    // If no placeholder found, try to determine meal_id from time proximity
-                    const defaultTimes = ["08:00", "11:00", "14:00", "17:00", "20:00", "23:00"];
-                    let closestMealId = 1;
-                    let minDifference = Infinity;
-
-                    for (let i = 0; i < defaultTimes.length; i++) {
-                        const defaultTime = defaultTimes[i];
-                        const timeDiff = Math.abs(
-                            (parseInt(mealTime.split(':')[0]) * 60 + parseInt(mealTime.split(':')[1])) -
-                            (parseInt(defaultTime.split(':')[0]) * 60 + parseInt(defaultTime.split(':')[1]))
-                        );
-
-                        if (timeDiff < minDifference) {
-                            minDifference = timeDiff;
-                            closestMealId = i + 1;
-                        }
+                SELECT * FROM meals
+                WHERE user_id = ? AND day BETWEEN ? AND ?
+            `, [userId, from, to]);
+
+            const itemResult = await query(`
+                SELECT mi.*, m.day, m.slot_id FROM meal_items mi
+                JOIN meals m ON m.id = mi.meal_id
+                WHERE m.user_id = ? AND m.day BETWEEN ? AND ?
+                ORDER BY mi.id
+            `, [userId, from, to]);
+
+            const slots = await mealSlotService.getUserSlots(userId, true);
+            const macrosByDay = await dailyMacroService.getDailyMacrosBetween(userId, from, to);
+
+            const groupByDay = (rows) => {
+                const byDay = new Map();
+                rows.forEach(row => {
+                    if (!byDay.has(row.day)) {
+                        byDay.set(row.day, []);
                     }
-                    mealId = closestMealId;
-                }
-            }
+                    byDay.get(row.day).push(row);
+                });
+                return byDay;
+            };
+            const mealsByDay = groupByDay(mealResult.rows);
+            const itemsByDay = groupByDay(itemResult.rows);
 
-            // Remove placeholder for this meal
-            await query(`
-                DELETE FROM user_meals 
-                WHERE user_id = ? AND day = ? AND meal_time = ? AND food_item LIKE '__MEAL_TIME_PLACEHOLDER__MEAL_%'
-            `, [userId, dayName.toLowerCase(), mealTime]);
+            return new Map(dateKeys.map(date => [date, {
+                ...(macrosByDay.get(date) || dailyMacroService.getDefaultMacros()),
+                meals: this.buildDayMeals(slots, mealsByDay.get(date) || [], itemsByDay.get(date) || [])
+            }]));
+        } catch (error) {
+            console.error('❌ Database error getting meals for date range:', error.message);
+            const defaults = await this.getDefaultDayMeals();
+            return new Map(dateKeys.map(date => [date, defaults]));
+        }
+    }
 
-            // Ensure amount is properly set - use amount or baseAmount, whichever is available
-            const finalAmount = itemData.amount || itemData.baseAmount || 0;
+    // Build a day's meals array from its meals and meal_items rows, grouped by
+    // slot_id (the user's meal slot number) and in the slots' display order.
+    // Removed slots are still shown on days that logged food in them.
+    buildDayMeals(slots, mealRows, itemRows) {
+        const mealsBySlot = {};
+        mealRows.forEach(row => {
+            mealsBySlot[row.slot_id] = { time: row.meal_time, name: row.name, items: [] };
+        });
+        itemRows.forEach(row => {
+            mealsBySlot[row.slot_id].items.push(this.formatItem(row));
+        });
+
+        return slots
+            .filter(slot => !slot.isDeleted || (mealsBySlot[slot.id] && mealsBySlot[slot.id].items.length > 0))
+            .map(slot => {
+                const meal = mealsBySlot[slot.id];
+                return {
+                    id: slot.id,
+                    name: (meal && meal.name) || slot.name,
+                    position: slot.position,
+                    time: (meal && meal.time) || slot.defaultTime,
+                    items: meal ? meal.items : []
+                };
+            });
+    }
 
-            // Add the actual food item with meal_id
-            const result = await query(`
-                INSERT INTO user_meals (user_id, day, meal_time, meal_id, food_item, amount, calories, carbs, protein, protein_general, fat)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `, [
-                userId,
-                dayName.toLowerCase(),
-                mealTime,
-                mealId,
-                itemData.name,
-                finalAmount,
-                itemData.calories || 0,
-                itemData.carbs || 0,
-                itemData.protein || 0,
-                itemData.proteinG || 0,
-                itemData.fat || 0
-            ]);
+    // Get the meals row for a day and slot, creating it when the meal is first used.
+    // tx is the query function to run with (query, or a transaction's).
+    async getOrCreateMeal(tx, userId, dayName, mealId, mealTime) {
+        await tx(`
+            INSERT OR IGNORE INTO meals (user_id, day, slot_id, meal_time)
+            VALUES (?, ?, ?, ?)
+        `, [userId, dayName.toLowerCase(), mealId, mealTime]);
 
-            const newId = result.lastInsertRowid || Date.now();
+        const result = await tx(`
+            SELECT id FROM meals
+            WHERE user_id = ? AND day = ? AND slot_id = ?
+        `, [userId, dayName.toLowerCase(), mealId]);
+
+        return result.rows.length > 0 ? result.rows[0].id : null;
+    }
+
+    // Insert an item into a meals row with the given query function. Returns the added item.
+    async insertMealItem(tx, mealRowId, itemData) {
+        // Ensure amount is properly set - use amount or baseAmount, whichever is available
+        const finalAmount = itemData.amount || itemData.baseAmount || 0;
+
+        // Micronutrients are for the logged amount, like the macros
+        const micronutrients = cleanMicronutrients(itemData.micronutrients);
+
+        const result = await tx(`
+            INSERT INTO meal_items (meal_id, food_item, amount, calories, carbs, protein, protein_general, fat, food_id, food_source, ${MICRONUTRIENT_COLUMN_LIST})
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${MICRONUTRIENT_PLACEHOLDERS})
+        `, [
+            mealRowId,
+            itemData.name,
+            finalAmount,
+            itemData.calories || 0,
+            itemData.carbs || 0,
+            itemData.protein || 0,
+            itemData.proteinG || 0,
+            itemData.fat || 0,
+            itemData.foodId || null,
+            itemData.foodSource || null,
+            ...micronutrientValues(micronutrients)
+        ]);
+
+        return { id: result.lastInsertRowid, ...itemData, amount: finalAmount, micronutrients };
+    }
+
+    // Add item to a meal (mealTime is only used when the meal doesn't exist yet)
+    async addMealItem(userId, dayName, mealId, itemData, mealTime) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const mealRowId = await this.getOrCreateMeal(query, userId, dayName, mealId, mealTime);
+            if (!mealRowId) {
+                return null;
+            }
+
+            const added = await this.insertMealItem(query, mealRowId, itemData);
 
             console.log('✅ Meal item added to database:', {
                 name: itemData.name,
-                amount: finalAmount,
-                originalAmount: itemData.amount,
-                baseAmount: itemData.baseAmount,
-                newId: newId,
-                lastInsertRowid: result.lastInsertRowid
+                amount: added.amount,
+                mealId: mealId,
+                newId: added.id
             });
 
-            return { id: newId, ...itemData, amount: finalAmount };
+            return added;
         } catch (error) {
             console.error('❌ Database error adding meal item:', error.message);
             return null;
         }
     }
 
-    // Update meal item
-    async updateMealItem(userId, dayName, mealTime, itemId, itemData) {
+    // Add several items to a meal in one transaction, so either all of them are
+    // added or none is. With replace, the meal's current items are removed first.
+    // Returns the added items, or null on failure.
+    async addMealItems(userId, dayName, mealId, items, mealTime, replace = false) {
         if (!isDatabaseAvailable()) {
             console.error('❌ Database not available');
             return null;
         }
 
         try {
-            // First, let's check if the record exists
-            const existingRecord = await query(`
-                SELECT * FROM user_meals WHERE id = ? AND user_id = ? AND day = ?
-            `, [itemId, userId, dayName.toLowerCase()]);
+            const added = await transaction(async (tx) => {
+                if (replace) {
+                    await tx(`
+                        DELETE FROM meal_items
+                        WHERE meal_id IN (SELECT id FROM meals WHERE user_id = ? AND day = ? AND slot_id = ?)
+                    `, [userId, dayName.toLowerCase(), mealId]);
+                }
 
-            console.log('🔍 Looking for record with ID:', itemId, 'User:', userId, 'Day:', dayName.toLowerCase());
-            console.log('🔍 Found records:', existingRecord.rows.length);
+                const mealRowId = await this.getOrCreateMeal(tx, userId, dayName, mealId, mealTime);
+                if (!mealRowId) {
+                    throw new Error('Meal could not be created');
+                }
 
-            if (existingRecord.rows.length === 0) {
-                console.log('❌ No record found with the given criteria');
-                // Let's try to find records for this user and day
-                const allRecords = await query(`
-                    SELECT id, food_item, amount FROM user_meals WHERE user_id = ? AND day = ?
-                `, [userId, dayName.toLowerCase()]);
-                console.log('🔍 All records for this user/day:', allRecords.rows);
-                return null;
-            }
+                const addedItems = [];
+                for (const item of items) {
+                    addedItems.push(await this.insertMealItem(tx, mealRowId, item));
+                }
+                return addedItems;
+            });
+
+            console.log(`✅ Added ${added.length} items to meal ${mealId} for ${dayName}${replace ? ' (replaced)' : ''}`);
+            return added;
+        } catch (error) {
+            console.error('❌ Database error adding meal items:', error.message);
+            return null;
+        }
+    }
 
-            console.log('🔍 Existing record before update:', existingRecord.rows[0]);
+    // Update meal item
+    async updateMealItem(userId, dayName, itemId, itemData) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
 
+        try {
             // Ensure amount is properly set - use amount or baseAmount, whichever is available
             const finalAmount = itemData.amount || itemData.baseAmount || 0;
 
+            // Clients that don't send micronutrients leave the stored ones alone
+            const micronutrients = itemData.micronutrients === undefined ? null : cleanMicronutrients(itemData.micronutrients);
+
             const result = await query(`
-                UPDATE user_meals 
-                SET food_item = ?, amount = ?, calories = ?, carbs = ?, protein = ?, protein_general = ?, fat = ?, meal_time = ?
-                WHERE id = ? AND user_id = ? AND day = ?
+                UPDATE meal_items
+                SET food_item = ?, amount = ?, calories = ?, carbs = ?, protein = ?, protein_general = ?, fat = ?, food_id = ?, food_source = ?${micronutrients ? `, ${MICRONUTRIENT_ASSIGNMENTS}` : ''}
+                WHERE id = ? AND meal_id IN (SELECT id FROM meals WHERE user_id = ? AND day = ?)
             `, [
                 itemData.name,
                 finalAmount,
@@ -245,36 +328,28 @@ class MealService {
                 itemData.protein || 0,
                 itemData.proteinG || 0,
                 itemData.fat || 0,
-                mealTime,
+                itemData.foodId || null,
+                itemData.foodSource || null,
+                ...(micronutrients ? micronutrientValues(micronutrients) : []),
                 itemId,
                 userId,
                 dayName.toLowerCase()
             ]);
 
+            if (result.changes === 0) {
+                console.log('❌ No meal item found with ID:', itemId, 'Day:', dayName.toLowerCase());
+                return null;
+            }
+
             console.log('✅ Meal item updated in database:', {
                 name: itemData.name,
                 amount: finalAmount,
-                originalAmount: itemData.amount,
-                baseAmount: itemData.baseAmount,
-                itemId: itemId,
-                rowsAffected: result.changes,
-                userId: userId,
-                day: dayName.toLowerCase(),
-                mealTime: mealTime
+                itemId: itemId
             });
 
-            // Verify the update by querying the record
-            const verifyResult = await query(`
-                SELECT amount FROM user_meals WHERE id = ? AND user_id = ?
-            `, [itemId, userId]);
-
-            if (verifyResult.rows.length > 0) {
-                console.log('🔍 Verification - Amount in DB after update:', verifyResult.rows[0].amount);
-            } else {
-                console.log('⚠️ Verification failed - Record not found after update');
-            }
-
-            return { id: itemId, ...itemData, amount: finalAmount };
+            return micronutrients
+                ? { id: itemId, ...itemData, amount: finalAmount, micronutrients }
+                : { id: itemId, ...itemData, amount: finalAmount };
         } catch (error) {
             console.error('❌ Database error updating meal item:', error.message);
             return null;
@@ -282,44 +357,21 @@ class MealService {
     }
 
     // Delete meal item
-    async deleteMealItem(userId, dayName, mealTime, itemId) {
+    async deleteMealItem(userId, dayName, itemId) {
         if (!isDatabaseAvailable()) {
             console.error('❌ Database not available');
             return false;
         }
 
         try {
-            // Delete the meal item
-            await query(`
-                DELETE FROM user_meals 
-                WHERE id = ? AND user_id = ? AND day = ? AND meal_time = ?
-            `, [itemId, userId, dayName.toLowerCase(), mealTime]);
-
-            // Check if this was the last real food item for this meal time
-            const remainingItems = await query(`
-                SELECT COUNT(*) as count FROM user_meals 
-                WHERE user_id = ? AND day = ? AND meal_time = ? AND (
-                    food_item != '__MEAL_TIME_PLACEHOLDER__' AND 
-                    food_item NOT LIKE '__MEAL_TIME_PLACEHOLDER__MEAL_%'
-                )
-            `, [userId, dayName.toLowerCase(), mealTime]);
-
-            // If no real food items remain and this is a custom time (not default), preserve it with a placeholder
-            if (remainingItems.rows[0].count === 0) {
-                const defaultTimes = ["08:00", "11:00", "14:00", "17:00", "20:00", "23:00"];
-                if (!defaultTimes.includes(mealTime)) {
-                    await query(`
-                        INSERT INTO user_meals (user_id, day, meal_time, food_item, amount, calories, carbs, protein, protein_general, fat)
-                        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-                    `, [
-                        userId,
-                        dayName.toLowerCase(),
-                        mealTime,
-                        '__MEAL_TIME_PLACEHOLDER__',
-                        0, 0, 0, 0, 0, 0
-                    ]);
-                    console.log('✅ Custom meal time preserved with placeholder:', mealTime);
-                }
+            const result = await query(`
+                DELETE FROM meal_items
+                WHERE id = ? AND meal_id IN (SELECT id FROM meals WHERE user_id = ? AND day = ?)
+            `, [itemId, userId, dayName.toLowerCase()]);
+
+            if (result.changes === 0) {
+                console.log('❌ No meal item found with ID:', itemId, 'Day:', dayName.toLowerCase());
+                return false;
             }
 
             console.log('✅ Meal item deleted from database, ID:', itemId);
@@ -330,7 +382,7 @@ class MealService {
         }
     }
 
-    // Delete all items from a specific meal
+    // Delete all items from a specific meal (the meal keeps its time)
     async deleteAllMealItems(userId, dayName, mealId) {
         if (!isDatabaseAvailable()) {
             console.error('❌ Database not available');
@@ -338,10 +390,9 @@ class MealService {
         }
 
         try {
-            // Delete all food items for this meal_id (but not placeholders)
-            const result = await query(`
-                DELETE FROM user_meals 
-                WHERE user_id = ? AND day = ? AND meal_id = ? AND food_item NOT LIKE '__MEAL_TIME_PLACEHOLDER__%'
+            await query(`
+                DELETE FROM meal_items
+                WHERE meal_id IN (SELECT id FROM meals WHERE user_id = ? AND day = ? AND slot_id = ?)
             `, [userId, dayName.toLowerCase(), mealId]);
 
             console.log(`✅ Deleted all items from meal ${mealId} for ${dayName}`);
@@ -352,7 +403,7 @@ class MealService {
         }
     }
 
-    // Set meal time for a specific meal ID (creates placeholder if needed)
+    // Set meal time for a specific meal ID (creates the meal if needed)
     async setMealTime(userId, dayName, mealId, newMealTime) {
         if (!isDatabaseAvailable()) {
             console.error('❌ Database not available');
@@ -360,44 +411,13 @@ class MealService {
         }
 
         try {
-            // Update ALL food items that belong to this meal ID to the new time
             await query(`
-                UPDATE user_meals 
-                SET meal_time = ?
-                WHERE user_id = ? AND day = ? AND meal_id = ? AND food_item NOT LIKE '__MEAL_TIME_PLACEHOLDER__%'
-            `, [newMealTime, userId, dayName.toLowerCase(), mealId]);
-
-            console.log(`✅ Updated meal ${mealId} food items to ${newMealTime}`);
-
-            // Check if there are any real food items for this meal ID
-            const foodItemsResult = await query(`
-                SELECT COUNT(*) as count FROM user_meals 
-                WHERE user_id = ? AND day = ? AND meal_id = ? AND food_item NOT LIKE '__MEAL_TIME_PLACEHOLDER__%'
-            `, [userId, dayName.toLowerCase(), mealId]);
-
-            // Delete ALL existing placeholders for this specific meal ID
-            await query(`
-                DELETE FROM user_meals 
-                WHERE user_id = ? AND day = ? AND food_item = '__MEAL_TIME_PLACEHOLDER__MEAL_${mealId}__'
-            `, [userId, dayName.toLowerCase()]);
-
-            // Only create placeholder if there are no real food items for this meal
-            if (foodItemsResult.rows[0].count === 0) {
-                await query(`
-                    INSERT INTO user_meals (user_id, day, meal_time, meal_id, food_item, amount, calories, carbs, protein, protein_general, fat)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-                `, [
-                    userId,
-                    dayName.toLowerCase(),
-                    newMealTime,
-                    mealId,
-                    `__MEAL_TIME_PLACEHOLDER__MEAL_${mealId}__`,  // Include meal ID in placeholder
-                    0, 0, 0, 0, 0, 0
-                ]);
-                console.log(`✅ Created placeholder for meal ${mealId} at ${newMealTime}`);
-            } else {
-                console.log(`ℹ️  No placeholder needed for meal ${mealId} - has ${foodItemsResult.rows[0].count} food items`);
-            }
+                INSERT INTO meals (user_id, day, slot_id, meal_time)
+                VALUES (?, ?, ?, ?)
+                ON CONFLICT(user_id, day, slot_id) DO UPDATE SET
+                    meal_time = excluded.meal_time,
+                    updated_at = CURRENT_TIMESTAMP
+            `, [userId, dayName.toLowerCase(), mealId, newMealTime]);
 
             console.log(`✅ Meal ${mealId} time set to ${newMealTime} for ${dayName}`);
             return true;
@@ -407,99 +427,244 @@ class MealService {
         }
     }
 
-    // Clean up all duplicate placeholders for a specific day
-    async cleanupDayPlaceholders(userId, dayName) {
+    // Count the food items stored for a day
+    async countDayItems(userId, dayName) {
         if (!isDatabaseAvailable()) {
             console.error('❌ Database not available');
-            return false;
+            return 0;
         }
 
         try {
-            // Get all placeholder entries for this day
             const result = await query(`
-                SELECT * FROM user_meals 
-                WHERE user_id = ? AND day = ? AND food_item LIKE '__MEAL_TIME_PLACEHOLDER__MEAL_%'
-                ORDER BY meal_id, id
+                SELECT COUNT(*) as count FROM meal_items mi
+                JOIN meals m ON m.id = mi.meal_id
+                WHERE m.user_id = ? AND m.day = ?
             `, [userId, dayName.toLowerCase()]);
+            return result.rows[0].count;
+        } catch (error) {
+            console.error('❌ Database error counting day items:', error.message);
+            return 0;
+        }
+    }
+
+    // Copy one day's meals, items and macro settings onto another day, using the
+    // transaction's query function. 'overwrite' replaces whatever the target day had;
+    // 'merge' keeps it, adds the copied items after the existing ones and keeps the
+    // target's meal times and macro settings where it has them.
+    async copyDayWithin(tx, userId, fromDay, toDay, mode) {
+        const from = fromDay.toLowerCase();
+        const to = toDay.toLowerCase();
+
+        if (mode === 'overwrite') {
+            await tx(`
+                DELETE FROM meal_items
+                WHERE meal_id IN (SELECT id FROM meals WHERE user_id = ? AND day = ?)
+            `, [userId, to]);
+            await tx(`DELETE FROM meals WHERE user_id = ? AND day = ?`, [userId, to]);
+            await tx(`DELETE FROM user_daily_macros WHERE user_id = ? AND day = ?`, [userId, to]);
+        }
 
-            // Group by meal_id and keep only the latest one
-            const toDelete = [];
-            const seen = new Set();
+        await tx(`
+            INSERT OR IGNORE INTO meals (user_id, day, slot_id, meal_time, name)
+            SELECT user_id, ?, slot_id, meal_time, name
+            FROM meals
+            WHERE user_id = ? AND day = ?
+        `, [to, userId, from]);
+
+        const result = await tx(`
+            INSERT INTO meal_items (meal_id, food_item, amount, calories, carbs, protein, protein_general, fat, food_id, food_source, ${MICRONUTRIENT_COLUMN_LIST})
+            SELECT target.id, mi.food_item, mi.amount, mi.calories, mi.carbs, mi.protein, mi.protein_general, mi.fat, mi.food_id, mi.food_source, ${MICRONUTRIENT_COLUMNS.map(column => `mi.${column}`).join(', ')}
+            FROM meal_items mi
+            JOIN meals source ON source.id = mi.meal_id
+            JOIN meals target ON target.user_id = source.user_id AND target.slot_id = source.slot_id AND target.day = ?
+            WHERE source.user_id = ? AND source.day = ?
+            ORDER BY mi.id
+        `, [to, userId, from]);
+
+        await tx(`
+            INSERT OR IGNORE INTO user_daily_macros (user_id, day, protein_level, fat_level, calorie_adjustment)
+            SELECT user_id, ?, protein_level, fat_level, calorie_adjustment
+            FROM user_daily_macros
+            WHERE user_id = ? AND day = ?
+        `, [to, userId, from]);
+
+        return result.changes;
+    }
 
-            for (const row of result.rows) {
-                const key = `${row.meal_id}`;
-                if (seen.has(key)) {
-                    toDelete.push(row.id);
-                } else {
-                    seen.add(key);
+    // Copy a day onto another day in one transaction ('overwrite' or 'merge').
+    // Returns the number of items copied, or null on failure.
+    async copyDay(userId, fromDay, toDay, mode = 'overwrite') {
+        return this.copyDays(userId, [{ from: fromDay, to: toDay }], mode);
+    }
+
+    // Copy several days (a list of { from, to }) in one transaction, so either every
+    // day is copied or none is. Returns the total number of items copied, or null on failure.
+    async copyDays(userId, pairs, mode = 'overwrite') {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const copied = await transaction(async (tx) => {
+                let total = 0;
+                for (const { from, to } of pairs) {
+                    total += await this.copyDayWithin(tx, userId, from, to, mode);
                 }
+                return total;
+            });
+
+            console.log(`✅ Copied ${copied} meal items (${mode}):`, pairs.map(({ from, to }) => `${from} → ${to}`).join(', '));
+            return copied;
+        } catch (error) {
+            console.error('❌ Database error copying days:', error.message);
+            return null;
+        }
+    }
+
+    // Count items across several days
+    async countItemsOnDays(userId, dayNames) {
+        let total = 0;
+        for (const dayName of dayNames) {
+            total += await this.countDayItems(userId, dayName);
+        }
+        return total;
+    }
+
+    // Get the current version of the food (or recipe) a diary item was logged from
+    async getLinkedFood(source, id, userId) {
+        if (source === 'recipe') {
+            const recipe = await recipeService.getRecipe(userId, id);
+            return recipe ? recipeService.toFood(recipe) : null;
+        }
+        return foodService.getCurrentFood(source, id, userId);
+    }
+
+    // Find linked diary items whose source food has changed since they were logged
+    // (renamed or different macros for the logged amount). dayName limits the search to one day.
+    async getFoodChanges(userId, dayName = null) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const params = [userId];
+            let dayFilter = '';
+            if (dayName) {
+                dayFilter = 'AND m.day = ?';
+                params.push(dayName.toLowerCase());
             }
 
-            if (toDelete.length > 0) {
-                // Delete duplicates
-                await query(`
-                    DELETE FROM user_meals 
-                    WHERE id IN (${toDelete.map(() => '?').join(',')})
-                `, toDelete);
+            const result = await query(`
+                SELECT mi.*, m.day, m.slot_id FROM meal_items mi
+                JOIN meals m ON m.id = mi.meal_id
+                WHERE m.user_id = ? AND mi.food_id IS NOT NULL ${dayFilter}
+                ORDER BY m.day, m.slot_id, mi.id
+            `, params);
+
+            // Look each source food up once
+            const foodCache = new Map();
+            const changes = [];
+
+            for (const row of result.rows) {
+                const foodKey = `${row.food_source}:${row.food_id}`;
+                if (!foodCache.has(foodKey)) {
+                    foodCache.set(foodKey, await this.getLinkedFood(row.food_source, row.food_id, userId));
+                }
+                const food = foodCache.get(foodKey);
 
-                console.log(`🧹 Cleaned up ${toDelete.length} duplicate placeholders for ${dayName}`);
+                // Deleted foods and foods without a usable serving size can't be re-applied
+                const foodAmount = food ? parseFloat(food.amount) : 0;
+                if (!food || !(foodAmount > 0)) {
+                    continue;
+                }
+
+                const ratio = (row.amount || 0) / foodAmount;
+                const updated = { name: food.item };
+                let changed = row.food_item !== food.item;
+
+                LINKED_MACROS.forEach(({ field, column, foodField }) => {
+                    updated[field] = Math.round((food[foodField] || 0) * ratio * 10) / 10;
+                    if (Math.abs(updated[field] - (row[column] || 0)) > CHANGE_TOLERANCE) {
+                        changed = true;
+                    }
+                });
+
+                // Micronutrients follow along when the item is updated, but on their own
+                // they don't count as a change worth asking about
+                updated.micronutrients = scaleMicronutrients(food.micronutrients, ratio);
+
+                if (changed) {
+                    const current = this.formatItem(row);
+                    changes.push({
+                        itemId: row.id,
+                        day: row.day,
+                        mealId: row.slot_id,
+                        amount: row.amount,
+                        food: { id: food.id, source: food.source },
+                        current: {
+                            name: current.name,
+                            calories: current.calories,
+                            carbs: current.carbs,
+                            protein: current.protein,
+                            fat: current.fat,
+                            proteinG: current.proteinG
+                        },
+                        updated
+                    });
+                }
             }
 
-            return true;
+            return changes;
         } catch (error) {
-            console.error('❌ Cleanup failed:', error.message);
-            return false;
+            console.error('❌ Database error checking food changes:', error.message);
+            return null;
         }
     }
 
-    // Update meal time
-    async updateMealTime(userId, dayName, oldMealTime, newMealTime) {
-        if (!isDatabaseAvailable()) {
-            console.error('❌ Database not available');
-            return false;
+    // Re-apply current food values to changed diary items (all of them, or only itemIds)
+    async applyFoodChanges(userId, itemIds = null, dayName = null) {
+        const changes = await this.getFoodChanges(userId, dayName);
+        if (changes === null) {
+            return null;
         }
 
         try {
-            // Check if there are any existing entries for this meal time
-            const existingEntries = await query(`
-                SELECT COUNT(*) as count FROM user_meals 
-                WHERE user_id = ? AND day = ? AND meal_time = ?
-            `, [userId, dayName.toLowerCase(), oldMealTime]);
-
-            if (existingEntries.rows[0].count > 0) {
-                // Update existing entries
-                await query(`
-                    UPDATE user_meals 
-                    SET meal_time = ?
-                    WHERE user_id = ? AND day = ? AND meal_time = ?
-                `, [newMealTime, userId, dayName.toLowerCase(), oldMealTime]);
-                console.log('✅ Meal time updated in database:', `${oldMealTime} -> ${newMealTime}`);
-            } else {
-                // No existing entries, create a placeholder entry to preserve the meal time
+            const selected = itemIds
+                ? changes.filter(change => itemIds.includes(change.itemId))
+                : changes;
+
+            for (const change of selected) {
+                // Relink too, in case the item now resolves to the user's edited copy
                 await query(`
-                    INSERT INTO user_meals (user_id, day, meal_time, food_item, amount, calories, carbs, protein, protein_general, fat)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    UPDATE meal_items
+                    SET food_item = ?, calories = ?, carbs = ?, protein = ?, protein_general = ?, fat = ?, food_id = ?, food_source = ?, ${MICRONUTRIENT_ASSIGNMENTS}
+                    WHERE id = ?
                 `, [
-                    userId,
-                    dayName.toLowerCase(),
-                    newMealTime,
-                    '__MEAL_TIME_PLACEHOLDER__', // Special placeholder name
-                    0, 0, 0, 0, 0, 0
+                    change.updated.name,
+                    change.updated.calories,
+                    change.updated.carbs,
+                    change.updated.protein,
+                    change.updated.proteinG,
+                    change.updated.fat,
+                    change.food.id,
+                    change.food.source,
+                    ...micronutrientValues(change.updated.micronutrients),
+                    change.itemId
                 ]);
-                console.log('✅ Meal time placeholder created in database:', `${oldMealTime} -> ${newMealTime}`);
             }
 
-            return true;
+            console.log(`✅ Re-applied food values to ${selected.length} diary items for user:`, userId);
+            return selected.length;
         } catch (error) {
-            console.error('❌ Database error updating meal time:', error.message);
-            return false;
+            console.error('❌ Database error applying food changes:', error.message);
+            return null;
         }
     }
 
     // Get default day meals structure
     async getDefaultDayMeals(userId = null) {
-        const defaultTimes = ["08:00", "11:00", "14:00", "17:00", "20:00", "23:00"];
-
         // Get macro settings from daily macro service if userId provided
         let macroSettings = { proteinLevel: null, fatLevel: null, calorieAdjustment: 0 };
         if (userId) {
@@ -514,9 +679,11 @@ class MealService {
 
         return {
             ...macroSettings,
-            meals: defaultTimes.map((time, index) => ({
-                id: index + 1,
-                time: time,
+            meals: mealSlotService.getDefaultSlots().map(slot => ({
+                id: slot.id,
+                name: slot.name,
+                position: slot.position,
+                time: slot.defaultTime,
                 items: []
             }))
         };
@@ -528,4 +695,4 @@ class MealService {
     }
 }
 
-module.exports = new MealService();
\ No newline at end of file
+module.exports = new MealService();
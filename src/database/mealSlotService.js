@@ -0,0 +1,230 @@
+const { query, isDatabaseAvailable } = require('./connection');
+
+// Slots every user starts with (matches the original fixed six-meal diary)
+const DEFAULT_SLOT_TIMES = ["08:00", "11:00", "14:00", "17:00", "20:00", "23:00"];
+const MAX_SLOTS = 12;
+
+class MealSlotService {
+    constructor() {
+        this.maxSlots = MAX_SLOTS;
+        // Wait a moment for database to initialize, then check status
+        setTimeout(() => this.checkDatabaseStatus(), 300);
+    }
+
+    // Check database status on startup
+    async checkDatabaseStatus() {
+        if (isDatabaseAvailable()) {
+            console.log('🕒 Meal slot service using SQLite database');
+        } else {
+            console.log('🚫 Meal slot database not available');
+        }
+    }
+
+    // Convert a database row to the API format
+    formatSlot(row) {
+        return {
+            id: row.slot_number,
+            name: row.name || `Meal ${row.slot_number}`,
+            customName: !!row.name,
+            defaultTime: row.default_time,
+            position: row.position,
+            isDeleted: !!row.is_deleted
+        };
+    }
+
+    // Get a user's meal slots in display order, creating the defaults on first use
+    async getUserSlots(userId, includeDeleted = false) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return this.getDefaultSlots();
+        }
+
+        try {
+            let result = await query(`
+                SELECT * FROM user_meal_slots
+                WHERE user_id = ?
+                ORDER BY is_deleted, position, slot_number
+            `, [userId]);
+
+            if (result.rows.length === 0) {
+                await this.createDefaultSlots(userId);
+                result = await query(`
+                    SELECT * FROM user_meal_slots
+                    WHERE user_id = ?
+                    ORDER BY is_deleted, position, slot_number
+                `, [userId]);
+            }
+
+            return result.rows
+                .filter(row => includeDeleted || !row.is_deleted)
+                .map(row => this.formatSlot(row));
+        } catch (error) {
+            console.error('❌ Database error getting meal slots:', error.message);
+            return this.getDefaultSlots();
+        }
+    }
+
+    // Get a single slot by its stable slot number (deleted slots included)
+    async getSlot(userId, slotNumber) {
+        const slots = await this.getUserSlots(userId, true);
+        return slots.find(slot => slot.id === parseInt(slotNumber)) || null;
+    }
+
+    // Insert the six default slots for a user
+    async createDefaultSlots(userId) {
+        for (let i = 0; i < DEFAULT_SLOT_TIMES.length; i++) {
+            await query(`
+                INSERT OR IGNORE INTO user_meal_slots (user_id, slot_number, name, default_time, position)
+                VALUES (?, ?, NULL, ?, ?)
+            `, [userId, i + 1, DEFAULT_SLOT_TIMES[i], i + 1]);
+        }
+        console.log('✅ Default meal slots created for user:', userId);
+    }
+
+    // Add a new slot at the end of the day
+    async addSlot(userId, slotData = {}) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const activeSlots = await this.getUserSlots(userId);
+
+            // Slot numbers are never reused so that stored meal items keep pointing at the right slot
+            const maxResult = await query(`
+                SELECT COALESCE(MAX(slot_number), 0) as max_slot
+                FROM user_meal_slots
+                WHERE user_id = ?
+            `, [userId]);
+            const slotNumber = maxResult.rows[0].max_slot + 1;
+            const position = activeSlots.length + 1;
+
+            const lastSlot = activeSlots[activeSlots.length - 1];
+            const defaultTime = slotData.defaultTime || this.nextTimeAfter(lastSlot ? lastSlot.defaultTime : null);
+
+            await query(`
+                INSERT INTO user_meal_slots (user_id, slot_number, name, default_time, position)
+                VALUES (?, ?, ?, ?, ?)
+            `, [userId, slotNumber, slotData.name || null, defaultTime, position]);
+
+            console.log(`✅ Meal slot ${slotNumber} added for user:`, userId);
+            return this.getSlot(userId, slotNumber);
+        } catch (error) {
+            console.error('❌ Database error adding meal slot:', error.message);
+            return null;
+        }
+    }
+
+    // Rename a slot or change its default time
+    async updateSlot(userId, slotNumber, slotData) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const existing = await this.getSlot(userId, slotNumber);
+            if (!existing || existing.isDeleted) {
+                return null;
+            }
+
+            const name = slotData.name !== undefined ? (slotData.name || null) : (existing.customName ? existing.name : null);
+            const defaultTime = slotData.defaultTime || existing.defaultTime;
+
+            await query(`
+                UPDATE user_meal_slots
+                SET name = ?, default_time = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE user_id = ? AND slot_number = ?
+            `, [name, defaultTime, userId, parseInt(slotNumber)]);
+
+            console.log(`✅ Meal slot ${slotNumber} updated for user:`, userId);
+            return this.getSlot(userId, slotNumber);
+        } catch (error) {
+            console.error('❌ Database error updating meal slot:', error.message);
+            return null;
+        }
+    }
+
+    // Remove a slot (soft delete so days that already used it keep their items)
+    async deleteSlot(userId, slotNumber) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return false;
+        }
+
+        try {
+            const activeSlots = await this.getUserSlots(userId);
+
+            await query(`
+                UPDATE user_meal_slots
+                SET is_deleted = 1, updated_at = CURRENT_TIMESTAMP
+                WHERE user_id = ? AND slot_number = ?
+            `, [userId, parseInt(slotNumber)]);
+
+            // Close the gap in the ordering
+            const remaining = activeSlots.filter(slot => slot.id !== parseInt(slotNumber)).map(slot => slot.id);
+            await this.reorderSlots(userId, remaining);
+
+            console.log(`✅ Meal slot ${slotNumber} removed for user:`, userId);
+            return true;
+        } catch (error) {
+            console.error('❌ Database error deleting meal slot:', error.message);
+            return false;
+        }
+    }
+
+    // Set the display order from a list of active slot numbers
+    async reorderSlots(userId, slotNumbers) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return false;
+        }
+
+        try {
+            const requestedIds = slotNumbers.map(id => parseInt(id));
+
+            for (let i = 0; i < requestedIds.length; i++) {
+                await query(`
+                    UPDATE user_meal_slots
+                    SET position = ?, updated_at = CURRENT_TIMESTAMP
+                    WHERE user_id = ? AND slot_number = ?
+                `, [i + 1, userId, requestedIds[i]]);
+            }
+
+            return true;
+        } catch (error) {
+            console.error('❌ Database error reordering meal slots:', error.message);
+            return false;
+        }
+    }
+
+    // Suggest a default time three hours after the previous slot
+    nextTimeAfter(time) {
+        if (!time || !/^\d{1,2}:\d{2}$/.test(time)) {
+            return DEFAULT_SLOT_TIMES[0];
+        }
+        const [hours, minutes] = time.split(':').map(Number);
+        const nextHours = (hours + 3) % 24;
+        return `${String(nextHours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+
+    // Default slots used when the database is unavailable
+    getDefaultSlots() {
+        return DEFAULT_SLOT_TIMES.map((time, index) => ({
+            id: index + 1,
+            name: `Meal ${index + 1}`,
+            customName: false,
+            defaultTime: time,
+            position: index + 1,
+            isDeleted: false
+        }));
+    }
+
+    // Get current storage method
+    getStorageMethod() {
+        return isDatabaseAvailable() ? 'SQLite Database' : 'No Storage Available';
+    }
+}
+
+module.exports = new MealSlotService();
@@ -15,19 +15,30 @@ class MeasurementsService {
         }
     }
 
-    // Get all measurement entries for a user
-    async getUserMeasurementEntries(userId) {
+    // Get a user's measurement entries, optionally only from and/or to a date (YYYY-MM-DD)
+    async getUserMeasurementEntries(userId, from = null, to = null) {
         if (!isDatabaseAvailable()) {
             console.error('❌ Database not available');
             return { entries: [] };
         }
 
         try {
+            const params = [userId];
+            let dateFilter = '';
+            if (from) {
+                dateFilter += ' AND date >= ?';
+                params.push(from);
+            }
+            if (to) {
+                dateFilter += ' AND date <= ?';
+                params.push(to);
+            }
+
             const result = await query(`
                 SELECT * FROM user_measurements 
-                WHERE user_id = ? 
+                WHERE user_id = ?${dateFilter}
                 ORDER BY date DESC, measurement_type ASC
-            `, [userId]);
+            `, params);
 
             return {
                 entries: result.rows.map(row => ({
@@ -1,4 +1,9 @@
-const { query, isDatabaseAvailable } = require('./connection');
+const { query, transaction, isDatabaseAvailable } = require('./connection');
+const { MICRONUTRIENT_COLUMNS } = require('../utils/nutrients');
+
+// ALTER TABLE statements adding or dropping the micronutrient columns of a table
+const addMicronutrientColumns = (table) => MICRONUTRIENT_COLUMNS.map(column => `ALTER TABLE ${table} ADD COLUMN ${column} REAL;`);
+const dropMicronutrientColumns = (table) => MICRONUTRIENT_COLUMNS.map(column => `ALTER TABLE ${table} DROP COLUMN ${column};`);
 
 class DatabaseMigrations {
     constructor() {
@@ -37,6 +42,284 @@ class DatabaseMigrations {
                     );
                 `,
                 down: `DROP TABLE IF EXISTS migration_history;`
+            },
+            {
+                version: 3,
+                name: 'create_meal_slots_table',
+                description: 'Create per-user meal slots table',
+                up: [`
+                    CREATE TABLE IF NOT EXISTS user_meal_slots (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        user_id TEXT NOT NULL,
+                        slot_number INTEGER NOT NULL,
+                        name TEXT,
+                        default_time TEXT,
+                        position INTEGER NOT NULL,
+                        is_deleted BOOLEAN DEFAULT 0,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+                        UNIQUE(user_id, slot_number)
+                    );
+                `, `
+                    CREATE INDEX IF NOT EXISTS idx_user_meal_slots_user_position
+                    ON user_meal_slots(user_id, position);
+                `],
+                down: `DROP TABLE IF EXISTS user_meal_slots;`
+            },
+            {
+                version: 4,
+                name: 'create_recipes_tables',
+                description: 'Create recipes and recipe ingredients tables',
+                up: [`
+                    CREATE TABLE IF NOT EXISTS recipes (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        user_id TEXT NOT NULL,
+                        name TEXT NOT NULL,
+                        servings INTEGER NOT NULL DEFAULT 1,
+                        total_yield REAL,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+                    );
+                `, `
+                    CREATE TABLE IF NOT EXISTS recipe_ingredients (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        recipe_id INTEGER NOT NULL,
+                        food_id INTEGER NOT NULL,
+                        food_source TEXT NOT NULL,
+                        food_item TEXT NOT NULL,
+                        amount REAL NOT NULL,
+                        calories REAL,
+                        carbs REAL,
+                        protein REAL,
+                        protein_general REAL,
+                        fat REAL,
+                        position INTEGER NOT NULL,
+                        FOREIGN KEY (recipe_id) REFERENCES recipes (id) ON DELETE CASCADE
+                    );
+                `, `
+                    CREATE INDEX IF NOT EXISTS idx_recipes_user ON recipes(user_id);
+                `, `
+                    CREATE INDEX IF NOT EXISTS idx_recipe_ingredients_recipe ON recipe_ingredients(recipe_id);
+                `],
+                down: [`DROP TABLE IF EXISTS recipe_ingredients;`, `DROP TABLE IF EXISTS recipes;`]
+            },
+            {
+                version: 5,
+                name: 'create_saved_meals_tables',
+                description: 'Create saved meals and saved meal items tables',
+                up: [`
+                    CREATE TABLE IF NOT EXISTS saved_meals (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        user_id TEXT NOT NULL,
+                        name TEXT NOT NULL,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+                    );
+                `, `
+                    CREATE TABLE IF NOT EXISTS saved_meal_items (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        saved_meal_id INTEGER NOT NULL,
+                        food_item TEXT NOT NULL,
+                        amount REAL,
+                        calories REAL,
+                        carbs REAL,
+                        protein REAL,
+                        protein_general REAL,
+                        fat REAL,
+                        food_id INTEGER,
+                        food_source TEXT,
+                        position INTEGER NOT NULL,
+                        FOREIGN KEY (saved_meal_id) REFERENCES saved_meals (id) ON DELETE CASCADE
+                    );
+                `, `
+                    CREATE INDEX IF NOT EXISTS idx_saved_meals_user ON saved_meals(user_id);
+                `, `
+                    CREATE INDEX IF NOT EXISTS idx_saved_meal_items_meal ON saved_meal_items(saved_meal_id);
+                `],
+                down: [`DROP TABLE IF EXISTS saved_meal_items;`, `DROP TABLE IF EXISTS saved_meals;`]
+            },
+            {
+                version: 6,
+                name: 'add_micronutrient_columns',
+                description: 'Add micronutrient columns to recipe ingredients and saved meal items',
+                up: [...addMicronutrientColumns('recipe_ingredients'), ...addMicronutrientColumns('saved_meal_items')],
+                down: [...dropMicronutrientColumns('recipe_ingredients'), ...dropMicronutrientColumns('saved_meal_items')]
+            },
+            {
+                version: 7,
+                name: 'create_water_table',
+                description: 'Create water and beverage intake table',
+                up: [`
+                    CREATE TABLE IF NOT EXISTS user_water (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        user_id TEXT NOT NULL,
+                        date TEXT NOT NULL,
+                        amount REAL NOT NULL,
+                        beverage TEXT NOT NULL DEFAULT 'water',
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+                    );
+                `, `
+                    CREATE INDEX IF NOT EXISTS idx_user_water_user_date ON user_water(user_id, date);
+                `],
+                down: `DROP TABLE IF EXISTS user_water;`
+            },
+            {
+                version: 8,
+                name: 'create_exercise_table',
+                description: 'Create exercise log table',
+                up: [`
+                    CREATE TABLE IF NOT EXISTS user_exercise (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        user_id TEXT NOT NULL,
+                        date TEXT NOT NULL,
+                        activity TEXT NOT NULL,
+                        intensity TEXT NOT NULL,
+                        duration REAL NOT NULL,
+                        met REAL,
+                        calories REAL NOT NULL,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+                    );
+                `, `
+                    CREATE INDEX IF NOT EXISTS idx_user_exercise_user_date ON user_exercise(user_id, date);
+                `],
+                down: `DROP TABLE IF EXISTS user_exercise;`
+            },
+            {
+                version: 9,
+                name: 'create_products_table',
+                description: 'Create packaged products table for barcode lookups',
+                up: `
+                    CREATE TABLE IF NOT EXISTS products (
+                        barcode TEXT PRIMARY KEY,
+                        name TEXT NOT NULL,
+                        brand TEXT,
+                        calories REAL,
+                        carbs REAL,
+                        protein REAL,
+                        fat REAL,
+                        ${MICRONUTRIENT_COLUMNS.map(column => `${column} REAL`).join(',\n                        ')},
+                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                    );
+                `,
+                down: `DROP TABLE IF EXISTS products;`
+            },
+            {
+                version: 10,
+                name: 'add_user_delete_after',
+                description: 'Add scheduled deletion date to users for the account deletion grace period',
+                up: `ALTER TABLE users ADD COLUMN delete_after DATETIME;`,
+                down: `ALTER TABLE users DROP COLUMN delete_after;`
+            },
+            {
+                version: 11,
+                name: 'create_password_reset_tokens_table',
+                description: 'Create single-use password reset tokens table',
+                up: [`
+                    CREATE TABLE IF NOT EXISTS password_reset_tokens (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        user_id TEXT NOT NULL,
+                        token_hash TEXT NOT NULL UNIQUE,
+                        expires_at DATETIME NOT NULL,
+                        used_at DATETIME,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+                    );
+                `, `
+                    CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user ON password_reset_tokens(user_id);
+                `],
+                down: `DROP TABLE IF EXISTS password_reset_tokens;`
+            },
+            {
+                version: 12,
+                name: 'add_user_email_verified_at',
+                description: 'Add email verification date to users; existing accounts count as verified',
+                up: [
+                    `ALTER TABLE users ADD COLUMN email_verified_at DATETIME;`,
+                    `UPDATE users SET email_verified_at = COALESCE(created_at, CURRENT_TIMESTAMP);`
+                ],
+                down: `ALTER TABLE users DROP COLUMN email_verified_at;`
+            },
+            {
+                version: 13,
+                name: 'create_auth_token_tables',
+                description: 'Create refresh tokens and revoked sessions tables',
+                up: [`
+                    CREATE TABLE IF NOT EXISTS refresh_tokens (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        user_id TEXT NOT NULL,
+                        session_id TEXT NOT NULL,
+                        token_hash TEXT NOT NULL UNIQUE,
+                        expires_at DATETIME NOT NULL,
+                        used_at DATETIME,
+                        revoked_at DATETIME,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+                    );
+                `, `
+                    CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
+                `, `
+                    CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens(session_id);
+                `, `
+                    CREATE TABLE IF NOT EXISTS revoked_sessions (
+                        session_id TEXT PRIMARY KEY,
+                        user_id TEXT NOT NULL,
+                        expires_at DATETIME NOT NULL,
+                        revoked_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                    );
+                `],
+                down: [`DROP TABLE IF EXISTS revoked_sessions;`, `DROP TABLE IF EXISTS refresh_tokens;`]
+            },
+            {
+                version: 14,
+                name: 'create_rate_limits_table',
+                description: 'Create rate limit counters table',
+                up: `
+                    CREATE TABLE IF NOT EXISTS rate_limits (
+                        key TEXT PRIMARY KEY,
+                        count INTEGER NOT NULL DEFAULT 0,
+                        reset_at DATETIME NOT NULL
+                    );
+                `,
+                down: `DROP TABLE IF EXISTS rate_limits;`
+            },
+            {
+                version: 15,
+                name: 'create_email_digests_table',
+                description: 'Create weekly email digest preferences table',
+                up: `
+                    CREATE TABLE IF NOT EXISTS email_digests (
+                        id INTEGER PRIMARY KEY AUTOINCREMENT,
+                        user_id TEXT NOT NULL UNIQUE,
+                        enabled INTEGER NOT NULL DEFAULT 0,
+                        send_day INTEGER NOT NULL DEFAULT 1,
+                        send_time TEXT NOT NULL DEFAULT '08:00',
+                        timezone TEXT NOT NULL DEFAULT 'UTC',
+                        last_sent_at DATETIME,
+                        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+                    );
+                `,
+                down: `DROP TABLE IF EXISTS email_digests;`
+            },
+            {
+                version: 16,
+                name: 'add_user_target_weight',
+                description: 'Add target weight to user settings for the weight goal projection',
+                up: `ALTER TABLE user_settings ADD COLUMN target_weight REAL;`,
+                down: `ALTER TABLE user_settings DROP COLUMN target_weight;`
+            },
+            {
+                version: 17,
+                name: 'add_user_calorie_goal_source',
+                description: 'Record whether the calorie goal is calculated from BMR or taken from the adaptive TDEE estimate',
+                up: `ALTER TABLE user_settings ADD COLUMN calorie_goal_source TEXT NOT NULL DEFAULT 'calculated';`,
+                down: `ALTER TABLE user_settings DROP COLUMN calorie_goal_source;`
             }
         ];
     }
@@ -81,14 +364,21 @@ class DatabaseMigrations {
         try {
             console.log(`🔄 Running migration ${migration.version}: ${migration.name}`);
 
-            // Execute the migration
-            await query(migration.up);
+            // Execute the migration (one SQL statement or a list of them) and
+            // record it in one transaction, so a statement failing part way
+            // doesn't leave the earlier ones applied (e.g. a column that makes
+            // the next attempt fail with "duplicate column")
+            const statements = Array.isArray(migration.up) ? migration.up : [migration.up];
+            await transaction(async (tx) => {
+                for (const statement of statements) {
+                    await tx(statement);
+                }
 
-            // Record the migration
-            await query(`
-                INSERT INTO migration_history (version, name, description)
-                VALUES (?, ?, ?)
-            `, [migration.version, migration.name, migration.description]);
+                await tx(`
+                    INSERT INTO migration_history (version, name, description)
+                    VALUES (?, ?, ?)
+                `, [migration.version, migration.name, migration.description]);
+            });
 
             console.log(`✅ Migration ${migration.version} completed successfully`);
             return true;
@@ -150,14 +440,18 @@ class DatabaseMigrations {
             for (const migration of migrationsToRollback) {
                 console.log(`🔄 Rolling back migration ${migration.version}: ${migration.name}`);
 
-                // Execute rollback
-                await query(migration.down);
+                // Execute rollback and remove it from history in one transaction
+                const statements = Array.isArray(migration.down) ? migration.down : [migration.down];
+                await transaction(async (tx) => {
+                    for (const statement of statements) {
+                        await tx(statement);
+                    }
 
-                // Remove from history
-                await query(`
-                    DELETE FROM migration_history 
-                    WHERE version = ?
-                `, [migration.version]);
+                    await tx(`
+                        DELETE FROM migration_history 
+                        WHERE version = ?
+                    `, [migration.version]);
+                });
 
                 console.log(`✅ Migration ${migration.version} rolled back successfully`);
             }
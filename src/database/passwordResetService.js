@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const { query, transaction, isDatabaseAvailable } = require('./connection');
+
+// Minutes a password reset link stays valid
+const RESET_TOKEN_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES ?? '60', 10);
+
+// Only a hash of each token is stored, so the table can't be used to reset passwords
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+class PasswordResetService {
+    constructor() {
+        this.tokenMinutes = RESET_TOKEN_MINUTES;
+        // Wait a moment for database to initialize, then check status
+        setTimeout(() => this.checkDatabaseStatus(), 300);
+    }
+
+    // Check database status on startup
+    async checkDatabaseStatus() {
+        if (isDatabaseAvailable()) {
+            console.log('🔑 Password reset service using SQLite database');
+        } else {
+            console.log('🚫 Password reset database not available');
+        }
+    }
+
+    // Issue a new reset token for a user. Earlier unused tokens stop working,
+    // so only the latest email's link can be used.
+    // Returns { token, expiresAt }, or null on error.
+    async createToken(userId) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const token = crypto.randomBytes(32).toString('hex');
+            const expiresAt = new Date(Date.now() + this.tokenMinutes * 60 * 1000).toISOString();
+
+            await transaction(async (tx) => {
+                await tx('DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL', [userId]);
+                await tx(`
+                    INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+                    VALUES (?, ?, ?)
+                `, [userId, hashToken(token), expiresAt]);
+            });
+
+            console.log('✅ Password reset token created for user:', userId);
+            return { token, expiresAt };
+        } catch (error) {
+            console.error('❌ Database error creating password reset token:', error.message);
+            return null;
+        }
+    }
+
+    // Set a new password with a reset token, using the token up.
+    // Returns the user's ID, false if the token is unknown, used or expired, or null on error.
+    async resetPassword(token, hashedPassword) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const userId = await transaction(async (tx) => {
+                const now = new Date().toISOString();
+                const result = await tx(`
+                    SELECT id, user_id FROM password_reset_tokens
+                    WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?
+                `, [hashToken(token), now]);
+                if (result.rows.length === 0) {
+                    return false;
+                }
+
+                const { id, user_id: userId } = result.rows[0];
+                await tx('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, userId]);
+                await tx('UPDATE password_reset_tokens SET used_at = ? WHERE id = ?', [now, id]);
+                await tx('DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL', [userId]);
+                return userId;
+            });
+
+            if (userId) {
+                console.log('✅ Password reset for user:', userId);
+            }
+            return userId;
+        } catch (error) {
+            console.error('❌ Database error resetting password:', error.message);
+            return null;
+        }
+    }
+
+    // Drop a user's unused tokens, e.g. after they change their password
+    async revokeTokens(userId) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return false;
+        }
+
+        try {
+            await query('DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL', [userId]);
+            return true;
+        } catch (error) {
+            console.error('❌ Database error revoking password reset tokens:', error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = new PasswordResetService();
@@ -0,0 +1,117 @@
+const { query, transaction, isDatabaseAvailable } = require('./connection');
+const {
+    MICRONUTRIENT_COLUMN_LIST,
+    MICRONUTRIENT_PLACEHOLDERS,
+    MICRONUTRIENT_COLUMNS,
+    readMicronutrients,
+    micronutrientValues
+} = require('../utils/nutrients');
+
+// Products are packaged foods loaded from a product database dump, with values per 100 g
+const PRODUCT_AMOUNT = 100;
+
+class ProductService {
+    constructor() {
+        // Wait a moment for database to initialize, then check status
+        setTimeout(() => this.checkDatabaseStatus(), 300);
+    }
+
+    // Check database status on startup
+    async checkDatabaseStatus() {
+        if (isDatabaseAvailable()) {
+            console.log('🏷️  Product service using SQLite database');
+        } else {
+            console.log('🚫 Product database not available');
+        }
+    }
+
+    // Convert a products row to the foods API format, so it can be used like any food
+    formatProduct(row) {
+        return {
+            id: null,
+            barcode: row.barcode,
+            item: row.brand ? `${row.name} (${row.brand})` : row.name,
+            brand: row.brand,
+            amount: PRODUCT_AMOUNT,
+            calories: row.calories,
+            carbs: row.carbs,
+            protein: row.protein,
+            proteinGeneral: null,
+            fat: row.fat,
+            micronutrients: readMicronutrients(row),
+            source: 'product',
+            isCustom: false
+        };
+    }
+
+    // Find a product by its normalized barcode
+    async getByBarcode(barcode) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const result = await query(`SELECT * FROM products WHERE barcode = ?`, [barcode]);
+            return result.rows.length > 0 ? this.formatProduct(result.rows[0]) : null;
+        } catch (error) {
+            console.error('❌ Database error getting product:', error.message);
+            return null;
+        }
+    }
+
+    // Insert or replace a batch of products in one transaction. Returns the number saved, or null on error.
+    async saveProducts(products) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const updates = MICRONUTRIENT_COLUMNS.map(column => `${column} = excluded.${column}`).join(', ');
+            await transaction(async (tx) => {
+                for (const product of products) {
+                    await tx(`
+                        INSERT INTO products (barcode, name, brand, calories, carbs, protein, fat, ${MICRONUTRIENT_COLUMN_LIST})
+                        VALUES (?, ?, ?, ?, ?, ?, ?, ${MICRONUTRIENT_PLACEHOLDERS})
+                        ON CONFLICT(barcode) DO UPDATE SET
+                            name = excluded.name, brand = excluded.brand, calories = excluded.calories,
+                            carbs = excluded.carbs, protein = excluded.protein, fat = excluded.fat,
+                            ${updates}, updated_at = CURRENT_TIMESTAMP
+                    `, [
+                        product.barcode,
+                        product.name,
+                        product.brand || null,
+                        product.calories,
+                        product.carbs,
+                        product.protein,
+                        product.fat,
+                        ...micronutrientValues(product.micronutrients)
+                    ]);
+                }
+            });
+            return products.length;
+        } catch (error) {
+            console.error('❌ Database error saving products:', error.message);
+            return null;
+        }
+    }
+
+    // Count the products that can be looked up
+    async countProducts() {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return 0;
+        }
+
+        try {
+            const result = await query(`SELECT COUNT(*) AS count FROM products`);
+            return result.rows[0].count;
+        } catch (error) {
+            console.error('❌ Database error counting products:', error.message);
+            return 0;
+        }
+    }
+}
+
+module.exports = new ProductService();
@@ -0,0 +1,96 @@
+const { query, isDatabaseAvailable } = require('./connection');
+
+// How often counters whose window has ended are cleared out
+const PRUNE_INTERVAL = 10 * 60 * 1000; // 10 minutes
+
+// Fixed-window counters for rate limiting, kept in SQLite so they survive
+// restarts. Keys are "<policy>:<identifier>" (see middleware/rateLimit.js).
+class RateLimitService {
+    constructor() {
+        this.lastPrune = 0;
+        // Wait a moment for database to initialize, then check status
+        setTimeout(() => this.checkDatabaseStatus(), 300);
+    }
+
+    // Check database status on startup
+    async checkDatabaseStatus() {
+        if (isDatabaseAvailable()) {
+            console.log('🚦 Rate limit service using SQLite database');
+        } else {
+            console.log('🚫 Rate limit database not available');
+        }
+    }
+
+    // Count one request for a key. A new window starts when the last one has ended.
+    // Returns { count, resetAt }, or null on error.
+    async hit(key, windowMs) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const now = new Date().toISOString();
+            await this.pruneExpired(now);
+            await query(`
+                INSERT INTO rate_limits (key, count, reset_at) VALUES (?, 1, ?)
+                ON CONFLICT(key) DO UPDATE SET
+                    count = CASE WHEN reset_at <= ? THEN 1 ELSE count + 1 END,
+                    reset_at = CASE WHEN reset_at <= ? THEN excluded.reset_at ELSE reset_at END
+            `, [key, new Date(Date.now() + windowMs).toISOString(), now, now]);
+
+            return await this.get(key);
+        } catch (error) {
+            console.error('❌ Database error counting rate limit hit:', error.message);
+            return null;
+        }
+    }
+
+    // Get a key's count in the current window.
+    // Returns { count, resetAt } (count 0 and resetAt null when there is none), or null on error.
+    async get(key) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const result = await query(
+                'SELECT count, reset_at FROM rate_limits WHERE key = ? AND reset_at > ?',
+                [key, new Date().toISOString()]
+            );
+            const row = result.rows[0];
+            return row ? { count: row.count, resetAt: row.reset_at } : { count: 0, resetAt: null };
+        } catch (error) {
+            console.error('❌ Database error reading rate limit:', error.message);
+            return null;
+        }
+    }
+
+    // Forget a key's count, e.g. after a successful login
+    async clear(key) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return false;
+        }
+
+        try {
+            await query('DELETE FROM rate_limits WHERE key = ?', [key]);
+            return true;
+        } catch (error) {
+            console.error('❌ Database error clearing rate limit:', error.message);
+            return false;
+        }
+    }
+
+    // Drop counters whose window has ended, at most once per PRUNE_INTERVAL
+    async pruneExpired(now) {
+        if (Date.now() - this.lastPrune < PRUNE_INTERVAL) {
+            return;
+        }
+        this.lastPrune = Date.now();
+        await query('DELETE FROM rate_limits WHERE reset_at <= ?', [now]);
+    }
+}
+
+module.exports = new RateLimitService();
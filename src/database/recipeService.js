@@ -0,0 +1,310 @@
+const { query, transaction, isDatabaseAvailable } = require('./connection');
+const foodService = require('./foodService');
+const {
+    MICRONUTRIENT_COLUMN_LIST,
+    MICRONUTRIENT_PLACEHOLDERS,
+    readMicronutrients,
+    micronutrientValues,
+    scaleMicronutrients,
+    sumMicronutrients
+} = require('../utils/nutrients');
+
+const MACRO_FIELDS = ['calories', 'carbs', 'protein', 'proteinGeneral', 'fat'];
+
+// Round to the 0.1 precision used across the diary
+const round1 = (value) => Math.round(value * 10) / 10;
+
+class RecipeService {
+    constructor() {
+        // Wait a moment for database to initialize, then check status
+        setTimeout(() => this.checkDatabaseStatus(), 300);
+    }
+
+    // Check database status on startup
+    async checkDatabaseStatus() {
+        if (isDatabaseAvailable()) {
+            console.log('🥘 Recipe service using SQLite database');
+        } else {
+            console.log('🚫 Recipe database not available');
+        }
+    }
+
+    // Convert a recipe row and its ingredient rows to the API format.
+    // Macros are given for the whole recipe, per 100g of the yield and per serving.
+    formatRecipe(row, ingredientRows) {
+        const ingredients = ingredientRows.map(ingredient => ({
+            id: ingredient.id,
+            foodId: ingredient.food_id,
+            foodSource: ingredient.food_source,
+            name: ingredient.food_item,
+            amount: ingredient.amount,
+            calories: ingredient.calories,
+            carbs: ingredient.carbs,
+            protein: ingredient.protein,
+            proteinGeneral: ingredient.protein_general,
+            fat: ingredient.fat,
+            micronutrients: readMicronutrients(ingredient)
+        }));
+
+        // Without a measured yield, the recipe weighs what its ingredients weigh
+        const ingredientWeight = ingredients.reduce((sum, ingredient) => sum + (ingredient.amount || 0), 0);
+        const totalYield = row.total_yield || ingredientWeight;
+
+        const total = {};
+        const per100g = {};
+        const perServing = {};
+        MACRO_FIELDS.forEach(field => {
+            const sum = ingredients.reduce((acc, ingredient) => acc + (ingredient[field] || 0), 0);
+            total[field] = round1(sum);
+            per100g[field] = totalYield > 0 ? round1(sum * 100 / totalYield) : 0;
+            perServing[field] = round1(sum / row.servings);
+        });
+
+        // Micronutrients only cover the ingredients whose foods have them
+        const micronutrients = sumMicronutrients(ingredients.map(ingredient => ingredient.micronutrients));
+        total.micronutrients = micronutrients;
+        per100g.micronutrients = totalYield > 0 ? scaleMicronutrients(micronutrients, 100 / totalYield) : {};
+        perServing.micronutrients = scaleMicronutrients(micronutrients, 1 / row.servings);
+
+        return {
+            id: row.id,
+            name: row.name,
+            servings: row.servings,
+            totalYield: round1(totalYield),
+            servingSize: round1(totalYield / row.servings),
+            yieldIsMeasured: !!row.total_yield,
+            ingredients,
+            total,
+            per100g,
+            perServing
+        };
+    }
+
+    // Present a recipe like a food item (one serving), so it can be searched and logged
+    toFood(recipe) {
+        return {
+            id: recipe.id,
+            item: recipe.name,
+            amount: recipe.servingSize,
+            ...recipe.perServing,
+            source: 'recipe',
+            isCustom: true
+        };
+    }
+
+    // Load ingredient rows for a set of recipe IDs, grouped by recipe
+    async getIngredientRows(recipeIds) {
+        const byRecipe = new Map(recipeIds.map(id => [id, []]));
+        if (recipeIds.length === 0) {
+            return byRecipe;
+        }
+
+        const placeholders = recipeIds.map(() => '?').join(', ');
+        const result = await query(`
+            SELECT * FROM recipe_ingredients
+            WHERE recipe_id IN (${placeholders})
+            ORDER BY recipe_id, position
+        `, recipeIds);
+
+        result.rows.forEach(row => byRecipe.get(row.recipe_id).push(row));
+        return byRecipe;
+    }
+
+    // Get all recipes for a user
+    async getUserRecipes(userId) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return [];
+        }
+
+        try {
+            const result = await query(`
+                SELECT * FROM recipes
+                WHERE user_id = ?
+                ORDER BY name
+            `, [userId]);
+
+            const ingredients = await this.getIngredientRows(result.rows.map(row => row.id));
+            return result.rows.map(row => this.formatRecipe(row, ingredients.get(row.id)));
+        } catch (error) {
+            console.error('❌ Database error getting recipes:', error.message);
+            return [];
+        }
+    }
+
+    // Get a single recipe, or null if it doesn't belong to the user
+    async getRecipe(userId, recipeId) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const result = await query(`
+                SELECT * FROM recipes
+                WHERE id = ? AND user_id = ?
+            `, [recipeId, userId]);
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            const ingredients = await this.getIngredientRows([result.rows[0].id]);
+            return this.formatRecipe(result.rows[0], ingredients.get(result.rows[0].id));
+        } catch (error) {
+            console.error('❌ Database error getting recipe:', error.message);
+            return null;
+        }
+    }
+
+    // Look up each ingredient's food (the user's version of it) and scale its macros
+    // to the ingredient amount. Returns null if any food doesn't exist for this user.
+    async resolveIngredients(userId, ingredients) {
+        const resolved = [];
+        for (const ingredient of ingredients) {
+            const food = await foodService.getCurrentFood(ingredient.foodSource, ingredient.foodId, userId);
+            const foodAmount = food ? parseFloat(food.amount) : 0;
+            if (!food || !(foodAmount > 0)) {
+                return null;
+            }
+
+            const ratio = ingredient.amount / foodAmount;
+            resolved.push({
+                foodId: food.id,
+                foodSource: food.source,
+                name: food.item,
+                amount: ingredient.amount,
+                calories: round1((food.calories || 0) * ratio),
+                carbs: round1((food.carbs || 0) * ratio),
+                protein: round1((food.protein || 0) * ratio),
+                proteinGeneral: round1((food.proteinGeneral || 0) * ratio),
+                fat: round1((food.fat || 0) * ratio),
+                micronutrients: scaleMicronutrients(food.micronutrients, ratio)
+            });
+        }
+        return resolved;
+    }
+
+    // Replace a recipe's ingredient rows, using the transaction's query function
+    async saveIngredients(tx, recipeId, ingredients) {
+        await tx(`DELETE FROM recipe_ingredients WHERE recipe_id = ?`, [recipeId]);
+
+        for (let i = 0; i < ingredients.length; i++) {
+            const ingredient = ingredients[i];
+            await tx(`
+                INSERT INTO recipe_ingredients (recipe_id, food_id, food_source, food_item, amount, calories, carbs, protein, protein_general, fat, position, ${MICRONUTRIENT_COLUMN_LIST})
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${MICRONUTRIENT_PLACEHOLDERS})
+            `, [
+                recipeId,
+                ingredient.foodId,
+                ingredient.foodSource,
+                ingredient.name,
+                ingredient.amount,
+                ingredient.calories,
+                ingredient.carbs,
+                ingredient.protein,
+                ingredient.proteinGeneral,
+                ingredient.fat,
+                i + 1,
+                ...micronutrientValues(ingredient.micronutrients)
+            ]);
+        }
+    }
+
+    // Create a recipe from ingredients returned by resolveIngredients, in one
+    // transaction so a failed ingredient doesn't leave a half-saved recipe
+    async createRecipe(userId, recipeData) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const recipeId = await transaction(async (tx) => {
+                const result = await tx(`
+                    INSERT INTO recipes (user_id, name, servings, total_yield)
+                    VALUES (?, ?, ?, ?)
+                `, [userId, recipeData.name, recipeData.servings, recipeData.totalYield || null]);
+
+                await this.saveIngredients(tx, result.lastInsertRowid, recipeData.ingredients);
+                return result.lastInsertRowid;
+            });
+
+            console.log('✅ Recipe created:', recipeData.name, 'User:', userId);
+            return this.getRecipe(userId, recipeId);
+        } catch (error) {
+            console.error('❌ Database error creating recipe:', error.message);
+            return null;
+        }
+    }
+
+    // Update a recipe, replacing its ingredients in one transaction.
+    // Returns null if it doesn't exist.
+    async updateRecipe(userId, recipeId, recipeData) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const updated = await transaction(async (tx) => {
+                const result = await tx(`
+                    UPDATE recipes
+                    SET name = ?, servings = ?, total_yield = ?, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ? AND user_id = ?
+                `, [recipeData.name, recipeData.servings, recipeData.totalYield || null, recipeId, userId]);
+
+                if (result.changes === 0) {
+                    return false;
+                }
+
+                await this.saveIngredients(tx, recipeId, recipeData.ingredients);
+                return true;
+            });
+
+            if (!updated) {
+                return null;
+            }
+
+            console.log('✅ Recipe updated:', recipeData.name, 'User:', userId);
+            return this.getRecipe(userId, recipeId);
+        } catch (error) {
+            console.error('❌ Database error updating recipe:', error.message);
+            return null;
+        }
+    }
+
+    // Delete a recipe and its ingredients in one transaction. Returns false if it doesn't exist.
+    async deleteRecipe(userId, recipeId) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return false;
+        }
+
+        try {
+            const deleted = await transaction(async (tx) => {
+                const result = await tx(`
+                    DELETE FROM recipes
+                    WHERE id = ? AND user_id = ?
+                `, [recipeId, userId]);
+
+                if (result.changes === 0) {
+                    return false;
+                }
+
+                await tx(`DELETE FROM recipe_ingredients WHERE recipe_id = ?`, [recipeId]);
+                return true;
+            });
+
+            if (deleted) {
+                console.log('✅ Recipe deleted:', recipeId, 'User:', userId);
+            }
+            return deleted;
+        } catch (error) {
+            console.error('❌ Database error deleting recipe:', error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = new RecipeService();
@@ -0,0 +1,267 @@
+const { query, transaction, isDatabaseAvailable } = require('./connection');
+const {
+    MICRONUTRIENT_COLUMN_LIST,
+    MICRONUTRIENT_PLACEHOLDERS,
+    readMicronutrients,
+    micronutrientValues,
+    scaleMicronutrients,
+    sumMicronutrients
+} = require('../utils/nutrients');
+
+const MACRO_FIELDS = ['calories', 'carbs', 'protein', 'proteinG', 'fat'];
+
+// Round to the 0.1 precision used across the diary
+const round1 = (value) => Math.round(value * 10) / 10;
+
+class SavedMealService {
+    constructor() {
+        // Wait a moment for database to initialize, then check status
+        setTimeout(() => this.checkDatabaseStatus(), 300);
+    }
+
+    // Check database status on startup
+    async checkDatabaseStatus() {
+        if (isDatabaseAvailable()) {
+            console.log('📌 Saved meal service using SQLite database');
+        } else {
+            console.log('🚫 Saved meal database not available');
+        }
+    }
+
+    // Convert a saved meal row and its item rows to the API format.
+    // Items use the same fields as diary meal items.
+    formatSavedMeal(row, itemRows) {
+        const items = itemRows.map(item => ({
+            name: item.food_item,
+            amount: item.amount,
+            calories: item.calories,
+            carbs: item.carbs,
+            protein: item.protein,
+            proteinG: item.protein_general,
+            fat: item.fat,
+            foodId: item.food_id || null,
+            foodSource: item.food_source || null,
+            micronutrients: readMicronutrients(item)
+        }));
+
+        const totals = {};
+        MACRO_FIELDS.forEach(field => {
+            totals[field] = round1(items.reduce((sum, item) => sum + (item[field] || 0), 0));
+        });
+        totals.micronutrients = sumMicronutrients(items.map(item => item.micronutrients));
+
+        return {
+            id: row.id,
+            name: row.name,
+            items,
+            totals,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    // Scale item amounts and macros, e.g. 0.5 for half the saved meal
+    scaleItems(items, scale) {
+        return items.map(item => {
+            const scaled = {
+                ...item,
+                amount: round1((item.amount || 0) * scale),
+                micronutrients: scaleMicronutrients(item.micronutrients, scale)
+            };
+            MACRO_FIELDS.forEach(field => {
+                scaled[field] = round1((item[field] || 0) * scale);
+            });
+            return scaled;
+        });
+    }
+
+    // Load item rows for a set of saved meal IDs, grouped by saved meal
+    async getItemRows(savedMealIds) {
+        const byMeal = new Map(savedMealIds.map(id => [id, []]));
+        if (savedMealIds.length === 0) {
+            return byMeal;
+        }
+
+        const placeholders = savedMealIds.map(() => '?').join(', ');
+        const result = await query(`
+            SELECT * FROM saved_meal_items
+            WHERE saved_meal_id IN (${placeholders})
+            ORDER BY saved_meal_id, position
+        `, savedMealIds);
+
+        result.rows.forEach(row => byMeal.get(row.saved_meal_id).push(row));
+        return byMeal;
+    }
+
+    // Get all saved meals for a user
+    async getUserSavedMeals(userId) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return [];
+        }
+
+        try {
+            const result = await query(`
+                SELECT * FROM saved_meals
+                WHERE user_id = ?
+                ORDER BY name
+            `, [userId]);
+
+            const items = await this.getItemRows(result.rows.map(row => row.id));
+            return result.rows.map(row => this.formatSavedMeal(row, items.get(row.id)));
+        } catch (error) {
+            console.error('❌ Database error getting saved meals:', error.message);
+            return [];
+        }
+    }
+
+    // Get a single saved meal, or null if it doesn't belong to the user
+    async getSavedMeal(userId, savedMealId) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const result = await query(`
+                SELECT * FROM saved_meals
+                WHERE id = ? AND user_id = ?
+            `, [savedMealId, userId]);
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            const items = await this.getItemRows([result.rows[0].id]);
+            return this.formatSavedMeal(result.rows[0], items.get(result.rows[0].id));
+        } catch (error) {
+            console.error('❌ Database error getting saved meal:', error.message);
+            return null;
+        }
+    }
+
+    // Replace a saved meal's items, using the transaction's query function
+    async saveItems(tx, savedMealId, items) {
+        await tx(`DELETE FROM saved_meal_items WHERE saved_meal_id = ?`, [savedMealId]);
+
+        for (let i = 0; i < items.length; i++) {
+            const item = items[i];
+            await tx(`
+                INSERT INTO saved_meal_items (saved_meal_id, food_item, amount, calories, carbs, protein, protein_general, fat, food_id, food_source, position, ${MICRONUTRIENT_COLUMN_LIST})
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${MICRONUTRIENT_PLACEHOLDERS})
+            `, [
+                savedMealId,
+                item.name,
+                item.amount || 0,
+                item.calories || 0,
+                item.carbs || 0,
+                item.protein || 0,
+                item.proteinG || 0,
+                item.fat || 0,
+                item.foodId || null,
+                item.foodSource || null,
+                i + 1,
+                ...micronutrientValues(item.micronutrients)
+            ]);
+        }
+    }
+
+    // Create a saved meal from a list of items, in one transaction so a failed
+    // item doesn't leave a half-saved meal
+    async createSavedMeal(userId, name, items) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const savedMealId = await transaction(async (tx) => {
+                const result = await tx(`
+                    INSERT INTO saved_meals (user_id, name)
+                    VALUES (?, ?)
+                `, [userId, name]);
+
+                await this.saveItems(tx, result.lastInsertRowid, items);
+                return result.lastInsertRowid;
+            });
+
+            console.log('✅ Saved meal created:', name, 'User:', userId);
+            return this.getSavedMeal(userId, savedMealId);
+        } catch (error) {
+            console.error('❌ Database error creating saved meal:', error.message);
+            return null;
+        }
+    }
+
+    // Rename a saved meal and/or replace its items in one transaction.
+    // Returns null if it doesn't exist.
+    async updateSavedMeal(userId, savedMealId, { name, items }) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const updated = await transaction(async (tx) => {
+                const result = await tx(`
+                    UPDATE saved_meals
+                    SET name = COALESCE(?, name), updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ? AND user_id = ?
+                `, [name || null, savedMealId, userId]);
+
+                if (result.changes === 0) {
+                    return false;
+                }
+
+                if (items) {
+                    await this.saveItems(tx, savedMealId, items);
+                }
+                return true;
+            });
+
+            if (!updated) {
+                return null;
+            }
+
+            console.log('✅ Saved meal updated:', savedMealId, 'User:', userId);
+            return this.getSavedMeal(userId, savedMealId);
+        } catch (error) {
+            console.error('❌ Database error updating saved meal:', error.message);
+            return null;
+        }
+    }
+
+    // Delete a saved meal and its items in one transaction. Returns false if it doesn't exist.
+    async deleteSavedMeal(userId, savedMealId) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return false;
+        }
+
+        try {
+            const deleted = await transaction(async (tx) => {
+                const result = await tx(`
+                    DELETE FROM saved_meals
+                    WHERE id = ? AND user_id = ?
+                `, [savedMealId, userId]);
+
+                if (result.changes === 0) {
+                    return false;
+                }
+
+                await tx(`DELETE FROM saved_meal_items WHERE saved_meal_id = ?`, [savedMealId]);
+                return true;
+            });
+
+            if (deleted) {
+                console.log('✅ Saved meal deleted:', savedMealId, 'User:', userId);
+            }
+            return deleted;
+        } catch (error) {
+            console.error('❌ Database error deleting saved meal:', error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = new SavedMealService();
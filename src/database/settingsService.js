@@ -1,5 +1,10 @@
 const { query, isDatabaseAvailable } = require('./connection');
 
+// Daily water goal: 35 ml per kg of body weight, or 2 litres when no weight is set
+const WATER_ML_PER_KG = 35;
+const DEFAULT_WATER_GOAL = 2000;
+const LB_TO_KG = 0.453592;
+
 class SettingsService {
     constructor() {
         // Wait a moment for database to initialize, then check status
@@ -32,12 +37,16 @@ class SettingsService {
                     sex: settings.sex || '',
                     age: settings.age || '',
                     weight: settings.weight || '',
+                    targetWeight: settings.target_weight || '',
+                    calorieGoalSource: settings.calorie_goal_source || 'calculated',
                     height: settings.height || '',
                     activityLevel: settings.activity_level || '1.2',
 
                     mealInterval: settings.meal_interval || '',
                     totalCalories: settings.goal_calories || 0,
-                    weeklyCalories: (settings.goal_calories || 0) * 7
+                    weeklyCalories: (settings.goal_calories || 0) * 7,
+                    addExerciseCalories: settings.add_exercise_calories === 1,
+                    waterGoal: this.calculateWaterGoal(settings.weight, settings.unit_system)
                 };
             } else {
                 // No settings found, return default (will be created on first save)
@@ -64,38 +73,44 @@ class SettingsService {
                 // Update existing settings
                 await query(`
                     UPDATE user_settings 
-                    SET goal_calories = ?, height = ?, weight = ?, age = ?, sex = ?,
+                    SET goal_calories = ?, height = ?, weight = ?, target_weight = ?, age = ?, sex = ?,
                         activity_level = ?, meal_interval = ?, 
-                        unit_system = ?, updated_at = CURRENT_TIMESTAMP
+                        unit_system = ?, add_exercise_calories = ?, calorie_goal_source = ?, updated_at = CURRENT_TIMESTAMP
                     WHERE user_id = ?
                 `, [
                     settings.totalCalories || 0,
                     settings.height,
                     settings.weight,
+                    settings.targetWeight,
                     settings.age,
                     settings.sex,
                     settings.activityLevel,
                     settings.mealInterval,
                     settings.unitSystem || 'metric',
+                    settings.addExerciseCalories ? 1 : 0,
+                    settings.calorieGoalSource || 'calculated',
                     userId
                 ]);
             } else {
                 // Insert new settings
                 await query(`
                     INSERT INTO user_settings 
-                    (user_id, goal_calories, height, weight, age, sex, 
-                     activity_level, meal_interval, unit_system)
-                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    (user_id, goal_calories, height, weight, target_weight, age, sex, 
+                     activity_level, meal_interval, unit_system, add_exercise_calories, calorie_goal_source)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
                 `, [
                     userId,
                     settings.totalCalories || 0,
                     settings.height,
                     settings.weight,
+                    settings.targetWeight,
                     settings.age,
                     settings.sex,
                     settings.activityLevel,
                     settings.mealInterval,
-                    settings.unitSystem || 'metric'
+                    settings.unitSystem || 'metric',
+                    settings.addExerciseCalories ? 1 : 0,
+                    settings.calorieGoalSource || 'calculated'
                 ]);
             }
 
@@ -107,6 +122,33 @@ class SettingsService {
         }
     }
 
+    // Body weight in kg (it is stored in lb for imperial users), or null when not set
+    toKilograms(weight, unitSystem = 'metric') {
+        const weightKg = unitSystem === 'imperial' ? weight * LB_TO_KG : weight;
+        return weightKg > 0 ? weightKg : null;
+    }
+
+    // Get a user's body weight in kg, or null when not set
+    async getWeightKg(userId) {
+        const settings = await this.getUserSettings(userId);
+        return this.toKilograms(parseFloat(settings.weight), settings.unitSystem);
+    }
+
+    // Daily water goal in ml from body weight, rounded to 50 ml
+    calculateWaterGoal(weight, unitSystem = 'metric') {
+        const weightKg = this.toKilograms(weight, unitSystem);
+        if (!weightKg) {
+            return DEFAULT_WATER_GOAL;
+        }
+        return Math.round(weightKg * WATER_ML_PER_KG / 50) * 50;
+    }
+
+    // Get a user's daily water goal in ml
+    async getWaterGoal(userId) {
+        const settings = await this.getUserSettings(userId);
+        return settings.waterGoal;
+    }
+
     // Get default settings structure (empty for new users)
     getDefaultSettings() {
         return {
@@ -115,12 +157,16 @@ class SettingsService {
             sex: '', // Empty for new users
             age: '', // Empty for new users
             weight: '', // Empty for new users
+            targetWeight: '', // Empty for new users
             height: '', // Empty for new users
             activityLevel: '1.2', // First option (Sedentary) for new users
 
             mealInterval: '', // Empty for new users
             totalCalories: 0,
-            weeklyCalories: 0
+            weeklyCalories: 0,
+            addExerciseCalories: false,
+            calorieGoalSource: 'calculated',
+            waterGoal: DEFAULT_WATER_GOAL
         };
     }
 
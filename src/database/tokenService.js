@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const { query, transaction, isDatabaseAvailable } = require('./connection');
+
+// Days a refresh token stays valid. Each refresh issues a new one, so a
+// session ends after this many days without being used.
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS ?? '30', 10);
+
+// Only a hash of each refresh token is stored
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// A login session is a chain of refresh tokens sharing a session ID. Access
+// tokens carry the session ID, so revoking the session revokes them too.
+class TokenService {
+    constructor() {
+        this.refreshTokenDays = REFRESH_TOKEN_DAYS;
+        // Wait a moment for database to initialize, then check status
+        setTimeout(() => this.checkDatabaseStatus(), 300);
+    }
+
+    // Check database status on startup
+    async checkDatabaseStatus() {
+        if (isDatabaseAvailable()) {
+            console.log('🎟️  Token service using SQLite database');
+        } else {
+            console.log('🚫 Token database not available');
+        }
+    }
+
+    refreshExpiry() {
+        return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    // Start a new session for a user. Returns { sessionId, refreshToken }, or null on error.
+    async createSession(userId) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const sessionId = crypto.randomUUID();
+            const refreshToken = crypto.randomBytes(32).toString('hex');
+
+            // Expired tokens can't be used anymore, so clear them out while we're here
+            await query('DELETE FROM refresh_tokens WHERE expires_at <= ?', [new Date().toISOString()]);
+            await query(`
+                INSERT INTO refresh_tokens (user_id, session_id, token_hash, expires_at)
+                VALUES (?, ?, ?, ?)
+            `, [userId, sessionId, hashToken(refreshToken), this.refreshExpiry()]);
+
+            return { sessionId, refreshToken };
+        } catch (error) {
+            console.error('❌ Database error creating session:', error.message);
+            return null;
+        }
+    }
+
+    // Exchange a refresh token for a new one in the same session. A token can
+    // only be used once; using it again means it was copied, so the whole
+    // session is revoked.
+    // Returns { userId, sessionId, refreshToken }, false if the token can't be used, or null on error.
+    async rotateRefreshToken(refreshToken) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            let reusedSession = null;
+            const result = await transaction(async (tx) => {
+                const now = new Date().toISOString();
+                const rows = await tx('SELECT * FROM refresh_tokens WHERE token_hash = ?', [hashToken(refreshToken)]);
+                const row = rows.rows[0];
+                if (!row || row.revoked_at || row.expires_at <= now) {
+                    return false;
+                }
+
+                if (row.used_at) {
+                    reusedSession = row;
+                    await this.revokeSessionRows(tx, row.session_id, row.user_id);
+                    return false;
+                }
+
+                const newToken = crypto.randomBytes(32).toString('hex');
+                await tx('UPDATE refresh_tokens SET used_at = ? WHERE id = ?', [now, row.id]);
+                await tx(`
+                    INSERT INTO refresh_tokens (user_id, session_id, token_hash, expires_at)
+                    VALUES (?, ?, ?, ?)
+                `, [row.user_id, row.session_id, hashToken(newToken), this.refreshExpiry()]);
+
+                return { userId: row.user_id, sessionId: row.session_id, refreshToken: newToken };
+            });
+
+            if (reusedSession) {
+                console.warn('⚠️  Refresh token reused, session revoked for user:', reusedSession.user_id);
+            }
+            return result;
+        } catch (error) {
+            console.error('❌ Database error rotating refresh token:', error.message);
+            return null;
+        }
+    }
+
+    // Revoke a session's refresh tokens and add it to the revocation list
+    async revokeSessionRows(tx, sessionId, userId) {
+        const now = new Date().toISOString();
+        await tx('UPDATE refresh_tokens SET revoked_at = ? WHERE session_id = ? AND revoked_at IS NULL', [now, sessionId]);
+        // Keep the entry as long as an access token from the session could still be valid
+        await tx(`
+            INSERT OR IGNORE INTO revoked_sessions (session_id, user_id, expires_at)
+            VALUES (?, ?, ?)
+        `, [sessionId, userId, this.refreshExpiry()]);
+    }
+
+    // Log out one session
+    async revokeSession(sessionId, userId) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return false;
+        }
+
+        try {
+            await transaction(async (tx) => {
+                await tx('DELETE FROM revoked_sessions WHERE expires_at <= ?', [new Date().toISOString()]);
+                await this.revokeSessionRows(tx, sessionId, userId);
+            });
+            console.log('✅ Session revoked for user:', userId);
+            return true;
+        } catch (error) {
+            console.error('❌ Database error revoking session:', error.message);
+            return false;
+        }
+    }
+
+    // Log out all of a user's sessions, optionally keeping one (the current device).
+    // Returns the number of sessions revoked, or null on error.
+    async revokeUserSessions(userId, exceptSessionId = null) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const count = await transaction(async (tx) => {
+                const sessions = await tx(`
+                    SELECT DISTINCT session_id FROM refresh_tokens
+                    WHERE user_id = ? AND revoked_at IS NULL AND session_id != ?
+                `, [userId, exceptSessionId || '']);
+
+                for (const { session_id: sessionId } of sessions.rows) {
+                    await this.revokeSessionRows(tx, sessionId, userId);
+                }
+                return sessions.rows.length;
+            });
+            console.log(`✅ Revoked ${count} sessions for user:`, userId);
+            return count;
+        } catch (error) {
+            console.error('❌ Database error revoking user sessions:', error.message);
+            return null;
+        }
+    }
+
+    // Check the revocation list for an access token's session.
+    // Returns true or false, or null on error.
+    async isSessionRevoked(sessionId) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const result = await query('SELECT 1 FROM revoked_sessions WHERE session_id = ?', [sessionId]);
+            return result.rows.length > 0;
+        } catch (error) {
+            console.error('❌ Database error checking session:', error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = new TokenService();
@@ -96,6 +96,115 @@ class UserService {
         }
     }
 
+    // Update user password (already hashed)
+    async updatePassword(userId, hashedPassword) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return false;
+        }
+
+        try {
+            await query(`
+                UPDATE users
+                SET password = ?
+                WHERE id = ?
+            `, [hashedPassword, userId]);
+
+            console.log('✅ User password updated in database:', userId);
+            return true;
+        } catch (error) {
+            console.error('❌ Database error updating user password:', error.message);
+            return false;
+        }
+    }
+
+    // Mark a user's email address as verified
+    async markEmailVerified(userId) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return false;
+        }
+
+        try {
+            await query(`
+                UPDATE users
+                SET email_verified_at = COALESCE(email_verified_at, ?)
+                WHERE id = ?
+            `, [new Date().toISOString(), userId]);
+
+            console.log('✅ User email verified:', userId);
+            return true;
+        } catch (error) {
+            console.error('❌ Database error verifying user email:', error.message);
+            return false;
+        }
+    }
+
+    // Schedule a user's account for erasure. Until then the account can't be
+    // used, but logging in again with restore cancels the deletion.
+    async scheduleDeletion(userId, deleteAfter) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return false;
+        }
+
+        try {
+            await query(`
+                UPDATE users
+                SET delete_after = ?
+                WHERE id = ?
+            `, [deleteAfter, userId]);
+
+            console.log('✅ User account scheduled for deletion:', userId);
+            return true;
+        } catch (error) {
+            console.error('❌ Database error scheduling user deletion:', error.message);
+            return false;
+        }
+    }
+
+    // Cancel a scheduled deletion
+    async cancelDeletion(userId) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return false;
+        }
+
+        try {
+            await query(`
+                UPDATE users
+                SET delete_after = NULL
+                WHERE id = ?
+            `, [userId]);
+
+            console.log('✅ User account deletion cancelled:', userId);
+            return true;
+        } catch (error) {
+            console.error('❌ Database error cancelling user deletion:', error.message);
+            return false;
+        }
+    }
+
+    // Get users whose grace period has ended
+    async getUsersDueForDeletion() {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return [];
+        }
+
+        try {
+            const result = await query(`
+                SELECT * FROM users
+                WHERE delete_after IS NOT NULL AND delete_after <= ?
+                ORDER BY delete_after
+            `, [new Date().toISOString()]);
+            return result.rows;
+        } catch (error) {
+            console.error('❌ Database error getting users due for deletion:', error.message);
+            return [];
+        }
+    }
+
     // Get all users
     async getAllUsers() {
         if (!isDatabaseAvailable()) {
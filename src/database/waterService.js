@@ -0,0 +1,126 @@
+const { query, isDatabaseAvailable } = require('./connection');
+
+class WaterService {
+    constructor() {
+        // Wait a moment for database to initialize, then check status
+        setTimeout(() => this.checkDatabaseStatus(), 300);
+    }
+
+    // Check database status on startup
+    async checkDatabaseStatus() {
+        if (isDatabaseAvailable()) {
+            console.log('💧 Water service using SQLite database');
+        } else {
+            console.log('🚫 Water database not available');
+        }
+    }
+
+    // Convert a database row to the API format
+    formatEntry(row) {
+        return {
+            id: row.id,
+            date: row.date,
+            amount: row.amount,
+            beverage: row.beverage,
+            createdAt: row.created_at
+        };
+    }
+
+    // Get a user's drinks for one date, oldest first
+    async getDayEntries(userId, date) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return [];
+        }
+
+        try {
+            const result = await query(`
+                SELECT * FROM user_water
+                WHERE user_id = ? AND date = ?
+                ORDER BY created_at, id
+            `, [userId, date]);
+
+            return result.rows.map(row => this.formatEntry(row));
+        } catch (error) {
+            console.error('❌ Database error getting water entries:', error.message);
+            return [];
+        }
+    }
+
+    // Get total intake per date between two dates (inclusive). Dates without drinks are left out.
+    async getDailyTotals(userId, from, to) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return [];
+        }
+
+        try {
+            const result = await query(`
+                SELECT date, SUM(amount) AS total, COUNT(*) AS entries
+                FROM user_water
+                WHERE user_id = ? AND date BETWEEN ? AND ?
+                GROUP BY date
+                ORDER BY date
+            `, [userId, from, to]);
+
+            return result.rows.map(row => ({
+                date: row.date,
+                total: row.total,
+                entries: row.entries
+            }));
+        } catch (error) {
+            console.error('❌ Database error getting water totals:', error.message);
+            return [];
+        }
+    }
+
+    // Log a drink
+    async addEntry(userId, entryData) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return null;
+        }
+
+        try {
+            const result = await query(`
+                INSERT INTO user_water (user_id, date, amount, beverage)
+                VALUES (?, ?, ?, ?)
+            `, [userId, entryData.date, entryData.amount, entryData.beverage]);
+
+            const entry = await query(`SELECT * FROM user_water WHERE id = ?`, [result.lastInsertRowid]);
+
+            console.log('✅ Water entry added to database for date:', entryData.date);
+            return this.formatEntry(entry.rows[0]);
+        } catch (error) {
+            console.error('❌ Database error adding water entry:', error.message);
+            return null;
+        }
+    }
+
+    // Delete a drink. Returns false if it doesn't exist.
+    async deleteEntry(userId, entryId) {
+        if (!isDatabaseAvailable()) {
+            console.error('❌ Database not available');
+            return false;
+        }
+
+        try {
+            const result = await query(`
+                DELETE FROM user_water
+                WHERE id = ? AND user_id = ?
+            `, [entryId, userId]);
+
+            if (result.changes === 0) {
+                return false;
+            }
+
+            console.log('✅ Water entry deleted from database, ID:', entryId);
+            return true;
+        } catch (error) {
+            console.error('❌ Database error deleting water entry:', error.message);
+            return false;
+        }
+    }
+}
+
+module.exports = new WaterService();
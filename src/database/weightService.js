@@ -15,19 +15,30 @@ class WeightService {
         }
     }
 
-    // Get all weight entries for a user
-    async getUserWeightEntries(userId) {
+    // Get a user's weight entries, optionally only from and/or to a date (YYYY-MM-DD)
+    async getUserWeightEntries(userId, from = null, to = null) {
         if (!isDatabaseAvailable()) {
             console.error('❌ Database not available');
             return { entries: [] };
         }
 
         try {
+            const params = [userId];
+            let dateFilter = '';
+            if (from) {
+                dateFilter += ' AND date >= ?';
+                params.push(from);
+            }
+            if (to) {
+                dateFilter += ' AND date <= ?';
+                params.push(to);
+            }
+
             const result = await query(`
                 SELECT * FROM user_weight 
-                WHERE user_id = ? 
+                WHERE user_id = ?${dateFilter}
                 ORDER BY date DESC
-            `, [userId]);
+            `, params);
 
             return {
                 entries: result.rows.map(row => ({
@@ -1,10 +1,110 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
 const userService = require('../database/userService');
+const tokenService = require('../database/tokenService');
 
 // JWT Secret - should be in environment variables
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+// Access tokens are short-lived; clients get new ones with their refresh token
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+// Email verification mode: new accounts can't use the app's data APIs until
+// they open the link from their verification email
+const EMAIL_VERIFICATION_REQUIRED = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+const EMAIL_VERIFICATION_EXPIRES_IN = process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h';
+// Verification links are signed with their own key, so they can't be used as login tokens
+const EMAIL_VERIFICATION_SECRET = `${JWT_SECRET}:email-verification`;
+// Unsubscribe links in digest emails don't expire, and only turn the digest off
+const DIGEST_UNSUBSCRIBE_SECRET = `${JWT_SECRET}:digest-unsubscribe`;
+
+// How clients hold their tokens (AUTH_STRATEGY):
+// - jwt: tokens are returned in response bodies and sent back in the
+//   Authorization header (the default, for API clients)
+// - session: tokens are kept in httpOnly cookies that the browser sends
+//   along, so page scripts never see them
+const AUTH_STRATEGY = process.env.AUTH_STRATEGY || 'jwt';
+// Cookies are HTTPS-only in production unless COOKIE_SECURE says otherwise
+const COOKIE_SECURE = process.env.COOKIE_SECURE
+    ? process.env.COOKIE_SECURE === 'true'
+    : process.env.NODE_ENV === 'production';
+const ACCESS_TOKEN_COOKIE = { name: 'access_token', path: '/api' };
+const REFRESH_TOKEN_COOKIE = { name: 'refresh_token', path: '/api/auth' };
+
+// Read the request's cookies into an object
+function parseCookies(req) {
+    const cookies = {};
+    (req.headers.cookie || '').split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index > 0) {
+            try {
+                cookies[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+            } catch (error) {
+                // Skip cookies that aren't valid URI encoding
+            }
+        }
+    });
+    return cookies;
+}
+
+// SameSite=Strict keeps other sites from making requests with the cookies
+function cookieOptions(cookie) {
+    return { path: cookie.path, httpOnly: true, secure: COOKIE_SECURE, sameSite: 'strict' };
+}
+
+const authStrategies = {
+    jwt: {
+        getAccessToken(req) {
+            const authHeader = req.headers['authorization'];
+            return authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+        },
+        getRefreshToken(req) {
+            return req.body && req.body.refreshToken;
+        },
+        // Returns the fields to add to the response body
+        sendTokens(res, tokens) {
+            return tokens;
+        },
+        clearTokens() {}
+    },
+    session: {
+        getAccessToken(req) {
+            return parseCookies(req)[ACCESS_TOKEN_COOKIE.name];
+        },
+        getRefreshToken(req) {
+            return parseCookies(req)[REFRESH_TOKEN_COOKIE.name];
+        },
+        sendTokens(res, tokens) {
+            // The access token's own expiry applies; the cookie lasts for the browser session
+            res.cookie(ACCESS_TOKEN_COOKIE.name, tokens.token, cookieOptions(ACCESS_TOKEN_COOKIE));
+            res.cookie(REFRESH_TOKEN_COOKIE.name, tokens.refreshToken, {
+                ...cookieOptions(REFRESH_TOKEN_COOKIE),
+                maxAge: tokenService.refreshTokenDays * 24 * 60 * 60 * 1000
+            });
+            return {};
+        },
+        clearTokens(res) {
+            res.clearCookie(ACCESS_TOKEN_COOKIE.name, cookieOptions(ACCESS_TOKEN_COOKIE));
+            res.clearCookie(REFRESH_TOKEN_COOKIE.name, cookieOptions(REFRESH_TOKEN_COOKIE));
+        }
+    }
+};
+
+const authStrategy = authStrategies[AUTH_STRATEGY];
+if (!authStrategy) {
+    throw new Error(`Unknown AUTH_STRATEGY "${AUTH_STRATEGY}" (expected ${Object.keys(authStrategies).join(' or ')})`);
+}
+
+// Get the access or refresh token a request was sent with, wherever the strategy keeps it
+const getAccessToken = (req) => authStrategy.getAccessToken(req);
+const getRefreshToken = (req) => authStrategy.getRefreshToken(req);
+
+// Hand a new token pair to the client. Returns the fields to add to the
+// response body (empty when the tokens went into cookies).
+const sendAuthTokens = (res, tokens) => authStrategy.sendTokens(res, tokens);
+
+// Forget the client's tokens after logging out
+const clearAuthTokens = (res) => authStrategy.clearTokens(res);
 
 // Hash password
 async function hashPassword(password) {
@@ -25,20 +125,32 @@ async function comparePassword(password, hashedPassword) {
     }
 }
 
-// Generate JWT token
-function generateToken(user) {
+// Generate JWT access token for a login session (see tokenService)
+function generateToken(user, sessionId) {
     const payload = {
         id: user.id,
         email: user.email,
-        name: user.name
+        name: user.name,
+        sid: sessionId
     };
 
     return jwt.sign(payload, JWT_SECRET, {
         expiresIn: JWT_EXPIRES_IN,
-        issuer: 'food-diary-app'
+        issuer: 'food-diary-app',
+        jwtid: uuidv4()
     });
 }
 
+// Check that an access token's session hasn't been logged out. Tokens from
+// before sessions existed have no session and count as revoked.
+async function isTokenRevoked(decoded) {
+    if (!decoded.sid) {
+        return true;
+    }
+    // A failed lookup counts as revoked
+    return (await tokenService.isSessionRevoked(decoded.sid)) !== false;
+}
+
 // Verify JWT token
 function verifyToken(token) {
     try {
@@ -54,12 +166,52 @@ function verifyToken(token) {
     }
 }
 
+// Generate a signed email verification token, tied to the user's current email
+function generateEmailVerificationToken(user) {
+    return jwt.sign({ id: user.id, email: user.email }, EMAIL_VERIFICATION_SECRET, {
+        expiresIn: EMAIL_VERIFICATION_EXPIRES_IN,
+        issuer: 'food-diary-app'
+    });
+}
+
+// Verify an email verification token
+function verifyEmailVerificationToken(token) {
+    try {
+        return jwt.verify(token, EMAIL_VERIFICATION_SECRET, { issuer: 'food-diary-app' });
+    } catch (error) {
+        throw new Error(error.name === 'TokenExpiredError' ? 'Verification link expired' : 'Invalid verification link');
+    }
+}
+
+// Generate a signed token for the unsubscribe link in digest emails
+function generateDigestUnsubscribeToken(user) {
+    return jwt.sign({ id: user.id }, DIGEST_UNSUBSCRIBE_SECRET, { issuer: 'food-diary-app' });
+}
+
+// Verify a digest unsubscribe token
+function verifyDigestUnsubscribeToken(token) {
+    try {
+        return jwt.verify(token, DIGEST_UNSUBSCRIBE_SECRET, { issuer: 'food-diary-app' });
+    } catch (error) {
+        throw new Error('Invalid unsubscribe link');
+    }
+}
+
+// Check whether a user can use the app, given the email verification mode
+function isEmailVerified(user) {
+    return !EMAIL_VERIFICATION_REQUIRED || !!user.email_verified_at;
+}
+
 // Authentication middleware
-const authenticateToken = async (req, res, next) => {
+const authenticateToken = (req, res, next) => authenticate(req, res, next, false);
+
+// Authentication middleware for the account routes that users who haven't
+// verified their email yet still need (profile, resend verification, ...)
+const authenticateTokenAllowUnverified = (req, res, next) => authenticate(req, res, next, true);
+
+async function authenticate(req, res, next, allowUnverified) {
     try {
-        // Get token from Authorization header
-        const authHeader = req.headers['authorization'];
-        const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+        const token = getAccessToken(req);
 
         if (!token) {
             return res.status(401).json({
@@ -70,6 +222,12 @@ const authenticateToken = async (req, res, next) => {
         // Verify token
         const decoded = verifyToken(token);
 
+        if (await isTokenRevoked(decoded)) {
+            return res.status(401).json({
+                error: 'Token revoked'
+            });
+        }
+
         // Get fresh user data from database
         const user = await userService.getUserById(decoded.id);
         if (!user) {
@@ -78,32 +236,52 @@ const authenticateToken = async (req, res, next) => {
             });
         }
 
+        // Accounts scheduled for deletion can only be restored by logging in again
+        if (user.delete_after) {
+            return res.status(401).json({
+                error: 'This account is scheduled for deletion.'
+            });
+        }
+
+        if (!allowUnverified && !isEmailVerified(user)) {
+            return res.status(403).json({
+                error: 'Please verify your email address first.',
+                emailVerified: false
+            });
+        }
+
         // Add user to request object
         req.user = {
             id: user.id,
             email: user.email,
-            name: user.name
+            name: user.name,
+            emailVerified: isEmailVerified(user)
         };
+        // The session the token belongs to, for logging out
+        req.sessionId = decoded.sid;
 
         next();
     } catch (error) {
         console.error('Authentication error:', error.message);
-        return res.status(403).json({
+        // 401 for expired tokens tells clients to refresh; other failures are 403
+        return res.status(error.message === 'Token expired' ? 401 : 403).json({
             error: error.message || 'Invalid token'
         });
     }
-};
+}
 
 // Optional authentication middleware (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
     try {
-        const authHeader = req.headers['authorization'];
-        const token = authHeader && authHeader.split(' ')[1];
+        const token = getAccessToken(req);
 
         if (token) {
             const decoded = verifyToken(token);
+            if (await isTokenRevoked(decoded)) {
+                return next();
+            }
             const user = await userService.getUserById(decoded.id);
-            if (user) {
+            if (user && !user.delete_after && isEmailVerified(user)) {
                 req.user = {
                     id: user.id,
                     email: user.email,
@@ -118,48 +296,23 @@ const optionalAuth = async (req, res, next) => {
     }
 };
 
-// Rate limiting helper (simple in-memory implementation)
-const loginAttempts = new Map();
-const MAX_LOGIN_ATTEMPTS = 5;
-const LOCKOUT_TIME = 15 * 60 * 1000; // 15 minutes
-
-function checkRateLimit(identifier) {
-    const now = Date.now();
-    const attempts = loginAttempts.get(identifier) || { count: 0, lastAttempt: now };
-
-    // Reset if lockout time has passed
-    if (now - attempts.lastAttempt > LOCKOUT_TIME) {
-        attempts.count = 0;
-    }
-
-    if (attempts.count >= MAX_LOGIN_ATTEMPTS) {
-        const timeLeft = LOCKOUT_TIME - (now - attempts.lastAttempt);
-        throw new Error(`Too many login attempts. Try again in ${Math.ceil(timeLeft / 60000)} minutes.`);
-    }
-
-    return attempts;
-}
-
-function recordFailedAttempt(identifier) {
-    const now = Date.now();
-    const attempts = loginAttempts.get(identifier) || { count: 0, lastAttempt: now };
-    attempts.count += 1;
-    attempts.lastAttempt = now;
-    loginAttempts.set(identifier, attempts);
-}
-
-function clearFailedAttempts(identifier) {
-    loginAttempts.delete(identifier);
-}
-
 module.exports = {
     hashPassword,
     comparePassword,
     generateToken,
     verifyToken,
+    generateEmailVerificationToken,
+    verifyEmailVerificationToken,
+    generateDigestUnsubscribeToken,
+    verifyDigestUnsubscribeToken,
+    isEmailVerified,
+    EMAIL_VERIFICATION_REQUIRED,
+    AUTH_STRATEGY,
+    getAccessToken,
+    getRefreshToken,
+    sendAuthTokens,
+    clearAuthTokens,
     authenticateToken,
-    optionalAuth,
-    checkRateLimit,
-    recordFailedAttempt,
-    clearFailedAttempts
+    authenticateTokenAllowUnverified,
+    optionalAuth
 };
\ No newline at end of file
@@ -0,0 +1,171 @@
+const rateLimitService = require('../database/rateLimitService');
+const { getAccessToken, verifyToken } = require('./auth');
+
+// Set RATE_LIMIT_ENABLED=false to turn rate limiting off (e.g. for load tests)
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+// How many requests a key may make per window. Each policy can be changed with
+// RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW_MINUTES, where NAME is the
+// policy name in upper snake case (e.g. RATE_LIMIT_FOOD_SEARCH_MAX=120).
+// - login: failed logins per email (a successful login clears them)
+// - register: accounts created per IP address
+// - passwordReset: reset emails sent per address and client IP address
+// - verificationEmail: verification emails sent per address
+// - foodSearch: food searches and barcode lookups per user
+// - writes: POST/PUT/PATCH/DELETE API requests per user, or per IP address
+//   for requests without a valid access token
+const DEFAULT_POLICIES = {
+    login: { max: 5, windowMinutes: 15, message: 'Too many login attempts.' },
+    register: { max: 5, windowMinutes: 60, message: 'Too many accounts created from this address.' },
+    passwordReset: { max: 5, windowMinutes: 15, message: 'Too many password reset requests.' },
+    verificationEmail: { max: 5, windowMinutes: 15, message: 'Too many verification emails requested.' },
+    foodSearch: { max: 60, windowMinutes: 1, message: 'Too many searches.' },
+    writes: { max: 120, windowMinutes: 1, message: 'Too many requests.' }
+};
+
+function loadPolicy(name, defaults) {
+    const envName = name.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase();
+    const max = parseInt(process.env[`RATE_LIMIT_${envName}_MAX`] ?? defaults.max, 10);
+    const windowMinutes = parseFloat(process.env[`RATE_LIMIT_${envName}_WINDOW_MINUTES`] ?? defaults.windowMinutes);
+    return { name, message: defaults.message, max, windowMs: windowMinutes * 60 * 1000 };
+}
+
+const POLICIES = Object.fromEntries(
+    Object.entries(DEFAULT_POLICIES).map(([name, defaults]) => [name, loadPolicy(name, defaults)])
+);
+
+function getPolicy(name) {
+    const policy = POLICIES[name];
+    if (!policy) {
+        throw new Error(`Unknown rate limit policy: ${name}`);
+    }
+    return policy;
+}
+
+// Where a policy stands for one key. A store error counts as no requests,
+// so a database problem doesn't lock everyone out.
+function toState(policy, entry) {
+    const count = entry ? entry.count : 0;
+    return {
+        policy,
+        count,
+        remaining: Math.max(0, policy.max - count),
+        resetAt: entry && entry.resetAt ? new Date(entry.resetAt) : new Date(Date.now() + policy.windowMs)
+    };
+}
+
+// Check whether a key has used up its policy without counting a request.
+// Returns the key's state, with limited set when no more requests are allowed.
+async function checkRateLimit(policyName, identifier) {
+    const policy = getPolicy(policyName);
+    if (!RATE_LIMIT_ENABLED) {
+        return { ...toState(policy, null), limited: false };
+    }
+
+    const state = toState(policy, await rateLimitService.get(`${policy.name}:${identifier}`));
+    return { ...state, limited: state.count >= policy.max };
+}
+
+// Count a request (or failed attempt) against a key. The state's limited flag
+// is set when this request went over the limit.
+async function recordAttempt(policyName, identifier) {
+    const policy = getPolicy(policyName);
+    if (!RATE_LIMIT_ENABLED) {
+        return { ...toState(policy, null), limited: false };
+    }
+
+    const state = toState(policy, await rateLimitService.hit(`${policy.name}:${identifier}`, policy.windowMs));
+    return { ...state, limited: state.count > policy.max };
+}
+
+async function clearAttempts(policyName, identifier) {
+    const policy = getPolicy(policyName);
+    return rateLimitService.clear(`${policy.name}:${identifier}`);
+}
+
+// Standard rate limit headers (IETF draft): limit, requests left and seconds until the window resets
+function setRateLimitHeaders(res, state) {
+    const resetSeconds = Math.max(0, Math.ceil((state.resetAt.getTime() - Date.now()) / 1000));
+    res.set({
+        'RateLimit-Policy': `${state.policy.max};w=${Math.round(state.policy.windowMs / 1000)}`,
+        'RateLimit-Limit': String(state.policy.max),
+        'RateLimit-Remaining': String(state.remaining),
+        'RateLimit-Reset': String(resetSeconds)
+    });
+    return resetSeconds;
+}
+
+// Reject a request that is over its limit with 429 and Retry-After
+function sendRateLimited(res, state) {
+    const retryAfter = setRateLimitHeaders(res, state);
+    res.set('Retry-After', String(retryAfter));
+
+    const [amount, unit] = retryAfter < 60
+        ? [retryAfter, 'second']
+        : [Math.ceil(retryAfter / 60), 'minute'];
+    const wait = `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+    return res.status(429).json({
+        error: `${state.policy.message} Try again in ${wait}.`,
+        retryAfter
+    });
+}
+
+// Middleware counting every request against a policy.
+// options.key picks what requests are counted by (the client IP by default);
+// options.skip can exempt requests.
+function rateLimit(policyName, options = {}) {
+    const getKey = options.key || (req => req.ip);
+    // Fail at startup on a misspelled policy name
+    getPolicy(policyName);
+
+    return async (req, res, next) => {
+        try {
+            if (options.skip && options.skip(req)) {
+                return next();
+            }
+
+            const state = await recordAttempt(policyName, getKey(req));
+            if (state.limited) {
+                return sendRateLimited(res, state);
+            }
+            if (RATE_LIMIT_ENABLED) {
+                setRateLimitHeaders(res, state);
+            }
+            next();
+        } catch (error) {
+            console.error('Rate limit error:', error.message);
+            next();
+        }
+    };
+}
+
+// Who a write is counted against. This runs before authentication, so the
+// access token is only checked for its signature here; the route still
+// authenticates the request as usual.
+function getWriteKey(req) {
+    const token = getAccessToken(req);
+    if (token) {
+        try {
+            return `user:${verifyToken(token).id}`;
+        } catch (error) {
+            // Expired or invalid tokens are counted by address
+        }
+    }
+    return `ip:${req.ip}`;
+}
+
+// Limits POST/PUT/PATCH/DELETE requests per user (or per client address when not logged in)
+const writeRateLimit = rateLimit('writes', {
+    key: getWriteKey,
+    skip: req => ['GET', 'HEAD', 'OPTIONS'].includes(req.method)
+});
+
+module.exports = {
+    rateLimit,
+    writeRateLimit,
+    checkRateLimit,
+    recordAttempt,
+    clearAttempts,
+    setRateLimitHeaders,
+    sendRateLimited
+};
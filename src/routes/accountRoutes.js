@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const accountService = require('../database/accountService');
+const { formatDateKey } = require('../utils/dayKeys');
+
+// GET - Download all of the user's data as one JSON document
+router.get('/export', authenticateToken, async (req, res) => {
+    console.log('Handling GET request for /api/account/export');
+    try {
+        const data = await accountService.exportAccount(req.user.id);
+        if (!data) {
+            return res.status(500).json({ error: 'Failed to read account data' });
+        }
+
+        res.attachment(`nutristats-export-${formatDateKey(new Date())}.json`);
+        res.send(JSON.stringify(data, null, 2));
+    } catch (error) {
+        console.error('Error in GET /api/account/export:', error);
+        res.status(500).json({ error: 'Failed to export account data' });
+    }
+});
+
+// POST - Restore an export (the document from GET /export) into an account that has no data yet
+router.post('/import', authenticateToken, async (req, res) => {
+    console.log('Handling POST request for /api/account/import');
+    try {
+        const userId = req.user.id;
+
+        const problem = accountService.validateExport(req.body);
+        if (problem) {
+            return res.status(400).json({ error: problem });
+        }
+
+        const hasData = await accountService.hasAccountData(userId);
+        if (hasData === null) {
+            return res.status(500).json({ error: 'Failed to read account data' });
+        }
+        if (hasData) {
+            return res.status(409).json({ error: 'An export can only be imported into an account without meals, foods or other entries' });
+        }
+
+        const counts = await accountService.importAccount(userId, req.body);
+        if (counts) {
+            res.json({ message: 'Account data imported successfully', counts });
+        } else {
+            res.status(500).json({ error: 'Failed to save imported data to database' });
+        }
+    } catch (error) {
+        console.error('Error in POST /api/account/import:', error);
+        res.status(500).json({ error: 'Failed to import account data' });
+    }
+});
+
+module.exports = router;
@@ -1,19 +1,36 @@
 const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const userService = require('../database/userService');
+const accountService = require('../database/accountService');
+const passwordResetService = require('../database/passwordResetService');
+const tokenService = require('../database/tokenService');
 const EmailService = require('../services/emailService');
 const { 
     hashPassword, 
     comparePassword, 
     generateToken,
-    checkRateLimit,
-    recordFailedAttempt,
-    clearFailedAttempts,
-    authenticateToken
+    generateEmailVerificationToken,
+    verifyEmailVerificationToken,
+    isEmailVerified,
+    EMAIL_VERIFICATION_REQUIRED,
+    getRefreshToken,
+    sendAuthTokens,
+    clearAuthTokens,
+    authenticateTokenAllowUnverified
 } = require('../middleware/auth');
+const {
+    rateLimit,
+    checkRateLimit,
+    recordAttempt,
+    clearAttempts,
+    sendRateLimited
+} = require('../middleware/rateLimit');
 
 const router = express.Router();
 
+// Days a deleted account is kept before it's erased (0 erases accounts right away)
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS ?? '30', 10);
+
 // Initialize email service
 const emailService = new EmailService();
 
@@ -38,8 +55,75 @@ function sanitizeInput(input) {
     return input.trim().slice(0, 255); // Limit length and trim whitespace
 }
 
+const PASSWORD_REQUIREMENTS_ERROR = 'Password must be at least 8 characters long and contain at least one uppercase letter, one lowercase letter, and one number';
+
+// Base URL for links in emails. Only APP_URL is used: the Host header of the
+// request that asked for the email can't be trusted, so without APP_URL no
+// password reset or verification links are sent.
+function getAppUrl() {
+    if (!process.env.APP_URL) {
+        console.error('APP_URL is not set; not sending an email with a link');
+        return null;
+    }
+    return process.env.APP_URL.replace(/\/+$/, '');
+}
+
+// Start a login session: a short-lived access token and a refresh token to renew it
+async function createAuthTokens(user) {
+    const session = await tokenService.createSession(user.id);
+    if (!session) {
+        return null;
+    }
+    return {
+        token: generateToken(user, session.sessionId),
+        refreshToken: session.refreshToken
+    };
+}
+
+// Email a new verification link to a user
+async function sendVerificationEmail(user) {
+    const appUrl = getAppUrl();
+    if (!appUrl) {
+        return false;
+    }
+    return emailService.sendVerificationEmail({
+        userEmail: user.email,
+        userName: user.name,
+        verifyUrl: `${appUrl}/login.html?verifyToken=${generateEmailVerificationToken(user)}`
+    });
+}
+
+// Email a password reset link to a user. Failures are only logged, since
+// answering differently for an existing account would give away that it exists.
+async function sendPasswordResetEmail(user) {
+    try {
+        const appUrl = getAppUrl();
+        if (!appUrl) {
+            return;
+        }
+
+        const reset = await passwordResetService.createToken(user.id);
+        if (!reset) {
+            console.error('Failed to create a password reset token for user', user.id);
+            return;
+        }
+
+        const sent = await emailService.sendPasswordResetEmail({
+            userEmail: user.email,
+            userName: user.name,
+            resetUrl: `${appUrl}/login.html?resetToken=${reset.token}`,
+            expiresInMinutes: passwordResetService.tokenMinutes
+        });
+        if (!sent) {
+            console.error('Failed to send the password reset email to user', user.id);
+        }
+    } catch (error) {
+        console.error('Password reset email error:', error);
+    }
+}
+
 // Register new user
-router.post('/register', async (req, res) => {
+router.post('/register', rateLimit('register'), async (req, res) => {
     try {
         console.log('Registration request body:', req.body);
         const { email, name, password, confirmPassword } = req.body;
@@ -71,7 +155,7 @@ router.post('/register', async (req, res) => {
         // Validate password strength
         if (!validatePassword(password)) {
             return res.status(400).json({
-                error: 'Password must be at least 8 characters long and contain at least one uppercase letter, one lowercase letter, and one number'
+                error: PASSWORD_REQUIREMENTS_ERROR
             });
         }
 
@@ -110,23 +194,37 @@ router.post('/register', async (req, res) => {
             });
         }
 
-        // Generate token
-        const token = generateToken({
-            id: userId,
-            email: sanitizedEmail,
-            name: sanitizedName
-        });
+        // Generate tokens
+        const tokens = await createAuthTokens(userData);
+        if (!tokens) {
+            return res.status(500).json({
+                error: 'Failed to create session'
+            });
+        }
 
+        const emailVerified = !EMAIL_VERIFICATION_REQUIRED;
         res.status(201).json({
-            message: 'User registered successfully',
-            token,
+            message: emailVerified
+                ? 'User registered successfully'
+                : 'User registered successfully. Check your email for a link to verify your address.',
+            ...sendAuthTokens(res, tokens),
             user: {
                 id: userId,
                 email: sanitizedEmail,
-                name: sanitizedName
+                name: sanitizedName,
+                emailVerified
             }
         });
 
+        // Send the verification link after the response, like the notification below
+        if (!emailVerified) {
+            setImmediate(() => {
+                sendVerificationEmail(userData).catch(emailError => {
+                    console.error('Verification email failed during registration:', emailError.message);
+                });
+            });
+        }
+
         // Send registration notification email asynchronously
         // This happens after the response is sent to avoid blocking the registration
         try {
@@ -170,18 +268,15 @@ router.post('/login', async (req, res) => {
         const sanitizedEmail = sanitizeInput(email).toLowerCase();
 
         // Check rate limiting
-        try {
-            checkRateLimit(sanitizedEmail);
-        } catch (rateLimitError) {
-            return res.status(429).json({
-                error: rateLimitError.message
-            });
+        const rateLimitState = await checkRateLimit('login', sanitizedEmail);
+        if (rateLimitState.limited) {
+            return sendRateLimited(res, rateLimitState);
         }
 
         // Find user
         const user = await userService.getUserByEmail(sanitizedEmail);
         if (!user) {
-            recordFailedAttempt(sanitizedEmail);
+            await recordAttempt('login', sanitizedEmail);
             return res.status(401).json({
                 error: 'Invalid email or password'
             });
@@ -190,29 +285,39 @@ router.post('/login', async (req, res) => {
         // Compare password
         const isValidPassword = await comparePassword(password, user.password);
         if (!isValidPassword) {
-            recordFailedAttempt(sanitizedEmail);
+            await recordAttempt('login', sanitizedEmail);
             return res.status(401).json({
                 error: 'Invalid email or password'
             });
         }
 
         // Clear failed attempts on successful login
-        clearFailedAttempts(sanitizedEmail);
+        await clearAttempts('login', sanitizedEmail);
 
-        // Generate token
-        const token = generateToken({
-            id: user.id,
-            email: user.email,
-            name: user.name
-        });
+        // Accounts scheduled for deletion have to be restored first
+        if (user.delete_after) {
+            return res.status(403).json({
+                error: 'This account is scheduled for deletion',
+                deleteAfter: user.delete_after
+            });
+        }
+
+        // Generate tokens
+        const tokens = await createAuthTokens(user);
+        if (!tokens) {
+            return res.status(500).json({
+                error: 'Failed to create session'
+            });
+        }
 
         res.json({
             message: 'Login successful',
-            token,
+            ...sendAuthTokens(res, tokens),
             user: {
                 id: user.id,
                 email: user.email,
-                name: user.name
+                name: user.name,
+                emailVerified: isEmailVerified(user)
             }
         });
 
@@ -225,7 +330,7 @@ router.post('/login', async (req, res) => {
 });
 
 // Get current user profile
-router.get('/profile', authenticateToken, async (req, res) => {
+router.get('/profile', authenticateTokenAllowUnverified, async (req, res) => {
     try {
         const user = await userService.getUserById(req.user.id);
         if (!user) {
@@ -239,7 +344,8 @@ router.get('/profile', authenticateToken, async (req, res) => {
                 id: user.id,
                 email: user.email,
                 name: user.name,
-                createdAt: user.created_at
+                createdAt: user.created_at,
+                emailVerified: isEmailVerified(user)
             }
         });
     } catch (error) {
@@ -251,7 +357,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
 });
 
 // Update user profile
-router.put('/profile', authenticateToken, async (req, res) => {
+router.put('/profile', authenticateTokenAllowUnverified, async (req, res) => {
     try {
         const { name } = req.body;
 
@@ -292,17 +398,489 @@ router.put('/profile', authenticateToken, async (req, res) => {
     }
 });
 
-// Logout (client-side token removal, but we can track it server-side if needed)
-router.post('/logout', authenticateToken, (req, res) => {
-    // In a more advanced implementation, you might want to blacklist the token
-    // For now, we'll just send a success response
-    res.json({
-        message: 'Logout successful'
-    });
+// Verify an email address with the token from a verification email
+router.post('/verify-email', async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({
+                error: 'Verification token is required'
+            });
+        }
+
+        let decoded;
+        try {
+            decoded = verifyEmailVerificationToken(token);
+        } catch (tokenError) {
+            return res.status(400).json({
+                error: tokenError.message
+            });
+        }
+
+        // The link only counts for the address it was sent to
+        const user = await userService.getUserById(decoded.id);
+        if (!user || user.email !== decoded.email) {
+            return res.status(400).json({
+                error: 'Invalid verification link'
+            });
+        }
+
+        const success = await userService.markEmailVerified(user.id);
+        if (!success) {
+            return res.status(500).json({
+                error: 'Failed to verify email'
+            });
+        }
+
+        res.json({
+            message: 'Email verified successfully'
+        });
+
+    } catch (error) {
+        console.error('Verify email error:', error);
+        res.status(500).json({
+            error: 'Failed to verify email'
+        });
+    }
+});
+
+// Send the current user a new verification link
+router.post('/resend-verification', authenticateTokenAllowUnverified, async (req, res) => {
+    try {
+        const user = await userService.getUserById(req.user.id);
+        if (!user) {
+            return res.status(404).json({
+                error: 'User not found'
+            });
+        }
+
+        if (user.email_verified_at) {
+            return res.status(400).json({
+                error: 'Email is already verified'
+            });
+        }
+
+        // Limit how many verification emails one address can be sent
+        const rateLimitState = await recordAttempt('verificationEmail', user.email);
+        if (rateLimitState.limited) {
+            return sendRateLimited(res, rateLimitState);
+        }
+
+        const sent = await sendVerificationEmail(user);
+        if (!sent) {
+            return res.status(503).json({
+                error: 'Verification emails are not available right now'
+            });
+        }
+
+        res.json({
+            message: 'Verification email sent'
+        });
+
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            error: 'Failed to send verification email'
+        });
+    }
+});
+
+// Change password - requires the current password
+router.put('/password', authenticateTokenAllowUnverified, async (req, res) => {
+    try {
+        const { currentPassword, newPassword, confirmPassword } = req.body;
+
+        if (!currentPassword || !newPassword || !confirmPassword) {
+            return res.status(400).json({
+                error: 'Current password, new password and confirmation are required'
+            });
+        }
+
+        if (!validatePassword(newPassword)) {
+            return res.status(400).json({
+                error: PASSWORD_REQUIREMENTS_ERROR
+            });
+        }
+
+        if (newPassword !== confirmPassword) {
+            return res.status(400).json({
+                error: 'Passwords do not match'
+            });
+        }
+
+        const user = await userService.getUserById(req.user.id);
+        if (!user) {
+            return res.status(404).json({
+                error: 'User not found'
+            });
+        }
+
+        // 400 rather than 401, since the token itself is fine
+        const isValidPassword = await comparePassword(currentPassword, user.password);
+        if (!isValidPassword) {
+            return res.status(400).json({
+                error: 'Current password is incorrect'
+            });
+        }
+
+        const success = await userService.updatePassword(user.id, await hashPassword(newPassword));
+        if (!success) {
+            return res.status(500).json({
+                error: 'Failed to change password'
+            });
+        }
+
+        // Reset links sent before the change shouldn't be able to undo it, and
+        // other devices have to log in with the new password
+        await passwordResetService.revokeTokens(user.id);
+        await tokenService.revokeUserSessions(user.id, req.sessionId);
+
+        res.json({
+            message: 'Password changed successfully'
+        });
+
+    } catch (error) {
+        console.error('Change password error:', error);
+        res.status(500).json({
+            error: 'Failed to change password'
+        });
+    }
+});
+
+// Forgot password - email a single-use reset link. The response is the same
+// whether or not the email belongs to an account, so it can't be used to find accounts.
+router.post('/forgot-password', async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                error: 'Email is required'
+            });
+        }
+
+        const sanitizedEmail = sanitizeInput(email).toLowerCase();
+        const response = {
+            message: 'If an account exists for this email, a password reset link has been sent'
+        };
+
+        // Limit how many reset emails one client can have sent to an address
+        const rateLimitState = await recordAttempt('passwordReset', `${sanitizedEmail}:${req.ip}`);
+        if (rateLimitState.limited) {
+            return sendRateLimited(res, rateLimitState);
+        }
+
+        res.json(response);
+
+        // Look up the account and send the link after the response, so how
+        // long the request takes doesn't tell whether the account exists
+        setImmediate(async () => {
+            try {
+                const user = await userService.getUserByEmail(sanitizedEmail);
+                if (user && !user.delete_after) {
+                    await sendPasswordResetEmail(user);
+                }
+            } catch (error) {
+                console.error('Password reset email error:', error);
+            }
+        });
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            error: 'Failed to start password reset'
+        });
+    }
+});
+
+// Reset password with the token from a reset email
+router.post('/reset-password', async (req, res) => {
+    try {
+        const { token, newPassword, confirmPassword } = req.body;
+
+        if (!token || !newPassword || !confirmPassword) {
+            return res.status(400).json({
+                error: 'Token, new password and confirmation are required'
+            });
+        }
+
+        if (!validatePassword(newPassword)) {
+            return res.status(400).json({
+                error: PASSWORD_REQUIREMENTS_ERROR
+            });
+        }
+
+        if (newPassword !== confirmPassword) {
+            return res.status(400).json({
+                error: 'Passwords do not match'
+            });
+        }
+
+        const userId = await passwordResetService.resetPassword(token, await hashPassword(newPassword));
+        if (userId === null) {
+            return res.status(500).json({
+                error: 'Failed to reset password'
+            });
+        }
+        if (!userId) {
+            return res.status(400).json({
+                error: 'This reset link is invalid or has expired'
+            });
+        }
+
+        // A successful reset proves control of the email, so lift any login
+        // lockout and count the address as verified
+        const user = await userService.getUserById(userId);
+        if (user) {
+            await clearAttempts('login', user.email);
+            await userService.markEmailVerified(user.id);
+            // Whoever knew the old password is logged out everywhere
+            await tokenService.revokeUserSessions(user.id);
+        }
+
+        res.json({
+            message: 'Password reset successfully. You can now log in with your new password.'
+        });
+
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            error: 'Failed to reset password'
+        });
+    }
+});
+
+// Delete the current user's account. The password has to be confirmed. Unless
+// `immediate` is set, the account is disabled and only erased once the grace
+// period has passed (by scripts/purge-deleted-accounts.js); logging in with
+// POST /account/restore before then cancels the deletion.
+router.delete('/account', authenticateTokenAllowUnverified, async (req, res) => {
+    try {
+        const { password, immediate } = req.body || {};
+
+        if (!password) {
+            return res.status(400).json({
+                error: 'Password is required to delete your account'
+            });
+        }
+
+        const user = await userService.getUserById(req.user.id);
+        if (!user) {
+            return res.status(404).json({
+                error: 'User not found'
+            });
+        }
+
+        // 400 rather than 401, since the token itself is fine
+        const isValidPassword = await comparePassword(password, user.password);
+        if (!isValidPassword) {
+            return res.status(400).json({
+                error: 'Incorrect password'
+            });
+        }
+
+        if (immediate === true || ACCOUNT_DELETION_GRACE_DAYS <= 0) {
+            const success = await accountService.eraseAccount(user.id);
+            if (!success) {
+                return res.status(500).json({
+                    error: 'Failed to delete account'
+                });
+            }
+
+            clearAuthTokens(res);
+            return res.json({
+                message: 'Account and all data deleted'
+            });
+        }
+
+        const deleteAfter = new Date(Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        const success = await userService.scheduleDeletion(user.id, deleteAfter);
+        if (!success) {
+            return res.status(500).json({
+                error: 'Failed to delete account'
+            });
+        }
+        await tokenService.revokeUserSessions(user.id);
+        clearAuthTokens(res);
+
+        res.json({
+            message: `Account scheduled for deletion. Log in and restore it within ${ACCOUNT_DELETION_GRACE_DAYS} days to keep it.`,
+            deleteAfter
+        });
+
+    } catch (error) {
+        console.error('Account deletion error:', error);
+        res.status(500).json({
+            error: 'Failed to delete account'
+        });
+    }
+});
+
+// Cancel a scheduled deletion and log in
+router.post('/account/restore', async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({
+                error: 'Email and password are required'
+            });
+        }
+
+        const sanitizedEmail = sanitizeInput(email).toLowerCase();
+
+        // Restoring checks the password like a login, so it shares the rate limit
+        const rateLimitState = await checkRateLimit('login', sanitizedEmail);
+        if (rateLimitState.limited) {
+            return sendRateLimited(res, rateLimitState);
+        }
+
+        const user = await userService.getUserByEmail(sanitizedEmail);
+        if (!user || !(await comparePassword(password, user.password))) {
+            await recordAttempt('login', sanitizedEmail);
+            return res.status(401).json({
+                error: 'Invalid email or password'
+            });
+        }
+
+        await clearAttempts('login', sanitizedEmail);
+
+        if (!user.delete_after) {
+            return res.status(400).json({
+                error: 'This account is not scheduled for deletion'
+            });
+        }
+
+        const success = await userService.cancelDeletion(user.id);
+        if (!success) {
+            return res.status(500).json({
+                error: 'Failed to restore account'
+            });
+        }
+
+        const tokens = await createAuthTokens(user);
+        if (!tokens) {
+            return res.status(500).json({
+                error: 'Failed to create session'
+            });
+        }
+
+        res.json({
+            message: 'Account restored',
+            ...sendAuthTokens(res, tokens),
+            user: {
+                id: user.id,
+                email: user.email,
+                name: user.name,
+                emailVerified: isEmailVerified(user)
+            }
+        });
+
+    } catch (error) {
+        console.error('Account restore error:', error);
+        res.status(500).json({
+            error: 'Failed to restore account'
+        });
+    }
+});
+
+// Exchange a refresh token for a new access token and refresh token
+router.post('/refresh', async (req, res) => {
+    try {
+        const refreshToken = getRefreshToken(req);
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                error: 'Refresh token is required'
+            });
+        }
+
+        const session = await tokenService.rotateRefreshToken(refreshToken);
+        if (session === null) {
+            return res.status(500).json({
+                error: 'Failed to refresh token'
+            });
+        }
+        if (!session) {
+            clearAuthTokens(res);
+            return res.status(401).json({
+                error: 'Invalid or expired refresh token'
+            });
+        }
+
+        const user = await userService.getUserById(session.userId);
+        if (!user || user.delete_after) {
+            await tokenService.revokeSession(session.sessionId, session.userId);
+            clearAuthTokens(res);
+            return res.status(401).json({
+                error: 'Invalid or expired refresh token'
+            });
+        }
+
+        res.json({
+            message: 'Token refreshed',
+            ...sendAuthTokens(res, {
+                token: generateToken(user, session.sessionId),
+                refreshToken: session.refreshToken
+            })
+        });
+
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({
+            error: 'Failed to refresh token'
+        });
+    }
+});
+
+// Logout - revokes the session, so its access and refresh tokens stop working
+router.post('/logout', authenticateTokenAllowUnverified, async (req, res) => {
+    try {
+        const success = await tokenService.revokeSession(req.sessionId, req.user.id);
+        if (!success) {
+            return res.status(500).json({
+                error: 'Error during logout'
+            });
+        }
+
+        clearAuthTokens(res);
+        res.json({
+            message: 'Logout successful'
+        });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            error: 'Error during logout'
+        });
+    }
+});
+
+// Log out of all devices, including this one
+router.post('/logout-all', authenticateTokenAllowUnverified, async (req, res) => {
+    try {
+        const count = await tokenService.revokeUserSessions(req.user.id);
+        if (count === null) {
+            return res.status(500).json({
+                error: 'Error during logout'
+            });
+        }
+
+        clearAuthTokens(res);
+        res.json({
+            message: 'Logged out of all devices',
+            sessions: count
+        });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({
+            error: 'Error during logout'
+        });
+    }
 });
 
 // Verify token endpoint
-router.get('/verify', authenticateToken, (req, res) => {
+router.get('/verify', authenticateTokenAllowUnverified, (req, res) => {
     res.json({
         valid: true,
         user: req.user
@@ -310,7 +888,7 @@ router.get('/verify', authenticateToken, (req, res) => {
 });
 
 // Get current user (check if logged in) - alias for /verify
-router.get('/me', authenticateToken, (req, res) => {
+router.get('/me', authenticateTokenAllowUnverified, (req, res) => {
     res.json({
         user: req.user
     });
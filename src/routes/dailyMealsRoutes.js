@@ -3,6 +3,64 @@ const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
 const mealService = require('../database/mealService');
 const dailyMacroService = require('../database/dailyMacroService');
+const mealSlotService = require('../database/mealSlotService');
+const { WEEKDAYS, isDateKey, isWeekdayKey, normalizeDayKey, weekdayForDate, parseDateKey, getWeekDateKeys } = require('../utils/dayKeys');
+const { withFoodLink } = require('../utils/foodLinks');
+
+// Every :day is either a calendar date (the diary) or a weekday name (the template)
+router.param('day', (req, res, next, day) => {
+    if (!normalizeDayKey(day)) {
+        return res.status(400).json({ error: 'Invalid day. Use a date (YYYY-MM-DD) or a weekday name' });
+    }
+    next();
+});
+
+// Get diary items whose source food has changed since they were logged
+router.get('/food-changes', authenticateToken, async (req, res) => {
+    console.log('Handling GET request for /api/daily-meals/food-changes');
+    try {
+        const userId = req.user.id;
+        const day = req.query.day ? normalizeDayKey(req.query.day) : null;
+        if (req.query.day && !day) {
+            return res.status(400).json({ error: 'Invalid day. Use a date (YYYY-MM-DD) or a weekday name' });
+        }
+
+        const changes = await mealService.getFoodChanges(userId, day);
+        if (changes === null) {
+            return res.status(500).json({ error: 'Failed to check food changes' });
+        }
+        res.json({ changes });
+    } catch (error) {
+        console.error('Error in GET /api/daily-meals/food-changes:', error);
+        res.status(500).json({ error: 'Failed to check food changes' });
+    }
+});
+
+// Re-apply the current food values to changed diary items
+router.post('/food-changes/apply', authenticateToken, async (req, res) => {
+    console.log('Handling POST request for /api/daily-meals/food-changes/apply');
+    try {
+        const userId = req.user.id;
+        const { itemIds, day: requestedDay } = req.body || {};
+
+        const day = requestedDay ? normalizeDayKey(requestedDay) : null;
+        if (requestedDay && !day) {
+            return res.status(400).json({ error: 'Invalid day. Use a date (YYYY-MM-DD) or a weekday name' });
+        }
+        if (itemIds !== undefined && (!Array.isArray(itemIds) || itemIds.some(id => !Number.isInteger(id)))) {
+            return res.status(400).json({ error: 'itemIds must be an array of item IDs' });
+        }
+
+        const updated = await mealService.applyFoodChanges(userId, itemIds || null, day);
+        if (updated === null) {
+            return res.status(500).json({ error: 'Failed to apply food changes' });
+        }
+        res.json({ updated, message: `Updated ${updated} diary items` });
+    } catch (error) {
+        console.error('Error in POST /api/daily-meals/food-changes/apply:', error);
+        res.status(500).json({ error: 'Failed to apply food changes' });
+    }
+});
 
 // Get meals for a specific day - user-specific with authentication
 router.get('/:day', authenticateToken, async (req, res) => {
@@ -27,15 +85,15 @@ router.put('/:day/meals/:mealId/time', authenticateToken, async (req, res) => {
         const { time } = req.body;
         const userId = req.user.id;
         
-        // Handle meal time updates - directly create placeholder if meal doesn't exist
-        const defaultTimes = ["08:00", "11:00", "14:00", "17:00", "20:00", "23:00"];
-        const mealIndex = parseInt(mealId) - 1;
-        
-        if (mealIndex < 0 || mealIndex >= defaultTimes.length) {
+        if (!time || !/^\d{1,2}:\d{2}$/.test(time)) {
+            return res.status(400).json({ error: 'Time must be in HH:MM format' });
+        }
+
+        const slot = await mealSlotService.getSlot(userId, mealId);
+        if (!slot) {
             return res.status(400).json({ error: 'Invalid meal ID' });
         }
 
-        // For meal time updates, we'll directly handle creating/updating the placeholder
         const success = await mealService.setMealTime(userId, day, parseInt(mealId), time);
         if (success) {
             res.json({ message: 'Meal time updated successfully' });
@@ -54,34 +112,18 @@ router.post('/:day/meals/:mealId/items', authenticateToken, async (req, res) =>
     console.log('📦 Received item data:', JSON.stringify(req.body, null, 2));
     try {
         const { day, mealId } = req.params;
-        const newItem = req.body;
         const userId = req.user.id;
-        
-        // Get meal time from the item data or fallback to default
-        let mealTime = newItem.mealTime;
-        if (!mealTime) {
-            // Fallback: get meal time from mealId
-            const dayData = await mealService.getUserDayMeals(userId, day);
-            let meal = dayData.meals.find(m => m.id === parseInt(mealId));
-            
-            // If meal doesn't exist, create it with default time
-            if (!meal) {
-                const defaultTimes = ["08:00", "11:00", "14:00", "17:00", "20:00", "23:00"];
-                const mealIndex = parseInt(mealId) - 1;
-                if (mealIndex >= 0 && mealIndex < defaultTimes.length) {
-                    mealTime = defaultTimes[mealIndex];
-                } else {
-                    return res.status(400).json({ error: 'Invalid meal ID' });
-                }
-            } else {
-                mealTime = meal.time;
-            }
+
+        // Items can only be added to the user's current meal slots
+        const slot = await mealSlotService.getSlot(userId, mealId);
+        if (!slot || slot.isDeleted) {
+            return res.status(400).json({ error: 'Invalid meal ID' });
         }
-        
-        // Remove mealTime from itemData before passing to addMealItem
-        const { mealTime: _, ...itemDataWithoutTime } = newItem;
-        
-        const addedItem = await mealService.addMealItem(userId, day, mealTime, itemDataWithoutTime, parseInt(mealId));
+
+        // The meal time is only used if this is the meal's first item
+        const { mealTime, ...itemData } = req.body;
+
+        const addedItem = await mealService.addMealItem(userId, day, slot.id, withFoodLink(itemData), mealTime || slot.defaultTime);
         if (addedItem) {
             res.json(addedItem);
         } else {
@@ -97,30 +139,10 @@ router.post('/:day/meals/:mealId/items', authenticateToken, async (req, res) =>
 router.put('/:day/meals/:mealId/items/:itemId', authenticateToken, async (req, res) => {
     console.log('Handling PUT request for /api/daily-meals/:day/meals/:mealId/items/:itemId');
     try {
-        const { day, mealId, itemId } = req.params;
-        const updatedItem = req.body;
+        const { day, itemId } = req.params;
         const userId = req.user.id;
-        
-        // Get meal time from mealId
-        const dayData = await mealService.getUserDayMeals(userId, day);
-        let meal = dayData.meals.find(m => m.id === parseInt(mealId));
-        
-        // If meal doesn't exist, create it with default time
-        if (!meal) {
-            const defaultTimes = ["08:00", "11:00", "14:00", "17:00", "20:00", "23:00"];
-            const mealIndex = parseInt(mealId) - 1;
-            if (mealIndex >= 0 && mealIndex < defaultTimes.length) {
-                meal = {
-                    id: parseInt(mealId),
-                    time: defaultTimes[mealIndex],
-                    items: []
-                };
-            } else {
-                return res.status(400).json({ error: 'Invalid meal ID' });
-            }
-        }
 
-        const result = await mealService.updateMealItem(userId, day, meal.time, itemId, updatedItem);
+        const result = await mealService.updateMealItem(userId, day, itemId, withFoodLink(req.body));
         if (result) {
             res.json(result);
         } else {
@@ -136,29 +158,10 @@ router.put('/:day/meals/:mealId/items/:itemId', authenticateToken, async (req, r
 router.delete('/:day/meals/:mealId/items/:itemId', authenticateToken, async (req, res) => {
     console.log('Handling DELETE request for /api/daily-meals/:day/meals/:mealId/items/:itemId');
     try {
-        const { day, mealId, itemId } = req.params;
+        const { day, itemId } = req.params;
         const userId = req.user.id;
-        
-        // Get meal time from mealId
-        const dayData = await mealService.getUserDayMeals(userId, day);
-        let meal = dayData.meals.find(m => m.id === parseInt(mealId));
-        
-        // If meal doesn't exist, create it with default time
-        if (!meal) {
-            const defaultTimes = ["08:00", "11:00", "14:00", "17:00", "20:00", "23:00"];
-            const mealIndex = parseInt(mealId) - 1;
-            if (mealIndex >= 0 && mealIndex < defaultTimes.length) {
-                meal = {
-                    id: parseInt(mealId),
-                    time: defaultTimes[mealIndex],
-                    items: []
-                };
-            } else {
-                return res.status(400).json({ error: 'Invalid meal ID' });
-            }
-        }
 
-        const success = await mealService.deleteMealItem(userId, day, meal.time, itemId);
+        const success = await mealService.deleteMealItem(userId, day, itemId);
         if (success) {
             res.json({ message: 'Item deleted successfully' });
         } else {
@@ -241,22 +244,151 @@ router.post('/:day/macros', authenticateToken, async (req, res) => {
     }
 });
 
-// Clean up duplicate placeholders for a specific day
-router.post('/:day/cleanup-placeholders', authenticateToken, async (req, res) => {
-    console.log('Handling POST request for /api/daily-meals/:day/cleanup-placeholders');
+// Apply a weekday template to a calendar date
+router.post('/:day/apply-template', authenticateToken, async (req, res) => {
+    console.log('Handling POST request for /api/daily-meals/:day/apply-template');
     try {
-        const { day } = req.params;
+        const date = req.params.day;
         const userId = req.user.id;
-        
-        const success = await mealService.cleanupDayPlaceholders(userId, day);
-        if (success) {
-            res.json({ message: 'Placeholders cleaned up successfully' });
-        } else {
-            res.status(500).json({ error: 'Failed to cleanup placeholders' });
+        const { weekday, overwrite } = req.body || {};
+
+        if (!isDateKey(date)) {
+            return res.status(400).json({ error: 'Templates can only be applied to a date (YYYY-MM-DD)' });
+        }
+        if (weekday && !isWeekdayKey(weekday)) {
+            return res.status(400).json({ error: 'Invalid weekday' });
+        }
+
+        const templateDay = weekday ? weekday.toLowerCase() : weekdayForDate(date);
+
+        const existingItems = await mealService.countDayItems(userId, date);
+        if (existingItems > 0 && !overwrite) {
+            return res.status(409).json({ error: `${date} already has ${existingItems} items. Set overwrite to replace them.` });
         }
+
+        const copied = await mealService.copyDay(userId, templateDay, date);
+        if (copied === null) {
+            return res.status(500).json({ error: 'Failed to apply template' });
+        }
+
+        res.json({ message: `Applied ${templateDay} template to ${date}`, template: templateDay, date });
+    } catch (error) {
+        console.error('Error in POST /api/daily-meals/:day/apply-template:', error);
+        res.status(500).json({ error: 'Failed to apply template' });
+    }
+});
+
+// Save a calendar date as a weekday template
+router.post('/:day/save-as-template', authenticateToken, async (req, res) => {
+    console.log('Handling POST request for /api/daily-meals/:day/save-as-template');
+    try {
+        const date = req.params.day;
+        const userId = req.user.id;
+        const { weekday } = req.body || {};
+
+        if (!isDateKey(date)) {
+            return res.status(400).json({ error: 'Only a date (YYYY-MM-DD) can be saved as a template' });
+        }
+        if (weekday && !isWeekdayKey(weekday)) {
+            return res.status(400).json({ error: 'Invalid weekday' });
+        }
+
+        const templateDay = weekday ? weekday.toLowerCase() : weekdayForDate(date);
+
+        const copied = await mealService.copyDay(userId, date, templateDay);
+        if (copied === null) {
+            return res.status(500).json({ error: 'Failed to save template' });
+        }
+
+        res.json({ message: `Saved ${date} as the ${templateDay} template`, template: templateDay, date });
+    } catch (error) {
+        console.error('Error in POST /api/daily-meals/:day/save-as-template:', error);
+        res.status(500).json({ error: 'Failed to save template' });
+    }
+});
+
+const COPY_MODES = ['overwrite', 'merge'];
+
+// Copy a day onto another day (a date or a weekday template). Without a mode the
+// target must be empty; 'overwrite' replaces the target day, 'merge' adds to it.
+router.post('/:day/copy', authenticateToken, async (req, res) => {
+    console.log('Handling POST request for /api/daily-meals/:day/copy');
+    try {
+        const fromDay = normalizeDayKey(req.params.day);
+        const userId = req.user.id;
+        const { to, mode } = req.body || {};
+        const toDay = normalizeDayKey(to);
+
+        if (!toDay) {
+            return res.status(400).json({ error: 'Invalid target day. Use a date (YYYY-MM-DD) or a weekday name' });
+        }
+        if (toDay === fromDay) {
+            return res.status(400).json({ error: 'Cannot copy a day onto itself' });
+        }
+        if (mode !== undefined && !COPY_MODES.includes(mode)) {
+            return res.status(400).json({ error: 'Mode must be overwrite or merge' });
+        }
+
+        if (!mode) {
+            const existingItems = await mealService.countDayItems(userId, toDay);
+            if (existingItems > 0) {
+                return res.status(409).json({ error: `${toDay} already has ${existingItems} items. Set mode to overwrite or merge.` });
+            }
+        }
+
+        const copied = await mealService.copyDay(userId, fromDay, toDay, mode || 'overwrite');
+        if (copied === null) {
+            return res.status(500).json({ error: 'Failed to copy day' });
+        }
+
+        res.json({ message: `Copied ${fromDay} to ${toDay}`, from: fromDay, to: toDay, copied });
+    } catch (error) {
+        console.error('Error in POST /api/daily-meals/:day/copy:', error);
+        res.status(500).json({ error: 'Failed to copy day' });
+    }
+});
+
+// Copy the Sunday-to-Saturday week containing :day onto the week containing `to`,
+// all in one transaction. A weekday name as :day copies the whole template week.
+router.post('/:day/copy-week', authenticateToken, async (req, res) => {
+    console.log('Handling POST request for /api/daily-meals/:day/copy-week');
+    try {
+        const day = normalizeDayKey(req.params.day);
+        const userId = req.user.id;
+        const { to, mode } = req.body || {};
+
+        if (!isDateKey(to)) {
+            return res.status(400).json({ error: 'Target must be a date (YYYY-MM-DD) in the week to copy to' });
+        }
+        if (mode !== undefined && !COPY_MODES.includes(mode)) {
+            return res.status(400).json({ error: 'Mode must be overwrite or merge' });
+        }
+
+        const fromWeek = isWeekdayKey(day) ? null : getWeekDateKeys(parseDateKey(day));
+        const toWeek = getWeekDateKeys(parseDateKey(to));
+        const fromDays = WEEKDAYS.map(weekday => fromWeek ? fromWeek[weekday] : weekday);
+        const toDays = WEEKDAYS.map(weekday => toWeek[weekday]);
+        if (fromDays[0] === toDays[0]) {
+            return res.status(400).json({ error: 'Cannot copy a week onto itself' });
+        }
+
+        if (!mode) {
+            const existingItems = await mealService.countItemsOnDays(userId, toDays);
+            if (existingItems > 0) {
+                return res.status(409).json({ error: `The week of ${toDays[0]} already has ${existingItems} items. Set mode to overwrite or merge.` });
+            }
+        }
+
+        const pairs = fromDays.map((from, i) => ({ from, to: toDays[i] }));
+        const copied = await mealService.copyDays(userId, pairs, mode || 'overwrite');
+        if (copied === null) {
+            return res.status(500).json({ error: 'Failed to copy week' });
+        }
+
+        res.json({ message: `Copied the week of ${fromDays[0]} to the week of ${toDays[0]}`, from: fromDays, to: toDays, copied });
     } catch (error) {
-        console.error('Error in POST /api/daily-meals/:day/cleanup-placeholders:', error);
-        res.status(500).json({ error: 'Failed to cleanup placeholders' });
+        console.error('Error in POST /api/daily-meals/:day/copy-week:', error);
+        res.status(500).json({ error: 'Failed to copy week' });
     }
 });
 
@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, verifyDigestUnsubscribeToken } = require('../middleware/auth');
+const digestService = require('../database/digestService');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isValidTimezone = (timezone) => {
+    if (typeof timezone !== 'string' || !timezone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// GET - The user's weekly digest settings
+router.get('/', authenticateToken, async (req, res) => {
+    console.log('Handling GET request for /api/digest');
+    try {
+        const settings = await digestService.getSettings(req.user.id);
+        if (!settings) {
+            return res.status(500).json({ error: 'Failed to read digest settings' });
+        }
+        res.json(settings);
+    } catch (error) {
+        console.error('Error in GET /api/digest:', error);
+        res.status(500).json({ error: 'Failed to get digest settings' });
+    }
+});
+
+// PUT - Turn the weekly digest on or off and choose when it's sent
+router.put('/', authenticateToken, async (req, res) => {
+    console.log('Handling PUT request for /api/digest');
+    try {
+        const { enabled, sendDay, sendTime, timezone } = req.body;
+
+        if (typeof enabled !== 'boolean') {
+            return res.status(400).json({ error: 'enabled must be true or false' });
+        }
+        if (!Number.isInteger(sendDay) || sendDay < 0 || sendDay > 6) {
+            return res.status(400).json({ error: 'sendDay must be 0 (Sunday) to 6 (Saturday)' });
+        }
+        if (typeof sendTime !== 'string' || !TIME_PATTERN.test(sendTime)) {
+            return res.status(400).json({ error: 'sendTime must be HH:MM' });
+        }
+        if (!isValidTimezone(timezone)) {
+            return res.status(400).json({ error: 'timezone must be an IANA time zone, e.g. Europe/Berlin' });
+        }
+
+        const settings = await digestService.saveSettings(req.user.id, { enabled, sendDay, sendTime, timezone });
+        if (settings) {
+            res.json({ message: 'Digest settings saved successfully', settings });
+        } else {
+            res.status(500).json({ error: 'Failed to save digest settings to database' });
+        }
+    } catch (error) {
+        console.error('Error in PUT /api/digest:', error);
+        res.status(500).json({ error: 'Failed to save digest settings' });
+    }
+});
+
+// POST - Turn the digest off from the unsubscribe link in a digest email (no login needed)
+router.post('/unsubscribe', async (req, res) => {
+    console.log('Handling POST request for /api/digest/unsubscribe');
+    try {
+        const { token } = req.body;
+        if (!token) {
+            return res.status(400).json({ error: 'Unsubscribe token is required' });
+        }
+
+        let decoded;
+        try {
+            decoded = verifyDigestUnsubscribeToken(token);
+        } catch (tokenError) {
+            return res.status(400).json({ error: tokenError.message });
+        }
+
+        const success = await digestService.unsubscribe(decoded.id);
+        if (success) {
+            res.json({ message: 'You have been unsubscribed from the weekly digest' });
+        } else {
+            res.status(500).json({ error: 'Failed to unsubscribe' });
+        }
+    } catch (error) {
+        console.error('Error in POST /api/digest/unsubscribe:', error);
+        res.status(500).json({ error: 'Failed to unsubscribe' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const exerciseService = require('../database/exerciseService');
+const settingsService = require('../database/settingsService');
+const { isDateKey, getDateKeysBetween, countDaysBetween } = require('../utils/dayKeys');
+const { INTENSITIES, ACTIVITIES, getActivity, estimateExerciseCalories } = require('../utils/activities');
+
+const MAX_DURATION = 1440; // minutes in a day
+const MAX_CALORIES = 10000;
+const MAX_RANGE_DAYS = 366;
+
+// GET - Get the activities that can be logged, their MET values and the user's weight for estimates
+router.get('/activities', authenticateToken, async (req, res) => {
+    console.log('Handling GET request for /api/exercise/activities');
+    try {
+        const weightKg = await settingsService.getWeightKg(req.user.id);
+        res.json({ activities: ACTIVITIES, intensities: INTENSITIES, weightKg });
+    } catch (error) {
+        console.error('Error in GET /api/exercise/activities:', error);
+        res.status(500).json({ error: 'Failed to read activities' });
+    }
+});
+
+// GET - Get the exercise logged on a date, with the calories burned
+router.get('/', authenticateToken, async (req, res) => {
+    console.log('Handling GET request for /api/exercise');
+    try {
+        const { date } = req.query;
+
+        if (!isDateKey(date)) {
+            return res.status(400).json({ error: 'Invalid date. Use YYYY-MM-DD' });
+        }
+
+        const entries = await exerciseService.getDayEntries(req.user.id, date);
+        const totalCalories = entries.reduce((sum, entry) => sum + entry.calories, 0);
+        const totalDuration = entries.reduce((sum, entry) => sum + entry.duration, 0);
+
+        res.json({ date, entries, totalCalories, totalDuration });
+    } catch (error) {
+        console.error('Error in GET /api/exercise:', error);
+        res.status(500).json({ error: 'Failed to read exercise entries' });
+    }
+});
+
+// GET - Get daily totals for a date range (every date is included, 0 when nothing was logged)
+router.get('/summary', authenticateToken, async (req, res) => {
+    console.log('Handling GET request for /api/exercise/summary');
+    try {
+        const { from, to } = req.query;
+
+        if (!isDateKey(from) || !isDateKey(to)) {
+            return res.status(400).json({ error: 'Invalid date range. Use from and to as YYYY-MM-DD' });
+        }
+        if (from > to) {
+            return res.status(400).json({ error: 'from must not be after to' });
+        }
+
+        if (countDaysBetween(from, to) + 1 > MAX_RANGE_DAYS) {
+            return res.status(400).json({ error: `Date range can be at most ${MAX_RANGE_DAYS} days` });
+        }
+        const dateKeys = getDateKeysBetween(from, to);
+
+        const totals = new Map((await exerciseService.getDailyTotals(req.user.id, from, to)).map(total => [total.date, total]));
+        const days = dateKeys.map(date => totals.get(date) || { date, calories: 0, duration: 0, entries: 0 });
+
+        res.json({ from, to, days });
+    } catch (error) {
+        console.error('Error in GET /api/exercise/summary:', error);
+        res.status(500).json({ error: 'Failed to read exercise summary' });
+    }
+});
+
+// POST - Log an exercise. Calories are estimated from the activity's MET value
+// and the user's weight unless given (e.g. from a heart rate monitor).
+router.post('/', authenticateToken, async (req, res) => {
+    console.log('Handling POST request for /api/exercise');
+    try {
+        const userId = req.user.id;
+        const { date, activity, intensity = 'moderate', duration, calories } = req.body;
+
+        if (!isDateKey(date)) {
+            return res.status(400).json({ error: 'Invalid date. Use YYYY-MM-DD' });
+        }
+
+        const activityInfo = getActivity(activity);
+        if (!activityInfo) {
+            return res.status(400).json({ error: `Activity must be one of: ${ACTIVITIES.map(a => a.key).join(', ')}` });
+        }
+        if (!INTENSITIES.includes(intensity)) {
+            return res.status(400).json({ error: `Intensity must be one of: ${INTENSITIES.join(', ')}` });
+        }
+        if (typeof duration !== 'number' || !(duration > 0) || duration > MAX_DURATION) {
+            return res.status(400).json({ error: `Duration must be a number of minutes greater than 0 and at most ${MAX_DURATION}` });
+        }
+        if (calories !== undefined && calories !== null &&
+            (typeof calories !== 'number' || !(calories >= 0) || calories > MAX_CALORIES)) {
+            return res.status(400).json({ error: `Calories must be a number between 0 and ${MAX_CALORIES}` });
+        }
+
+        const met = activityInfo.met[intensity];
+        let burned = calories;
+        if (burned === undefined || burned === null) {
+            const weightKg = await settingsService.getWeightKg(userId);
+            if (!weightKg) {
+                return res.status(400).json({ error: 'Set your weight in Settings to estimate calories, or enter the calories burned' });
+            }
+            burned = estimateExerciseCalories(met, weightKg, duration);
+        }
+
+        const entry = await exerciseService.addEntry(userId, { date, activity, intensity, duration, met, calories: burned });
+        if (entry) {
+            res.status(201).json({ message: 'Exercise saved successfully', entry });
+        } else {
+            res.status(500).json({ error: 'Failed to save exercise to database' });
+        }
+    } catch (error) {
+        console.error('Error in POST /api/exercise:', error);
+        res.status(500).json({ error: 'Failed to save exercise' });
+    }
+});
+
+// DELETE - Delete an exercise
+router.delete('/:id', authenticateToken, async (req, res) => {
+    console.log('Handling DELETE request for /api/exercise/:id');
+    try {
+        const success = await exerciseService.deleteEntry(req.user.id, parseInt(req.params.id));
+        if (success) {
+            res.json({ message: 'Exercise deleted successfully' });
+        } else {
+            res.status(404).json({ error: 'Exercise not found' });
+        }
+    } catch (error) {
+        console.error('Error in DELETE /api/exercise/:id:', error);
+        res.status(500).json({ error: 'Failed to delete exercise' });
+    }
+});
+
+module.exports = router;
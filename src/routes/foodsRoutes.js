@@ -1,7 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 const foodService = require('../database/foodService');
+const productService = require('../database/productService');
+const { normalizeBarcode } = require('../utils/barcodes');
+const { formatDateKey } = require('../utils/dayKeys');
+const { FOOD_CSV_FIELDS, parseCsv, detectColumnMapping, recordToFood, foodsToCsv } = require('../utils/foodCsv');
+
+const IMPORT_DUPLICATE_MODES = ['skip', 'update', 'add'];
+const IMPORT_DELIMITERS = [',', ';', '\t'];
+const MAX_IMPORT_ROWS = 5000;
+const MAX_PREVIEW_ROWS = 50;
+
+// Searches and barcode lookups are counted per user
+const searchRateLimit = rateLimit('foodSearch', { key: req => req.user.id });
 
 // Debug logging
 router.use((req, res, next) => {
@@ -10,7 +23,10 @@ router.use((req, res, next) => {
 });
 
 // Get all foods - requires authentication, user-specific database
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateToken, rateLimit('foodSearch', {
+    key: req => req.user.id,
+    skip: req => !req.query.search
+}), async (req, res) => {
     console.log('Handling GET request for /api/foods');
     try {
         const { search } = req.query;
@@ -34,7 +50,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Search foods endpoint (alternative to query parameter)
-router.get('/search', authenticateToken, async (req, res) => {
+router.get('/search', authenticateToken, searchRateLimit, async (req, res) => {
     console.log('Handling GET request for /api/foods/search');
     try {
         const { q } = req.query;
@@ -48,6 +64,174 @@ router.get('/search', authenticateToken, async (req, res) => {
     }
 });
 
+// Look up a packaged product by its EAN/UPC barcode. Returns it in the same
+// format as a food (values per 100 g) so it can be logged or saved as a food.
+router.get('/barcode/:code', authenticateToken, searchRateLimit, async (req, res) => {
+    console.log('Handling GET request for /api/foods/barcode/:code');
+    try {
+        const barcode = normalizeBarcode(req.params.code);
+        if (!barcode) {
+            return res.status(400).json({ error: 'Invalid barcode. Use an 8, 12, 13 or 14 digit EAN/UPC code' });
+        }
+
+        const product = await productService.getByBarcode(barcode);
+        if (product) {
+            res.json(product);
+        } else {
+            res.status(404).json({ error: 'No product found for this barcode' });
+        }
+    } catch (error) {
+        console.error('Error in GET /api/foods/barcode/:code:', error);
+        res.status(500).json({ error: 'Failed to look up barcode' });
+    }
+});
+
+// Check each CSV row and find the ones that match a food the user already has.
+// Returns { line, status: 'new' | 'duplicate' | 'invalid', food, existingId, error } per row.
+function checkImportRows(records, mapping, existingIds) {
+    const linesByName = new Map();
+    return records.map((record, index) => {
+        const line = index + 2; // after the header, counting from 1
+        const { food, error } = recordToFood(record, mapping);
+        if (error) {
+            return { line, status: 'invalid', error };
+        }
+
+        const name = food.item.toLowerCase();
+        if (linesByName.has(name)) {
+            return { line, status: 'invalid', food, error: `Same item as line ${linesByName.get(name)}` };
+        }
+        linesByName.set(name, line);
+
+        const existingId = existingIds.get(name);
+        return existingId
+            ? { line, status: 'duplicate', food, existingId }
+            : { line, status: 'new', food };
+    });
+}
+
+// Import foods from CSV text into the user's foods. With dryRun, nothing is saved and
+// the response shows what would happen, so the column mapping can be checked first.
+router.post('/import', authenticateToken, async (req, res) => {
+    console.log('Handling POST request for /api/foods/import');
+    try {
+        const userId = req.user.id;
+        const { csv, mapping: requestedMapping, delimiter, duplicates = 'skip', dryRun = false } = req.body;
+
+        if (typeof csv !== 'string' || !csv.trim()) {
+            return res.status(400).json({ error: 'CSV text is required' });
+        }
+        if (!IMPORT_DUPLICATE_MODES.includes(duplicates)) {
+            return res.status(400).json({ error: `duplicates must be one of: ${IMPORT_DUPLICATE_MODES.join(', ')}` });
+        }
+        if (delimiter !== undefined && !IMPORT_DELIMITERS.includes(delimiter)) {
+            return res.status(400).json({ error: 'delimiter must be a comma, semicolon or tab' });
+        }
+
+        let columns, records;
+        try {
+            ({ columns, records } = parseCsv(csv, delimiter));
+        } catch (error) {
+            return res.status(400).json({ error: `Could not read the CSV: ${error.message}` });
+        }
+        if (records.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ error: `A CSV can have at most ${MAX_IMPORT_ROWS} rows` });
+        }
+
+        // Columns chosen by the user replace the ones recognized by name; null or '' leaves a field out
+        const mapping = detectColumnMapping(columns);
+        if (requestedMapping && typeof requestedMapping === 'object') {
+            for (const [key, column] of Object.entries(requestedMapping)) {
+                if (!FOOD_CSV_FIELDS.some(field => field.key === key)) {
+                    return res.status(400).json({ error: `Unknown field in mapping: ${key}` });
+                }
+                if (column === null || column === '') {
+                    delete mapping[key];
+                } else if (columns.includes(column)) {
+                    mapping[key] = column;
+                } else {
+                    return res.status(400).json({ error: `Column "${column}" is not in the CSV` });
+                }
+            }
+        }
+
+        const missingFields = FOOD_CSV_FIELDS.filter(field => field.required && !mapping[field.key]).map(field => field.key);
+        if (missingFields.length > 0 && !dryRun) {
+            return res.status(400).json({ error: `Choose a column for: ${missingFields.join(', ')}` });
+        }
+
+        const existingIds = await foodService.getUserFoodIdsByName(userId);
+        if (!existingIds) {
+            return res.status(500).json({ error: 'Failed to read your foods' });
+        }
+
+        const rows = missingFields.length > 0 ? [] : checkImportRows(records, mapping, existingIds);
+        const foods = rows
+            .filter(row => row.status === 'new' || (row.status === 'duplicate' && duplicates !== 'skip'))
+            .map(row => ({ ...row.food, existingId: duplicates === 'update' ? row.existingId : null }));
+
+        const summary = {
+            rows: records.length,
+            invalid: rows.filter(row => row.status === 'invalid').length,
+            duplicates: rows.filter(row => row.status === 'duplicate').length,
+            added: foods.filter(food => !food.existingId).length,
+            updated: foods.filter(food => food.existingId).length,
+            skipped: rows.length - foods.length
+        };
+
+        if (!dryRun && foods.length > 0) {
+            const result = await foodService.importFoods(foods, userId);
+            if (!result) {
+                return res.status(500).json({ error: 'Failed to save imported foods to database' });
+            }
+        }
+
+        res.json({
+            dryRun: Boolean(dryRun),
+            columns,
+            mapping,
+            missingFields,
+            fields: FOOD_CSV_FIELDS.map(({ key, label, required }) => ({ key, label, required: Boolean(required) })),
+            summary,
+            preview: rows.slice(0, MAX_PREVIEW_ROWS).map(({ line, status, food, error }) => ({ line, status, food, error })),
+            errors: rows.filter(row => row.status === 'invalid').slice(0, MAX_PREVIEW_ROWS).map(({ line, error }) => ({ line, error }))
+        });
+    } catch (error) {
+        console.error('Error in POST /api/foods/import:', error);
+        res.status(500).json({ error: 'Failed to import foods' });
+    }
+});
+
+// Export the foods the user sees (or only their own with scope=user) as a CSV or JSON download
+router.get('/export', authenticateToken, async (req, res) => {
+    console.log('Handling GET request for /api/foods/export');
+    try {
+        const { format = 'csv', scope = 'all' } = req.query;
+
+        if (!['csv', 'json'].includes(format)) {
+            return res.status(400).json({ error: 'format must be csv or json' });
+        }
+        if (!['all', 'user'].includes(scope)) {
+            return res.status(400).json({ error: 'scope must be all or user' });
+        }
+
+        let foods = await foodService.getAllFoods(req.user.id);
+        if (scope === 'user') {
+            foods = foods.filter(food => food.source === 'user');
+        }
+
+        res.attachment(`foods-${formatDateKey(new Date())}.${format}`);
+        if (format === 'json') {
+            res.send(JSON.stringify({ exportedAt: new Date().toISOString(), foods }, null, 2));
+        } else {
+            res.send(foodsToCsv(foods));
+        }
+    } catch (error) {
+        console.error('Error in GET /api/foods/export:', error);
+        res.status(500).json({ error: 'Failed to export foods' });
+    }
+});
+
 // Add new food - requires authentication, user-specific database
 router.post('/', authenticateToken, async (req, res) => {
     console.log('Handling POST request for /api/foods');
@@ -65,22 +249,114 @@ router.post('/', authenticateToken, async (req, res) => {
     }
 });
 
-// Update food - requires authentication, user-specific database
-router.put('/:index', authenticateToken, async (req, res) => {
+// Parse a food ID path parameter, returns null if it isn't a positive integer
+function parseFoodId(value) {
+    const id = Number(value);
+    return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Handlers shared by the /global/:id and /user/:id routes
+function getFoodHandler(source) {
+    return async (req, res) => {
+        console.log(`Handling GET request for /api/foods/${source}/:id`);
+        try {
+            const id = parseFoodId(req.params.id);
+            if (!id) {
+                return res.status(400).json({ error: 'Invalid food ID' });
+            }
+
+            const food = await foodService.getFoodById(source, id, req.user.id);
+            if (food) {
+                res.json(food);
+            } else {
+                res.status(404).json({ error: 'Food not found' });
+            }
+        } catch (error) {
+            console.error(`Error in GET /api/foods/${source}/:id:`, error);
+            res.status(500).json({ error: 'Failed to load food' });
+        }
+    };
+}
+
+function updateFoodHandler(source) {
+    return async (req, res) => {
+        console.log(`Handling PUT request for /api/foods/${source}/:id`);
+        try {
+            const id = parseFoodId(req.params.id);
+            if (!id) {
+                return res.status(400).json({ error: 'Invalid food ID' });
+            }
+
+            // Update food with user context (Copy-on-Write for global foods)
+            const food = await foodService.updateFoodById(source, id, req.body, req.user.id);
+            if (food) {
+                res.json(food);
+            } else {
+                res.status(404).json({ error: 'Food not found' });
+            }
+        } catch (error) {
+            console.error(`Error in PUT /api/foods/${source}/:id:`, error);
+            res.status(500).json({ error: 'Failed to update food' });
+        }
+    };
+}
+
+function deleteFoodHandler(source) {
+    return async (req, res) => {
+        console.log(`Handling DELETE request for /api/foods/${source}/:id`);
+        try {
+            const id = parseFoodId(req.params.id);
+            if (!id) {
+                return res.status(400).json({ error: 'Invalid food ID' });
+            }
+
+            // Delete food with user context (soft delete for global, hard delete for custom)
+            const success = await foodService.deleteFoodById(source, id, req.user.id);
+            if (success) {
+                res.status(204).send();
+            } else {
+                res.status(404).json({ error: 'Food not found' });
+            }
+        } catch (error) {
+            console.error(`Error in DELETE /api/foods/${source}/:id:`, error);
+            res.status(500).json({ error: 'Failed to delete food' });
+        }
+    };
+}
+
+// Global (shared) foods by ID - edits create a personal copy, deletes hide the food for this user
+router.get('/global/:id', authenticateToken, getFoodHandler('global'));
+router.put('/global/:id', authenticateToken, updateFoodHandler('global'));
+router.delete('/global/:id', authenticateToken, deleteFoodHandler('global'));
+
+// The user's own foods by ID
+router.get('/user/:id', authenticateToken, getFoodHandler('user'));
+router.put('/user/:id', authenticateToken, updateFoodHandler('user'));
+router.delete('/user/:id', authenticateToken, deleteFoodHandler('user'));
+
+// Mark the index-based routes as deprecated
+function deprecatedIndexRoute(req, res, next) {
+    console.warn(`⚠️  Deprecated: ${req.method} /api/foods/:index - use /api/foods/global/:id or /api/foods/user/:id`);
+    res.set('Deprecation', 'true');
+    next();
+}
+
+// Update food by list position - DEPRECATED, kept for older clients
+router.put('/:index', authenticateToken, deprecatedIndexRoute, async (req, res) => {
     console.log('Handling PUT request for /api/foods/:index');
     try {
         const index = parseInt(req.params.index);
         const userId = req.user.id;
         
-        // Get user's foods to validate index
-        const allFoods = await foodService.getAllFoods(userId);
-        if (index < 0 || index >= allFoods.length) {
+        // Resolve the index against the user's current food list
+        const targetFood = await foodService.getFoodByIndex(index, userId);
+        if (!targetFood) {
             return res.status(404).json({ error: 'Food not found' });
         }
 
         // Update food with user context (Copy-on-Write)
-        const success = await foodService.updateFood(index, req.body, userId);
-        if (success) {
+        const food = await foodService.updateFoodById(targetFood.source, targetFood.id, req.body, userId);
+        if (food) {
             res.json(req.body);
         } else {
             res.status(500).json({ error: 'Failed to update food in database' });
@@ -91,21 +367,21 @@ router.put('/:index', authenticateToken, async (req, res) => {
     }
 });
 
-// Delete food - requires authentication, user-specific database
-router.delete('/:index', authenticateToken, async (req, res) => {
+// Delete food by list position - DEPRECATED, kept for older clients
+router.delete('/:index', authenticateToken, deprecatedIndexRoute, async (req, res) => {
     console.log('Handling DELETE request for /api/foods/:index');
     try {
         const index = parseInt(req.params.index);
         const userId = req.user.id;
         
-        // Get user's foods to validate index
-        const allFoods = await foodService.getAllFoods(userId);
-        if (index < 0 || index >= allFoods.length) {
+        // Resolve the index against the user's current food list
+        const targetFood = await foodService.getFoodByIndex(index, userId);
+        if (!targetFood) {
             return res.status(404).json({ error: 'Food not found' });
         }
 
         // Delete food with user context (soft delete for global, hard delete for custom)
-        const success = await foodService.deleteFood(index, userId);
+        const success = await foodService.deleteFoodById(targetFood.source, targetFood.id, userId);
         if (success) {
             res.status(204).send();
         } else {
@@ -117,4 +393,4 @@ router.delete('/:index', authenticateToken, async (req, res) => {
     }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const insightsService = require('../services/insightsService');
+
+// GET - Estimated daily energy expenditure (TDEE) from the calories logged and
+// the smoothed weight trend over the last `weeks` weeks (default 4), with a
+// suggested calorie goal. Without enough data the status is insufficient-data.
+router.get('/tdee', authenticateToken, async (req, res) => {
+    console.log('Handling GET request for /api/insights/tdee');
+    try {
+        const { min, max } = insightsService.weekLimits;
+        const weeks = req.query.weeks === undefined ? insightsService.weekLimits.default : Number(req.query.weeks);
+
+        if (!Number.isInteger(weeks) || weeks < min || weeks > max) {
+            return res.status(400).json({ error: `weeks must be a whole number from ${min} to ${max}` });
+        }
+
+        const estimate = await insightsService.estimateTdee(req.user.id, weeks);
+        res.json(estimate);
+    } catch (error) {
+        console.error('Error in GET /api/insights/tdee:', error);
+        res.status(500).json({ error: 'Failed to estimate energy expenditure' });
+    }
+});
+
+module.exports = router;
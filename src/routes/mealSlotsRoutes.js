@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const mealSlotService = require('../database/mealSlotService');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validate optional name/defaultTime fields shared by create and update
+function validateSlotData(body) {
+    if (body.name !== undefined && body.name !== null && typeof body.name !== 'string') {
+        return 'Name must be a string';
+    }
+    if (typeof body.name === 'string' && body.name.trim().length > 50) {
+        return 'Name must be 50 characters or less';
+    }
+    if (body.defaultTime !== undefined && !TIME_PATTERN.test(body.defaultTime)) {
+        return 'Default time must be in HH:MM format';
+    }
+    return null;
+}
+
+// GET - Get the user's meal slots in display order
+router.get('/', authenticateToken, async (req, res) => {
+    console.log('Handling GET request for /api/meal-slots');
+    try {
+        const slots = await mealSlotService.getUserSlots(req.user.id);
+        res.json({ slots });
+    } catch (error) {
+        console.error('Error in GET /api/meal-slots:', error);
+        res.status(500).json({ error: 'Failed to read meal slots' });
+    }
+});
+
+// POST - Add a meal slot at the end of the day
+router.post('/', authenticateToken, async (req, res) => {
+    console.log('Handling POST request for /api/meal-slots');
+    try {
+        const userId = req.user.id;
+        const validationError = validateSlotData(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const slots = await mealSlotService.getUserSlots(userId);
+        if (slots.length >= mealSlotService.maxSlots) {
+            return res.status(400).json({ error: `A day can have at most ${mealSlotService.maxSlots} meals` });
+        }
+
+        const slot = await mealSlotService.addSlot(userId, {
+            name: req.body.name ? req.body.name.trim() : null,
+            defaultTime: req.body.defaultTime
+        });
+        if (slot) {
+            res.status(201).json(slot);
+        } else {
+            res.status(500).json({ error: 'Failed to add meal slot to database' });
+        }
+    } catch (error) {
+        console.error('Error in POST /api/meal-slots:', error);
+        res.status(500).json({ error: 'Failed to add meal slot' });
+    }
+});
+
+// PUT - Reorder meal slots
+router.put('/order', authenticateToken, async (req, res) => {
+    console.log('Handling PUT request for /api/meal-slots/order');
+    try {
+        const userId = req.user.id;
+        const { order } = req.body;
+
+        if (!Array.isArray(order)) {
+            return res.status(400).json({ error: 'Order must be an array of meal slot IDs' });
+        }
+
+        // The new order must list every active slot exactly once
+        const slots = await mealSlotService.getUserSlots(userId);
+        const activeIds = slots.map(slot => slot.id).sort((a, b) => a - b);
+        const requestedIds = order.map(id => parseInt(id)).sort((a, b) => a - b);
+        if (requestedIds.length !== activeIds.length || requestedIds.some((id, index) => id !== activeIds[index])) {
+            return res.status(400).json({ error: 'Order must list every meal slot exactly once' });
+        }
+
+        const success = await mealSlotService.reorderSlots(userId, order);
+        if (success) {
+            res.json({ slots: await mealSlotService.getUserSlots(userId) });
+        } else {
+            res.status(500).json({ error: 'Failed to reorder meal slots in database' });
+        }
+    } catch (error) {
+        console.error('Error in PUT /api/meal-slots/order:', error);
+        res.status(500).json({ error: 'Failed to reorder meal slots' });
+    }
+});
+
+// PUT - Rename a meal slot or change its default time
+router.put('/:slotId', authenticateToken, async (req, res) => {
+    console.log('Handling PUT request for /api/meal-slots/:slotId');
+    try {
+        const userId = req.user.id;
+        const validationError = validateSlotData(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const slot = await mealSlotService.updateSlot(userId, req.params.slotId, {
+            name: typeof req.body.name === 'string' ? req.body.name.trim() : req.body.name,
+            defaultTime: req.body.defaultTime
+        });
+        if (slot) {
+            res.json(slot);
+        } else {
+            res.status(404).json({ error: 'Meal slot not found' });
+        }
+    } catch (error) {
+        console.error('Error in PUT /api/meal-slots/:slotId:', error);
+        res.status(500).json({ error: 'Failed to update meal slot' });
+    }
+});
+
+// DELETE - Remove a meal slot (items already logged in it are kept)
+router.delete('/:slotId', authenticateToken, async (req, res) => {
+    console.log('Handling DELETE request for /api/meal-slots/:slotId');
+    try {
+        const userId = req.user.id;
+        const slotId = parseInt(req.params.slotId);
+
+        const slots = await mealSlotService.getUserSlots(userId);
+        if (!slots.some(slot => slot.id === slotId)) {
+            return res.status(404).json({ error: 'Meal slot not found' });
+        }
+        if (slots.length <= 1) {
+            return res.status(400).json({ error: 'A day must have at least one meal' });
+        }
+
+        const success = await mealSlotService.deleteSlot(userId, slotId);
+        if (success) {
+            res.json({ message: 'Meal slot removed successfully' });
+        } else {
+            res.status(500).json({ error: 'Failed to remove meal slot from database' });
+        }
+    } catch (error) {
+        console.error('Error in DELETE /api/meal-slots/:slotId:', error);
+        res.status(500).json({ error: 'Failed to remove meal slot' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const recipeService = require('../database/recipeService');
+
+const MAX_INGREDIENTS = 50;
+
+// Validate the recipe fields shared by create and update
+function validateRecipeData(body) {
+    const { name, servings, totalYield, ingredients } = body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+        return 'Name is required';
+    }
+    if (name.trim().length > 100) {
+        return 'Name must be 100 characters or less';
+    }
+    if (!Number.isInteger(servings) || servings < 1) {
+        return 'Servings must be a positive whole number';
+    }
+    if (totalYield !== undefined && totalYield !== null && !(typeof totalYield === 'number' && totalYield > 0)) {
+        return 'Total yield must be a positive number of grams';
+    }
+    if (!Array.isArray(ingredients) || ingredients.length === 0) {
+        return 'A recipe needs at least one ingredient';
+    }
+    if (ingredients.length > MAX_INGREDIENTS) {
+        return `A recipe can have at most ${MAX_INGREDIENTS} ingredients`;
+    }
+
+    // Ingredients are foods from the foods database (recipes can't contain recipes)
+    const invalid = ingredients.some(ingredient =>
+        !ingredient ||
+        !['global', 'user'].includes(ingredient.foodSource) ||
+        !(parseInt(ingredient.foodId) > 0) ||
+        !(typeof ingredient.amount === 'number' && ingredient.amount > 0)
+    );
+    if (invalid) {
+        return 'Each ingredient needs a foodSource (global or user), a foodId and a positive amount';
+    }
+    return null;
+}
+
+// Check the request and look up its ingredient foods. Sends the error response and
+// returns null when the recipe can't be saved.
+async function prepareRecipe(req, res) {
+    const validationError = validateRecipeData(req.body);
+    if (validationError) {
+        res.status(400).json({ error: validationError });
+        return null;
+    }
+
+    const ingredients = await recipeService.resolveIngredients(req.user.id, req.body.ingredients.map(ingredient => ({
+        foodSource: ingredient.foodSource,
+        foodId: parseInt(ingredient.foodId),
+        amount: ingredient.amount
+    })));
+    if (!ingredients) {
+        res.status(400).json({ error: 'One or more ingredients were not found in your foods' });
+        return null;
+    }
+
+    return {
+        name: req.body.name.trim(),
+        servings: req.body.servings,
+        totalYield: req.body.totalYield || null,
+        ingredients
+    };
+}
+
+// GET - Get the user's recipes
+router.get('/', authenticateToken, async (req, res) => {
+    console.log('Handling GET request for /api/recipes');
+    try {
+        const recipes = await recipeService.getUserRecipes(req.user.id);
+        res.json({ recipes });
+    } catch (error) {
+        console.error('Error in GET /api/recipes:', error);
+        res.status(500).json({ error: 'Failed to read recipes' });
+    }
+});
+
+// GET - Get a single recipe with its ingredients
+router.get('/:id', authenticateToken, async (req, res) => {
+    console.log('Handling GET request for /api/recipes/:id');
+    try {
+        const recipe = await recipeService.getRecipe(req.user.id, parseInt(req.params.id));
+        if (recipe) {
+            res.json(recipe);
+        } else {
+            res.status(404).json({ error: 'Recipe not found' });
+        }
+    } catch (error) {
+        console.error('Error in GET /api/recipes/:id:', error);
+        res.status(500).json({ error: 'Failed to read recipe' });
+    }
+});
+
+// POST - Create a recipe
+router.post('/', authenticateToken, async (req, res) => {
+    console.log('Handling POST request for /api/recipes');
+    try {
+        const recipeData = await prepareRecipe(req, res);
+        if (!recipeData) {
+            return;
+        }
+
+        const recipe = await recipeService.createRecipe(req.user.id, recipeData);
+        if (recipe) {
+            res.status(201).json(recipe);
+        } else {
+            res.status(500).json({ error: 'Failed to add recipe to database' });
+        }
+    } catch (error) {
+        console.error('Error in POST /api/recipes:', error);
+        res.status(500).json({ error: 'Failed to add recipe' });
+    }
+});
+
+// PUT - Update a recipe (its macros are recomputed from the current foods)
+router.put('/:id', authenticateToken, async (req, res) => {
+    console.log('Handling PUT request for /api/recipes/:id');
+    try {
+        const recipeId = parseInt(req.params.id);
+        if (!await recipeService.getRecipe(req.user.id, recipeId)) {
+            return res.status(404).json({ error: 'Recipe not found' });
+        }
+
+        const recipeData = await prepareRecipe(req, res);
+        if (!recipeData) {
+            return;
+        }
+
+        const recipe = await recipeService.updateRecipe(req.user.id, recipeId, recipeData);
+        if (recipe) {
+            res.json(recipe);
+        } else {
+            res.status(500).json({ error: 'Failed to update recipe in database' });
+        }
+    } catch (error) {
+        console.error('Error in PUT /api/recipes/:id:', error);
+        res.status(500).json({ error: 'Failed to update recipe' });
+    }
+});
+
+// DELETE - Delete a recipe (diary items already logged from it are kept)
+router.delete('/:id', authenticateToken, async (req, res) => {
+    console.log('Handling DELETE request for /api/recipes/:id');
+    try {
+        const success = await recipeService.deleteRecipe(req.user.id, parseInt(req.params.id));
+        if (success) {
+            res.json({ message: 'Recipe deleted successfully' });
+        } else {
+            res.status(404).json({ error: 'Recipe not found' });
+        }
+    } catch (error) {
+        console.error('Error in DELETE /api/recipes/:id:', error);
+        res.status(500).json({ error: 'Failed to delete recipe' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const reportService = require('../services/reportService');
+const pdfReportService = require('../services/pdfReportService');
+const { isDateKey, countDaysBetween } = require('../utils/dayKeys');
+
+const MAX_RANGE_DAYS = 366;
+
+// Check the optional from/to query parameters. Returns an error message, or null when valid.
+const validateRange = (from, to) => {
+    if ((from || to) && (!isDateKey(from) || !isDateKey(to))) {
+        return 'Invalid date range. Use from and to as YYYY-MM-DD';
+    }
+    if (from && from > to) {
+        return 'from must not be after to';
+    }
+    // Counted without listing the dates, so a huge range is cheap to refuse
+    if (from && countDaysBetween(from, to) + 1 > MAX_RANGE_DAYS) {
+        return `Date range can be at most ${MAX_RANGE_DAYS} days`;
+    }
+    return null;
+};
+
+// GET - Nutrition for a date range grouped by day, week or month: calorie and
+// macro totals, adherence to the goals and a breakdown per meal.
+// Without from and to it covers the current week.
+router.get('/nutrition', authenticateToken, async (req, res) => {
+    console.log('Handling GET request for /api/reports/nutrition');
+    try {
+        const { from, to, groupBy = 'day' } = req.query;
+
+        const rangeError = validateRange(from, to);
+        if (rangeError) {
+            return res.status(400).json({ error: rangeError });
+        }
+        if (!reportService.periodGroups.includes(groupBy)) {
+            return res.status(400).json({ error: `groupBy must be one of: ${reportService.periodGroups.join(', ')}` });
+        }
+
+        const range = from ? { from, to } : reportService.getDefaultRange();
+        const report = await reportService.getNutritionBreakdown(req.user.id, range.from, range.to, groupBy);
+        res.json(report);
+    } catch (error) {
+        console.error('Error in GET /api/reports/nutrition:', error);
+        res.status(500).json({ error: 'Failed to build nutrition report' });
+    }
+});
+
+// GET - Download a report as a PDF (nutrition, weight, measurements or complete).
+// from and to (YYYY-MM-DD) limit the report to a date range; without them the
+// nutrition report covers the current week and the others all entries.
+router.get('/:type.pdf', authenticateToken, async (req, res) => {
+    console.log('Handling GET request for /api/reports/:type.pdf');
+    try {
+        const { type } = req.params;
+        const { from, to } = req.query;
+
+        if (!pdfReportService.reportTypes.includes(type)) {
+            return res.status(404).json({ error: `Unknown report. Use one of: ${pdfReportService.reportTypes.join(', ')}` });
+        }
+        const rangeError = validateRange(from, to);
+        if (rangeError) {
+            return res.status(400).json({ error: rangeError });
+        }
+
+        if (!pdfReportService.isAvailable()) {
+            return res.status(503).json({ error: 'PDF reports are not available on this server' });
+        }
+
+        const pdf = await pdfReportService.generateReport(req.user.id, type, from ? { from, to } : {});
+
+        res.attachment(pdfReportService.getFileName(type));
+        res.type('application/pdf');
+        res.send(pdf);
+    } catch (error) {
+        console.error('Error in GET /api/reports/:type.pdf:', error);
+        res.status(500).json({ error: 'Failed to generate report' });
+    }
+});
+
+module.exports = router;
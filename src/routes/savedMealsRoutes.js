@@ -0,0 +1,224 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const savedMealService = require('../database/savedMealService');
+const mealService = require('../database/mealService');
+const mealSlotService = require('../database/mealSlotService');
+const { normalizeDayKey } = require('../utils/dayKeys');
+const { withFoodLink } = require('../utils/foodLinks');
+const { cleanMicronutrients } = require('../utils/nutrients');
+
+const MAX_ITEMS = 50;
+const MAX_SCALE = 10;
+
+// Validate a saved meal name
+function validateName(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+        return 'Name is required';
+    }
+    if (name.trim().length > 100) {
+        return 'Name must be 100 characters or less';
+    }
+    return null;
+}
+
+// Validate a list of items (same fields as diary meal items)
+function validateItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+        return 'A saved meal needs at least one item';
+    }
+    if (items.length > MAX_ITEMS) {
+        return `A saved meal can have at most ${MAX_ITEMS} items`;
+    }
+
+    const isOptionalNumber = (value) => value === undefined || value === null || (typeof value === 'number' && value >= 0);
+    const invalid = items.some(item =>
+        !item ||
+        typeof item.name !== 'string' || !item.name.trim() ||
+        !['amount', 'calories', 'carbs', 'protein', 'proteinG', 'fat'].every(field => isOptionalNumber(item[field]))
+    );
+    if (invalid) {
+        return 'Each item needs a name, and amounts and macros must be non-negative numbers';
+    }
+    return null;
+}
+
+// Keep only the item fields a saved meal stores
+function cleanItems(items) {
+    return items.map(item => withFoodLink({
+        name: item.name.trim(),
+        amount: item.amount || 0,
+        calories: item.calories || 0,
+        carbs: item.carbs || 0,
+        protein: item.protein || 0,
+        proteinG: item.proteinG || 0,
+        fat: item.fat || 0,
+        foodId: item.foodId,
+        foodSource: item.foodSource,
+        micronutrients: cleanMicronutrients(item.micronutrients)
+    }));
+}
+
+// GET - Get the user's saved meals
+router.get('/', authenticateToken, async (req, res) => {
+    console.log('Handling GET request for /api/saved-meals');
+    try {
+        const savedMeals = await savedMealService.getUserSavedMeals(req.user.id);
+        res.json({ savedMeals });
+    } catch (error) {
+        console.error('Error in GET /api/saved-meals:', error);
+        res.status(500).json({ error: 'Failed to read saved meals' });
+    }
+});
+
+// GET - Get a single saved meal
+router.get('/:id', authenticateToken, async (req, res) => {
+    console.log('Handling GET request for /api/saved-meals/:id');
+    try {
+        const savedMeal = await savedMealService.getSavedMeal(req.user.id, parseInt(req.params.id));
+        if (savedMeal) {
+            res.json(savedMeal);
+        } else {
+            res.status(404).json({ error: 'Saved meal not found' });
+        }
+    } catch (error) {
+        console.error('Error in GET /api/saved-meals/:id:', error);
+        res.status(500).json({ error: 'Failed to read saved meal' });
+    }
+});
+
+// POST - Save a meal, either from a list of items or from a meal in the diary (day + mealId)
+router.post('/', authenticateToken, async (req, res) => {
+    console.log('Handling POST request for /api/saved-meals');
+    try {
+        const userId = req.user.id;
+        const { name, items, day, mealId } = req.body;
+
+        const nameError = validateName(name);
+        if (nameError) {
+            return res.status(400).json({ error: nameError });
+        }
+
+        let mealItems = items;
+        if (day !== undefined || mealId !== undefined) {
+            const dayKey = normalizeDayKey(day);
+            if (!dayKey) {
+                return res.status(400).json({ error: 'Invalid day. Use a date (YYYY-MM-DD) or a weekday name' });
+            }
+
+            const dayMeals = await mealService.getUserDayMeals(userId, dayKey);
+            const meal = dayMeals.meals.find(m => m.id === parseInt(mealId));
+            if (!meal) {
+                return res.status(400).json({ error: 'Invalid meal ID' });
+            }
+            mealItems = meal.items;
+        }
+
+        const itemsError = validateItems(mealItems);
+        if (itemsError) {
+            return res.status(400).json({ error: itemsError });
+        }
+
+        const savedMeal = await savedMealService.createSavedMeal(userId, name.trim(), cleanItems(mealItems));
+        if (savedMeal) {
+            res.status(201).json(savedMeal);
+        } else {
+            res.status(500).json({ error: 'Failed to add saved meal to database' });
+        }
+    } catch (error) {
+        console.error('Error in POST /api/saved-meals:', error);
+        res.status(500).json({ error: 'Failed to save meal' });
+    }
+});
+
+// PUT - Rename a saved meal and/or replace its items
+router.put('/:id', authenticateToken, async (req, res) => {
+    console.log('Handling PUT request for /api/saved-meals/:id');
+    try {
+        const { name, items } = req.body;
+
+        if (name !== undefined) {
+            const nameError = validateName(name);
+            if (nameError) {
+                return res.status(400).json({ error: nameError });
+            }
+        }
+        if (items !== undefined) {
+            const itemsError = validateItems(items);
+            if (itemsError) {
+                return res.status(400).json({ error: itemsError });
+            }
+        }
+
+        const savedMeal = await savedMealService.updateSavedMeal(req.user.id, parseInt(req.params.id), {
+            name: name !== undefined ? name.trim() : null,
+            items: items !== undefined ? cleanItems(items) : null
+        });
+        if (savedMeal) {
+            res.json(savedMeal);
+        } else {
+            res.status(404).json({ error: 'Saved meal not found' });
+        }
+    } catch (error) {
+        console.error('Error in PUT /api/saved-meals/:id:', error);
+        res.status(500).json({ error: 'Failed to update saved meal' });
+    }
+});
+
+// DELETE - Delete a saved meal (items already inserted into the diary are kept)
+router.delete('/:id', authenticateToken, async (req, res) => {
+    console.log('Handling DELETE request for /api/saved-meals/:id');
+    try {
+        const success = await savedMealService.deleteSavedMeal(req.user.id, parseInt(req.params.id));
+        if (success) {
+            res.json({ message: 'Saved meal deleted successfully' });
+        } else {
+            res.status(404).json({ error: 'Saved meal not found' });
+        }
+    } catch (error) {
+        console.error('Error in DELETE /api/saved-meals/:id:', error);
+        res.status(500).json({ error: 'Failed to delete saved meal' });
+    }
+});
+
+// POST - Insert a saved meal into a meal slot on any day, scaling its amounts
+router.post('/:id/insert', authenticateToken, async (req, res) => {
+    console.log('Handling POST request for /api/saved-meals/:id/insert');
+    try {
+        const userId = req.user.id;
+        const { day, mealId, scale = 1, replace = false } = req.body;
+
+        const dayKey = normalizeDayKey(day);
+        if (!dayKey) {
+            return res.status(400).json({ error: 'Invalid day. Use a date (YYYY-MM-DD) or a weekday name' });
+        }
+        if (typeof scale !== 'number' || !(scale > 0) || scale > MAX_SCALE) {
+            return res.status(400).json({ error: `Scale must be a number greater than 0 and at most ${MAX_SCALE}` });
+        }
+
+        // Items can only be added to the user's current meal slots
+        const slot = await mealSlotService.getSlot(userId, mealId);
+        if (!slot || slot.isDeleted) {
+            return res.status(400).json({ error: 'Invalid meal ID' });
+        }
+
+        const savedMeal = await savedMealService.getSavedMeal(userId, parseInt(req.params.id));
+        if (!savedMeal) {
+            return res.status(404).json({ error: 'Saved meal not found' });
+        }
+
+        // Clearing the meal and adding the items happen in one transaction
+        const scaledItems = savedMealService.scaleItems(savedMeal.items, scale);
+        const items = await mealService.addMealItems(userId, dayKey, slot.id, scaledItems, slot.defaultTime, replace);
+        if (!items) {
+            return res.status(500).json({ error: 'Failed to add saved meal items to database' });
+        }
+
+        res.json({ message: `Inserted ${savedMeal.name} into ${slot.name}`, items });
+    } catch (error) {
+        console.error('Error in POST /api/saved-meals/:id/insert:', error);
+        res.status(500).json({ error: 'Failed to insert saved meal' });
+    }
+});
+
+module.exports = router;
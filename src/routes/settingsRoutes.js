@@ -4,6 +4,8 @@ const { authenticateToken } = require('../middleware/auth');
 const settingsService = require('../database/settingsService');
 const userService = require('../database/userService');
 
+const CALORIE_GOAL_SOURCES = ['calculated', 'adaptive'];
+
 // Get user settings - user-specific with authentication
 router.get('/', authenticateToken, async (req, res) => {
     console.log('Handling GET request for /api/settings');
@@ -48,7 +50,7 @@ router.post('/', authenticateToken, async (req, res) => {
         }
 
         // Validate numeric fields - allow empty values for new users
-        const numericFields = ['age', 'weight', 'height', 'bmr', 'totalCalories', 'mealInterval'];
+        const numericFields = ['age', 'weight', 'targetWeight', 'height', 'bmr', 'totalCalories', 'mealInterval'];
         for (const field of numericFields) {
             if (settings[field] !== undefined && settings[field] !== null && settings[field] !== '') {
                 settings[field] = parseFloat(settings[field]);
@@ -68,14 +70,23 @@ router.post('/', authenticateToken, async (req, res) => {
             }
         }
 
+        // Target weight is optional, in the same unit as weight
+        if (settings.targetWeight !== null && settings.targetWeight <= 0) {
+            return res.status(400).json({ error: 'Target weight must be greater than 0' });
+        }
+
+        // The calorie goal is either calculated from BMR on the settings page or the
+        // adaptive estimate from /api/insights/tdee
+        if (settings.calorieGoalSource !== undefined && !CALORIE_GOAL_SOURCES.includes(settings.calorieGoalSource)) {
+            return res.status(400).json({ error: `calorieGoalSource must be one of: ${CALORIE_GOAL_SOURCES.join(', ')}` });
+        }
+
         // Handle userName update - update user profile using SQLite
         if (settings.userName && settings.userName !== req.user.name) {
             try {
                 // Update user's name using SQLite-based user service
                 const success = await userService.updateUserName(userId, settings.userName);
                 if (success) {
-                    // Update session data
-                    req.session.userName = settings.userName;
                     console.log('✅ User name updated successfully:', settings.userName);
                 } else {
                     console.error('❌ Failed to update user name in database');
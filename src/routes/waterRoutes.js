@@ -0,0 +1,109 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const waterService = require('../database/waterService');
+const settingsService = require('../database/settingsService');
+const { isDateKey, getDateKeysBetween, countDaysBetween } = require('../utils/dayKeys');
+
+const BEVERAGES = ['water', 'coffee', 'tea', 'milk', 'juice', 'sports drink', 'other'];
+const MAX_AMOUNT = 5000; // ml in a single entry
+const MAX_RANGE_DAYS = 366;
+
+// GET - Get the drinks logged on a date, with the day's total and goal
+router.get('/', authenticateToken, async (req, res) => {
+    console.log('Handling GET request for /api/water');
+    try {
+        const userId = req.user.id;
+        const { date } = req.query;
+
+        if (!isDateKey(date)) {
+            return res.status(400).json({ error: 'Invalid date. Use YYYY-MM-DD' });
+        }
+
+        const entries = await waterService.getDayEntries(userId, date);
+        const goal = await settingsService.getWaterGoal(userId);
+        const total = entries.reduce((sum, entry) => sum + entry.amount, 0);
+
+        res.json({ date, entries, total, goal });
+    } catch (error) {
+        console.error('Error in GET /api/water:', error);
+        res.status(500).json({ error: 'Failed to read water entries' });
+    }
+});
+
+// GET - Get daily totals for a date range (every date is included, 0 when nothing was logged)
+router.get('/summary', authenticateToken, async (req, res) => {
+    console.log('Handling GET request for /api/water/summary');
+    try {
+        const userId = req.user.id;
+        const { from, to } = req.query;
+
+        if (!isDateKey(from) || !isDateKey(to)) {
+            return res.status(400).json({ error: 'Invalid date range. Use from and to as YYYY-MM-DD' });
+        }
+        if (from > to) {
+            return res.status(400).json({ error: 'from must not be after to' });
+        }
+
+        if (countDaysBetween(from, to) + 1 > MAX_RANGE_DAYS) {
+            return res.status(400).json({ error: `Date range can be at most ${MAX_RANGE_DAYS} days` });
+        }
+        const dateKeys = getDateKeysBetween(from, to);
+
+        const totals = new Map((await waterService.getDailyTotals(userId, from, to)).map(total => [total.date, total]));
+        const days = dateKeys.map(date => totals.get(date) || { date, total: 0, entries: 0 });
+
+        const goal = await settingsService.getWaterGoal(userId);
+        res.json({ from, to, goal, days });
+    } catch (error) {
+        console.error('Error in GET /api/water/summary:', error);
+        res.status(500).json({ error: 'Failed to read water summary' });
+    }
+});
+
+// POST - Log a drink
+router.post('/', authenticateToken, async (req, res) => {
+    console.log('Handling POST request for /api/water');
+    try {
+        const userId = req.user.id;
+        const { date, amount, beverage = 'water' } = req.body;
+
+        if (!isDateKey(date)) {
+            return res.status(400).json({ error: 'Invalid date. Use YYYY-MM-DD' });
+        }
+        if (typeof amount !== 'number' || !(amount > 0) || amount > MAX_AMOUNT) {
+            return res.status(400).json({ error: `Amount must be a number of ml greater than 0 and at most ${MAX_AMOUNT}` });
+        }
+        if (!BEVERAGES.includes(beverage)) {
+            return res.status(400).json({ error: `Beverage must be one of: ${BEVERAGES.join(', ')}` });
+        }
+
+        const entry = await waterService.addEntry(userId, { date, amount, beverage });
+        if (entry) {
+            res.status(201).json({ message: 'Water entry saved successfully', entry });
+        } else {
+            res.status(500).json({ error: 'Failed to save water entry to database' });
+        }
+    } catch (error) {
+        console.error('Error in POST /api/water:', error);
+        res.status(500).json({ error: 'Failed to save water entry' });
+    }
+});
+
+// DELETE - Delete a drink
+router.delete('/:id', authenticateToken, async (req, res) => {
+    console.log('Handling DELETE request for /api/water/:id');
+    try {
+        const success = await waterService.deleteEntry(req.user.id, parseInt(req.params.id));
+        if (success) {
+            res.json({ message: 'Water entry deleted successfully' });
+        } else {
+            res.status(404).json({ error: 'Water entry not found' });
+        }
+    } catch (error) {
+        console.error('Error in DELETE /api/water/:id:', error);
+        res.status(500).json({ error: 'Failed to delete water entry' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,205 @@
+const digestService = require('../database/digestService');
+const settingsService = require('../database/settingsService');
+const weightService = require('../database/weightService');
+const reportService = require('./reportService');
+const { generateDigestUnsubscribeToken } = require('../middleware/auth');
+const { formatDateKey } = require('../utils/dayKeys');
+
+// How often the scheduler looks for digests that are due
+const CHECK_INTERVAL_MS = parseInt(process.env.DIGEST_CHECK_INTERVAL_MS ?? '60000', 10);
+// A digest that couldn't go out on time (server down, email failing) is
+// still sent if the server catches up within this window
+const CATCH_UP_MS = 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Weight and measurement changes over the week are measured from the last
+// entry this many days before it at most
+const PREVIOUS_ENTRY_DAYS = 90;
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// SQLite CURRENT_TIMESTAMP is UTC without a zone ("2026-10-19 08:00:00")
+const parseTimestamp = (value) => value ? new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`) : null;
+
+// The wall clock time in a time zone, as a UTC timestamp with the same fields
+const wallClockTime = (date, timezone) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric'
+    }).formatToParts(date).forEach(part => { parts[part.type] = part.value; });
+
+    return {
+        time: Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute),
+        weekday: WEEKDAY_INDEX[parts.weekday]
+    };
+};
+
+// Sends each user's weekly digest at their chosen day and time. Runs inside
+// the server process, so digests are only sent while the server is up.
+class DigestScheduler {
+    constructor() {
+        this.timer = null;
+        this.emailService = null;
+        this.running = false;
+    }
+
+    // Start checking for due digests, sending them with the given EmailService
+    start(emailService) {
+        if (this.timer) return;
+
+        this.emailService = emailService;
+        this.timer = setInterval(() => this.checkDigests(), CHECK_INTERVAL_MS);
+        // Don't keep the process alive just for the scheduler
+        this.timer.unref();
+        console.log(`📬 Weekly digest scheduler started (checking every ${Math.round(CHECK_INTERVAL_MS / 1000)}s)`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * The most recent send time of a digest at or before now
+     * @param {object} settings - { sendDay, sendTime, timezone }
+     * @param {Date} now - Current time
+     * @returns {{ scheduledAt: Date, sendDate: string }} - When the digest was due, and that day's date in the user's time zone
+     */
+    getLastScheduledTime({ sendDay, sendTime, timezone }, now = new Date()) {
+        const local = wallClockTime(now, timezone);
+        const [hours, minutes] = sendTime.split(':').map(Number);
+
+        const today = new Date(local.time);
+        let scheduled = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate(), hours, minutes)
+            - ((local.weekday - sendDay + 7) % 7) * DAY_MS;
+        if (scheduled > local.time) {
+            scheduled -= 7 * DAY_MS;
+        }
+
+        // Convert back with the zone's current UTC offset. Across a DST change
+        // this is off by the shift for one week, which is fine for a digest.
+        const offset = local.time - Math.floor(now.getTime() / 60000) * 60000;
+        return {
+            scheduledAt: new Date(scheduled - offset),
+            sendDate: new Date(scheduled).toISOString().slice(0, 10)
+        };
+    }
+
+    // A digest is due once per week at its send time. Settings changed after
+    // the send time wait for the next week, so turning the digest on doesn't
+    // send one straight away.
+    isDue(digest, now = new Date()) {
+        const { scheduledAt, sendDate } = this.getLastScheduledTime(digest, now);
+        const lastSentAt = parseTimestamp(digest.lastSentAt);
+        const updatedAt = parseTimestamp(digest.updatedAt);
+
+        // Compared by send date: when clocks go back the send time happens
+        // twice, an hour apart, and only the first one sends
+        return now - scheduledAt < CATCH_UP_MS
+            && (!lastSentAt || this.getLastScheduledTime(digest, lastSentAt).sendDate !== sendDate)
+            && (!updatedAt || updatedAt < scheduledAt);
+    }
+
+    // Send every digest that is due. Returns the number sent.
+    async checkDigests(now = new Date()) {
+        // A slow email server can make a check outlast the interval
+        if (this.running) return 0;
+        this.running = true;
+
+        let sent = 0;
+        try {
+            const digests = await digestService.getEnabledDigests();
+            for (const digest of digests.filter(digest => this.isDue(digest, now))) {
+                if (await this.sendDigest(digest, now)) {
+                    sent++;
+                }
+            }
+        } catch (error) {
+            console.error('❌ Error checking weekly digests:', error.message);
+        } finally {
+            this.running = false;
+        }
+        return sent;
+    }
+
+    async sendDigest(digest, now = new Date()) {
+        // Links in the email are only built from APP_URL, like the auth emails
+        if (!process.env.APP_URL) {
+            console.error('❌ APP_URL is not set; not sending the weekly digest for user:', digest.userId);
+            return false;
+        }
+        const appUrl = process.env.APP_URL.replace(/\/+$/, '');
+
+        const { sendDate } = this.getLastScheduledTime(digest, now);
+        const content = await this.buildDigest(digest.userId, sendDate);
+
+        const success = await this.emailService.sendWeeklyDigest({
+            userEmail: digest.email,
+            userName: digest.name,
+            digest: content,
+            appUrl,
+            unsubscribeUrl: `${appUrl}/login.html?unsubscribeToken=${generateDigestUnsubscribeToken({ id: digest.userId })}`
+        });
+
+        if (success) {
+            await digestService.markSent(digest.userId, now.toISOString());
+            console.log('✅ Weekly digest sent to user:', digest.userId);
+        } else {
+            console.error('❌ Weekly digest failed for user:', digest.userId);
+        }
+        return success;
+    }
+
+    /**
+     * The digest content for the seven days before a send date, with the
+     * reports page calculations
+     * @param {string} userId - User ID
+     * @param {string} sendDate - Date the digest is sent (YYYY-MM-DD)
+     * @returns {Promise<object>} - { from, to, nutrition, daysLogged, weight, measurements }
+     */
+    async buildDigest(userId, sendDate) {
+        const [year, month, day] = sendDate.split('-').map(Number);
+        const from = formatDateKey(new Date(year, month - 1, day - 7));
+        const to = formatDateKey(new Date(year, month - 1, day - 1));
+        const since = formatDateKey(new Date(year, month - 1, day - 7 - PREVIOUS_ENTRY_DAYS));
+
+        const nutrition = await reportService.getNutritionReport(userId, from, to);
+        const settings = await settingsService.getUserSettings(userId);
+
+        // Changes over the week are measured from the last entry before it
+        const weekChange = (entries, getValue) => {
+            const weekEntries = entries.filter(entry => entry.date >= from);
+            if (weekEntries.length === 0) return null;
+            const previous = entries[weekEntries.length] || weekEntries[weekEntries.length - 1];
+            return {
+                entries: weekEntries.length,
+                latest: getValue(weekEntries[0]),
+                change: weekEntries[0] !== previous ? getValue(weekEntries[0]) - getValue(previous) : null
+            };
+        };
+
+        const { entries: weightEntries } = await weightService.getUserWeightEntries(userId, since, to);
+        const weightChange = weekChange(weightEntries, entry => entry.weight);
+        const measurementsReport = await reportService.getMeasurementsReport(userId, since, to);
+
+        return {
+            from,
+            to,
+            nutrition: nutrition.summary,
+            daysLogged: nutrition.days.filter(day => day.calories > 0).length,
+            weight: weightChange && { unit: settings.unitSystem === 'imperial' ? 'lb' : 'kg', ...weightChange },
+            // Only measurements taken during the week
+            measurements: measurementsReport.types
+                .map(({ type, unit, entries }) => ({ type, unit, ...weekChange(entries, entry => entry.value) }))
+                .filter(measurement => measurement.entries > 0)
+        };
+    }
+}
+
+module.exports = new DigestScheduler();
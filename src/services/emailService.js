@@ -1,8 +1,10 @@
 const nodemailer = require('nodemailer');
+const fs = require('fs').promises;
+const path = require('path');
 
 /**
  * Email service for handling SMTP email operations
- * Provides registration notification functionality with configuration validation
+ * Provides registration notification, password reset, email verification and weekly digest emails with configuration validation
  */
 class EmailService {
   constructor() {
@@ -10,6 +12,7 @@ class EmailService {
     this.isEmailConfigured = false;
     this.adminEmail = process.env.ADMIN_EMAIL;
     this.fromEmail = process.env.EMAIL_FROM;
+    this.fileDir = null;
 
     this.initializeTransporter();
   }
@@ -19,6 +22,20 @@ class EmailService {
    * Validates required configuration and sets up nodemailer transport
    */
   initializeTransporter() {
+    // EMAIL_FILE_DIR writes each email to a .eml file instead of sending it,
+    // for development and testing without an SMTP server
+    if (process.env.EMAIL_FILE_DIR) {
+      this.fileDir = path.resolve(process.env.EMAIL_FILE_DIR);
+      this.transporter = nodemailer.createTransport({
+        streamTransport: true,
+        buffer: true,
+        newline: 'unix'
+      });
+      this.isEmailConfigured = true;
+      console.log(`Email service writing emails to ${this.fileDir}`);
+      return;
+    }
+
     const requiredConfig = {
       host: process.env.SMTP_HOST,
       port: process.env.SMTP_PORT,
@@ -200,6 +217,12 @@ This is an automated notification from the user registration system.
 
       const info = await this.transporter.sendMail(mailOptions);
 
+      if (this.fileDir) {
+        const file = await this.saveToFile(to, info.message);
+        console.log(`Email to ${to} written to ${file}`);
+        return true;
+      }
+
       console.log(`Email sent successfully to ${to}. Message ID: ${info.messageId}`);
       return true;
 
@@ -225,6 +248,19 @@ This is an automated notification from the user registration system.
     }
   }
 
+  /**
+   * Write a composed email to the EMAIL_FILE_DIR directory
+   * @param {string} to - Recipient email address, used in the file name
+   * @param {Buffer} message - Raw RFC 822 message
+   * @returns {Promise<string>} Path of the written file
+   */
+  async saveToFile(to, message) {
+    await fs.mkdir(this.fileDir, { recursive: true });
+    const file = path.join(this.fileDir, `${Date.now()}-${to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.eml`);
+    await fs.writeFile(file, message);
+    return file;
+  }
+
   /**
    * Utility method to create a delay for retry logic
    * @param {number} ms - Milliseconds to delay
@@ -372,6 +408,266 @@ This is an automated notification from the user registration system.
     console.log(`NextTick registration notification queued for user: ${userData.userEmail}`);
   }
 
+  /**
+   * Escape user-provided text for use in an HTML email
+   * @param {string} text - Text to escape
+   * @returns {string} HTML-safe text
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Generate the HTML and plain text content of an email asking a user to follow a link
+   * @param {Object} emailData - Email content
+   * @param {string} emailData.subject - Email subject, used as the HTML title
+   * @param {string} emailData.userName - User's display name
+   * @param {string} emailData.intro - Sentence explaining why the email was sent
+   * @param {string} emailData.actionText - Text of the link button
+   * @param {string} emailData.actionUrl - Link the user should open
+   * @param {string} emailData.note - Small print below the link
+   * @returns {{ htmlContent: string, textContent: string }} Email content
+   */
+  generateActionTemplates(emailData) {
+    const { subject, userName, intro, actionText, actionUrl, note } = emailData;
+
+    const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>${this.escapeHtml(subject)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .content { background-color: #fff; padding: 20px; border: 1px solid #ddd; border-radius: 5px; }
+        .button { display: inline-block; padding: 10px 20px; background-color: #0d6efd; color: #fff; text-decoration: none; border-radius: 5px; }
+        .note { color: #777; font-size: 0.9em; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="content">
+            <p>Hi ${this.escapeHtml(userName)},</p>
+            <p>${this.escapeHtml(intro)}</p>
+            <p><a class="button" href="${this.escapeHtml(actionUrl)}">${this.escapeHtml(actionText)}</a></p>
+            <p class="note">${this.escapeHtml(note)}</p>
+        </div>
+    </div>
+</body>
+</html>`;
+
+    const textContent = `
+Hi ${userName},
+
+${intro}
+${actionText}:
+
+${actionUrl}
+
+${note}
+`;
+
+    return { htmlContent, textContent };
+  }
+
+  /**
+   * Send a password reset link to a user
+   * @param {Object} resetData - Password reset details
+   * @param {string} resetData.userEmail - User's email address
+   * @param {string} resetData.userName - User's display name
+   * @param {string} resetData.resetUrl - Link to the page that sets the new password
+   * @param {number} resetData.expiresInMinutes - How long the link stays valid
+   * @returns {Promise<boolean>} True if the email was sent, false otherwise
+   */
+  async sendPasswordResetEmail(resetData) {
+    const { userEmail, userName, resetUrl, expiresInMinutes } = resetData;
+
+    if (!this.isConfigured()) {
+      console.warn('Password reset email skipped - email service not configured');
+      return false;
+    }
+
+    const subject = 'Reset your NutriStats password';
+    const { htmlContent, textContent } = this.generateActionTemplates({
+      subject,
+      userName: userName || userEmail.split('@')[0],
+      intro: 'We received a request to reset the password for your NutriStats account.',
+      actionText: 'Choose a new password',
+      actionUrl: resetUrl,
+      note: `The link can be used once and expires in ${expiresInMinutes} minutes. ` +
+        "If you didn't ask for a new password, you can ignore this email; your password stays the same."
+    });
+
+    return this.sendEmail(userEmail, subject, htmlContent, textContent);
+  }
+
+  /**
+   * Send an email address verification link to a new user
+   * @param {Object} verificationData - Verification details
+   * @param {string} verificationData.userEmail - Address to verify
+   * @param {string} verificationData.userName - User's display name
+   * @param {string} verificationData.verifyUrl - Link that verifies the address
+   * @returns {Promise<boolean>} True if the email was sent, false otherwise
+   */
+  async sendVerificationEmail(verificationData) {
+    const { userEmail, userName, verifyUrl } = verificationData;
+
+    if (!this.isConfigured()) {
+      console.warn('Verification email skipped - email service not configured');
+      return false;
+    }
+
+    const subject = 'Verify your NutriStats email address';
+    const { htmlContent, textContent } = this.generateActionTemplates({
+      subject,
+      userName: userName || userEmail.split('@')[0],
+      intro: 'Thanks for signing up for NutriStats. Please confirm that this is your email address.',
+      actionText: 'Verify my email',
+      actionUrl: verifyUrl,
+      note: "If you didn't create a NutriStats account, you can ignore this email."
+    });
+
+    return this.sendEmail(userEmail, subject, htmlContent, textContent);
+  }
+
+  /**
+   * Send a user's weekly digest: calorie adherence, macro averages, weight change and new measurements
+   * @param {Object} digestData - Digest details
+   * @param {string} digestData.userEmail - User's email address
+   * @param {string} digestData.userName - User's display name
+   * @param {Object} digestData.digest - Digest content from DigestScheduler.buildDigest
+   * @param {string} digestData.appUrl - Link to the app
+   * @param {string} digestData.unsubscribeUrl - Link that turns the digest off
+   * @returns {Promise<boolean>} True if the email was sent, false otherwise
+   */
+  async sendWeeklyDigest(digestData) {
+    const { userEmail, userName, digest, appUrl, unsubscribeUrl } = digestData;
+
+    if (!this.isConfigured()) {
+      console.warn('Weekly digest skipped - email service not configured');
+      return false;
+    }
+
+    const subject = `Your NutriStats week: ${digest.from} to ${digest.to}`;
+    const { htmlContent, textContent } = this.generateDigestTemplates({
+      subject,
+      userName: userName || userEmail.split('@')[0],
+      digest,
+      appUrl,
+      unsubscribeUrl
+    });
+
+    return this.sendEmail(userEmail, subject, htmlContent, textContent);
+  }
+
+  /**
+   * Generate the HTML and plain text content of a weekly digest
+   * @param {Object} emailData - Email content
+   * @param {string} emailData.subject - Email subject, used as the HTML title
+   * @param {string} emailData.userName - User's display name
+   * @param {Object} emailData.digest - Digest content
+   * @param {string} emailData.appUrl - Link to the app
+   * @param {string} emailData.unsubscribeUrl - Link that turns the digest off
+   * @returns {{ htmlContent: string, textContent: string }} Email content
+   */
+  generateDigestTemplates(emailData) {
+    const { subject, userName, digest, appUrl, unsubscribeUrl } = emailData;
+    const { nutrition, weight, measurements } = digest;
+    const signed = (value, unit) => value === null ? 'first entry' : `${value > 0 ? '+' : ''}${value.toFixed(1)} ${unit}`;
+
+    const sections = [
+      {
+        title: 'Calories',
+        rows: [
+          ['Average per day', `${Math.round(nutrition.avgDailyCalories)} of ${Math.round(nutrition.avgGoalCalories)} kcal (${nutrition.goalAchievement.toFixed(0)}%)`],
+          ['Days on track', `${nutrition.daysOnTrack} of ${nutrition.totalDays}`],
+          ['Days logged', `${digest.daysLogged} of ${nutrition.totalDays}`],
+          ['Burned by exercise', `${Math.round(nutrition.totalBurned)} kcal on ${nutrition.exerciseDays} days`]
+        ]
+      },
+      {
+        title: 'Macros (daily average)',
+        rows: [
+          ['Protein', `${nutrition.avgProtein.toFixed(0)} g (${nutrition.proteinAchievement.toFixed(0)}% of target)`],
+          ['Fat', `${nutrition.avgFat.toFixed(0)} g (${nutrition.fatAchievement.toFixed(0)}% of target)`],
+          ['Carbs', `${nutrition.avgCarbs.toFixed(0)} g (${nutrition.carbsAchievement.toFixed(0)}% of target)`]
+        ]
+      },
+      {
+        title: 'Weight',
+        rows: weight
+          ? [['Latest', `${weight.latest.toFixed(1)} ${weight.unit}`], ['Change this week', signed(weight.change, weight.unit)]]
+          : [['No weigh-ins this week', '']]
+      },
+      {
+        title: 'Measurements',
+        rows: measurements.length > 0
+          ? measurements.map(m => [m.type, `${m.latest} ${m.unit} (${signed(m.change, m.unit)})`])
+          : [['No new measurements this week', '']]
+      }
+    ];
+
+    const htmlSections = sections.map(section => `
+            <h3>${this.escapeHtml(section.title)}</h3>
+            <table>${section.rows.map(([label, value]) => `
+                <tr><td>${this.escapeHtml(label)}</td><td class="value">${this.escapeHtml(value)}</td></tr>`).join('')}
+            </table>`).join('');
+
+    const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <title>${this.escapeHtml(subject)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .content { background-color: #fff; padding: 20px; border: 1px solid #ddd; border-radius: 5px; }
+        h3 { margin-bottom: 5px; color: #0d6efd; }
+        table { width: 100%; border-collapse: collapse; }
+        td { padding: 4px 0; border-bottom: 1px solid #eee; }
+        .value { text-align: right; font-weight: bold; }
+        .note { color: #777; font-size: 0.9em; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="content">
+            <p>Hi ${this.escapeHtml(userName)},</p>
+            <p>Here's your week in NutriStats, ${this.escapeHtml(digest.from)} to ${this.escapeHtml(digest.to)}.</p>${htmlSections}
+            <p><a href="${this.escapeHtml(appUrl)}">Open NutriStats</a></p>
+            <p class="note">You get this email because you turned on the weekly digest in Settings.
+                <a href="${this.escapeHtml(unsubscribeUrl)}">Unsubscribe</a></p>
+        </div>
+    </div>
+</body>
+</html>`;
+
+    const textSections = sections.map(section =>
+      `${section.title}\n${section.rows.map(([label, value]) => value ? `- ${label}: ${value}` : `- ${label}`).join('\n')}`
+    ).join('\n\n');
+
+    const textContent = `
+Hi ${userName},
+
+Here's your week in NutriStats, ${digest.from} to ${digest.to}.
+
+${textSections}
+
+Open NutriStats: ${appUrl}
+
+You get this email because you turned on the weekly digest in Settings.
+Unsubscribe: ${unsubscribeUrl}
+`;
+
+    return { htmlContent, textContent };
+  }
+
   /**
    * Validate email configuration on startup
    * Logs configuration status for debugging
@@ -381,6 +677,7 @@ This is an automated notification from the user registration system.
       smtpConfigured: !!(process.env.SMTP_HOST && process.env.SMTP_PORT && process.env.SMTP_USER && process.env.SMTP_PASS),
       adminEmailSet: !!process.env.ADMIN_EMAIL,
       fromEmailSet: !!process.env.EMAIL_FROM,
+      fileTransport: !!this.fileDir,
       transporterReady: this.isConfigured()
     };
 
@@ -0,0 +1,130 @@
+const settingsService = require('../database/settingsService');
+const weightService = require('../database/weightService');
+const reportService = require('./reportService');
+const { formatDateKey, countDaysBetween } = require('../utils/dayKeys');
+const { calculateTrendLine } = require('../utils/weightTrend');
+
+// Energy stored in a unit of body weight change
+const ENERGY_PER_KG = 7700;
+const ENERGY_PER_LB = 3500;
+
+const DEFAULT_WEEKS = 4;
+const MIN_WEEKS = 2;
+const MAX_WEEKS = 12;
+// Below this the estimate swings too much with a single day's log
+const MIN_LOGGED_DAYS = 7;
+const MIN_WEIGHT_DAYS = 7;
+// A weigh-in this close before the period still counts as its starting trend
+const MAX_START_GAP_DAYS = 7;
+
+// Estimates from what users actually eat and how their weight moves
+class InsightsService {
+    constructor() {
+        this.weekLimits = { min: MIN_WEEKS, max: MAX_WEEKS, default: DEFAULT_WEEKS };
+    }
+
+    // The estimate period: the given number of weeks up to yesterday, since today's log isn't finished
+    getPeriod(weeks, today = new Date()) {
+        const to = formatDateKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1));
+        const from = formatDateKey(new Date(today.getFullYear(), today.getMonth(), today.getDate() - weeks * 7));
+        return { from, to };
+    }
+
+    /**
+     * Estimate daily energy expenditure (TDEE) from logged calories and the smoothed
+     * weight trend: whatever was eaten beyond what the trend gained was burned.
+     * Days with nothing logged are left out of the average intake.
+     * @param {string} userId - User ID
+     * @param {number} weeks - Number of weeks to look back
+     * @param {Date} today - Current date (the period ends the day before)
+     * @returns {Promise<object>} - { from, to, weeks, status, message, tdee, intake, weight, ... }
+     */
+    async estimateTdee(userId, weeks = DEFAULT_WEEKS, today = new Date()) {
+        const { from, to } = this.getPeriod(weeks, today);
+        const settings = await settingsService.getUserSettings(userId);
+        const unit = settings.unitSystem === 'imperial' ? 'lb' : 'kg';
+
+        const { days } = await reportService.getNutritionReport(userId, from, to);
+        const loggedCalories = days.map(day => day.calories).filter(calories => calories > 0);
+        const averageIntake = loggedCalories.length > 0
+            ? loggedCalories.reduce((sum, calories) => sum + calories, 0) / loggedCalories.length
+            : null;
+
+        const weight = await this.getWeightChange(userId, from, to, unit);
+
+        const estimate = {
+            from,
+            to,
+            weeks,
+            status: 'insufficient-data',
+            message: null,
+            tdee: null,
+            intake: {
+                average: averageIntake,
+                loggedDays: loggedCalories.length,
+                totalDays: days.length
+            },
+            weight,
+            currentGoalCalories: settings.totalCalories || null,
+            calorieGoalSource: settings.calorieGoalSource,
+            suggestedGoalCalories: null
+        };
+
+        if (loggedCalories.length < MIN_LOGGED_DAYS) {
+            return { ...estimate, message: `Log your food on at least ${MIN_LOGGED_DAYS} days in the last ${weeks} weeks` };
+        }
+        if (!weight) {
+            return { ...estimate, message: `Log your weight at least twice, ${MIN_WEIGHT_DAYS} or more days apart, in the last ${weeks} weeks` };
+        }
+
+        // Energy stored (or drawn from the body) per day while the trend moved
+        const energyPerUnit = unit === 'lb' ? ENERGY_PER_LB : ENERGY_PER_KG;
+        const storedPerDay = (weight.change * energyPerUnit) / weight.days;
+        const tdee = Math.round(averageIntake - storedPerDay);
+
+        if (tdee <= 0) {
+            return { ...estimate, message: 'Your food log and weight trend don\'t add up to an estimate yet. Check for days that were only partly logged.' };
+        }
+
+        return {
+            ...estimate,
+            status: 'ok',
+            tdee,
+            // The calorie goal is the maintenance level; daily adjustments go on top
+            suggestedGoalCalories: Math.round(tdee / 10) * 10
+        };
+    }
+
+    // How the smoothed weight trend moved over the period, or null without enough weigh-ins
+    async getWeightChange(userId, from, to, unit) {
+        const { entries } = await weightService.getUserWeightEntries(userId);
+        const trendLine = calculateTrendLine(entries.filter(entry => entry.date <= to));
+
+        // Start from the trend just before the period when there's a recent weigh-in,
+        // otherwise from the first weigh-in within it
+        const before = trendLine.filter(point => point.date < from);
+        const lastBefore = before[before.length - 1];
+        const start = lastBefore && countDaysBetween(lastBefore.date, from) <= MAX_START_GAP_DAYS
+            ? lastBefore
+            : trendLine.find(point => point.date >= from);
+        const end = trendLine[trendLine.length - 1];
+
+        if (!start || !end || end.date < from) return null;
+
+        const days = countDaysBetween(start.date, end.date);
+        if (days < MIN_WEIGHT_DAYS) return null;
+
+        const change = end.trend - start.trend;
+        return {
+            unit,
+            start: { date: start.date, trend: start.trend },
+            end: { date: end.date, trend: end.trend },
+            days,
+            change,
+            weeklyRate: (change / days) * 7,
+            weighIns: trendLine.filter(point => point.date >= from).length
+        };
+    }
+}
+
+module.exports = new InsightsService();
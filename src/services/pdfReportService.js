@@ -0,0 +1,801 @@
+const reportService = require('./reportService');
+const userService = require('../database/userService');
+const { parseDateKey } = require('../utils/dayKeys');
+
+const REPORT_TYPES = ['nutrition', 'weight', 'measurements', 'complete'];
+
+const REPORT_TITLES = {
+    nutrition: 'Nutrition Report',
+    weight: 'Weight Tracking Report',
+    measurements: 'Measurements Report',
+    complete: 'Complete Health Report'
+};
+
+// A4 in mm, the layout unit of the browser reports (jsPDF 'mm' / 'a4').
+// node-canvas PDF pages are sized in points.
+const PAGE_WIDTH = 210;
+const PAGE_HEIGHT = 297;
+const MM_TO_PT = 72 / 25.4;
+
+// Colors for measurement type lines, in the order types are listed
+const SERIES_COLORS = [
+    [26, 115, 232], [231, 76, 60], [46, 204, 113], [155, 89, 182],
+    [243, 156, 18], [23, 162, 184], [52, 73, 94], [233, 30, 99]
+];
+
+const STATUS_COLORS = {
+    'excellent': [40, 167, 69],
+    'good': [255, 193, 7],
+    'needs-improvement': [220, 53, 69]
+};
+
+const formatDate = (dateKey) => parseDateKey(dateKey).toLocaleDateString('en-US');
+const formatShortDate = (dateKey) => parseDateKey(dateKey).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+const formatDayName = (dateKey) => parseDateKey(dateKey).toLocaleDateString('en-US', { weekday: 'long' });
+const formatLongDate = (dateKey) => parseDateKey(dateKey).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+// Round numbers for a chart axis: about `count` steps covering min..max
+function niceScale(min, max, count = 5) {
+    if (min === max) {
+        min -= 1;
+        max += 1;
+    }
+    const rough = (max - min) / count;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const normalized = rough / magnitude;
+    const step = (normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10) * magnitude;
+    return { min: Math.floor(min / step) * step, max: Math.ceil(max / step) * step, step };
+}
+
+// A small drawing surface with the subset of the jsPDF API the browser reports
+// use, so the server layout reads like PDFReportGenerator. Drawing calls are
+// recorded per page and replayed onto a node-canvas PDF at the end, which lets
+// footers be added to earlier pages once the page count is known.
+class PdfDocument {
+    constructor() {
+        this.pages = [[]];
+        this.currentPage = 0;
+        this.style = { fill: [0, 0, 0, 1], textColor: [0, 0, 0], draw: [0, 0, 0], lineWidth: 0.2, fontSize: 16, bold: false };
+    }
+
+    addPage() {
+        this.pages.push([]);
+        this.currentPage = this.pages.length - 1;
+    }
+
+    setPage(pageNumber) {
+        this.currentPage = pageNumber - 1;
+    }
+
+    getNumberOfPages() {
+        return this.pages.length;
+    }
+
+    setFillColor(r, g, b, alpha = 1) {
+        this.style.fill = [r, g, b, alpha];
+    }
+
+    setTextColor(r, g, b) {
+        this.style.textColor = [r, g, b];
+    }
+
+    setDrawColor(r, g, b) {
+        this.style.draw = [r, g, b];
+    }
+
+    setLineWidth(width) {
+        this.style.lineWidth = width;
+    }
+
+    setFontSize(size) {
+        this.style.fontSize = size;
+    }
+
+    setFont(fontName, fontStyle = 'normal') {
+        this.style.bold = fontStyle === 'bold';
+    }
+
+    record(op) {
+        this.pages[this.currentPage].push({ ...op, style: { ...this.style } });
+    }
+
+    rect(x, y, width, height) {
+        this.record({ type: 'rect', x, y, width, height });
+    }
+
+    line(x1, y1, x2, y2) {
+        this.record({ type: 'lines', points: [[x1, y1], [x2, y2]] });
+    }
+
+    lines(points) {
+        if (points.length > 1) {
+            this.record({ type: 'lines', points });
+        }
+    }
+
+    circle(x, y, radius) {
+        this.record({ type: 'circle', x, y, radius });
+    }
+
+    text(text, x, y, options = {}) {
+        this.record({ type: 'text', text: String(text), x, y, align: options.align || 'left' });
+    }
+
+    // Draw the recorded pages onto a canvas PDF and return the file
+    toBuffer(createCanvas, metadata = {}) {
+        const pt = (mm) => mm * MM_TO_PT;
+        const canvas = createCanvas(pt(PAGE_WIDTH), pt(PAGE_HEIGHT), 'pdf');
+        const ctx = canvas.getContext('2d');
+
+        this.pages.forEach((ops, index) => {
+            if (index > 0) {
+                ctx.addPage(pt(PAGE_WIDTH), pt(PAGE_HEIGHT));
+            }
+
+            ops.forEach(({ type, style, ...op }) => {
+                if (type === 'rect') {
+                    ctx.fillStyle = `rgba(${style.fill.join(', ')})`;
+                    ctx.fillRect(pt(op.x), pt(op.y), pt(op.width), pt(op.height));
+                } else if (type === 'lines') {
+                    ctx.strokeStyle = `rgb(${style.draw.join(', ')})`;
+                    ctx.lineWidth = pt(style.lineWidth);
+                    ctx.beginPath();
+                    op.points.forEach(([x, y], pointIndex) => {
+                        if (pointIndex === 0) ctx.moveTo(pt(x), pt(y));
+                        else ctx.lineTo(pt(x), pt(y));
+                    });
+                    ctx.stroke();
+                } else if (type === 'circle') {
+                    ctx.fillStyle = `rgba(${style.fill.join(', ')})`;
+                    ctx.beginPath();
+                    ctx.arc(pt(op.x), pt(op.y), pt(op.radius), 0, Math.PI * 2);
+                    ctx.fill();
+                } else if (type === 'text') {
+                    // Font sizes are in points, like jsPDF
+                    ctx.font = `${style.bold ? 'bold ' : ''}${style.fontSize}px Helvetica, Arial, sans-serif`;
+                    ctx.fillStyle = `rgb(${style.textColor.join(', ')})`;
+                    ctx.textAlign = op.align;
+                    ctx.textBaseline = 'alphabetic';
+                    ctx.fillText(op.text, pt(op.x), pt(op.y));
+                }
+            });
+        });
+
+        return canvas.toBuffer('application/pdf', metadata);
+    }
+}
+
+// Renders the reports page's PDF reports on the server, from the same data as
+// the browser version (see reportService) with the charts drawn directly
+class PdfReportService {
+    constructor() {
+        this.reportTypes = REPORT_TYPES;
+        this.createCanvas = undefined;
+    }
+
+    // node-canvas is a native module. It's loaded on first use so the server
+    // still starts where it isn't built; PDF reports are unavailable there.
+    loadCanvas() {
+        if (this.createCanvas === undefined) {
+            try {
+                this.createCanvas = require('canvas').createCanvas;
+            } catch (error) {
+                console.error('⚠️  PDF reports unavailable, canvas could not be loaded:', error.message);
+                this.createCanvas = null;
+            }
+        }
+        return this.createCanvas;
+    }
+
+    isAvailable() {
+        return this.loadCanvas() !== null;
+    }
+
+    /**
+     * Build a PDF report for a user
+     * @param {string} userId - User ID
+     * @param {string} type - nutrition, weight, measurements or complete
+     * @param {object} range - { from, to } date keys, both or neither. Without a range
+     *                         nutrition covers the current week and weight and measurements all entries.
+     * @returns {Promise<Buffer>} - The PDF file
+     */
+    async generateReport(userId, type, range = {}) {
+        const createCanvas = this.loadCanvas();
+        if (!createCanvas) {
+            throw new Error('PDF reports are not available on this server');
+        }
+
+        const user = await userService.getUserById(userId);
+        const report = {
+            type,
+            userName: (user && (user.name || user.email)) || 'User',
+            range,
+            generatedAt: new Date()
+        };
+
+        if (type === 'nutrition' || type === 'complete') {
+            const { from, to } = range.from ? range : reportService.getDefaultRange();
+            report.nutrition = await reportService.getNutritionReport(userId, from, to);
+        }
+        if (type === 'weight' || type === 'complete') {
+            report.weight = await reportService.getWeightReport(userId, range.from, range.to);
+        }
+        if (type === 'measurements' || type === 'complete') {
+            report.measurements = await reportService.getMeasurementsReport(userId, range.from, range.to);
+        }
+
+        const pdf = this.renderReport(report);
+        return pdf.toBuffer(createCanvas, { title: REPORT_TITLES[type], creator: 'NutriStats' });
+    }
+
+    // File name for a downloaded report, e.g. weight-report-2026-10-19.pdf
+    getFileName(type, date = new Date()) {
+        const prefix = type === 'complete' ? 'complete-health-report' : `${type}-report`;
+        return `${prefix}-${date.toISOString().split('T')[0]}.pdf`;
+    }
+
+    renderReport(report) {
+        const pdf = new PdfDocument();
+        const title = REPORT_TITLES[report.type];
+        const newPage = () => {
+            pdf.addPage();
+            this.addPDFHeader(pdf, title, report);
+        };
+
+        this.addPDFHeader(pdf, title, report);
+
+        if (report.type === 'nutrition') {
+            const currentY = this.addNutritionStats(pdf, report.nutrition, 55);
+            this.addNutritionChart(pdf, report.nutrition, currentY + 10);
+            newPage();
+            this.addNutritionTables(pdf, report.nutrition, newPage);
+        } else if (report.type === 'weight') {
+            const currentY = this.addWeightStats(pdf, report.weight, 55);
+            this.addWeightChart(pdf, report.weight, currentY + 10);
+            newPage();
+            this.addWeightTable(pdf, report.weight, 55, newPage);
+        } else if (report.type === 'measurements') {
+            const currentY = this.addMeasurementsStats(pdf, report.measurements, 55, newPage);
+            this.addMeasurementsChart(pdf, report.measurements, currentY + 10, newPage);
+            newPage();
+            this.addMeasurementsTable(pdf, report.measurements, 55, newPage);
+        } else {
+            this.addSectionBanner(pdf, 'Nutrition Report', [52, 152, 219]);
+            let currentY = this.addNutritionStats(pdf, report.nutrition, 70);
+            this.addNutritionChart(pdf, report.nutrition, currentY + 5);
+            newPage();
+            this.addNutritionTables(pdf, report.nutrition, newPage);
+
+            newPage();
+            this.addSectionBanner(pdf, 'Weight Tracking', [46, 204, 113]);
+            currentY = this.addWeightStats(pdf, report.weight, 70);
+            this.addWeightChart(pdf, report.weight, currentY + 5);
+            newPage();
+            this.addWeightTable(pdf, report.weight, 55, newPage);
+
+            newPage();
+            this.addSectionBanner(pdf, 'Body Measurements', [155, 89, 182]);
+            currentY = this.addMeasurementsStats(pdf, report.measurements, 70, newPage);
+            this.addMeasurementsChart(pdf, report.measurements, currentY + 5, newPage);
+            newPage();
+            this.addMeasurementsTable(pdf, report.measurements, 55, newPage);
+
+            this.addFooters(pdf);
+        }
+
+        return pdf;
+    }
+
+    // The period a report covers, shown in the header
+    describePeriod(report) {
+        const { from, to } = report.nutrition || report.range;
+        return from && to ? `${formatLongDate(from)} - ${formatLongDate(to)}` : 'All entries';
+    }
+
+    addPDFHeader(pdf, title, report) {
+        // Site's green color #28a745
+        pdf.setFillColor(40, 167, 69);
+        pdf.rect(0, 0, 210, 35);
+
+        pdf.setTextColor(255, 255, 255);
+        pdf.setFontSize(24);
+        pdf.setFont(undefined, 'bold');
+        pdf.text('NutriStats', 20, 18);
+
+        pdf.setFontSize(14);
+        pdf.setFont(undefined, 'normal');
+        pdf.text(title, 20, 28);
+
+        pdf.setFontSize(12);
+        pdf.text(`Report for: ${report.userName}`, 130, 16);
+
+        pdf.setFontSize(10);
+        pdf.text(this.describePeriod(report), 130, 23);
+
+        pdf.setFontSize(9);
+        pdf.text(report.generatedAt.toLocaleDateString('en-US', {
+            weekday: 'long',
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        }), 130, 30);
+
+        pdf.setTextColor(0, 0, 0);
+    }
+
+    // Colored band introducing each part of the complete report
+    addSectionBanner(pdf, title, color) {
+        pdf.setFillColor(...color);
+        pdf.rect(15, 52, 180, 10);
+        pdf.setTextColor(255, 255, 255);
+        pdf.setFontSize(16);
+        pdf.setFont(undefined, 'bold');
+        pdf.text(title, 20, 59);
+        pdf.setTextColor(0, 0, 0);
+    }
+
+    addSectionHeader(pdf, title, startY) {
+        pdf.setFillColor(236, 240, 241);
+        pdf.rect(15, startY - 5, 180, 8);
+
+        pdf.setTextColor(52, 73, 94);
+        pdf.setFontSize(14);
+        pdf.setFont(undefined, 'bold');
+        pdf.text(title, 20, startY);
+        pdf.setTextColor(0, 0, 0);
+    }
+
+    addNoData(pdf, message, y) {
+        pdf.setTextColor(128, 128, 128);
+        pdf.setFontSize(10);
+        pdf.setFont(undefined, 'normal');
+        pdf.text(message, 20, y);
+        pdf.setTextColor(0, 0, 0);
+    }
+
+    // Label/value rows with alternating backgrounds. Returns the next free Y position.
+    addStatRows(pdf, stats, startY) {
+        pdf.setFontSize(11);
+
+        let yPos = startY;
+        stats.forEach((stat, index) => {
+            if (index % 2 === 0) {
+                pdf.setFillColor(249, 249, 249);
+                pdf.rect(15, yPos - 3, 180, 8);
+            }
+
+            pdf.setFont(undefined, 'bold');
+            pdf.text(stat.label, 20, yPos);
+
+            pdf.setFont(undefined, 'normal');
+            pdf.setTextColor(40, 167, 69);
+            pdf.text(stat.value, 120, yPos);
+            pdf.setTextColor(0, 0, 0);
+
+            yPos += 10;
+        });
+
+        return yPos;
+    }
+
+    // Table with a colored header row; rows are arrays of cells (text, or
+    // { text, color }). Starts a new page when the current one is full.
+    addTable(pdf, { columns, rows, headerColor }, startY, newPage) {
+        const drawHeader = (y) => {
+            pdf.setFillColor(...headerColor);
+            pdf.rect(15, y - 5, 180, 8);
+
+            pdf.setTextColor(255, 255, 255);
+            pdf.setFontSize(10);
+            pdf.setFont(undefined, 'bold');
+            columns.forEach(column => pdf.text(column.label, column.x, y));
+
+            pdf.setTextColor(0, 0, 0);
+            pdf.setFont(undefined, 'normal');
+            return y + 10;
+        };
+
+        let yPos = drawHeader(startY);
+        rows.forEach((row, rowIndex) => {
+            if (yPos > 270) {
+                newPage();
+                yPos = drawHeader(60);
+            }
+
+            if (rowIndex % 2 === 0) {
+                pdf.setFillColor(249, 249, 249);
+                pdf.rect(15, yPos - 3, 180, 8);
+            }
+
+            pdf.setFontSize(9);
+            row.forEach((cell, index) => {
+                const { text, color } = typeof cell === 'object' ? cell : { text: cell };
+                pdf.setTextColor(...(color || [0, 0, 0]));
+                pdf.text(text, columns[index].x, yPos);
+            });
+            pdf.setTextColor(0, 0, 0);
+            yPos += 8;
+        });
+
+        return yPos;
+    }
+
+    // Axis lines, grid and Y labels for a chart. Returns a function mapping a value to Y.
+    drawChartAxes(pdf, area, scale, formatLabel = (value) => String(value)) {
+        const toY = (value) => area.y + area.height - ((value - scale.min) / (scale.max - scale.min)) * area.height;
+
+        pdf.setDrawColor(230, 230, 230);
+        pdf.setLineWidth(0.2);
+        pdf.setFontSize(8);
+        pdf.setFont(undefined, 'normal');
+        pdf.setTextColor(100, 100, 100);
+        for (let value = scale.min; value <= scale.max + scale.step / 2; value += scale.step) {
+            const y = toY(value);
+            pdf.line(area.x, y, area.x + area.width, y);
+            pdf.text(formatLabel(Math.round(value * 100) / 100), area.x - 2, y + 1, { align: 'right' });
+        }
+
+        pdf.setDrawColor(150, 150, 150);
+        pdf.line(area.x, area.y, area.x, area.y + area.height);
+        pdf.line(area.x, area.y + area.height, area.x + area.width, area.y + area.height);
+        pdf.setTextColor(0, 0, 0);
+
+        return toY;
+    }
+
+    // X labels for dates spread over a chart: at most `maxLabels`, evenly spaced
+    drawDateLabels(pdf, area, labels) {
+        const maxLabels = 8;
+        const every = Math.max(1, Math.ceil(labels.length / maxLabels));
+
+        pdf.setFontSize(8);
+        pdf.setTextColor(100, 100, 100);
+        labels.forEach(({ x, text }, index) => {
+            if (index % every === 0) {
+                pdf.text(text, x, area.y + area.height + 5, { align: 'center' });
+            }
+        });
+        pdf.setTextColor(0, 0, 0);
+    }
+
+    // Line chart for dated series: [{ label, color, points: [{ date, value }], dots }].
+    // Each point gets a dot unless dots is false.
+    drawLineChart(pdf, area, series, formatLabel) {
+        const values = series.flatMap(line => line.points.map(point => point.value));
+        const times = series.flatMap(line => line.points.map(point => parseDateKey(point.date).getTime()));
+        const minTime = Math.min(...times);
+        const maxTime = Math.max(...times);
+        const toX = (date) => maxTime === minTime
+            ? area.x + area.width / 2
+            : area.x + ((parseDateKey(date).getTime() - minTime) / (maxTime - minTime)) * area.width;
+
+        const scale = niceScale(Math.min(...values), Math.max(...values));
+        const toY = this.drawChartAxes(pdf, area, scale, formatLabel);
+
+        series.forEach(line => {
+            const points = line.points.map(point => [toX(point.date), toY(point.value)]);
+            pdf.setDrawColor(...line.color);
+            pdf.setLineWidth(0.6);
+            pdf.lines(points);
+            if (line.dots !== false) {
+                pdf.setFillColor(...line.color);
+                points.forEach(([x, y]) => pdf.circle(x, y, 0.8));
+            }
+        });
+
+        const dates = [...new Set(series.flatMap(line => line.points.map(point => point.date)))].sort();
+        this.drawDateLabels(pdf, area, dates.map(date => ({ x: toX(date), text: formatShortDate(date) })));
+    }
+
+    addNutritionStats(pdf, nutrition, startY = 55) {
+        const title = nutrition.days.length === 7 ? 'Weekly Nutrition Summary' : 'Nutrition Summary';
+        this.addSectionHeader(pdf, title, startY);
+        return this.addStatRows(pdf, reportService.formatNutritionStats(nutrition.summary), startY + 12) + 5;
+    }
+
+    // Bars for calories eaten, colored by how close they are to the goal, with the daily goal as a line
+    addNutritionChart(pdf, nutrition, startY = 120) {
+        const title = nutrition.days.length === 7 ? 'Weekly Calories Chart' : 'Daily Calories Chart';
+        this.addSectionHeader(pdf, title, startY);
+
+        const { days } = nutrition;
+        const area = { x: 35, y: startY + 12, width: 155, height: 85 };
+        const maxValue = Math.max(...days.map(day => Math.max(day.calories, day.goalCalories)), 100);
+        const scale = niceScale(0, maxValue);
+        const toY = this.drawChartAxes(pdf, area, scale);
+
+        const slot = area.width / days.length;
+        const barWidth = slot * 0.6;
+        const centers = days.map((day, index) => area.x + slot * index + slot / 2);
+
+        days.forEach((day, index) => {
+            if (day.calories <= 0) return;
+            pdf.setFillColor(...STATUS_COLORS[day.status], 0.8);
+            pdf.rect(centers[index] - barWidth / 2, toY(day.calories), barWidth, area.y + area.height - toY(day.calories));
+        });
+
+        const goalPoints = days.map((day, index) => [centers[index], toY(day.goalCalories)]);
+        pdf.setDrawColor(26, 115, 232);
+        pdf.setLineWidth(0.8);
+        pdf.lines(goalPoints);
+        pdf.setFillColor(26, 115, 232);
+        goalPoints.forEach(([x, y]) => pdf.circle(x, y, 1));
+
+        this.drawDateLabels(pdf, area, days.map((day, index) => ({
+            x: centers[index],
+            text: days.length <= 7 ? day.day.slice(0, 3) : formatShortDate(day.date)
+        })));
+
+        return area.y + area.height + 15;
+    }
+
+    addNutritionTables(pdf, nutrition, newPage) {
+        const currentY = this.addMacroTable(pdf, nutrition, 55, newPage);
+        return this.addHydrationTable(pdf, nutrition, currentY + 5, newPage);
+    }
+
+    addMacroTable(pdf, nutrition, startY, newPage) {
+        this.addSectionHeader(pdf, 'Daily Macro Breakdown', startY);
+
+        const withTarget = (actual, target, digits = 1) => {
+            if (target <= 0) return actual.toFixed(digits);
+            const text = `${actual.toFixed(digits)} / ${target.toFixed(digits)}`;
+            return actual > 0 ? `${text} (${((actual / target) * 100).toFixed(0)}%)` : text;
+        };
+
+        const rows = nutrition.days.map(day => {
+            const adjustment = day.dailyAdjustment !== 0 ? ` (${day.dailyAdjustment > 0 ? '+' : ''}${day.dailyAdjustment})` : '';
+            const calories = day.calories > 0
+                ? `${Math.round(day.calories)} / ${Math.round(day.goalCalories)} (${day.calorieAchievement.toFixed(0)}%)`
+                : `${Math.round(day.calories)} / ${Math.round(day.goalCalories)}`;
+            const label = nutrition.days.length <= 7 ? day.day : `${day.day.slice(0, 3)} ${formatDate(day.date)}`;
+
+            return [
+                label,
+                calories + adjustment,
+                day.proteinTarget > 0 ? `${day.totalProtein.toFixed(1)} / ${Math.round(day.proteinTarget)}` : day.totalProtein.toFixed(1),
+                withTarget(day.carbs, day.carbTarget),
+                withTarget(day.fat, day.fatTarget)
+            ];
+        });
+
+        const yPos = this.addTable(pdf, {
+            headerColor: [41, 128, 185],
+            columns: [
+                { label: 'Day', x: 20 },
+                { label: 'Calories', x: 55 },
+                { label: 'Protein', x: 100 },
+                { label: 'Carbs', x: 128 },
+                { label: 'Fat', x: 162 }
+            ],
+            rows
+        }, startY + 15, newPage);
+
+        return yPos + 10;
+    }
+
+    addHydrationTable(pdf, nutrition, startY, newPage) {
+        const { hydration } = nutrition;
+        this.addSectionHeader(pdf, 'Hydration', startY);
+
+        if (hydration.days.every(day => day.total === 0)) {
+            this.addNoData(pdf, 'No hydration data available', startY + 10);
+            return startY + 20;
+        }
+
+        pdf.setFontSize(10);
+        pdf.setFont(undefined, 'normal');
+        pdf.text(`Average daily water: ${Math.round(hydration.avgDailyWater)} ml    Days at goal: ${hydration.daysAtGoal}/${hydration.days.length} days`, 20, startY + 10);
+
+        const rows = hydration.days.map(day => [
+            nutrition.days.length <= 7 ? formatDayName(day.date) : formatDate(day.date),
+            String(Math.round(day.total)),
+            String(hydration.goal),
+            day.total > 0 ? `${day.achievement.toFixed(0)}%` : '-'
+        ]);
+
+        const yPos = this.addTable(pdf, {
+            headerColor: [23, 162, 184],
+            columns: [
+                { label: 'Day', x: 20 },
+                { label: 'Water (ml)', x: 70 },
+                { label: 'Goal (ml)', x: 110 },
+                { label: 'Achievement', x: 150 }
+            ],
+            rows
+        }, startY + 20, newPage);
+
+        return yPos + 10;
+    }
+
+    addWeightStats(pdf, weight, startY = 55) {
+        this.addSectionHeader(pdf, 'Weight Statistics', startY);
+        return this.addStatRows(pdf, reportService.formatWeightStats(weight), startY + 12) + 5;
+    }
+
+    // Logged weights with the smoothed trend, and the target weight when one is set
+    addWeightChart(pdf, weight, startY = 120) {
+        this.addSectionHeader(pdf, 'Weight Progress Chart', startY);
+
+        if (weight.entries.length === 0) {
+            this.addNoData(pdf, 'No weight data available', startY + 12);
+            return startY + 25;
+        }
+
+        const entries = [...weight.entries].reverse();
+        const series = [
+            {
+                label: `Weight (${weight.unit})`,
+                color: [26, 115, 232],
+                points: entries.map(entry => ({ date: entry.date, value: entry.weight }))
+            },
+            {
+                label: 'Trend',
+                color: [46, 204, 113],
+                points: entries.map(entry => ({ date: entry.date, value: entry.trend })),
+                dots: false
+            }
+        ];
+        if (weight.stats.goal) {
+            series.push({
+                label: 'Target',
+                color: [243, 156, 18],
+                points: [entries[0], entries[entries.length - 1]].map(entry => ({ date: entry.date, value: weight.stats.goal.targetWeight })),
+                dots: false
+            });
+        }
+
+        // Legend above the chart
+        let legendX = 20;
+        pdf.setFontSize(8);
+        pdf.setFont(undefined, 'normal');
+        series.forEach(line => {
+            pdf.setFillColor(...line.color);
+            pdf.rect(legendX, startY + 7, 4, 2);
+            pdf.text(line.label, legendX + 5, startY + 9);
+            legendX += 10 + line.label.length * 1.6;
+        });
+
+        const area = { x: 35, y: startY + 16, width: 155, height: 81 };
+        this.drawLineChart(pdf, area, series, value => `${value} ${weight.unit}`);
+
+        return area.y + area.height + 15;
+    }
+
+    addWeightTable(pdf, weight, startY = 55, newPage) {
+        this.addSectionHeader(pdf, 'Recent Weight Entries', startY);
+
+        if (weight.entries.length === 0) {
+            this.addNoData(pdf, 'No weight data available', startY + 10);
+            return startY + 20;
+        }
+
+        // Increases in red, decreases in green
+        const rows = weight.entries.slice(0, 15).map(entry => [
+            formatDate(entry.date),
+            `${entry.weight.toFixed(1)} ${weight.unit}`,
+            {
+                text: entry.change !== 0 ? `${entry.change > 0 ? '+' : ''}${entry.change.toFixed(1)} ${weight.unit}` : '-',
+                color: entry.change > 0 ? [231, 76, 60] : entry.change < 0 ? [46, 204, 113] : null
+            }
+        ]);
+
+        const yPos = this.addTable(pdf, {
+            headerColor: [40, 167, 69],
+            columns: [
+                { label: 'Date', x: 20 },
+                { label: 'Weight', x: 80 },
+                { label: 'Change', x: 140 }
+            ],
+            rows
+        }, startY + 15, newPage);
+
+        return yPos + 10;
+    }
+
+    // One block of statistics per measurement type
+    addMeasurementsStats(pdf, measurements, startY = 55, newPage) {
+        this.addSectionHeader(pdf, 'Measurement Statistics', startY);
+
+        if (measurements.types.length === 0) {
+            this.addNoData(pdf, 'No measurement data available', startY + 12);
+            return startY + 20;
+        }
+
+        let yPos = startY + 12;
+        measurements.types.forEach(measurementType => {
+            if (yPos > 220) {
+                newPage();
+                yPos = 60;
+            }
+
+            pdf.setFontSize(12);
+            pdf.setFont(undefined, 'bold');
+            pdf.setTextColor(52, 73, 94);
+            pdf.text(measurementType.type, 20, yPos);
+            pdf.setTextColor(0, 0, 0);
+
+            yPos = this.addStatRows(pdf, reportService.formatMeasurementStats(measurementType), yPos + 8) + 2;
+        });
+
+        return yPos + 3;
+    }
+
+    addMeasurementsChart(pdf, measurements, startY = 120, newPage) {
+        if (startY > 170) {
+            newPage();
+            startY = 55;
+        }
+        this.addSectionHeader(pdf, 'Measurements Progress Chart', startY);
+
+        if (measurements.types.length === 0) {
+            this.addNoData(pdf, 'No measurement data available', startY + 12);
+            return startY + 25;
+        }
+
+        const series = measurements.types.map((measurementType, index) => ({
+            label: `${measurementType.type} (${measurementType.unit})`,
+            color: SERIES_COLORS[index % SERIES_COLORS.length],
+            points: [...measurementType.entries].reverse().map(entry => ({ date: entry.date, value: entry.value }))
+        }));
+
+        // Legend above the chart
+        let legendX = 20;
+        pdf.setFontSize(8);
+        pdf.setFont(undefined, 'normal');
+        series.forEach(line => {
+            pdf.setFillColor(...line.color);
+            pdf.rect(legendX, startY + 7, 4, 2);
+            pdf.text(line.label, legendX + 5, startY + 9);
+            legendX += 10 + line.label.length * 1.6;
+        });
+
+        const area = { x: 35, y: startY + 16, width: 155, height: 80 };
+        this.drawLineChart(pdf, area, series);
+
+        return area.y + area.height + 15;
+    }
+
+    addMeasurementsTable(pdf, measurements, startY = 55, newPage) {
+        this.addSectionHeader(pdf, 'Recent Measurement Entries', startY);
+
+        if (measurements.entries.length === 0) {
+            this.addNoData(pdf, 'No measurement data available', startY + 10);
+            return startY + 20;
+        }
+
+        const rows = measurements.entries.slice(0, 15).map(entry => [
+            formatDate(entry.date),
+            entry.measurementType.length > 18 ? `${entry.measurementType.substring(0, 18)}...` : entry.measurementType,
+            String(entry.value),
+            entry.unit
+        ]);
+
+        const yPos = this.addTable(pdf, {
+            headerColor: [40, 167, 69],
+            columns: [
+                { label: 'Date', x: 20 },
+                { label: 'Type', x: 65 },
+                { label: 'Value', x: 130 },
+                { label: 'Unit', x: 170 }
+            ],
+            rows
+        }, startY + 15, newPage);
+
+        return yPos + 10;
+    }
+
+    addFooters(pdf) {
+        const pageCount = pdf.getNumberOfPages();
+        for (let i = 1; i <= pageCount; i++) {
+            pdf.setPage(i);
+            pdf.setFontSize(8);
+            pdf.setFont(undefined, 'normal');
+            pdf.setTextColor(128, 128, 128);
+            pdf.text(`Page ${i} of ${pageCount}`, 20, 285);
+            pdf.text('Generated by NutriStats', 150, 285);
+        }
+    }
+}
+
+module.exports = new PdfReportService();
@@ -0,0 +1,456 @@
+const mealService = require('../database/mealService');
+const settingsService = require('../database/settingsService');
+const waterService = require('../database/waterService');
+const exerciseService = require('../database/exerciseService');
+const weightService = require('../database/weightService');
+const measurementsService = require('../database/measurementsService');
+const { getWeekDateKeys, getDateKeysBetween, parseDateKey } = require('../utils/dayKeys');
+const { sumMicronutrients } = require('../utils/nutrients');
+const { analyzeWeightTrend } = require('../utils/weightTrend');
+
+// Body weight used for macro targets when none is set in Settings, as on the reports page
+const DEFAULT_WEIGHT = 70;
+const DEFAULT_GOAL_CALORIES = 2700;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Periods a nutrition breakdown can be grouped by. Weeks run Sunday-Saturday
+// like the reports page and are keyed by their Sunday.
+const PERIOD_KEYS = {
+    day: (date) => date,
+    week: (date) => getWeekDateKeys(parseDateKey(date)).sunday,
+    month: (date) => date.slice(0, 7)
+};
+
+// Status of a value against its target, as used by the reports page badges
+const achievementStatus = (achievement) => {
+    if (achievement >= 95 && achievement <= 105) return 'excellent';
+    if (achievement >= 90 && achievement <= 110) return 'good';
+    return 'needs-improvement';
+};
+
+const signed = (value, digits = 1) => `${value > 0 ? '+' : ''}${value.toFixed(digits)}`;
+const formatLongDate = (dateKey) => parseDateKey(dateKey).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+// Builds the data behind the nutrition, weight and measurement reports with the
+// same calculations as the reports page (NutritionReports and WeightTracker),
+// so a report looks the same whether it's built in the browser or on the server.
+class ReportService {
+    constructor() {
+        this.periodGroups = Object.keys(PERIOD_KEYS);
+    }
+
+    // The Sunday-Saturday week containing today, the range the reports page shows
+    getDefaultRange() {
+        const week = getWeekDateKeys();
+        return { from: week.sunday, to: week.saturday };
+    }
+
+    calculateDayTotals(dayData) {
+        const totals = { calories: 0, carbs: 0, protein: 0, fat: 0, proteinG: 0, micronutrients: {} };
+        const micronutrientList = [];
+
+        (dayData.meals || []).forEach(meal => {
+            (meal.items || []).forEach(item => {
+                totals.calories += parseFloat(item.calories) || 0;
+                totals.carbs += parseFloat(item.carbs) || 0;
+                totals.protein += parseFloat(item.protein) || 0;
+                totals.fat += parseFloat(item.fat) || 0;
+                totals.proteinG += parseFloat(item.proteinG) || 0;
+                micronutrientList.push(item.micronutrients);
+            });
+        });
+        totals.micronutrients = sumMicronutrients(micronutrientList);
+
+        return totals;
+    }
+
+    // Totals for each meal of a day that has food logged in it
+    calculateMealTotals(dayData) {
+        return (dayData.meals || [])
+            .filter(meal => meal.items && meal.items.length > 0)
+            .map(meal => {
+                const totals = this.calculateDayTotals({ meals: [meal] });
+                return {
+                    id: meal.id,
+                    name: meal.name,
+                    position: meal.position,
+                    calories: totals.calories,
+                    protein: totals.protein + totals.proteinG,
+                    fat: totals.fat,
+                    carbs: totals.carbs
+                };
+            });
+    }
+
+    // Totals and targets for one diary day. Protein and fat targets come from the
+    // day's g/kg levels; carbs get the calories left over after those targets.
+    calculateDay(date, dayData, settings, burnedCalories) {
+        const totals = this.calculateDayTotals(dayData);
+        const userWeight = parseFloat(settings.weight) || DEFAULT_WEIGHT;
+
+        const dailyAdjustment = dayData.calorieAdjustment || 0;
+        const exerciseBonus = settings.addExerciseCalories ? burnedCalories : 0;
+        const goalCalories = (settings.totalCalories || DEFAULT_GOAL_CALORIES) + dailyAdjustment + exerciseBonus;
+
+        const proteinTarget = userWeight * (dayData.proteinLevel || 0);
+        const fatTarget = userWeight * (dayData.fatLevel || 0);
+        const remainingCalories = Math.max(0, goalCalories - proteinTarget * 4 - fatTarget * 9);
+        const carbTarget = remainingCalories / 4;
+
+        const calorieAchievement = goalCalories > 0 ? (totals.calories / goalCalories) * 100 : 0;
+
+        return {
+            date,
+            day: DAY_NAMES[parseDateKey(date).getDay()],
+            ...totals,
+            totalProtein: totals.protein + totals.proteinG,
+            goalCalories,
+            proteinTarget,
+            fatTarget,
+            carbTarget,
+            calorieAchievement,
+            status: achievementStatus(calorieAchievement),
+            dailyAdjustment,
+            burnedCalories,
+            exerciseBonus,
+            meals: this.calculateMealTotals(dayData)
+        };
+    }
+
+    /**
+     * Nutrition report for a date range: one entry per day plus the summary shown
+     * in "Weekly Nutrition Summary" and the hydration table
+     * @param {string} userId - User ID
+     * @param {string} from - First date (YYYY-MM-DD)
+     * @param {string} to - Last date (YYYY-MM-DD)
+     * @returns {Promise<object>} - { from, to, days, summary, hydration }
+     */
+    async getNutritionReport(userId, from, to) {
+        const settings = await settingsService.getUserSettings(userId);
+        const dateKeys = getDateKeysBetween(from, to);
+
+        const burned = new Map((await exerciseService.getDailyTotals(userId, from, to)).map(total => [total.date, total.calories]));
+        const water = new Map((await waterService.getDailyTotals(userId, from, to)).map(total => [total.date, total.total]));
+
+        const meals = await mealService.getUserMealsBetween(userId, from, to);
+        const days = dateKeys.map(date => this.calculateDay(date, meals.get(date), settings, burned.get(date) || 0));
+
+        const hydrationDays = dateKeys.map(date => ({ date, total: water.get(date) || 0 }));
+
+        return {
+            from,
+            to,
+            days,
+            summary: this.summarizeNutrition(days),
+            hydration: this.summarizeHydration(hydrationDays, settings.waterGoal)
+        };
+    }
+
+    // Averages over the range, counting days with nothing logged
+    summarizeNutrition(days) {
+        const count = days.length || 1;
+        const average = (getValue) => days.reduce((sum, day) => sum + getValue(day), 0) / count;
+        const percent = (actual, target) => target > 0 ? (actual / target) * 100 : 0;
+
+        const avgDailyCalories = average(day => day.calories);
+        const avgGoalCalories = average(day => day.goalCalories);
+        const avgProtein = average(day => day.totalProtein);
+        const avgFat = average(day => day.fat);
+        const avgCarbs = average(day => day.carbs);
+
+        return {
+            avgDailyCalories,
+            avgGoalCalories,
+            goalAchievement: percent(avgDailyCalories, avgGoalCalories),
+            avgProtein,
+            proteinAchievement: percent(avgProtein, average(day => day.proteinTarget)),
+            avgFat,
+            fatAchievement: percent(avgFat, average(day => day.fatTarget)),
+            avgCarbs,
+            carbsAchievement: percent(avgCarbs, average(day => day.carbTarget)),
+            daysOnTrack: days.filter(day => day.status === 'excellent').length,
+            totalDays: days.length,
+            totalBurned: days.reduce((sum, day) => sum + day.burnedCalories, 0),
+            exerciseDays: days.filter(day => day.burnedCalories > 0).length
+        };
+    }
+
+    summarizeHydration(days, goal) {
+        const avgDailyWater = days.length > 0 ? days.reduce((sum, day) => sum + day.total, 0) / days.length : 0;
+        return {
+            goal,
+            days: days.map(day => ({ ...day, achievement: goal > 0 ? (day.total / goal) * 100 : 0 })),
+            avgDailyWater,
+            daysAtGoal: days.filter(day => day.total >= goal).length
+        };
+    }
+
+    /**
+     * Nutrition for a date range grouped by day, week or month: totals against
+     * the goals for each period and the whole range, with a breakdown per meal
+     * @param {string} userId - User ID
+     * @param {string} from - First date (YYYY-MM-DD)
+     * @param {string} to - Last date (YYYY-MM-DD)
+     * @param {string} groupBy - day, week or month
+     * @returns {Promise<object>} - { from, to, groupBy, summary, total, periods, hydration }
+     */
+    async getNutritionBreakdown(userId, from, to, groupBy = 'day') {
+        const report = await this.getNutritionReport(userId, from, to);
+
+        // Days are in date order, so each period's days stay together
+        const groups = new Map();
+        report.days.forEach(day => {
+            const key = PERIOD_KEYS[groupBy](day.date);
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(day);
+        });
+
+        return {
+            from,
+            to,
+            groupBy,
+            summary: report.summary,
+            total: this.summarizePeriod(report.days),
+            periods: [...groups.entries()].map(([period, days]) => ({ period, ...this.summarizePeriod(days) })),
+            hydration: report.hydration
+        };
+    }
+
+    // Totals, goals and adherence over some days. Weeks and months at the edges
+    // of the range only count the days inside it.
+    summarizePeriod(days) {
+        const sum = (getValue) => days.reduce((total, day) => total + getValue(day), 0);
+        const percent = (actual, target) => target > 0 ? (actual / target) * 100 : 0;
+
+        const totals = {
+            calories: sum(day => day.calories),
+            protein: sum(day => day.totalProtein),
+            fat: sum(day => day.fat),
+            carbs: sum(day => day.carbs),
+            burnedCalories: sum(day => day.burnedCalories)
+        };
+        const goals = {
+            calories: sum(day => day.goalCalories),
+            protein: sum(day => day.proteinTarget),
+            fat: sum(day => day.fatTarget),
+            carbs: sum(day => day.carbTarget),
+            // Parts of the calorie goal from daily adjustments and exercise
+            adjustment: sum(day => day.dailyAdjustment),
+            exerciseBonus: sum(day => day.exerciseBonus)
+        };
+        const adherence = {
+            calories: percent(totals.calories, goals.calories),
+            protein: percent(totals.protein, goals.protein),
+            fat: percent(totals.fat, goals.fat),
+            carbs: percent(totals.carbs, goals.carbs)
+        };
+
+        return {
+            from: days[0].date,
+            to: days[days.length - 1].date,
+            days: days.length,
+            daysLogged: days.filter(day => day.calories > 0).length,
+            daysOnTrack: days.filter(day => day.status === 'excellent').length,
+            totals,
+            goals,
+            adherence,
+            status: achievementStatus(adherence.calories),
+            micronutrients: sumMicronutrients(days.map(day => day.micronutrients)),
+            meals: this.summarizeMeals(days, totals.calories)
+        };
+    }
+
+    // Totals per meal slot over some days, in diary order, with each meal's share of the calories
+    summarizeMeals(days, totalCalories) {
+        const meals = new Map();
+        days.forEach(day => day.meals.forEach(meal => {
+            if (!meals.has(meal.id)) {
+                meals.set(meal.id, { id: meal.id, name: meal.name, position: meal.position, calories: 0, protein: 0, fat: 0, carbs: 0, days: 0 });
+            }
+            const total = meals.get(meal.id);
+            total.calories += meal.calories;
+            total.protein += meal.protein;
+            total.fat += meal.fat;
+            total.carbs += meal.carbs;
+            total.days++;
+        }));
+
+        return [...meals.values()]
+            .sort((a, b) => a.position - b.position)
+            .map(({ position, ...meal }) => ({
+                ...meal,
+                share: totalCalories > 0 ? (meal.calories / totalCalories) * 100 : 0
+            }));
+    }
+
+    /**
+     * Weight report: entries in the range (newest first) with their smoothed trend,
+     * and the weight statistics
+     * @param {string} userId - User ID
+     * @param {string|null} from - First date, or null for all entries
+     * @param {string|null} to - Last date, or null for all entries
+     * @returns {Promise<object>} - { unit, entries, stats }
+     */
+    async getWeightReport(userId, from = null, to = null) {
+        const settings = await settingsService.getUserSettings(userId);
+        const unit = settings.unitSystem === 'imperial' ? 'lb' : 'kg';
+
+        const { entries: untilEnd } = await weightService.getUserWeightEntries(userId, null, to);
+        const inRange = untilEnd.filter(entry => !from || entry.date >= from);
+
+        // The trend carries over from entries before the range
+        const trend = analyzeWeightTrend(untilEnd, parseFloat(settings.targetWeight) || null);
+        const trendById = new Map(trend.trendLine.map(point => [point.id, point.trend]));
+
+        return {
+            unit,
+            entries: inRange.map((entry, index) => ({
+                ...entry,
+                change: index < inRange.length - 1 ? entry.weight - inRange[index + 1].weight : 0,
+                trend: trendById.get(entry.id)
+            })),
+            stats: this.calculateWeightStats(inRange, trend)
+        };
+    }
+
+    // Weight statistics from entries sorted newest first and the result of analyzeWeightTrend
+    calculateWeightStats(entries, trend) {
+        const trendStats = {
+            trendWeight: trend.trendWeight,
+            weeklyRate: trend.weeklyRate,
+            trend: trend.direction,
+            goal: trend.goal
+        };
+
+        if (entries.length === 0) {
+            return { currentWeight: null, latestChange: null, overallChange: null, avgWeeklyChange: null, ...trendStats };
+        }
+
+        const latest = entries[0];
+        const oldest = entries[entries.length - 1];
+        const hasChange = entries.length >= 2;
+
+        // Average change per week between the oldest and the newest entry
+        const totalDays = Math.abs((new Date(latest.date) - new Date(oldest.date)) / (1000 * 60 * 60 * 24));
+        const avgWeeklyChange = hasChange && totalDays > 0 ? ((latest.weight - oldest.weight) / totalDays) * 7 : null;
+
+        return {
+            currentWeight: latest.weight,
+            latestChange: hasChange ? latest.weight - entries[1].weight : null,
+            overallChange: hasChange ? latest.weight - oldest.weight : null,
+            avgWeeklyChange,
+            ...trendStats
+        };
+    }
+
+    /**
+     * Measurements report: entries in the range (newest first) and statistics per measurement type
+     * @param {string} userId - User ID
+     * @param {string|null} from - First date, or null for all entries
+     * @param {string|null} to - Last date, or null for all entries
+     * @returns {Promise<object>} - { entries, types: [{ type, unit, entries, stats }] }
+     */
+    async getMeasurementsReport(userId, from = null, to = null) {
+        const { entries: inRange } = await measurementsService.getUserMeasurementEntries(userId, from, to);
+
+        const byType = new Map();
+        inRange.forEach(entry => {
+            if (!byType.has(entry.measurementType)) {
+                byType.set(entry.measurementType, []);
+            }
+            byType.get(entry.measurementType).push(entry);
+        });
+
+        const types = [...byType.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([type, typeEntries]) => ({
+                type,
+                unit: typeEntries[0].unit,
+                entries: typeEntries,
+                stats: this.calculateMeasurementStats(typeEntries)
+            }));
+
+        return { entries: inRange, types };
+    }
+
+    // Statistics for one measurement type from entries sorted newest first,
+    // matching the measurements page (average change is between consecutive entries)
+    calculateMeasurementStats(entries) {
+        const latest = entries[0];
+        const oldest = entries[entries.length - 1];
+        const hasChange = entries.length >= 2;
+
+        let avgChange = null;
+        if (hasChange) {
+            const changes = entries.slice(0, -1).map((entry, index) => entry.value - entries[index + 1].value);
+            avgChange = changes.reduce((sum, change) => sum + change, 0) / changes.length;
+        }
+
+        const latestChange = hasChange ? latest.value - entries[1].value : null;
+        let progress = 'First Entry';
+        if (hasChange) {
+            progress = latestChange > 0 ? 'Increasing' : latestChange < 0 ? 'Decreasing' : 'Stable';
+        }
+
+        return {
+            totalEntries: entries.length,
+            latestValue: latest.value,
+            latestChange,
+            overallChange: hasChange ? latest.value - oldest.value : null,
+            avgChange,
+            progress
+        };
+    }
+
+    // Text for the statistics rows of each report section
+    formatNutritionStats(summary) {
+        return [
+            { label: 'Average Daily Calories:', value: `${Math.round(summary.avgDailyCalories)} kcal` },
+            { label: 'Goal Achievement:', value: `${summary.goalAchievement.toFixed(1)}%` },
+            { label: 'Protein Target:', value: `${summary.proteinAchievement.toFixed(1)}%` },
+            { label: 'Fat Target:', value: `${summary.fatAchievement.toFixed(1)}%` },
+            { label: 'Carbs Target:', value: `${summary.carbsAchievement.toFixed(1)}%` },
+            { label: 'Days On Track:', value: `${summary.daysOnTrack}/${summary.totalDays} days` },
+            { label: 'Calories Burned (Exercise):', value: `${Math.round(summary.totalBurned)} kcal (${summary.exerciseDays} days)` }
+        ];
+    }
+
+    formatWeightStats({ stats, unit }) {
+        return [
+            { label: 'Current Weight:', value: stats.currentWeight !== null ? `${stats.currentWeight.toFixed(1)} ${unit}` : 'No data' },
+            { label: 'Latest Change:', value: stats.latestChange !== null ? `${signed(stats.latestChange)} ${unit}` : 'No data' },
+            { label: 'Overall Change:', value: stats.overallChange ? `${signed(stats.overallChange)} ${unit}` : 'No change' },
+            { label: 'Average Change:', value: stats.avgWeeklyChange ? `${signed(stats.avgWeeklyChange)} ${unit}/week` : 'No data' },
+            { label: 'Trend Weight:', value: stats.trendWeight !== null ? `${stats.trendWeight.toFixed(1)} ${unit}` : 'No data' },
+            { label: 'Weekly Rate:', value: stats.weeklyRate !== null ? `${signed(stats.weeklyRate, 2)} ${unit}/week` : 'No data' },
+            { label: 'Trend:', value: stats.trend },
+            ...(stats.goal ? [{ label: `Goal (${stats.goal.targetWeight} ${unit}):`, value: this.formatGoalProjection(stats.goal) }] : [])
+        ];
+    }
+
+    // Short text for a goal projection from analyzeWeightTrend
+    formatGoalProjection(goal) {
+        switch (goal.status) {
+            case 'reached': return 'Reached';
+            case 'on-track': return `Expected ${formatLongDate(goal.date)}`;
+            case 'insufficient-data': return 'Not enough data';
+            default: return 'Not on track at the current rate';
+        }
+    }
+
+    formatMeasurementStats({ stats, unit }) {
+        const change = (value) => value !== null ? `${signed(value)} ${unit}` : '-';
+        return [
+            { label: 'Latest Value:', value: `${stats.latestValue} ${unit}` },
+            { label: 'Latest Change:', value: change(stats.latestChange) },
+            { label: 'Overall Change:', value: change(stats.overallChange) },
+            { label: 'Average Change:', value: change(stats.avgChange) },
+            { label: 'Progress:', value: stats.progress }
+        ];
+    }
+}
+
+module.exports = new ReportService();
@@ -0,0 +1,44 @@
+// Exercise activities and their MET values (metabolic equivalents) per intensity,
+// based on the Compendium of Physical Activities. Calories burned are estimated
+// as MET × body weight (kg) × duration (hours).
+
+const INTENSITIES = ['light', 'moderate', 'vigorous'];
+
+const ACTIVITIES = [
+    { key: 'walking', label: 'Walking', met: { light: 2.8, moderate: 3.5, vigorous: 5.0 } },
+    { key: 'running', label: 'Running', met: { light: 7.0, moderate: 9.8, vigorous: 11.5 } },
+    { key: 'cycling', label: 'Cycling', met: { light: 4.0, moderate: 6.8, vigorous: 10.0 } },
+    { key: 'swimming', label: 'Swimming', met: { light: 5.8, moderate: 7.0, vigorous: 9.8 } },
+    { key: 'rowing', label: 'Rowing', met: { light: 4.8, moderate: 7.0, vigorous: 8.5 } },
+    { key: 'hiking', label: 'Hiking', met: { light: 5.3, moderate: 6.0, vigorous: 7.8 } },
+    { key: 'strength', label: 'Strength training', met: { light: 3.5, moderate: 5.0, vigorous: 6.0 } },
+    { key: 'hiit', label: 'HIIT / circuit training', met: { light: 6.0, moderate: 8.0, vigorous: 10.0 } },
+    { key: 'yoga', label: 'Yoga / stretching', met: { light: 2.5, moderate: 3.0, vigorous: 4.0 } },
+    { key: 'team_sports', label: 'Team sports', met: { light: 4.0, moderate: 6.5, vigorous: 8.0 } },
+    { key: 'other', label: 'Other', met: { light: 3.0, moderate: 5.0, vigorous: 7.0 } }
+];
+
+/**
+ * Find an activity by key
+ * @param {string} key - Activity key
+ * @returns {object|null} - The activity, or null if unknown
+ */
+const getActivity = (key) => ACTIVITIES.find(activity => activity.key === key) || null;
+
+/**
+ * Estimate calories burned by an exercise
+ * @param {number} met - MET value of the activity and intensity
+ * @param {number} weightKg - Body weight in kg
+ * @param {number} minutes - Duration in minutes
+ * @returns {number} - Calories burned, rounded to whole kcal
+ */
+const estimateExerciseCalories = (met, weightKg, minutes) => {
+    return Math.round(met * weightKg * (minutes / 60));
+};
+
+module.exports = {
+    INTENSITIES,
+    ACTIVITIES,
+    getActivity,
+    estimateExerciseCalories
+};
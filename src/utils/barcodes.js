@@ -0,0 +1,85 @@
+// Product barcodes (EAN-8, UPC-A, UPC-E, EAN-13 and GTIN-14). The same product
+// can be printed or scanned as UPC-A, EAN-13 or GTIN-14, so codes are stored and
+// looked up in one canonical form: EAN-8 as is, everything longer as 13 digits
+// (a GTIN-14 with a non-zero packaging indicator keeps all 14).
+
+/**
+ * Check a GTIN's last digit against the digits before it
+ * @param {string} digits - 8, 12, 13 or 14 digits
+ * @returns {boolean} - True if the check digit is correct
+ */
+const hasValidCheckDigit = (digits) => {
+    let sum = 0;
+    // Weights alternate 3, 1, 3, ... starting from the digit next to the check digit
+    for (let i = digits.length - 2, weight = 3; i >= 0; i--, weight = 4 - weight) {
+        sum += Number(digits[i]) * weight;
+    }
+    return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+};
+
+/**
+ * Expand a zero-suppressed UPC-E code to the UPC-A code it stands for
+ * @param {string} upcE - 8 digits: number system (0 or 1), 6 digits, check digit
+ * @returns {string|null} - 12-digit UPC-A code, or null if it isn't a UPC-E code
+ */
+const expandUpcE = (upcE) => {
+    if (!/^[01]\d{7}$/.test(upcE)) {
+        return null;
+    }
+    const [system, d1, d2, d3, d4, d5, d6, check] = upcE;
+    let body;
+    if (d6 <= '2') {
+        body = `${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+    } else if (d6 === '3') {
+        body = `${d1}${d2}${d3}00000${d4}${d5}`;
+    } else if (d6 === '4') {
+        body = `${d1}${d2}${d3}${d4}00000${d5}`;
+    } else {
+        body = `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+    }
+    return `${system}${body}${check}`;
+};
+
+/**
+ * Normalize a scanned or typed barcode to the form products are stored under
+ * @param {string|number} code - Barcode; spaces and dashes are ignored
+ * @returns {string|null} - Canonical barcode, or null if it isn't a valid EAN/UPC code
+ */
+const normalizeBarcode = (code) => {
+    if (code === null || code === undefined) {
+        return null;
+    }
+    let digits = String(code).replace(/[\s-]/g, '');
+    if (!/^\d+$/.test(digits)) {
+        return null;
+    }
+
+    if (digits.length === 8) {
+        if (hasValidCheckDigit(digits)) {
+            return digits;
+        }
+        // Not a valid EAN-8, so try it as a UPC-E code
+        digits = expandUpcE(digits);
+        if (!digits) {
+            return null;
+        }
+    }
+
+    if (![12, 13, 14].includes(digits.length) || !hasValidCheckDigit(digits)) {
+        return null;
+    }
+
+    if (digits.length === 12) {
+        return `0${digits}`;
+    }
+    if (digits.length === 14 && digits[0] === '0') {
+        return digits.slice(1);
+    }
+    return digits;
+};
+
+module.exports = {
+    hasValidCheckDigit,
+    expandUpcE,
+    normalizeBarcode
+};
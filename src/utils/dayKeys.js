@@ -0,0 +1,125 @@
+// Day keys identify a diary day in user_meals / user_daily_macros.
+// A key is either a calendar date ("2026-10-18") for the real diary, or a
+// weekday name ("monday") for the reusable weekday template.
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check whether a key is a valid calendar date (YYYY-MM-DD)
+ * @param {string} key - Day key to check
+ * @returns {boolean} - True for a real calendar date
+ */
+const isDateKey = (key) => {
+    if (typeof key !== 'string' || !DATE_KEY_PATTERN.test(key)) {
+        return false;
+    }
+    const date = new Date(`${key}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === key;
+};
+
+/**
+ * Check whether a key is a weekday template name
+ * @param {string} key - Day key to check
+ * @returns {boolean} - True for "sunday" .. "saturday"
+ */
+const isWeekdayKey = (key) => {
+    return typeof key === 'string' && WEEKDAYS.includes(key.toLowerCase());
+};
+
+/**
+ * Normalize a day key from a request parameter
+ * @param {string} key - Raw day key
+ * @returns {string|null} - Lowercase weekday, date key, or null when invalid
+ */
+const normalizeDayKey = (key) => {
+    if (isWeekdayKey(key)) {
+        return key.toLowerCase();
+    }
+    return isDateKey(key) ? key : null;
+};
+
+/**
+ * Get the weekday name for a date key
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @returns {string} - Lowercase weekday name
+ */
+const weekdayForDate = (dateKey) => {
+    return WEEKDAYS[new Date(`${dateKey}T00:00:00Z`).getUTCDay()];
+};
+
+/**
+ * Format a Date as a date key using its local calendar day
+ * @param {Date} date - Date to format
+ * @returns {string} - Date in YYYY-MM-DD format
+ */
+const formatDateKey = (date) => {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+};
+
+/**
+ * Parse a date key into a local Date at midnight
+ * @param {string} dateKey - Date in YYYY-MM-DD format
+ * @returns {Date} - Local date for that calendar day
+ */
+const parseDateKey = (dateKey) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+/**
+ * Get the date keys of the Sunday-to-Saturday week containing a date
+ * @param {Date} date - Any date within the week (defaults to today)
+ * @returns {object} - Map of weekday name to date key
+ */
+const getWeekDateKeys = (date = new Date()) => {
+    const sunday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+    const week = {};
+    WEEKDAYS.forEach((weekday, index) => {
+        const current = new Date(sunday.getFullYear(), sunday.getMonth(), sunday.getDate() + index);
+        week[weekday] = formatDateKey(current);
+    });
+    return week;
+};
+
+/**
+ * Get every date key from one date to another (inclusive)
+ * @param {string} from - First date in YYYY-MM-DD format
+ * @param {string} to - Last date in YYYY-MM-DD format
+ * @returns {Array<string>} - Date keys in order (empty when from is after to)
+ */
+const getDateKeysBetween = (from, to) => {
+    const keys = [];
+    const end = parseDateKey(to);
+    for (let date = parseDateKey(from); date <= end; date.setDate(date.getDate() + 1)) {
+        keys.push(formatDateKey(date));
+    }
+    return keys;
+};
+
+/**
+ * Count the days from one date to another without listing them, to check a
+ * range's length before building it
+ * @param {string} from - First date in YYYY-MM-DD format
+ * @param {string} to - Last date in YYYY-MM-DD format
+ * @returns {number} - Days from `from` to `to` (0 for the same day, negative when from is after to)
+ */
+const countDaysBetween = (from, to) => {
+    return (Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000);
+};
+
+module.exports = {
+    WEEKDAYS,
+    isDateKey,
+    isWeekdayKey,
+    normalizeDayKey,
+    weekdayForDate,
+    formatDateKey,
+    parseDateKey,
+    getWeekDateKeys,
+    getDateKeysBetween,
+    countDaysBetween
+};
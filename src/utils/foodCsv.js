@@ -0,0 +1,162 @@
+// Reading and writing foods as CSV. Exported files use the API field names as
+// headers, so they can be imported again without mapping any columns.
+
+const { parse } = require('csv-parse/sync');
+const { MICRONUTRIENTS } = require('./nutrients');
+
+const MAX_ITEM_LENGTH = 200;
+
+// Fields a food CSV can fill, with header names that are recognized for each
+// (compared without case, spaces or punctuation)
+const FOOD_CSV_FIELDS = [
+    { key: 'item', label: 'Item Name', required: true, aliases: ['item', 'name', 'food', 'foodname', 'description'] },
+    { key: 'amount', label: 'Amount (g)', required: true, aliases: ['amount', 'amountg', 'serving', 'servingsize', 'grams', 'quantity'] },
+    { key: 'calories', label: 'Calories', aliases: ['calories', 'kcal', 'energy', 'energykcal'] },
+    { key: 'carbs', label: 'Carbs (g)', aliases: ['carbs', 'carbsg', 'carbohydrates', 'carbohydratesg'] },
+    { key: 'protein', label: 'Protein (g)', aliases: ['protein', 'proteing', 'proteins'] },
+    { key: 'proteinGeneral', label: 'Protein General (g)', aliases: ['proteingeneral'] },
+    { key: 'fat', label: 'Fat (g)', aliases: ['fat', 'fatg', 'fats', 'totalfat'] },
+    ...MICRONUTRIENTS.map(({ key, column, label, unit }) => ({
+        key,
+        label: `${label} (${unit})`,
+        micronutrient: true,
+        aliases: [key, column, label].map(name => normalizeHeader(name))
+    }))
+];
+
+// Lowercase and drop everything but letters and digits, so "Carbs (g)" matches "carbs_g"
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Guess the delimiter from the header line
+ * @param {string} text - CSV text
+ * @returns {string} - ',', ';' or a tab, whichever the first line has most of
+ */
+const detectDelimiter = (text) => {
+    const header = text.split(/\r?\n/)[0];
+    const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: header.split(delimiter).length - 1 }));
+    return counts.reduce((best, candidate) => candidate.count > best.count ? candidate : best).delimiter;
+};
+
+/**
+ * Parse CSV text into its header and rows
+ * @param {string} text - CSV text with a header line
+ * @param {string} [delimiter] - Column delimiter (detected when not given)
+ * @returns {{ columns: Array<string>, records: Array<object> }} - Rows keyed by header
+ * @throws {Error} - If the CSV can't be parsed
+ */
+const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+    let columns = [];
+    const records = parse(text, {
+        columns: header => {
+            columns = header.map(column => column.trim());
+            return columns;
+        },
+        delimiter,
+        bom: true,
+        skip_empty_lines: true,
+        relax_column_count: true,
+        trim: true
+    });
+    return { columns, records };
+};
+
+/**
+ * Match CSV columns to food fields by their header names
+ * @param {Array<string>} columns - CSV header
+ * @returns {object} - Column name by field key, for the fields that were recognized
+ */
+const detectColumnMapping = (columns) => {
+    const mapping = {};
+    FOOD_CSV_FIELDS.forEach(field => {
+        const column = columns.find(name => field.aliases.includes(normalizeHeader(name)));
+        if (column !== undefined) {
+            mapping[field.key] = column;
+        }
+    });
+    return mapping;
+};
+
+// Parse a number from a CSV cell. Decimal commas ("1,5") are accepted.
+function parseNumber(value) {
+    const text = String(value).trim().replace(/^(\d+),(\d+)$/, '$1.$2');
+    return /^\d+(\.\d+)?$|^\.\d+$/.test(text) ? parseFloat(text) : NaN;
+}
+
+/**
+ * Convert a CSV row to a food
+ * @param {object} record - Row keyed by header
+ * @param {object} mapping - Column name by field key
+ * @returns {{ food: object }|{ error: string }} - The food, or why the row can't be imported
+ */
+const recordToFood = (record, mapping) => {
+    const food = {};
+    const micronutrients = {};
+
+    for (const field of FOOD_CSV_FIELDS) {
+        const column = mapping[field.key];
+        const value = column === undefined ? '' : String(record[column] ?? '').trim();
+
+        if (field.key === 'item') {
+            if (!value) return { error: 'Item name is empty' };
+            if (value.length > MAX_ITEM_LENGTH) return { error: `Item name is longer than ${MAX_ITEM_LENGTH} characters` };
+            food.item = value;
+            continue;
+        }
+
+        if (value === '') {
+            if (field.required) return { error: `${field.label} is empty` };
+            if (!field.micronutrient) food[field.key] = null;
+            continue;
+        }
+
+        const number = parseNumber(value);
+        if (isNaN(number)) {
+            return { error: `${field.label} "${value}" is not a non-negative number` };
+        }
+        if (field.key === 'amount' && number === 0) {
+            return { error: 'Amount must be greater than 0' };
+        }
+
+        if (field.micronutrient) {
+            micronutrients[field.key] = number;
+        } else {
+            food[field.key] = number;
+        }
+    }
+
+    food.micronutrients = micronutrients;
+    return { food };
+};
+
+// Quote a CSV cell when it contains a delimiter, quote or line break
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write foods as CSV, one column per food field
+ * @param {Array<object>} foods - Foods in the API format
+ * @returns {string} - CSV text with a header line
+ */
+const foodsToCsv = (foods) => {
+    const header = FOOD_CSV_FIELDS.map(field => field.key).join(',');
+    const lines = foods.map(food => FOOD_CSV_FIELDS.map(field => {
+        const value = field.micronutrient ? (food.micronutrients || {})[field.key] : food[field.key];
+        return escapeCsvValue(value);
+    }).join(','));
+    return [header, ...lines].join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    FOOD_CSV_FIELDS,
+    detectDelimiter,
+    parseCsv,
+    detectColumnMapping,
+    recordToFood,
+    foodsToCsv
+};
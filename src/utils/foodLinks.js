@@ -0,0 +1,24 @@
+// Diary items can be linked to the food they were picked from, so later edits
+// to the food can be detected. A link is a source plus that source's food ID.
+
+const FOOD_SOURCES = ['global', 'user', 'recipe'];
+
+/**
+ * Keep an item's link to its source food only when it names a valid food
+ * @param {object} itemData - Item fields from a request body
+ * @returns {object} - A copy of the item with foodId/foodSource set, or both null
+ */
+const withFoodLink = (itemData) => {
+    const foodId = parseInt(itemData.foodId);
+    const linked = FOOD_SOURCES.includes(itemData.foodSource) && foodId > 0;
+    return {
+        ...itemData,
+        foodId: linked ? foodId : null,
+        foodSource: linked ? itemData.foodSource : null
+    };
+};
+
+module.exports = {
+    FOOD_SOURCES,
+    withFoodLink
+};
@@ -0,0 +1,118 @@
+// Optional nutrients tracked alongside calories and macros. Each one has an API
+// key, a database column and a unit. A missing value means "unknown", which is
+// not the same as 0, so foods only carry the micronutrients that were entered.
+
+const MICRONUTRIENTS = [
+    { key: 'fiber', column: 'fiber', label: 'Fiber', unit: 'g' },
+    { key: 'sugar', column: 'sugar', label: 'Sugar', unit: 'g' },
+    { key: 'saturatedFat', column: 'saturated_fat', label: 'Saturated Fat', unit: 'g' },
+    { key: 'sodium', column: 'sodium', label: 'Sodium', unit: 'mg' },
+    { key: 'potassium', column: 'potassium', label: 'Potassium', unit: 'mg' },
+    { key: 'cholesterol', column: 'cholesterol', label: 'Cholesterol', unit: 'mg' },
+    { key: 'calcium', column: 'calcium', label: 'Calcium', unit: 'mg' },
+    { key: 'iron', column: 'iron', label: 'Iron', unit: 'mg' },
+    { key: 'magnesium', column: 'magnesium', label: 'Magnesium', unit: 'mg' },
+    { key: 'zinc', column: 'zinc', label: 'Zinc', unit: 'mg' },
+    { key: 'vitaminA', column: 'vitamin_a', label: 'Vitamin A', unit: 'µg' },
+    { key: 'vitaminC', column: 'vitamin_c', label: 'Vitamin C', unit: 'mg' },
+    { key: 'vitaminD', column: 'vitamin_d', label: 'Vitamin D', unit: 'µg' },
+    { key: 'vitaminB12', column: 'vitamin_b12', label: 'Vitamin B12', unit: 'µg' }
+];
+
+const MICRONUTRIENT_COLUMNS = MICRONUTRIENTS.map(nutrient => nutrient.column);
+
+// SQL fragments for statements that write every micronutrient column
+const MICRONUTRIENT_COLUMN_LIST = MICRONUTRIENT_COLUMNS.join(', ');
+const MICRONUTRIENT_PLACEHOLDERS = MICRONUTRIENT_COLUMNS.map(() => '?').join(', ');
+const MICRONUTRIENT_ASSIGNMENTS = MICRONUTRIENT_COLUMNS.map(column => `${column} = ?`).join(', ');
+
+// Round to the 0.1 precision used across the diary
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Read the micronutrients stored in a database row
+ * @param {object} row - Row with micronutrient columns
+ * @returns {object} - Known values by API key (unknown ones are left out)
+ */
+const readMicronutrients = (row) => {
+    const micronutrients = {};
+    MICRONUTRIENTS.forEach(({ key, column }) => {
+        if (row[column] !== null && row[column] !== undefined) {
+            micronutrients[key] = row[column];
+        }
+    });
+    return micronutrients;
+};
+
+/**
+ * Keep only valid micronutrients from a request body
+ * @param {object} micronutrients - Values by API key, from user input
+ * @returns {object} - Non-negative numeric values by API key
+ */
+const cleanMicronutrients = (micronutrients) => {
+    const cleaned = {};
+    if (!micronutrients || typeof micronutrients !== 'object') {
+        return cleaned;
+    }
+    MICRONUTRIENTS.forEach(({ key }) => {
+        const value = micronutrients[key];
+        if (typeof value === 'number' && isFinite(value) && value >= 0) {
+            cleaned[key] = value;
+        }
+    });
+    return cleaned;
+};
+
+/**
+ * Get column values for an INSERT or UPDATE, in MICRONUTRIENT_COLUMNS order
+ * @param {object} micronutrients - Values by API key
+ * @returns {Array} - One value per column, null when unknown
+ */
+const micronutrientValues = (micronutrients = {}) => {
+    return MICRONUTRIENTS.map(({ key }) => {
+        const value = micronutrients[key];
+        return value === undefined ? null : value;
+    });
+};
+
+/**
+ * Scale micronutrients, e.g. from a food's serving to the amount logged
+ * @param {object} micronutrients - Values by API key
+ * @param {number} ratio - Scale factor
+ * @returns {object} - Scaled values, rounded to 0.1
+ */
+const scaleMicronutrients = (micronutrients = {}, ratio) => {
+    const scaled = {};
+    Object.entries(micronutrients).forEach(([key, value]) => {
+        scaled[key] = round1(value * ratio);
+    });
+    return scaled;
+};
+
+/**
+ * Add up the micronutrients of several items
+ * @param {Array<object>} list - Micronutrient objects
+ * @returns {object} - Totals for every nutrient at least one item has
+ */
+const sumMicronutrients = (list) => {
+    const totals = {};
+    list.forEach(micronutrients => {
+        Object.entries(micronutrients || {}).forEach(([key, value]) => {
+            totals[key] = round1((totals[key] || 0) + value);
+        });
+    });
+    return totals;
+};
+
+module.exports = {
+    MICRONUTRIENTS,
+    MICRONUTRIENT_COLUMNS,
+    MICRONUTRIENT_COLUMN_LIST,
+    MICRONUTRIENT_PLACEHOLDERS,
+    MICRONUTRIENT_ASSIGNMENTS,
+    readMicronutrients,
+    cleanMicronutrients,
+    micronutrientValues,
+    scaleMicronutrients,
+    sumMicronutrients
+};
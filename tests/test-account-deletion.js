@@ -0,0 +1,143 @@
+// Tests for deleting an account: password confirmation, the grace period,
+// restoring and the purge script (DELETE /api/auth/account, POST /api/auth/account/restore)
+const assert = require('assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, createTestUser, startTestApp, requestJson, runSuite } = require('./testUtils');
+
+const dbPath = useTestDatabase('account-deletion');
+
+const PASSWORD = 'Deletion123';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+async function testAccountDeletion() {
+    logSection('ACCOUNT DELETION TEST SUITE');
+
+    await setupTestDatabase();
+    const userService = require('../src/database/userService');
+    const accountService = require('../src/database/accountService');
+    const mealService = require('../src/database/mealService');
+    const { hashPassword } = require('../src/middleware/auth');
+    const authRoutes = require('../src/routes/auth');
+    const app = await startTestApp('/api/auth', authRoutes);
+
+    const createUser = async (email) => {
+        const id = await createTestUser(email);
+        await userService.updatePassword(id, await hashPassword(PASSWORD));
+        return id;
+    };
+    const login = async (email) => requestJson(`${app.url}/login`, { method: 'POST', body: { email, password: PASSWORD } });
+
+    try {
+        logSubsection('Scheduling a deletion');
+
+        const userId = await createUser('leaving@test.local');
+        const { data: { token } } = await login('leaving@test.local');
+
+        await runTest('The password has to be confirmed', async () => {
+            assert.strictEqual((await requestJson(`${app.url}/account`, { method: 'DELETE', body: {}, token })).status, 400);
+            const wrong = await requestJson(`${app.url}/account`, { method: 'DELETE', body: { password: 'Wrong1234' }, token });
+            assert.strictEqual(wrong.status, 400);
+            assert.strictEqual(wrong.data.error, 'Incorrect password');
+            assert.strictEqual((await userService.getUserById(userId)).delete_after, null);
+        });
+
+        await runTest('Deleting schedules erasure after 30 days and ends the sessions', async () => {
+            const { status, data } = await requestJson(`${app.url}/account`, { method: 'DELETE', body: { password: PASSWORD }, token });
+            assert.strictEqual(status, 200);
+            const days = (new Date(data.deleteAfter) - Date.now()) / DAY_MS;
+            assert.ok(days > 29.9 && days <= 30, `deleteAfter is ${days} days away`);
+            assert.strictEqual((await requestJson(`${app.url}/verify`, { token })).status, 401);
+        });
+
+        await runTest('Logging in is refused until the account is restored', async () => {
+            const { status, data } = await login('leaving@test.local');
+            assert.strictEqual(status, 403);
+            assert.ok(data.deleteAfter);
+            assert.ok(!data.token);
+        });
+
+        await runTest('Only accounts past their grace period are due', async () => {
+            assert.ok(!(await userService.getUsersDueForDeletion()).some(user => user.id === userId));
+        });
+
+        logSubsection('Restoring');
+
+        await runTest('Restoring needs the password and cancels the deletion', async () => {
+            const wrong = await requestJson(`${app.url}/account/restore`, { method: 'POST', body: { email: 'leaving@test.local', password: 'Wrong1234' } });
+            assert.strictEqual(wrong.status, 401);
+
+            const { status, data } = await requestJson(`${app.url}/account/restore`, { method: 'POST', body: { email: 'leaving@test.local', password: PASSWORD } });
+            assert.strictEqual(status, 200);
+            assert.strictEqual((await requestJson(`${app.url}/verify`, { token: data.token })).status, 200);
+            assert.strictEqual((await userService.getUserById(userId)).delete_after, null);
+        });
+
+        await runTest('An account that isn\'t being deleted can\'t be restored', async () => {
+            const { status } = await requestJson(`${app.url}/account/restore`, { method: 'POST', body: { email: 'leaving@test.local', password: PASSWORD } });
+            assert.strictEqual(status, 400);
+        });
+
+        logSubsection('Erasing');
+
+        await runTest('immediate erases the account and its data right away', async () => {
+            const id = await createUser('now@test.local');
+            await mealService.addMealItem(id, '2026-10-19', 1, { name: 'Apple', amount: 150, calories: 80 }, '08:00');
+            const { data: { token: userToken } } = await login('now@test.local');
+
+            const { status } = await requestJson(`${app.url}/account`, { method: 'DELETE', body: { password: PASSWORD, immediate: true }, token: userToken });
+            assert.strictEqual(status, 200);
+            assert.strictEqual(await userService.getUserById(id), null);
+            assert.strictEqual(await accountService.hasAccountData(id), false);
+            assert.strictEqual((await login('now@test.local')).status, 401);
+        });
+
+        await runTest('Rate limit counts for the account\'s email and ID are erased with it', async () => {
+            const { query } = require('../src/database/connection');
+            const { recordAttempt } = require('../src/middleware/rateLimit');
+            const id = await createUser('counted_1%@test.local');
+            const otherId = await createUser('counted_12@test.local');
+            for (const [userEmail, userIdKey] of [['counted_1%@test.local', id], ['counted_12@test.local', otherId]]) {
+                await recordAttempt('login', userEmail);
+                await recordAttempt('passwordReset', `${userEmail}:127.0.0.1`);
+                await recordAttempt('verificationEmail', userEmail);
+                await recordAttempt('writes', `user:${userIdKey}`);
+                await recordAttempt('foodSearch', userIdKey);
+            }
+            const keys = async () => (await query("SELECT key FROM rate_limits WHERE key LIKE '%counted%' OR key LIKE ? OR key LIKE ?", [`%${id}`, `%${otherId}`])).rows.map(row => row.key).sort();
+
+            assert.strictEqual((await keys()).length, 10);
+            assert.strictEqual(await accountService.eraseAccount(id), true);
+            assert.deepStrictEqual(await keys(), [
+                `foodSearch:${otherId}`,
+                'login:counted_12@test.local',
+                'passwordReset:counted_12@test.local:127.0.0.1',
+                'verificationEmail:counted_12@test.local',
+                `writes:user:${otherId}`
+            ].sort());
+        });
+
+        await runTest('The purge script erases only accounts whose grace period has ended', async () => {
+            const due = await createUser('due@test.local');
+            const waiting = await createUser('waiting@test.local');
+            await mealService.addMealItem(due, '2026-10-19', 1, { name: 'Pear', amount: 150, calories: 90 }, '08:00');
+            await userService.scheduleDeletion(due, new Date(Date.now() - DAY_MS).toISOString());
+            await userService.scheduleDeletion(waiting, new Date(Date.now() + DAY_MS).toISOString());
+            assert.deepStrictEqual((await userService.getUsersDueForDeletion()).map(user => user.id), [due]);
+
+            const dryRun = spawnSync(process.execPath, [path.join(__dirname, '../scripts/purge-deleted-accounts.js'), '--dry-run', '--db-path', dbPath], { encoding: 'utf8', timeout: 60000 });
+            assert.strictEqual(dryRun.status, 0, dryRun.stderr);
+            assert.ok(await userService.getUserById(due));
+
+            const purge = spawnSync(process.execPath, [path.join(__dirname, '../scripts/purge-deleted-accounts.js'), '--db-path', dbPath], { encoding: 'utf8', timeout: 60000 });
+            assert.strictEqual(purge.status, 0, purge.stderr);
+            assert.strictEqual(await userService.getUserById(due), null);
+            assert.strictEqual(await accountService.hasAccountData(due), false);
+            assert.ok(await userService.getUserById(waiting));
+        });
+    } finally {
+        await app.close();
+    }
+}
+
+runSuite(testAccountDeletion);
@@ -0,0 +1,113 @@
+// Tests for exporting a whole account and importing it into a new one
+// (src/database/accountService.js)
+const assert = require('assert');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, createTestUser, runSuite } = require('./testUtils');
+
+useTestDatabase('account-export');
+
+async function testAccountExport() {
+    logSection('ACCOUNT EXPORT TEST SUITE');
+
+    await setupTestDatabase();
+    const accountService = require('../src/database/accountService');
+    const foodService = require('../src/database/foodService');
+    const recipeService = require('../src/database/recipeService');
+    const mealService = require('../src/database/mealService');
+    const savedMealService = require('../src/database/savedMealService');
+    const mealSlotService = require('../src/database/mealSlotService');
+    const weightService = require('../src/database/weightService');
+    const sourceUser = await createTestUser('source@test.local');
+    const day = '2026-10-19';
+
+    // An account whose rows point at each other: a recipe made from a food, a
+    // diary item logged from the recipe and a saved meal with the food in it
+    await foodService.addFood({ item: 'Oats', amount: 100, calories: 380, carbs: 66, protein: 13, proteinGeneral: 16, fat: 7 }, sourceUser);
+    const oats = (await foodService.getAllFoods(sourceUser)).find(food => food.item === 'Oats');
+    const recipe = await recipeService.createRecipe(sourceUser, {
+        name: 'Porridge',
+        servings: 1,
+        ingredients: await recipeService.resolveIngredients(sourceUser, [{ foodId: oats.id, foodSource: 'user', amount: 80 }])
+    });
+    await mealService.addMealItem(sourceUser, day, 1, { name: 'Porridge', amount: 80, calories: 304, foodId: recipe.id, foodSource: 'recipe' }, '07:30');
+    await savedMealService.createSavedMeal(sourceUser, 'Breakfast', [{ name: 'Oats', amount: 50, calories: 190, foodId: oats.id, foodSource: 'user' }]);
+    await mealSlotService.updateSlot(sourceUser, 1, { name: 'Breakfast' });
+    await weightService.addWeightEntry(sourceUser, { date: day, weight: 81.5 });
+
+    let exported;
+    logSubsection('Export');
+
+    await runTest('The export has the account\'s rows without user IDs', async () => {
+        exported = JSON.parse(JSON.stringify(await accountService.exportAccount(sourceUser)));
+        assert.strictEqual(exported.format, 'nutristats-account-export');
+        assert.strictEqual(exported.version, 1);
+        assert.strictEqual(exported.user.email, 'source@test.local');
+        assert.strictEqual(exported.tables.user_foods.length, 1);
+        assert.strictEqual(exported.tables.recipe_ingredients.length, 1);
+        assert.strictEqual(exported.tables.meal_items.length, 1);
+        assert.strictEqual(exported.tables.user_weight[0].weight, 81.5);
+        assert.ok(Object.values(exported.tables).every(rows => rows.every(row => !('user_id' in row))));
+        assert.strictEqual(accountService.validateExport(exported), null);
+    });
+
+    await runTest('Documents that aren\'t exports are rejected', () => {
+        assert.strictEqual(accountService.validateExport(null), 'This is not an account export');
+        assert.strictEqual(accountService.validateExport({ ...exported, format: 'other' }), 'This is not an account export');
+        assert.strictEqual(accountService.validateExport({ ...exported, version: 2 }), 'Unsupported export version: 2');
+        assert.strictEqual(accountService.validateExport({ ...exported, tables: null }), 'The export has no tables');
+        assert.strictEqual(accountService.validateExport({ ...exported, tables: { user_weight: {} } }), 'user_weight must be a list of rows');
+        assert.strictEqual(accountService.validateExport({ ...exported, tables: { user_weight: [{ note: { a: 1 } }] } }), 'user_weight has rows that aren\'t flat objects');
+    });
+
+    logSubsection('Import');
+
+    const targetUser = await createTestUser();
+
+    await runTest('Only accounts without entries count as empty', async () => {
+        assert.strictEqual(await accountService.hasAccountData(targetUser), false);
+        assert.strictEqual(await accountService.hasAccountData(sourceUser), true);
+    });
+
+    await runTest('Importing restores the rows with links moved to the new IDs', async () => {
+        // Make the new IDs differ from the exported ones
+        await foodService.addFood({ item: 'Filler', amount: 1, calories: 1 }, sourceUser);
+
+        const counts = await accountService.importAccount(targetUser, exported);
+        assert.strictEqual(counts.user_foods, 1);
+        assert.strictEqual(counts.meal_items, 1);
+
+        const newOats = (await foodService.getAllFoods(targetUser)).find(food => food.item === 'Oats');
+        assert.notStrictEqual(newOats.id, oats.id);
+
+        const [newRecipe] = await recipeService.getUserRecipes(targetUser);
+        assert.strictEqual(newRecipe.name, 'Porridge');
+        assert.strictEqual(newRecipe.ingredients[0].foodId, newOats.id);
+
+        const item = (await mealService.getUserDayMeals(targetUser, day)).meals[0].items[0];
+        assert.deepStrictEqual([item.foodSource, item.foodId], ['recipe', newRecipe.id]);
+
+        const [savedMeal] = await savedMealService.getUserSavedMeals(targetUser);
+        assert.strictEqual(savedMeal.items[0].foodId, newOats.id);
+
+        assert.strictEqual((await mealSlotService.getUserSlots(targetUser))[0].name, 'Breakfast');
+        assert.strictEqual((await weightService.getUserWeightEntries(targetUser)).entries[0].weight, 81.5);
+        assert.strictEqual(await accountService.hasAccountData(targetUser), true);
+    });
+
+    await runTest('Links to foods missing from the export are dropped', async () => {
+        const user = await createTestUser();
+        const partial = { ...exported, tables: { ...exported.tables, user_foods: [], recipes: [], recipe_ingredients: [] } };
+        assert.ok(await accountService.importAccount(user, partial));
+
+        const item = (await mealService.getUserDayMeals(user, day)).meals[0].items[0];
+        assert.deepStrictEqual([item.name, item.foodId, item.foodSource], ['Porridge', null, null]);
+    });
+
+    await runTest('A failed import leaves the account empty', async () => {
+        const user = await createTestUser();
+        const broken = { ...exported, tables: { ...exported.tables, user_water: [{ id: 1, date: null, amount: 250 }] } };
+        assert.strictEqual(await accountService.importAccount(user, broken), null);
+        assert.strictEqual(await accountService.hasAccountData(user), false);
+    });
+}
+
+runSuite(testAccountExport);
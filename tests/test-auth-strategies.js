@@ -0,0 +1,118 @@
+// Tests for keeping tokens in httpOnly cookies with AUTH_STRATEGY=session
+// (src/middleware/auth.js, POST /api/auth/login, /refresh and /logout)
+const assert = require('assert');
+const { spawnSync } = require('child_process');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, createTestUser, startTestApp, requestJson, runSuite } = require('./testUtils');
+
+useTestDatabase('auth-strategies');
+
+// Read when the auth middleware is loaded
+process.env.AUTH_STRATEGY = 'session';
+process.env.COOKIE_SECURE = 'true';
+
+const PASSWORD = 'Cookies1234';
+
+// The cookies a response sets, by name
+function setCookies(response) {
+    const cookies = {};
+    response.headers.getSetCookie().forEach(header => {
+        const [pair, ...attributes] = header.split(';').map(part => part.trim());
+        const index = pair.indexOf('=');
+        cookies[pair.slice(0, index)] = { value: decodeURIComponent(pair.slice(index + 1)), attributes };
+    });
+    return cookies;
+}
+
+async function testAuthStrategies() {
+    logSection('AUTH STRATEGIES TEST SUITE');
+
+    await setupTestDatabase();
+    const userService = require('../src/database/userService');
+    const { hashPassword, getAccessToken, AUTH_STRATEGY } = require('../src/middleware/auth');
+    const authRoutes = require('../src/routes/auth');
+    const app = await startTestApp('/api/auth', authRoutes);
+    const userId = await createTestUser('cookies@test.local');
+    await userService.updatePassword(userId, await hashPassword(PASSWORD));
+
+    const withCookies = (cookies) => ({ Cookie: Object.entries(cookies).map(([name, cookie]) => `${name}=${encodeURIComponent(cookie.value)}`).join('; ') });
+    const login = () => requestJson(`${app.url}/login`, { method: 'POST', body: { email: 'cookies@test.local', password: PASSWORD } });
+
+    try {
+        logSubsection('Strategies');
+
+        await runTest('The strategy is taken from AUTH_STRATEGY and unknown ones are refused', () => {
+            assert.strictEqual(AUTH_STRATEGY, 'session');
+            const unknown = spawnSync(process.execPath, ['-e', 'require("./src/middleware/auth")'], {
+                cwd: `${__dirname}/..`,
+                env: { ...process.env, AUTH_STRATEGY: 'basic' },
+                encoding: 'utf8',
+                timeout: 60000
+            });
+            assert.notStrictEqual(unknown.status, 0);
+            assert.match(unknown.stderr, /Unknown AUTH_STRATEGY "basic"/);
+        });
+
+        await runTest('Access tokens are read from cookies, not the Authorization header', () => {
+            assert.strictEqual(getAccessToken({ headers: { cookie: 'theme=dark; access_token=abc%3D%3D' } }), 'abc==');
+            assert.strictEqual(getAccessToken({ headers: { cookie: 'access_token=%E0%A4%A' } }), undefined);
+            assert.strictEqual(getAccessToken({ headers: { authorization: 'Bearer abc' } }), undefined);
+        });
+
+        logSubsection('Cookies');
+
+        let cookies;
+        await runTest('Logging in sets httpOnly cookies instead of returning the tokens', async () => {
+            const response = await login();
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.data.token, undefined);
+            assert.strictEqual(response.data.refreshToken, undefined);
+
+            cookies = setCookies(response);
+            assert.ok(cookies.access_token.value);
+            assert.ok(cookies.access_token.attributes.includes('Path=/api'));
+            assert.ok(cookies.refresh_token.attributes.includes('Path=/api/auth'));
+            for (const cookie of Object.values(cookies)) {
+                assert.ok(cookie.attributes.includes('HttpOnly'));
+                assert.ok(cookie.attributes.includes('Secure'));
+                assert.ok(cookie.attributes.includes('SameSite=Strict'));
+            }
+            assert.ok(cookies.refresh_token.attributes.some(attribute => attribute.startsWith('Max-Age=2592000')));
+        });
+
+        await runTest('Requests are authenticated with the cookie', async () => {
+            assert.strictEqual((await requestJson(`${app.url}/verify`, { headers: withCookies(cookies) })).status, 200);
+            assert.strictEqual((await requestJson(`${app.url}/verify`, { token: cookies.access_token.value })).status, 401);
+        });
+
+        await runTest('Refreshing reads the refresh cookie and sets new cookies', async () => {
+            assert.strictEqual((await requestJson(`${app.url}/refresh`, { method: 'POST', body: { refreshToken: cookies.refresh_token.value } })).status, 400);
+
+            const response = await requestJson(`${app.url}/refresh`, { method: 'POST', headers: withCookies(cookies) });
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.data.token, undefined);
+            const refreshed = setCookies(response);
+            assert.notStrictEqual(refreshed.refresh_token.value, cookies.refresh_token.value);
+
+            // The old refresh cookie is spent, and replaying it clears the cookies
+            const replayed = await requestJson(`${app.url}/refresh`, { method: 'POST', headers: withCookies(cookies) });
+            assert.strictEqual(replayed.status, 401);
+            assert.strictEqual(setCookies(replayed).refresh_token.value, '');
+        });
+
+        await runTest('Logging out clears the cookies', async () => {
+            const loggedIn = setCookies(await login());
+            const response = await requestJson(`${app.url}/logout`, { method: 'POST', headers: withCookies(loggedIn) });
+            assert.strictEqual(response.status, 200);
+
+            const cleared = setCookies(response);
+            assert.strictEqual(cleared.access_token.value, '');
+            assert.strictEqual(cleared.refresh_token.value, '');
+            assert.ok(cleared.access_token.attributes.some(attribute => attribute.startsWith('Expires=Thu, 01 Jan 1970')));
+            assert.strictEqual((await requestJson(`${app.url}/verify`, { headers: withCookies(loggedIn) })).status, 401);
+        });
+    } finally {
+        await app.close();
+    }
+}
+
+runSuite(testAuthStrategies);
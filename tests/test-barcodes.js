@@ -0,0 +1,93 @@
+// Tests for barcode normalization (src/utils/barcodes.js) and product lookup
+// (src/database/productService.js)
+const assert = require('assert');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, runSuite } = require('./testUtils');
+
+useTestDatabase('barcodes');
+
+const { hasValidCheckDigit, expandUpcE, normalizeBarcode } = require('../src/utils/barcodes');
+
+async function testBarcodes() {
+    logSection('BARCODES TEST SUITE');
+
+    logSubsection('Check digits and UPC-E');
+
+    await runTest('Check digits are verified for every code length', () => {
+        assert.strictEqual(hasValidCheckDigit('96385074'), true);
+        assert.strictEqual(hasValidCheckDigit('036000291452'), true);
+        assert.strictEqual(hasValidCheckDigit('4006381333931'), true);
+        assert.strictEqual(hasValidCheckDigit('4006381333932'), false);
+    });
+
+    await runTest('UPC-E codes expand to their UPC-A code', () => {
+        assert.strictEqual(expandUpcE('04252614'), '042100005264');
+        assert.strictEqual(expandUpcE('01234565'), '012345000065');
+        assert.strictEqual(expandUpcE('21234565'), null);
+        assert.strictEqual(expandUpcE('0123456'), null);
+    });
+
+    logSubsection('Normalizing');
+
+    await runTest('UPC-A, EAN-13 and GTIN-14 forms of a product give the same code', () => {
+        assert.strictEqual(normalizeBarcode('036000291452'), '0036000291452');
+        assert.strictEqual(normalizeBarcode('0036000291452'), '0036000291452');
+        assert.strictEqual(normalizeBarcode('00036000291452'), '0036000291452');
+        assert.strictEqual(normalizeBarcode(36000291452), null);
+    });
+
+    await runTest('EAN-8 stays as is; other 8-digit codes are read as UPC-E', () => {
+        assert.strictEqual(normalizeBarcode('96385074'), '96385074');
+        assert.strictEqual(normalizeBarcode('04252614'), '0042100005264');
+    });
+
+    await runTest('Spaces and dashes are ignored; anything else is invalid', () => {
+        assert.strictEqual(normalizeBarcode('4 006381 333931'), '4006381333931');
+        assert.strictEqual(normalizeBarcode('400-6381-333931'), '4006381333931');
+        assert.strictEqual(normalizeBarcode('10036000291459'), '10036000291459');
+        assert.strictEqual(normalizeBarcode('4006381333932'), null);
+        assert.strictEqual(normalizeBarcode('40063813339x1'), null);
+        assert.strictEqual(normalizeBarcode('123'), null);
+        assert.strictEqual(normalizeBarcode(null), null);
+    });
+
+    logSubsection('Product lookup');
+
+    await setupTestDatabase();
+    const productService = require('../src/database/productService');
+
+    await runTest('Products are found by their normalized barcode, per 100 g', async () => {
+        const saved = await productService.saveProducts([
+            { barcode: '4006381333931', name: 'Muesli', brand: 'Acme', calories: 360, carbs: 60, protein: 10, fat: 6, micronutrients: { fiber: 8 } },
+            { barcode: '96385074', name: 'Water', calories: 0, carbs: 0, protein: 0, fat: 0 }
+        ]);
+        assert.strictEqual(saved, 2);
+
+        const muesli = await productService.getByBarcode(normalizeBarcode('4006381333931'));
+        assert.deepStrictEqual(
+            [muesli.item, muesli.amount, muesli.calories, muesli.source, muesli.micronutrients],
+            ['Muesli (Acme)', 100, 360, 'product', { fiber: 8 }]
+        );
+        assert.strictEqual((await productService.getByBarcode('96385074')).item, 'Water');
+        assert.strictEqual(await productService.getByBarcode('0036000291452'), null);
+    });
+
+    await runTest('Importing a product again updates it', async () => {
+        await productService.saveProducts([{ barcode: '4006381333931', name: 'Muesli', brand: 'Acme', calories: 370, carbs: 61, protein: 10, fat: 6 }]);
+        const muesli = await productService.getByBarcode('4006381333931');
+        assert.strictEqual(muesli.calories, 370);
+        assert.deepStrictEqual(muesli.micronutrients, {});
+        assert.strictEqual(await productService.countProducts(), 2);
+    });
+
+    await runTest('A batch with a bad product saves nothing', async () => {
+        const saved = await productService.saveProducts([
+            { barcode: '0036000291452', name: 'Tissues', calories: 0, carbs: 0, protein: 0, fat: 0 },
+            { barcode: '5000000000000', name: null, calories: 0 }
+        ]);
+        assert.strictEqual(saved, null);
+        assert.strictEqual(await productService.getByBarcode('0036000291452'), null);
+        assert.strictEqual(await productService.countProducts(), 2);
+    });
+}
+
+runSuite(testBarcodes);
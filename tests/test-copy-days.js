@@ -0,0 +1,83 @@
+// Tests for copying days and weeks (mealService.copyDay/copyDays)
+const assert = require('assert');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, createTestUser, runSuite } = require('./testUtils');
+
+useTestDatabase('copy-days');
+
+async function testCopyDays() {
+    logSection('COPY DAYS TEST SUITE');
+
+    await setupTestDatabase();
+    const mealService = require('../src/database/mealService');
+    const dailyMacroService = require('../src/database/dailyMacroService');
+    const userId = await createTestUser();
+    const names = async (day, mealId) => (await mealService.getUserDayMeals(userId, day)).meals.find(meal => meal.id === mealId).items.map(item => item.name);
+
+    await mealService.addMealItem(userId, '2026-10-19', 1, { name: 'Porridge', amount: 250, calories: 300 }, '07:30');
+    await mealService.addMealItem(userId, '2026-10-19', 3, { name: 'Soup', amount: 300, calories: 250 }, '12:30');
+    await dailyMacroService.saveDailyMacros(userId, '2026-10-19', { proteinLevel: 2, fatLevel: 1, calorieAdjustment: 200 });
+
+    logSubsection('Copying a day');
+
+    await runTest('Copying to an empty day copies items, meal times and macro settings', async () => {
+        assert.strictEqual(await mealService.copyDay(userId, '2026-10-19', '2026-10-20'), 2);
+        assert.deepStrictEqual(await names('2026-10-20', 1), ['Porridge']);
+        assert.deepStrictEqual(await names('2026-10-20', 3), ['Soup']);
+
+        const copied = await mealService.getUserDayMeals(userId, '2026-10-20');
+        assert.strictEqual(copied.meals.find(meal => meal.id === 1).time, '07:30');
+        assert.strictEqual((await dailyMacroService.getDailyMacros(userId, '2026-10-20')).calorieAdjustment, 200);
+    });
+
+    await runTest('Overwrite replaces the target day', async () => {
+        await mealService.addMealItem(userId, '2026-10-21', 1, { name: 'Toast', amount: 60, calories: 160 }, '09:00');
+        await dailyMacroService.saveDailyMacros(userId, '2026-10-21', { proteinLevel: 1, fatLevel: 1, calorieAdjustment: -300 });
+
+        assert.strictEqual(await mealService.copyDay(userId, '2026-10-19', '2026-10-21', 'overwrite'), 2);
+        const target = await mealService.getUserDayMeals(userId, '2026-10-21');
+        assert.deepStrictEqual(target.meals.find(meal => meal.id === 1).items.map(item => item.name), ['Porridge']);
+        assert.strictEqual(target.meals.find(meal => meal.id === 1).time, '07:30');
+        assert.strictEqual((await dailyMacroService.getDailyMacros(userId, '2026-10-21')).calorieAdjustment, 200);
+    });
+
+    await runTest('Merge adds after existing items and keeps the target\'s times and settings', async () => {
+        await mealService.addMealItem(userId, '2026-10-22', 1, { name: 'Toast', amount: 60, calories: 160 }, '09:00');
+        await dailyMacroService.saveDailyMacros(userId, '2026-10-22', { proteinLevel: 1, fatLevel: 1, calorieAdjustment: -300 });
+
+        assert.strictEqual(await mealService.copyDay(userId, '2026-10-19', '2026-10-22', 'merge'), 2);
+        const target = await mealService.getUserDayMeals(userId, '2026-10-22');
+        assert.deepStrictEqual(target.meals.find(meal => meal.id === 1).items.map(item => item.name), ['Toast', 'Porridge']);
+        assert.strictEqual(target.meals.find(meal => meal.id === 1).time, '09:00');
+        assert.deepStrictEqual(await names('2026-10-22', 3), ['Soup']);
+        assert.strictEqual((await dailyMacroService.getDailyMacros(userId, '2026-10-22')).calorieAdjustment, -300);
+    });
+
+    await runTest('A date can be saved as a weekday template', async () => {
+        assert.strictEqual(await mealService.copyDay(userId, '2026-10-19', 'Monday'), 2);
+        assert.deepStrictEqual(await names('monday', 1), ['Porridge']);
+    });
+
+    logSubsection('Copying several days');
+
+    await runTest('copyDays copies every pair and counts all items', async () => {
+        const copied = await mealService.copyDays(userId, [
+            { from: '2026-10-19', to: '2026-10-26' },
+            { from: '2026-10-20', to: '2026-10-27' },
+            { from: '2026-10-23', to: '2026-10-30' }
+        ]);
+        assert.strictEqual(copied, 4);
+        assert.deepStrictEqual(await names('2026-10-27', 3), ['Soup']);
+        assert.strictEqual(await mealService.countItemsOnDays(userId, ['2026-10-26', '2026-10-27', '2026-10-30']), 4);
+    });
+
+    await runTest('A failure part way through copies nothing', async () => {
+        const copied = await mealService.copyDays(userId, [
+            { from: '2026-10-19', to: '2026-11-02' },
+            { from: '2026-10-19', to: null }
+        ]);
+        assert.strictEqual(copied, null);
+        assert.strictEqual(await mealService.countDayItems(userId, '2026-11-02'), 0);
+    });
+}
+
+runSuite(testCopyDays);
@@ -0,0 +1,146 @@
+// Tests for diary day keys: calendar dates and weekday templates
+// (src/utils/dayKeys.js), and that a date's meals are kept apart from its weekday template
+const assert = require('assert');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, createTestUser, runSuite } = require('./testUtils');
+
+useTestDatabase('day-keys');
+
+const {
+    isDateKey,
+    isWeekdayKey,
+    normalizeDayKey,
+    weekdayForDate,
+    formatDateKey,
+    parseDateKey,
+    getWeekDateKeys,
+    getDateKeysBetween,
+    countDaysBetween
+} = require('../src/utils/dayKeys');
+
+async function testDayKeys() {
+    logSection('DAY KEYS TEST SUITE');
+
+    logSubsection('Validating keys');
+
+    await runTest('isDateKey accepts real calendar dates only', () => {
+        assert.strictEqual(isDateKey('2026-10-18'), true);
+        assert.strictEqual(isDateKey('2024-02-29'), true);
+        assert.strictEqual(isDateKey('2026-02-29'), false);
+        assert.strictEqual(isDateKey('2026-13-01'), false);
+        assert.strictEqual(isDateKey('2026-1-5'), false);
+        assert.strictEqual(isDateKey('monday'), false);
+        assert.strictEqual(isDateKey(null), false);
+    });
+
+    await runTest('isWeekdayKey accepts weekday names in any case', () => {
+        assert.strictEqual(isWeekdayKey('monday'), true);
+        assert.strictEqual(isWeekdayKey('Sunday'), true);
+        assert.strictEqual(isWeekdayKey('mon'), false);
+        assert.strictEqual(isWeekdayKey('2026-10-18'), false);
+    });
+
+    await runTest('normalizeDayKey lowercases weekdays and rejects invalid keys', () => {
+        assert.strictEqual(normalizeDayKey('Friday'), 'friday');
+        assert.strictEqual(normalizeDayKey('2026-10-18'), '2026-10-18');
+        assert.strictEqual(normalizeDayKey('2026-10-32'), null);
+        assert.strictEqual(normalizeDayKey('today'), null);
+    });
+
+    logSubsection('Dates and weekdays');
+
+    await runTest('weekdayForDate gives the template for a date', () => {
+        assert.strictEqual(weekdayForDate('2026-10-18'), 'sunday');
+        assert.strictEqual(weekdayForDate('2026-10-19'), 'monday');
+        assert.strictEqual(weekdayForDate('2024-02-29'), 'thursday');
+    });
+
+    await runTest('formatDateKey and parseDateKey round-trip the local calendar day', () => {
+        assert.strictEqual(formatDateKey(new Date(2026, 0, 5, 23, 30)), '2026-01-05');
+        const parsed = parseDateKey('2026-03-29');
+        assert.deepStrictEqual([parsed.getFullYear(), parsed.getMonth(), parsed.getDate(), parsed.getHours()], [2026, 2, 29, 0]);
+        assert.strictEqual(formatDateKey(parseDateKey('2026-03-29')), '2026-03-29');
+    });
+
+    await runTest('getWeekDateKeys returns the Sunday-Saturday week of a date', () => {
+        const week = getWeekDateKeys(new Date(2026, 9, 21));
+        assert.strictEqual(week.sunday, '2026-10-18');
+        assert.strictEqual(week.wednesday, '2026-10-21');
+        assert.strictEqual(week.saturday, '2026-10-24');
+        // A week across a month and year boundary
+        const newYear = getWeekDateKeys(new Date(2027, 0, 1));
+        assert.strictEqual(newYear.sunday, '2026-12-27');
+        assert.strictEqual(newYear.saturday, '2027-01-02');
+    });
+
+    await runTest('getDateKeysBetween lists every day inclusive, across DST changes', () => {
+        assert.deepStrictEqual(getDateKeysBetween('2026-02-27', '2026-03-02'), ['2026-02-27', '2026-02-28', '2026-03-01', '2026-03-02']);
+        assert.strictEqual(getDateKeysBetween('2026-03-01', '2026-03-31').length, 31);
+        assert.strictEqual(getDateKeysBetween('2026-10-20', '2026-11-05').length, 17);
+        assert.deepStrictEqual(getDateKeysBetween('2026-10-18', '2026-10-18'), ['2026-10-18']);
+        assert.deepStrictEqual(getDateKeysBetween('2026-10-19', '2026-10-18'), []);
+    });
+
+    await runTest('countDaysBetween counts the same days without listing them', () => {
+        assert.strictEqual(countDaysBetween('2026-10-18', '2026-10-18'), 0);
+        assert.strictEqual(countDaysBetween('2026-02-27', '2026-03-02'), 3);
+        assert.strictEqual(countDaysBetween('2026-10-20', '2026-11-05'), getDateKeysBetween('2026-10-20', '2026-11-05').length - 1);
+        assert.strictEqual(countDaysBetween('2026-10-19', '2026-10-18'), -1);
+        assert.strictEqual(countDaysBetween('1000-01-01', '9999-12-31'), 3287181);
+    });
+
+    logSubsection('Meals stored by date');
+
+    await setupTestDatabase();
+    const mealService = require('../src/database/mealService');
+    const userId = await createTestUser();
+
+    await runTest('Items logged on a date stay out of its weekday template', async () => {
+        assert.ok(await mealService.addMealItem(userId, '2026-10-19', 1, { name: 'Oats', amount: 80, calories: 300 }, '08:00'));
+        assert.ok(await mealService.addMealItem(userId, 'Monday', 1, { name: 'Toast', amount: 60, calories: 160 }, '08:00'));
+
+        const date = await mealService.getUserDayMeals(userId, '2026-10-19');
+        const template = await mealService.getUserDayMeals(userId, 'monday');
+        const nextMonday = await mealService.getUserDayMeals(userId, '2026-10-26');
+
+        assert.deepStrictEqual(date.meals[0].items.map(item => item.name), ['Oats']);
+        assert.deepStrictEqual(template.meals[0].items.map(item => item.name), ['Toast']);
+        assert.strictEqual(nextMonday.meals.reduce((count, meal) => count + meal.items.length, 0), 0);
+    });
+
+    await runTest('Copying weekday meals into the week is undone when it fails part way', async () => {
+        const { query } = require('../src/database/connection');
+        const { initializeDatabase } = require('../src/database/init');
+        const week = getWeekDateKeys();
+        const legacyUser = await createTestUser();
+        for (const day of ['sunday', 'saturday']) {
+            await query(`
+                INSERT INTO user_meals (user_id, day, meal_time, meal_id, food_item, amount, calories)
+                VALUES (?, ?, '08:00', 1, 'Porridge', 100, 350)
+            `, [legacyUser, day]);
+        }
+        const copies = async () => (await query(
+            'SELECT COUNT(*) AS count FROM user_meals WHERE user_id = ? AND day IN (?, ?)',
+            [legacyUser, week.sunday, week.saturday]
+        )).rows[0].count;
+        const completed = async () => (await query("SELECT COUNT(*) AS count FROM migrations WHERE migration_name = 'date_based_meals'")).rows[0].count;
+
+        // Sunday is copied before Saturday fails
+        await query('DELETE FROM migrations WHERE migration_name = ?', ['date_based_meals']);
+        await query(`
+            CREATE TRIGGER fail_saturday_copy BEFORE INSERT ON user_meals
+            WHEN NEW.day = '${week.saturday}'
+            BEGIN SELECT RAISE(ABORT, 'copy failed'); END
+        `);
+        await initializeDatabase();
+        assert.strictEqual(await copies(), 0);
+        assert.strictEqual(await completed(), 0);
+
+        await query('DROP TRIGGER fail_saturday_copy');
+        await initializeDatabase();
+        await initializeDatabase();
+        assert.strictEqual(await copies(), 2);
+        assert.strictEqual(await completed(), 1);
+    });
+}
+
+runSuite(testDayKeys);
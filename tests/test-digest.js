@@ -0,0 +1,251 @@
+// Tests for the weekly email digest: when it's due (src/services/digestScheduler.js),
+// what it contains and the settings routes (src/routes/digestRoutes.js)
+const assert = require('assert');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, createTestUser, createAuthToken, startTestApp, requestJson, runSuite } = require('./testUtils');
+
+useTestDatabase('digest');
+
+process.env.APP_URL = 'https://nutristats.example';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+async function testDigest() {
+    logSection('WEEKLY DIGEST TEST SUITE');
+
+    await setupTestDatabase();
+    const { query } = require('../src/database/connection');
+    const userService = require('../src/database/userService');
+    const digestService = require('../src/database/digestService');
+    const mealService = require('../src/database/mealService');
+    const weightService = require('../src/database/weightService');
+    const measurementsService = require('../src/database/measurementsService');
+    const digestScheduler = require('../src/services/digestScheduler');
+    const digestRoutes = require('../src/routes/digestRoutes');
+
+    const lastScheduled = (settings, now) => {
+        const { scheduledAt, sendDate } = digestScheduler.getLastScheduledTime(settings, new Date(now));
+        return [scheduledAt.toISOString(), sendDate];
+    };
+
+    logSubsection('Send times');
+
+    await runTest('The send time is the latest one at or before now', () => {
+        const monday = { sendDay: 1, sendTime: '08:00', timezone: 'UTC' };
+        // 2026-10-19 is a Monday
+        assert.deepStrictEqual(lastScheduled(monday, '2026-10-19T09:00:00Z'), ['2026-10-19T08:00:00.000Z', '2026-10-19']);
+        assert.deepStrictEqual(lastScheduled(monday, '2026-10-19T08:00:00Z'), ['2026-10-19T08:00:00.000Z', '2026-10-19']);
+        assert.deepStrictEqual(lastScheduled(monday, '2026-10-19T07:59:00Z'), ['2026-10-12T08:00:00.000Z', '2026-10-12']);
+    });
+
+    await runTest('Send days wrap around the end of the week', () => {
+        assert.deepStrictEqual(lastScheduled({ sendDay: 6, sendTime: '08:00', timezone: 'UTC' }, '2026-10-19T09:00:00Z'), ['2026-10-17T08:00:00.000Z', '2026-10-17']);
+        assert.deepStrictEqual(lastScheduled({ sendDay: 0, sendTime: '23:30', timezone: 'UTC' }, '2026-10-18T23:45:00Z'), ['2026-10-18T23:30:00.000Z', '2026-10-18']);
+        assert.deepStrictEqual(lastScheduled({ sendDay: 0, sendTime: '23:30', timezone: 'UTC' }, '2026-10-24T23:45:00Z'), ['2026-10-18T23:30:00.000Z', '2026-10-18']);
+    });
+
+    await runTest('Send times follow the user\'s time zone and local date', () => {
+        assert.deepStrictEqual(lastScheduled({ sendDay: 1, sendTime: '08:00', timezone: 'America/New_York' }, '2026-10-19T12:30:00Z'), ['2026-10-19T12:00:00.000Z', '2026-10-19']);
+        // Monday 08:30 in Tokyo is still Sunday in UTC
+        assert.deepStrictEqual(lastScheduled({ sendDay: 1, sendTime: '08:00', timezone: 'Asia/Tokyo' }, '2026-10-18T23:30:00Z'), ['2026-10-18T23:00:00.000Z', '2026-10-19']);
+        assert.deepStrictEqual(lastScheduled({ sendDay: 1, sendTime: '08:00', timezone: 'Asia/Kolkata' }, '2026-10-19T02:40:00Z'), ['2026-10-19T02:30:00.000Z', '2026-10-19']);
+    });
+
+    await runTest('Across a DST change the send time is off by the shift at most', () => {
+        // US clocks go back on Sunday 2026-11-01: Saturday 08:00 EDT was 12:00 UTC
+        const [scheduledAt, sendDate] = lastScheduled({ sendDay: 6, sendTime: '08:00', timezone: 'America/New_York' }, '2026-11-01T15:00:00Z');
+        assert.strictEqual(sendDate, '2026-10-31');
+        assert.ok(Math.abs(new Date(scheduledAt) - new Date('2026-10-31T12:00:00Z')) <= HOUR_MS);
+        // The first week after the change is exact again
+        assert.deepStrictEqual(lastScheduled({ sendDay: 6, sendTime: '08:00', timezone: 'America/New_York' }, '2026-11-07T14:00:00Z'), ['2026-11-07T13:00:00.000Z', '2026-11-07']);
+    });
+
+    logSubsection('Due digests');
+
+    const monday = { sendDay: 1, sendTime: '08:00', timezone: 'UTC', lastSentAt: null, updatedAt: '2026-10-01 12:00:00' };
+    const isDue = (digest, now) => digestScheduler.isDue(digest, new Date(now));
+
+    await runTest('A digest is due from its send time until it has been sent', () => {
+        assert.strictEqual(isDue(monday, '2026-10-19T07:59:00Z'), false);
+        assert.strictEqual(isDue(monday, '2026-10-19T08:00:00Z'), true);
+        assert.strictEqual(isDue({ ...monday, lastSentAt: '2026-10-19T08:00:30.000Z' }, '2026-10-19T08:01:00Z'), false);
+        assert.strictEqual(isDue({ ...monday, lastSentAt: '2026-10-12T08:00:30.000Z' }, '2026-10-19T08:01:00Z'), true);
+    });
+
+    await runTest('A missed digest is caught up within a day, then waits for the next week', () => {
+        assert.strictEqual(isDue(monday, '2026-10-20T07:59:00Z'), true);
+        assert.strictEqual(isDue(monday, '2026-10-20T08:00:00Z'), false);
+        assert.strictEqual(isDue(monday, '2026-10-25T20:00:00Z'), false);
+    });
+
+    await runTest('Settings changed after the send time wait for the next week', () => {
+        // SQLite timestamps are UTC without a zone
+        assert.strictEqual(isDue({ ...monday, updatedAt: '2026-10-19 08:30:00' }, '2026-10-19T09:00:00Z'), false);
+        assert.strictEqual(isDue({ ...monday, updatedAt: '2026-10-19 07:30:00' }, '2026-10-19T09:00:00Z'), true);
+        assert.strictEqual(isDue({ ...monday, updatedAt: '2026-10-19 08:30:00' }, '2026-10-26T09:00:00Z'), true);
+    });
+
+    await runTest('Checking every few minutes sends once a week, across DST changes', () => {
+        const countSends = (digest, from, to) => {
+            const sent = [];
+            let lastSentAt = null;
+            for (let time = Date.parse(from); time < Date.parse(to); time += 5 * MINUTE_MS) {
+                const now = new Date(time);
+                if (digestScheduler.isDue({ ...digest, lastSentAt }, now)) {
+                    lastSentAt = now.toISOString();
+                    sent.push(digestScheduler.getLastScheduledTime(digest, now).sendDate);
+                }
+            }
+            return sent;
+        };
+        // 01:30 happens twice on 2026-11-01 in New York, and 02:30 not at all on 2026-03-08
+        const fallBack = { sendDay: 0, sendTime: '01:30', timezone: 'America/New_York', updatedAt: '2026-10-20 00:00:00' };
+        assert.deepStrictEqual(countSends(fallBack, '2026-10-27T00:00:00Z', '2026-11-16T00:00:00Z'), ['2026-11-01', '2026-11-08', '2026-11-15']);
+        const springForward = { sendDay: 0, sendTime: '02:30', timezone: 'America/New_York', updatedAt: '2026-02-20 00:00:00' };
+        assert.deepStrictEqual(countSends(springForward, '2026-03-03T00:00:00Z', '2026-03-23T00:00:00Z'), ['2026-03-08', '2026-03-15', '2026-03-22']);
+    });
+
+    logSubsection('Digest content');
+
+    const userId = await createTestUser('digest@test.local');
+
+    await runTest('The digest covers the seven days before the send date', async () => {
+        await mealService.addMealItem(userId, '2026-10-11', 1, { name: 'Too early', amount: 100, calories: 500 }, '12:00');
+        await mealService.addMealItem(userId, '2026-10-12', 1, { name: 'Oats', amount: 100, calories: 700 }, '08:00');
+        await mealService.addMealItem(userId, '2026-10-18', 1, { name: 'Pasta', amount: 100, calories: 1400 }, '12:00');
+        await mealService.addMealItem(userId, '2026-10-19', 1, { name: 'Too late', amount: 100, calories: 900 }, '12:00');
+
+        const digest = await digestScheduler.buildDigest(userId, '2026-10-19');
+        assert.strictEqual(digest.from, '2026-10-12');
+        assert.strictEqual(digest.to, '2026-10-18');
+        assert.strictEqual(digest.daysLogged, 2);
+        assert.strictEqual(digest.nutrition.avgDailyCalories, 300);
+        assert.strictEqual(digest.nutrition.totalDays, 7);
+    });
+
+    await runTest('Weight and measurement changes are measured from the last entry before the week', async () => {
+        await weightService.addWeightEntry(userId, { date: '2026-09-01', weight: 80 });
+        await weightService.addWeightEntry(userId, { date: '2026-10-13', weight: 79.5 });
+        await weightService.addWeightEntry(userId, { date: '2026-10-17', weight: 79 });
+        await measurementsService.addMeasurementEntry(userId, { date: '2026-10-01', measurementType: 'waist', value: 90, unit: 'cm' });
+        await measurementsService.addMeasurementEntry(userId, { date: '2026-10-15', measurementType: 'waist', value: 88, unit: 'cm' });
+        await measurementsService.addMeasurementEntry(userId, { date: '2026-10-01', measurementType: 'chest', value: 100, unit: 'cm' });
+
+        const digest = await digestScheduler.buildDigest(userId, '2026-10-19');
+        assert.deepStrictEqual(digest.weight, { unit: 'kg', entries: 2, latest: 79, change: -1 });
+        // Only measurements taken during the week are listed
+        assert.deepStrictEqual(digest.measurements, [{ type: 'waist', unit: 'cm', entries: 1, latest: 88, change: -2 }]);
+    });
+
+    await runTest('Entries more than 90 days before the week don\'t count as the previous one', async () => {
+        const otherId = await createTestUser();
+        await weightService.addWeightEntry(otherId, { date: '2026-06-01', weight: 90 });
+        await weightService.addWeightEntry(otherId, { date: '2026-10-14', weight: 85 });
+
+        const digest = await digestScheduler.buildDigest(otherId, '2026-10-19');
+        assert.deepStrictEqual(digest.weight, { unit: 'kg', entries: 1, latest: 85, change: null });
+        assert.deepStrictEqual(digest.measurements, []);
+    });
+
+    logSubsection('Sending');
+
+    const sentEmails = [];
+    let emailsFail = false;
+    digestScheduler.start({
+        sendWeeklyDigest: async (digestData) => {
+            if (emailsFail) return false;
+            sentEmails.push(digestData);
+            return true;
+        }
+    });
+    digestScheduler.stop();
+
+    const now = new Date('2026-10-19T09:00:00Z');
+    const enableDigest = async (id, settings = {}) => {
+        await digestService.saveSettings(id, { enabled: true, sendDay: 1, sendTime: '08:00', timezone: 'UTC', ...settings });
+        await query('UPDATE email_digests SET updated_at = ? WHERE user_id = ?', ['2026-10-01 00:00:00', id]);
+    };
+
+    await runTest('Due digests are sent once, skipping accounts being deleted', async () => {
+        const leavingId = await createTestUser();
+        const laterId = await createTestUser();
+        await enableDigest(userId);
+        await enableDigest(leavingId);
+        await enableDigest(laterId, { sendDay: 2 });
+        await userService.scheduleDeletion(leavingId, new Date(Date.now() + 24 * HOUR_MS).toISOString());
+
+        assert.strictEqual(await digestScheduler.checkDigests(now), 1);
+        assert.strictEqual(sentEmails.length, 1);
+        assert.strictEqual(sentEmails[0].userEmail, 'digest@test.local');
+        assert.strictEqual(sentEmails[0].digest.from, '2026-10-12');
+        assert.strictEqual((await digestService.getSettings(userId)).lastSentAt, now.toISOString());
+
+        assert.strictEqual(await digestScheduler.checkDigests(new Date('2026-10-19T09:01:00Z')), 0);
+    });
+
+    await runTest('A digest that failed to send is tried again on the next check', async () => {
+        const retryId = await createTestUser();
+        await enableDigest(retryId);
+
+        emailsFail = true;
+        assert.strictEqual(await digestScheduler.checkDigests(now), 0);
+        assert.strictEqual((await digestService.getSettings(retryId)).lastSentAt, null);
+
+        emailsFail = false;
+        assert.strictEqual(await digestScheduler.checkDigests(new Date('2026-10-19T09:01:00Z')), 1);
+        assert.ok((await digestService.getSettings(retryId)).lastSentAt);
+    });
+
+    await runTest('Without APP_URL no digest is sent', async () => {
+        const noUrlId = await createTestUser();
+        await enableDigest(noUrlId);
+        const sentBefore = sentEmails.length;
+
+        delete process.env.APP_URL;
+        try {
+            assert.strictEqual(await digestScheduler.checkDigests(now), 0);
+        } finally {
+            process.env.APP_URL = 'https://nutristats.example';
+        }
+        assert.strictEqual(sentEmails.length, sentBefore);
+        assert.strictEqual((await digestService.getSettings(noUrlId)).lastSentAt, null);
+    });
+
+    logSubsection('Routes');
+
+    const app = await startTestApp('/api/digest', digestRoutes);
+    const token = await createAuthToken(userId);
+    const save = (body) => requestJson(app.url, { method: 'PUT', token, body: { enabled: true, sendDay: 1, sendTime: '08:00', timezone: 'UTC', ...body } });
+
+    try {
+        await runTest('Settings are checked before they are saved', async () => {
+            assert.strictEqual((await save({ enabled: 'yes' })).status, 400);
+            assert.strictEqual((await save({ sendDay: 7 })).status, 400);
+            assert.strictEqual((await save({ sendTime: '8:00' })).status, 400);
+            assert.strictEqual((await save({ sendTime: '24:00' })).status, 400);
+            assert.strictEqual((await save({ timezone: 'Mars/Olympus_Mons' })).status, 400);
+
+            const { status, data } = await save({ sendDay: 5, sendTime: '18:30', timezone: 'Europe/Berlin' });
+            assert.strictEqual(status, 200);
+            assert.strictEqual(data.settings.sendDay, 5);
+            assert.deepStrictEqual((await requestJson(app.url, { token })).data, data.settings);
+        });
+
+        await runTest('The unsubscribe link in the email turns the digest off', async () => {
+            const unsubscribeUrl = new URL(sentEmails[0].unsubscribeUrl);
+            assert.strictEqual(unsubscribeUrl.origin, 'https://nutristats.example');
+
+            assert.strictEqual((await requestJson(`${app.url}/unsubscribe`, { method: 'POST', body: { token: 'not-a-token' } })).status, 400);
+            const { status } = await requestJson(`${app.url}/unsubscribe`, { method: 'POST', body: { token: unsubscribeUrl.searchParams.get('unsubscribeToken') } });
+            assert.strictEqual(status, 200);
+
+            const settings = await digestService.getSettings(userId);
+            assert.strictEqual(settings.enabled, false);
+            assert.strictEqual(settings.sendDay, 5);
+        });
+    } finally {
+        await app.close();
+    }
+}
+
+runSuite(testDigest);
@@ -0,0 +1,108 @@
+// Tests for verifying email addresses when REQUIRE_EMAIL_VERIFICATION is on
+// (POST /api/auth/register, /verify-email and /resend-verification)
+const assert = require('assert');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, startTestApp, requestJson, runSuite } = require('./testUtils');
+
+useTestDatabase('email-verification');
+
+// Read when the auth middleware is loaded
+process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+process.env.APP_URL = 'https://nutristats.example';
+
+const EmailService = require('../src/services/emailService');
+
+// Keep the verification emails instead of sending them
+const sentEmails = [];
+EmailService.prototype.sendVerificationEmail = async function (verifyData) {
+    sentEmails.push(verifyData);
+    return true;
+};
+
+async function testEmailVerification() {
+    logSection('EMAIL VERIFICATION TEST SUITE');
+
+    await setupTestDatabase();
+    const userService = require('../src/database/userService');
+    const { generateToken, verifyToken, generateEmailVerificationToken, verifyEmailVerificationToken } = require('../src/middleware/auth');
+    const authRoutes = require('../src/routes/auth');
+    const foodsRoutes = require('../src/routes/foodsRoutes');
+    const auth = await startTestApp('/api/auth', authRoutes);
+    const foods = await startTestApp('/api/foods', foodsRoutes);
+
+    const verificationToken = () => new URL(sentEmails[sentEmails.length - 1].verifyUrl).searchParams.get('verifyToken');
+
+    try {
+        logSubsection('Verification tokens');
+
+        await runTest('Verification tokens can\'t be used to log in, and login tokens can\'t verify', () => {
+            const user = { id: 'user-1', email: 'a@test.local', name: 'A' };
+            const token = generateEmailVerificationToken(user);
+            assert.strictEqual(verifyEmailVerificationToken(token).email, 'a@test.local');
+            assert.throws(() => verifyToken(token));
+            assert.throws(() => verifyEmailVerificationToken(generateToken(user, 'session')), /Invalid verification link/);
+        });
+
+        logSubsection('Registering');
+
+        let token;
+        await runTest('New accounts are unverified and get a link', async () => {
+            const { status, data } = await requestJson(`${auth.url}/register`, {
+                method: 'POST',
+                body: { email: 'New@Test.local', name: 'New', password: 'Verify1234', confirmPassword: 'Verify1234' }
+            });
+            assert.strictEqual(status, 201);
+            assert.strictEqual(data.user.emailVerified, false);
+            token = data.token;
+
+            // The email goes out after the response
+            await new Promise(resolve => setTimeout(resolve, 100));
+            assert.strictEqual(sentEmails.length, 1);
+            assert.strictEqual(sentEmails[0].userEmail, 'new@test.local');
+            assert.match(sentEmails[0].verifyUrl, /^https:\/\/nutristats\.example\/login\.html\?verifyToken=/);
+        });
+
+        await runTest('Unverified accounts can only use the account routes', async () => {
+            const blocked = await requestJson(foods.url, { token });
+            assert.strictEqual(blocked.status, 403);
+            assert.strictEqual(blocked.data.emailVerified, false);
+            assert.strictEqual((await requestJson(`${auth.url}/profile`, { token })).status, 200);
+        });
+
+        await runTest('A new link can be asked for', async () => {
+            const { status } = await requestJson(`${auth.url}/resend-verification`, { method: 'POST', token });
+            assert.strictEqual(status, 200);
+            assert.strictEqual(sentEmails.length, 2);
+        });
+
+        logSubsection('Verifying');
+
+        await runTest('Bad links are rejected', async () => {
+            assert.strictEqual((await requestJson(`${auth.url}/verify-email`, { method: 'POST', body: {} })).status, 400);
+            const invalid = await requestJson(`${auth.url}/verify-email`, { method: 'POST', body: { token: 'not-a-token' } });
+            assert.strictEqual(invalid.data.error, 'Invalid verification link');
+
+            const user = await userService.getUserByEmail('new@test.local');
+            const otherAddress = generateEmailVerificationToken({ id: user.id, email: 'old@test.local' });
+            assert.strictEqual((await requestJson(`${auth.url}/verify-email`, { method: 'POST', body: { token: otherAddress } })).status, 400);
+            assert.strictEqual((await userService.getUserById(user.id)).email_verified_at, null);
+        });
+
+        await runTest('The link verifies the account, which can then use the app', async () => {
+            const { status } = await requestJson(`${auth.url}/verify-email`, { method: 'POST', body: { token: verificationToken() } });
+            assert.strictEqual(status, 200);
+            assert.strictEqual((await requestJson(foods.url, { token })).status, 200);
+        });
+
+        await runTest('Verified accounts don\'t get more links', async () => {
+            const { status, data } = await requestJson(`${auth.url}/resend-verification`, { method: 'POST', token });
+            assert.strictEqual(status, 400);
+            assert.strictEqual(data.error, 'Email is already verified');
+            assert.strictEqual(sentEmails.length, 2);
+        });
+    } finally {
+        await auth.close();
+        await foods.close();
+    }
+}
+
+runSuite(testEmailVerification);
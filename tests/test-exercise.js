@@ -0,0 +1,115 @@
+// Tests for logged exercise (src/utils/activities.js, src/database/exerciseService.js)
+// and adding burned calories to the daily goal
+const assert = require('assert');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, createTestUser, createAuthToken, startTestApp, requestJson, runSuite } = require('./testUtils');
+
+useTestDatabase('exercise');
+
+const { INTENSITIES, ACTIVITIES, getActivity, estimateExerciseCalories } = require('../src/utils/activities');
+
+async function testExercise() {
+    logSection('EXERCISE TEST SUITE');
+
+    logSubsection('Activities');
+
+    await runTest('Every activity has a MET value for each intensity, rising with intensity', () => {
+        ACTIVITIES.forEach(activity => {
+            const mets = INTENSITIES.map(intensity => activity.met[intensity]);
+            assert.ok(mets.every(met => met > 0), activity.key);
+            assert.ok(mets[0] < mets[1] && mets[1] < mets[2], activity.key);
+        });
+        assert.strictEqual(getActivity('running').label, 'Running');
+        assert.strictEqual(getActivity('juggling'), null);
+    });
+
+    await runTest('Calories are MET × kg × hours, rounded to whole kcal', () => {
+        assert.strictEqual(estimateExerciseCalories(9.8, 70, 30), 343);
+        assert.strictEqual(estimateExerciseCalories(3.5, 82.5, 45), 217);
+        assert.strictEqual(estimateExerciseCalories(5, 70, 0), 0);
+    });
+
+    logSubsection('Entries and totals');
+
+    await setupTestDatabase();
+    const exerciseService = require('../src/database/exerciseService');
+    const settingsService = require('../src/database/settingsService');
+    const reportService = require('../src/services/reportService');
+    const userId = await createTestUser();
+    const otherUserId = await createTestUser();
+
+    let run;
+    await runTest('Daily totals add up calories and minutes per date', async () => {
+        run = await exerciseService.addEntry(userId, { date: '2026-10-19', activity: 'running', intensity: 'moderate', duration: 30, met: 9.8, calories: 343 });
+        await exerciseService.addEntry(userId, { date: '2026-10-19', activity: 'yoga', intensity: 'light', duration: 20, met: 2.5, calories: 58 });
+        await exerciseService.addEntry(userId, { date: '2026-10-22', activity: 'cycling', intensity: 'vigorous', duration: 60, met: 10, calories: 700 });
+
+        assert.deepStrictEqual(await exerciseService.getDailyTotals(userId, '2026-10-19', '2026-10-21'), [
+            { date: '2026-10-19', calories: 401, duration: 50, entries: 2 }
+        ]);
+        assert.deepStrictEqual((await exerciseService.getDayEntries(userId, '2026-10-19')).map(entry => entry.activity), ['running', 'yoga']);
+        assert.deepStrictEqual(await exerciseService.getDayEntries(otherUserId, '2026-10-19'), []);
+    });
+
+    await runTest('Only the owner can delete an exercise', async () => {
+        assert.strictEqual(await exerciseService.deleteEntry(otherUserId, run.id), false);
+        assert.strictEqual(await exerciseService.deleteEntry(userId, run.id), true);
+        assert.strictEqual((await exerciseService.getDailyTotals(userId, '2026-10-19', '2026-10-19'))[0].calories, 58);
+    });
+
+    logSubsection('Daily goal');
+
+    await runTest('Burned calories raise the goal only when the setting is on', () => {
+        const dayData = { meals: [], calorieAdjustment: -200, proteinLevel: 2, fatLevel: 1 };
+        const settings = { weight: '80', totalCalories: 2500, addExerciseCalories: false };
+
+        const without = reportService.calculateDay('2026-10-19', dayData, settings, 400);
+        assert.strictEqual(without.goalCalories, 2300);
+        assert.strictEqual(without.burnedCalories, 400);
+        assert.strictEqual(without.exerciseBonus, 0);
+
+        const withBonus = reportService.calculateDay('2026-10-19', dayData, { ...settings, addExerciseCalories: true }, 400);
+        assert.strictEqual(withBonus.goalCalories, 2700);
+        assert.strictEqual(withBonus.exerciseBonus, 400);
+        // Protein and fat targets stay the same; the extra calories go to carbs
+        assert.strictEqual(withBonus.proteinTarget, without.proteinTarget);
+        assert.strictEqual(withBonus.carbTarget - without.carbTarget, 100);
+    });
+
+    await runTest('Reports include each day\'s burned calories', async () => {
+        const current = await settingsService.getUserSettings(userId);
+        await settingsService.saveUserSettings(userId, { ...current, weight: '80', totalCalories: 2500, addExerciseCalories: true });
+        const report = await reportService.getNutritionReport(userId, '2026-10-19', '2026-10-22');
+        assert.deepStrictEqual(report.days.map(day => day.burnedCalories), [58, 0, 0, 700]);
+        assert.deepStrictEqual(report.days.map(day => day.goalCalories), [2558, 2500, 2500, 3200]);
+    });
+
+    logSubsection('Summary route');
+
+    const exerciseRoutes = require('../src/routes/exerciseRoutes');
+    const app = await startTestApp('/api/exercise', exerciseRoutes);
+    const token = await createAuthToken(userId);
+    const summary = (query) => requestJson(`${app.url}/summary?${query}`, { token });
+
+    try {
+        await runTest('Every date in the range is listed, up to a year', async () => {
+            const { status, data } = await summary('from=2026-10-18&to=2026-10-20');
+            assert.strictEqual(status, 200);
+            assert.deepStrictEqual(data.days.map(day => day.date), ['2026-10-18', '2026-10-19', '2026-10-20']);
+            assert.deepStrictEqual(data.days[0], { date: '2026-10-18', calories: 0, duration: 0, entries: 0 });
+            assert.strictEqual((await summary('from=2025-10-20&to=2026-10-20')).status, 200);
+        });
+
+        await runTest('Longer ranges are refused without listing their days', async () => {
+            assert.strictEqual((await summary('from=2025-10-19&to=2026-10-20')).status, 400);
+            const started = Date.now();
+            const { status, data } = await summary('from=1000-01-01&to=9999-12-31');
+            assert.strictEqual(status, 400);
+            assert.strictEqual(data.error, 'Date range can be at most 366 days');
+            assert.ok(Date.now() - started < 500);
+        });
+    } finally {
+        await app.close();
+    }
+}
+
+runSuite(testExercise);
@@ -0,0 +1,133 @@
+// Tests for importing and exporting foods as CSV (src/utils/foodCsv.js and
+// POST /api/foods/import, GET /api/foods/export)
+const assert = require('assert');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, createTestUser, createAuthToken, startTestApp, requestJson, runSuite } = require('./testUtils');
+
+useTestDatabase('food-csv');
+
+const { detectDelimiter, parseCsv, detectColumnMapping, recordToFood, foodsToCsv } = require('../src/utils/foodCsv');
+
+async function testFoodCsv() {
+    logSection('FOOD CSV TEST SUITE');
+
+    logSubsection('Reading CSV');
+
+    await runTest('The delimiter is the one the header has most of', () => {
+        assert.strictEqual(detectDelimiter('name,kcal,fat\n'), ',');
+        assert.strictEqual(detectDelimiter('name;kcal;fat\nOats;380;7,5\n'), ';');
+        assert.strictEqual(detectDelimiter('name\tkcal\n'), '\t');
+    });
+
+    await runTest('Columns are matched by name without case, spaces or punctuation', () => {
+        const { columns } = parseCsv('﻿Food Name,Serving Size,Energy (kcal),Carbohydrates,PROTEIN,Total Fat,Saturated_Fat,notes\n');
+        assert.deepStrictEqual(detectColumnMapping(columns), {
+            item: 'Food Name',
+            amount: 'Serving Size',
+            calories: 'Energy (kcal)',
+            carbs: 'Carbohydrates',
+            protein: 'PROTEIN',
+            fat: 'Total Fat',
+            saturatedFat: 'Saturated_Fat'
+        });
+    });
+
+    await runTest('Rows become foods; decimal commas are accepted and blanks are unknown', () => {
+        const { columns, records } = parseCsv('name;amount;kcal;fat;fiber\nOats;100;380;7,5;\n');
+        const { food } = recordToFood(records[0], detectColumnMapping(columns));
+        assert.deepStrictEqual(food, {
+            item: 'Oats', amount: 100, calories: 380, carbs: null, protein: null, proteinGeneral: null, fat: 7.5, micronutrients: {}
+        });
+    });
+
+    await runTest('Rows that can\'t be imported say why', () => {
+        const mapping = { item: 'name', amount: 'amount', calories: 'kcal' };
+        assert.strictEqual(recordToFood({ name: '', amount: '100' }, mapping).error, 'Item name is empty');
+        assert.strictEqual(recordToFood({ name: 'Oats', amount: '' }, mapping).error, 'Amount (g) is empty');
+        assert.strictEqual(recordToFood({ name: 'Oats', amount: '0' }, mapping).error, 'Amount must be greater than 0');
+        assert.strictEqual(recordToFood({ name: 'Oats', amount: '100', kcal: '-5' }, mapping).error, 'Calories "-5" is not a non-negative number');
+        assert.match(recordToFood({ name: 'x'.repeat(201), amount: '100' }, mapping).error, /longer than 200/);
+    });
+
+    await runTest('Exported CSV reads back as the same foods', () => {
+        const foods = [
+            { item: 'Oats, rolled', amount: 100, calories: 380, carbs: 66, protein: 13, proteinGeneral: 16, fat: 7, micronutrients: { fiber: 10 } },
+            { item: 'Say "cheese"', amount: 30, calories: 120, carbs: null, protein: 8, proteinGeneral: null, fat: 10, micronutrients: {} }
+        ];
+        const { columns, records } = parseCsv(foodsToCsv(foods));
+        const mapping = detectColumnMapping(columns);
+        assert.deepStrictEqual(records.map(record => recordToFood(record, mapping).food), foods);
+    });
+
+    logSubsection('Importing');
+
+    await setupTestDatabase();
+    const foodService = require('../src/database/foodService');
+    const foodsRoutes = require('../src/routes/foodsRoutes');
+    const userId = await createTestUser();
+    const token = await createAuthToken(userId);
+    const app = await startTestApp('/api/foods', foodsRoutes);
+
+    const importCsv = (body) => requestJson(`${app.url}/import`, { method: 'POST', body, token });
+    const userFoods = async () => (await foodService.getAllFoods(userId))
+        .filter(food => food.source === 'user')
+        .map(food => [food.item, food.calories]);
+
+    await foodService.addFood({ item: 'Oats', amount: 100, calories: 380, carbs: 66, protein: 13, proteinGeneral: 16, fat: 7 }, userId);
+    const csv = 'name,amount,kcal\noats,100,375\nRice,100,130\nrice,100,131\nBad,0,1\n';
+
+    try {
+        await runTest('A dry run reports what would happen and saves nothing', async () => {
+            const { status, data } = await importCsv({ csv, dryRun: true });
+            assert.strictEqual(status, 200);
+            assert.deepStrictEqual(data.summary, { rows: 4, invalid: 2, duplicates: 1, added: 1, updated: 0, skipped: 3 });
+            assert.deepStrictEqual(data.preview.map(row => row.status), ['duplicate', 'new', 'invalid', 'invalid']);
+            assert.strictEqual(data.errors[0].error, 'Same item as line 3');
+            assert.deepStrictEqual(await userFoods(), [['Oats', 380]]);
+        });
+
+        await runTest('skip leaves foods with the same name alone', async () => {
+            const { data } = await importCsv({ csv: 'name,amount,kcal\noats,100,375\nRice,100,130\n' });
+            assert.strictEqual(data.summary.added, 1);
+            assert.strictEqual(data.summary.skipped, 1);
+            assert.deepStrictEqual(await userFoods(), [['Oats', 380], ['Rice', 130]]);
+        });
+
+        await runTest('update replaces the existing food', async () => {
+            const { data } = await importCsv({ csv: 'name,amount,kcal\nOATS,100,375\n', duplicates: 'update' });
+            assert.deepStrictEqual([data.summary.added, data.summary.updated], [0, 1]);
+            assert.deepStrictEqual(await userFoods(), [['OATS', 375], ['Rice', 130]]);
+        });
+
+        await runTest('add keeps the existing food and adds another', async () => {
+            const { data } = await importCsv({ csv: 'name,amount,kcal\nrice,100,131\n', duplicates: 'add' });
+            assert.deepStrictEqual([data.summary.added, data.summary.updated], [1, 0]);
+            assert.deepStrictEqual((await userFoods()).filter(([item]) => item.toLowerCase() === 'rice'), [['Rice', 130], ['rice', 131]]);
+        });
+
+        await runTest('Bad requests are rejected before anything is read', async () => {
+            assert.strictEqual((await importCsv({ csv, duplicates: 'merge' })).status, 400);
+            assert.strictEqual((await importCsv({ csv: '' })).status, 400);
+            assert.strictEqual((await importCsv({ csv, mapping: { item: 'missing' } })).status, 400);
+            const missing = await importCsv({ csv: 'name,kcal\nOats,380\n' });
+            assert.strictEqual(missing.status, 400);
+            assert.match(missing.data.error, /amount/);
+        });
+
+        await runTest('A chosen column replaces the recognized one', async () => {
+            const { data } = await importCsv({ csv: 'name,label,amount\nx,Lentils,100\n', mapping: { item: 'label' }, dryRun: true });
+            assert.strictEqual(data.mapping.item, 'label');
+            assert.strictEqual(data.preview[0].food.item, 'Lentils');
+        });
+
+        await runTest('Exported foods are found as duplicates when imported again', async () => {
+            const response = await fetch(`${app.url}/export?scope=user`, { headers: { Authorization: `Bearer ${token}` } });
+            assert.match(response.headers.get('content-disposition'), /foods-\d{4}-\d{2}-\d{2}\.csv/);
+            const { data } = await importCsv({ csv: await response.text(), dryRun: true });
+            assert.deepStrictEqual(data.summary, { rows: 3, invalid: 1, duplicates: 2, added: 0, updated: 0, skipped: 3 });
+        });
+    } finally {
+        await app.close();
+    }
+}
+
+runSuite(testFoodCsv);
@@ -0,0 +1,100 @@
+// Tests for addressing foods by source and stable ID (src/database/foodService.js)
+const assert = require('assert');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, createTestUser, runSuite } = require('./testUtils');
+
+useTestDatabase('food-ids');
+
+const food = (item, calories) => ({ item, amount: 100, calories, carbs: 10, protein: 5, proteinGeneral: 5, fat: 2 });
+
+async function testFoodIds() {
+    logSection('FOOD IDS TEST SUITE');
+
+    await setupTestDatabase();
+    const { query } = require('../src/database/connection');
+    const foodService = require('../src/database/foodService');
+    const userId = await createTestUser();
+    const otherUserId = await createTestUser();
+
+    await query(`DELETE FROM foods`);
+    const globalResult = await query(`
+        INSERT INTO foods (item, amount, calories, carbs, protein, protein_general, fat)
+        VALUES ('Banana', 100, 89, 23, 1.1, 1.1, 0.3)
+    `);
+    const bananaId = globalResult.lastInsertRowid;
+
+    logSubsection('User foods');
+
+    let appleId;
+    await runTest('A user food is found by its ID, only for its owner', async () => {
+        assert.strictEqual(await foodService.addFood(food('Apple', 52), userId), true);
+        appleId = (await foodService.getAllFoods(userId)).find(row => row.item === 'Apple').id;
+
+        const apple = await foodService.getFoodById('user', appleId, userId);
+        assert.strictEqual(apple.item, 'Apple');
+        assert.strictEqual(apple.isCustom, true);
+        assert.strictEqual(await foodService.getFoodById('user', appleId, otherUserId), null);
+    });
+
+    await runTest('IDs stay valid when other foods are added before them', async () => {
+        await foodService.addFood(food('Aardvark chow', 10), userId);
+        const updated = await foodService.updateFoodById('user', appleId, food('Apple, red', 55), userId);
+        assert.strictEqual(updated.id, appleId);
+        assert.strictEqual(updated.item, 'Apple, red');
+        assert.strictEqual(await foodService.updateFoodById('user', appleId, food('Stolen', 1), otherUserId), null);
+    });
+
+    await runTest('Deleting a user food removes it', async () => {
+        assert.strictEqual(await foodService.deleteFoodById('user', appleId, otherUserId), false);
+        assert.strictEqual(await foodService.deleteFoodById('user', appleId, userId), true);
+        assert.strictEqual(await foodService.getFoodById('user', appleId, userId), null);
+    });
+
+    logSubsection('Global foods');
+
+    await runTest('Editing a global food makes the user a copy and leaves others alone', async () => {
+        const copy = await foodService.updateFoodById('global', bananaId, food('Banana', 95), userId);
+        assert.strictEqual(copy.source, 'user');
+        assert.notStrictEqual(copy.id, bananaId);
+
+        const current = await foodService.getCurrentFood('global', bananaId, userId);
+        assert.strictEqual(current.id, copy.id);
+        assert.strictEqual(current.calories, 95);
+
+        const othersBanana = await foodService.getCurrentFood('global', bananaId, otherUserId);
+        assert.strictEqual(othersBanana.source, 'global');
+        assert.strictEqual(othersBanana.calories, 89);
+    });
+
+    await runTest('Deleting a global food only hides it for that user', async () => {
+        assert.strictEqual(await foodService.deleteFoodById('global', bananaId, otherUserId), true);
+        assert.strictEqual(await foodService.getCurrentFood('global', bananaId, otherUserId), null);
+        assert.ok(!(await foodService.getAllFoods(otherUserId)).some(row => row.item === 'Banana'));
+        assert.ok(await foodService.getFoodById('global', bananaId, userId));
+    });
+
+    await runTest('Lists and searches leave out edited and hidden global foods by ID', async () => {
+        const mangoId = (await query(`INSERT INTO foods (item, amount, calories) VALUES ('Mango', 100, 60)`)).lastInsertRowid;
+        const papayaId = (await query(`INSERT INTO foods (item, amount, calories) VALUES ('Papaya', 100, 43)`)).lastInsertRowid;
+        // A renamed copy still replaces the global food
+        await foodService.updateFoodById('global', mangoId, food('Mango, ripe', 65), userId);
+        await foodService.deleteFoodById('global', papayaId, userId);
+
+        const listed = (await foodService.getAllFoods(userId)).map(row => `${row.source}:${row.item}`);
+        assert.ok(listed.includes('user:Mango, ripe'));
+        assert.ok(!listed.includes('global:Mango'));
+        assert.ok(!listed.includes('global:Papaya'));
+        assert.deepStrictEqual((await foodService.searchFoods('a', userId)).map(row => `${row.source}:${row.item}`).filter(item => /Mango|Papaya/.test(item)), ['user:Mango, ripe']);
+        assert.deepStrictEqual((await foodService.searchFoods('Papaya', otherUserId)).map(row => row.id), [papayaId]);
+    });
+
+    await runTest('Copies made before global food IDs still match by name', async () => {
+        const kiwiId = (await query(`INSERT INTO foods (item, amount, calories) VALUES ('Kiwi', 100, 61)`)).lastInsertRowid;
+        await query(`INSERT INTO user_foods (user_id, item, amount, calories, is_custom, is_deleted) VALUES (?, 'Kiwi', 100, 61, 0, 1)`, [userId]);
+
+        assert.ok(!(await foodService.getAllFoods(userId)).some(row => row.item === 'Kiwi'));
+        assert.deepStrictEqual(await foodService.searchFoods('Kiwi', userId), []);
+        assert.strictEqual(await foodService.getCurrentFood('global', kiwiId, userId), null);
+    });
+}
+
+runSuite(testFoodIds);
@@ -0,0 +1,76 @@
+// Tests for diary items linked to their source food: finding items whose food
+// has changed since they were logged and re-applying the food's current values
+const assert = require('assert');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, createTestUser, runSuite } = require('./testUtils');
+
+useTestDatabase('food-links');
+
+const { withFoodLink } = require('../src/utils/foodLinks');
+
+async function testFoodLinks() {
+    logSection('FOOD LINKS TEST SUITE');
+
+    logSubsection('Link validation');
+
+    await runTest('withFoodLink keeps only links to a known source and a positive ID', () => {
+        assert.deepStrictEqual(withFoodLink({ name: 'Oats', foodId: '12', foodSource: 'user' }), { name: 'Oats', foodId: 12, foodSource: 'user' });
+        assert.deepStrictEqual(withFoodLink({ name: 'Oats', foodId: 12, foodSource: 'shop' }), { name: 'Oats', foodId: null, foodSource: null });
+        assert.deepStrictEqual(withFoodLink({ name: 'Oats', foodId: 0, foodSource: 'global' }), { name: 'Oats', foodId: null, foodSource: null });
+        assert.deepStrictEqual(withFoodLink({ name: 'Oats' }), { name: 'Oats', foodId: null, foodSource: null });
+    });
+
+    logSubsection('Changed foods');
+
+    await setupTestDatabase();
+    const foodService = require('../src/database/foodService');
+    const mealService = require('../src/database/mealService');
+    const userId = await createTestUser();
+    const day = '2026-10-19';
+
+    await foodService.addFood({ item: 'Oats', amount: 100, calories: 380, carbs: 66, protein: 13, proteinGeneral: 16, fat: 7 }, userId);
+    const oats = (await foodService.getAllFoods(userId)).find(row => row.item === 'Oats');
+
+    // 50 g of oats, logged from the food
+    const linked = await mealService.addMealItem(userId, day, 1, {
+        name: 'Oats', amount: 50, calories: 190, carbs: 33, protein: 6.5, proteinG: 8, fat: 3.5, foodId: oats.id, foodSource: 'user'
+    }, '08:00');
+    // An unlinked item is never reported
+    await mealService.addMealItem(userId, day, 1, { name: 'Oats', amount: 50, calories: 1 }, '08:00');
+
+    await runTest('Unchanged foods report no changes', async () => {
+        assert.deepStrictEqual(await mealService.getFoodChanges(userId), []);
+    });
+
+    await runTest('Rounding from the diary precision is not a change', async () => {
+        await foodService.updateFoodById('user', oats.id, { item: 'Oats', amount: 100, calories: 380.6, carbs: 66, protein: 13, proteinGeneral: 16, fat: 7 }, userId);
+        assert.deepStrictEqual(await mealService.getFoodChanges(userId), []);
+    });
+
+    await runTest('An edited food shows its values scaled to the logged amount', async () => {
+        await foodService.updateFoodById('user', oats.id, { item: 'Rolled oats', amount: 100, calories: 400, carbs: 60, protein: 14, proteinGeneral: 17, fat: 8 }, userId);
+        const changes = await mealService.getFoodChanges(userId);
+        assert.strictEqual(changes.length, 1);
+        assert.strictEqual(changes[0].itemId, linked.id);
+        assert.strictEqual(changes[0].day, day);
+        assert.strictEqual(changes[0].current.calories, 190);
+        assert.deepStrictEqual(
+            [changes[0].updated.name, changes[0].updated.calories, changes[0].updated.carbs, changes[0].updated.fat],
+            ['Rolled oats', 200, 30, 4]
+        );
+        assert.deepStrictEqual(await mealService.getFoodChanges(userId, '2026-10-20'), []);
+    });
+
+    await runTest('Applying the changes updates the diary item', async () => {
+        assert.strictEqual(await mealService.applyFoodChanges(userId), 1);
+        const item = (await mealService.getUserDayMeals(userId, day)).meals[0].items.find(row => row.id === linked.id);
+        assert.deepStrictEqual([item.name, item.amount, item.calories], ['Rolled oats', 50, 200]);
+        assert.deepStrictEqual(await mealService.getFoodChanges(userId), []);
+    });
+
+    await runTest('Items from a deleted food are left alone', async () => {
+        await foodService.deleteFoodById('user', oats.id, userId);
+        assert.deepStrictEqual(await mealService.getFoodChanges(userId), []);
+    });
+}
+
+runSuite(testFoodLinks);
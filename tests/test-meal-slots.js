@@ -0,0 +1,106 @@
+// Tests for per-user meal slots (src/database/mealSlotService.js) and the
+// multi-statement migrations that added them (src/database/migrations.js)
+const assert = require('assert');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, createTestUser, runSuite } = require('./testUtils');
+
+useTestDatabase('meal-slots');
+
+async function testMealSlots() {
+    logSection('MEAL SLOTS TEST SUITE');
+
+    await setupTestDatabase();
+    const mealSlotService = require('../src/database/mealSlotService');
+    const mealService = require('../src/database/mealService');
+    const userId = await createTestUser();
+
+    logSubsection('Default and new slots');
+
+    await runTest('New users get the six default slots', async () => {
+        const slots = await mealSlotService.getUserSlots(userId);
+        assert.deepStrictEqual(slots.map(slot => slot.id), [1, 2, 3, 4, 5, 6]);
+        assert.deepStrictEqual(slots.map(slot => slot.defaultTime), ['08:00', '11:00', '14:00', '17:00', '20:00', '23:00']);
+        assert.strictEqual(slots[0].name, 'Meal 1');
+        assert.strictEqual(slots[0].customName, false);
+    });
+
+    await runTest('An added slot goes last, three hours after the previous one', async () => {
+        const slot = await mealSlotService.addSlot(userId, { name: 'Late snack' });
+        assert.strictEqual(slot.id, 7);
+        assert.strictEqual(slot.position, 7);
+        assert.strictEqual(slot.defaultTime, '02:00');
+        assert.strictEqual(slot.customName, true);
+    });
+
+    await runTest('Renaming to an empty name goes back to the numbered name', async () => {
+        const renamed = await mealSlotService.updateSlot(userId, 2, { name: 'Snack', defaultTime: '10:30' });
+        assert.strictEqual(renamed.name, 'Snack');
+        assert.strictEqual(renamed.defaultTime, '10:30');
+
+        const cleared = await mealSlotService.updateSlot(userId, 2, { name: '' });
+        assert.strictEqual(cleared.name, 'Meal 2');
+        assert.strictEqual(cleared.defaultTime, '10:30');
+    });
+
+    logSubsection('Removing and reordering');
+
+    await runTest('Removing a slot closes the gap and never reuses its number', async () => {
+        assert.strictEqual(await mealSlotService.deleteSlot(userId, 3), true);
+        const slots = await mealSlotService.getUserSlots(userId);
+        assert.deepStrictEqual(slots.map(slot => slot.id), [1, 2, 4, 5, 6, 7]);
+        assert.deepStrictEqual(slots.map(slot => slot.position), [1, 2, 3, 4, 5, 6]);
+
+        const added = await mealSlotService.addSlot(userId);
+        assert.strictEqual(added.id, 8);
+        assert.strictEqual(await mealSlotService.updateSlot(userId, 3, { name: 'Gone' }), null);
+    });
+
+    await runTest('Reordering sets positions from the list', async () => {
+        assert.strictEqual(await mealSlotService.reorderSlots(userId, [8, 1, 2, 4, 5, 6, 7]), true);
+        const slots = await mealSlotService.getUserSlots(userId);
+        assert.deepStrictEqual(slots.map(slot => slot.id), [8, 1, 2, 4, 5, 6, 7]);
+    });
+
+    await runTest('A removed slot still shows on days that logged food in it', async () => {
+        const otherUser = await createTestUser();
+        await mealSlotService.getUserSlots(otherUser);
+        assert.ok(await mealService.addMealItem(otherUser, '2026-10-19', 4, { name: 'Apple', amount: 150, calories: 80 }, '17:00'));
+        await mealSlotService.deleteSlot(otherUser, 4);
+
+        const logged = await mealService.getUserDayMeals(otherUser, '2026-10-19');
+        const empty = await mealService.getUserDayMeals(otherUser, '2026-10-20');
+        assert.ok(logged.meals.some(meal => meal.id === 4 && meal.items.length === 1));
+        assert.ok(!empty.meals.some(meal => meal.id === 4));
+    });
+
+    await runTest('nextTimeAfter wraps around midnight', () => {
+        assert.strictEqual(mealSlotService.nextTimeAfter('22:15'), '01:15');
+        assert.strictEqual(mealSlotService.nextTimeAfter(null), '08:00');
+        assert.strictEqual(mealSlotService.nextTimeAfter('noon'), '08:00');
+    });
+
+    logSubsection('Migrations');
+
+    await runTest('A migration failing part way is undone and can run again', async () => {
+        const { query } = require('../src/database/connection');
+        const migrations = require('../src/database/migrations');
+        const migration = {
+            version: 9999,
+            name: 'test_partial_migration',
+            description: 'Adds a column, then fails',
+            up: ['ALTER TABLE user_meal_slots ADD COLUMN test_color TEXT;', 'ALTER TABLE no_such_table ADD COLUMN test_color TEXT;']
+        };
+        const hasColumn = async () => (await query('PRAGMA table_info(user_meal_slots)')).rows.some(column => column.name === 'test_color');
+        const recorded = async () => (await query('SELECT COUNT(*) AS count FROM migration_history WHERE version = 9999')).rows[0].count;
+
+        await assert.rejects(migrations.runMigration(migration));
+        assert.strictEqual(await hasColumn(), false);
+        assert.strictEqual(await recorded(), 0);
+
+        migration.up = migration.up.slice(0, 1);
+        assert.strictEqual(await migrations.runMigration(migration), true);
+        assert.strictEqual(await hasColumn(), true);
+        assert.strictEqual(await recorded(), 1);
+    });
+}
+
+runSuite(testMealSlots);
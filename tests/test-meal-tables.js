@@ -0,0 +1,121 @@
+// Tests for diary meals stored in the meals and meal_items tables
+// (src/database/mealService.js) and the move from the old user_meals rows
+const assert = require('assert');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, createTestUser, runSuite } = require('./testUtils');
+
+useTestDatabase('meal-tables');
+
+async function testMealTables() {
+    logSection('MEAL TABLES TEST SUITE');
+
+    await setupTestDatabase();
+    const { query } = require('../src/database/connection');
+    const { initializeDatabase } = require('../src/database/init');
+    const mealService = require('../src/database/mealService');
+    const userId = await createTestUser();
+    const otherUserId = await createTestUser();
+    const day = '2026-10-19';
+
+    logSubsection('Meal items');
+
+    let itemId;
+    await runTest('Adding the first item creates the meal with its time', async () => {
+        const added = await mealService.addMealItem(userId, day, 2, { name: 'Yogurt', baseAmount: 150, calories: 90, protein: 15 }, '10:15');
+        itemId = added.id;
+        assert.strictEqual(added.amount, 150);
+
+        const meal = (await mealService.getUserDayMeals(userId, day)).meals.find(meal => meal.id === 2);
+        assert.strictEqual(meal.time, '10:15');
+        assert.deepStrictEqual(meal.items.map(item => [item.name, item.amount, item.calories]), [['Yogurt', 150, 90]]);
+
+        const meals = await query('SELECT COUNT(*) as count FROM meals WHERE user_id = ?', [userId]);
+        assert.strictEqual(meals.rows[0].count, 1);
+    });
+
+    await runTest('A later item keeps the meal time that was already set', async () => {
+        await mealService.addMealItem(userId, day, 2, { name: 'Berries', amount: 50, calories: 25 }, '11:00');
+        const meal = (await mealService.getUserDayMeals(userId, day)).meals.find(meal => meal.id === 2);
+        assert.strictEqual(meal.time, '10:15');
+        assert.deepStrictEqual(meal.items.map(item => item.name), ['Yogurt', 'Berries']);
+    });
+
+    await runTest('Items can only be changed by their owner on their day', async () => {
+        assert.strictEqual(await mealService.updateMealItem(otherUserId, day, itemId, { name: 'Hacked', amount: 1 }), null);
+        assert.strictEqual(await mealService.updateMealItem(userId, '2026-10-20', itemId, { name: 'Moved', amount: 1 }), null);
+        assert.strictEqual(await mealService.deleteMealItem(otherUserId, day, itemId), false);
+
+        const updated = await mealService.updateMealItem(userId, day, itemId, { name: 'Greek yogurt', amount: 200, calories: 120 });
+        assert.strictEqual(updated.name, 'Greek yogurt');
+        const meal = (await mealService.getUserDayMeals(userId, day)).meals.find(meal => meal.id === 2);
+        assert.strictEqual(meal.items[0].name, 'Greek yogurt');
+        assert.strictEqual(meal.items[0].amount, 200);
+    });
+
+    await runTest('Setting a meal time works before the meal has items', async () => {
+        assert.strictEqual(await mealService.setMealTime(userId, day, 5, '19:45'), true);
+        const meal = (await mealService.getUserDayMeals(userId, day)).meals.find(meal => meal.id === 5);
+        assert.strictEqual(meal.time, '19:45');
+        assert.strictEqual(meal.items.length, 0);
+    });
+
+    await runTest('Clearing a meal removes its items but keeps its time', async () => {
+        assert.strictEqual(await mealService.deleteAllMealItems(userId, day, 2), true);
+        const meal = (await mealService.getUserDayMeals(userId, day)).meals.find(meal => meal.id === 2);
+        assert.strictEqual(meal.items.length, 0);
+        assert.strictEqual(meal.time, '10:15');
+        assert.strictEqual(await mealService.countDayItems(userId, day), 0);
+    });
+
+    logSubsection('Moving user_meals rows');
+
+    await runTest('Old rows become meals, with times from the placeholder rows', async () => {
+        const legacyUser = await createTestUser();
+        const insert = (mealId, time, food, calories) => query(`
+            INSERT INTO user_meals (user_id, day, meal_time, meal_id, food_item, amount, calories)
+            VALUES (?, 'monday', ?, ?, ?, 100, ?)
+        `, [legacyUser, time, mealId, food, calories]);
+        await insert(1, '07:30', '__MEAL_TIME_PLACEHOLDER__MEAL_1', 0);
+        await insert(1, '08:00', 'Porridge', 350);
+        await insert(1, '08:00', 'Coffee', 5);
+        await insert(3, '13:00', 'Soup', 250);
+
+        await query('DELETE FROM migrations WHERE migration_name = ?', ['normalize_meal_tables']);
+        await initializeDatabase();
+
+        const dayData = await mealService.getUserDayMeals(legacyUser, 'monday');
+        const breakfast = dayData.meals.find(meal => meal.id === 1);
+        const lunch = dayData.meals.find(meal => meal.id === 3);
+        assert.strictEqual(breakfast.time, '07:30');
+        assert.deepStrictEqual(breakfast.items.map(item => item.name), ['Porridge', 'Coffee']);
+        assert.strictEqual(lunch.time, '13:00');
+        assert.deepStrictEqual(lunch.items.map(item => [item.name, item.calories]), [['Soup', 250]]);
+    });
+
+    await runTest('A move that fails part way is undone and runs again on the next start', async () => {
+        const legacyUser = await createTestUser();
+        await query(`
+            INSERT INTO user_meals (user_id, day, meal_time, meal_id, food_item, amount, calories)
+            VALUES (?, 'tuesday', '19:00', 5, 'Stew', 300, 450)
+        `, [legacyUser]);
+        const completed = async () => (await query("SELECT COUNT(*) AS count FROM migrations WHERE migration_name = 'normalize_meal_tables'")).rows[0].count;
+
+        // The meals are created before the items fail
+        await query('DELETE FROM migrations WHERE migration_name = ?', ['normalize_meal_tables']);
+        await query(`
+            CREATE TRIGGER fail_item_move BEFORE INSERT ON meal_items
+            BEGIN SELECT RAISE(ABORT, 'move failed'); END
+        `);
+        await initializeDatabase();
+        assert.strictEqual((await query('SELECT COUNT(*) AS count FROM meals WHERE user_id = ?', [legacyUser])).rows[0].count, 0);
+        assert.strictEqual(await completed(), 0);
+
+        await query('DROP TRIGGER fail_item_move');
+        await initializeDatabase();
+        await initializeDatabase();
+        const dinner = (await mealService.getUserDayMeals(legacyUser, 'tuesday')).meals.find(meal => meal.id === 5);
+        assert.deepStrictEqual(dinner.items.map(item => item.name), ['Stew']);
+        assert.strictEqual(await completed(), 1);
+    });
+}
+
+runSuite(testMealTables);
@@ -0,0 +1,86 @@
+// Tests for optional micronutrients (src/utils/nutrients.js) on foods and diary items
+const assert = require('assert');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, createTestUser, runSuite } = require('./testUtils');
+
+useTestDatabase('micronutrients');
+
+const {
+    MICRONUTRIENTS,
+    MICRONUTRIENT_COLUMNS,
+    readMicronutrients,
+    cleanMicronutrients,
+    micronutrientValues,
+    scaleMicronutrients,
+    sumMicronutrients
+} = require('../src/utils/nutrients');
+
+async function testMicronutrients() {
+    logSection('MICRONUTRIENTS TEST SUITE');
+
+    logSubsection('Helpers');
+
+    await runTest('Unknown values are left out, not read as 0', () => {
+        assert.deepStrictEqual(readMicronutrients({ fiber: 0, sodium: 120, vitamin_b12: null, sugar: undefined }), { fiber: 0, sodium: 120 });
+    });
+
+    await runTest('cleanMicronutrients keeps only known, non-negative numbers', () => {
+        assert.deepStrictEqual(
+            cleanMicronutrients({ fiber: 4, sugar: -1, sodium: '200', iron: Infinity, vitaminC: 0, caffeine: 80 }),
+            { fiber: 4, vitaminC: 0 }
+        );
+        assert.deepStrictEqual(cleanMicronutrients(null), {});
+        assert.deepStrictEqual(cleanMicronutrients('fiber'), {});
+    });
+
+    await runTest('micronutrientValues gives one value per column, null when unknown', () => {
+        const values = micronutrientValues({ sodium: 120, fiber: 0 });
+        assert.strictEqual(values.length, MICRONUTRIENT_COLUMNS.length);
+        assert.strictEqual(values[MICRONUTRIENTS.findIndex(nutrient => nutrient.key === 'sodium')], 120);
+        assert.strictEqual(values[MICRONUTRIENTS.findIndex(nutrient => nutrient.key === 'fiber')], 0);
+        assert.strictEqual(values.filter(value => value === null).length, MICRONUTRIENT_COLUMNS.length - 2);
+    });
+
+    await runTest('Scaling and summing round to 0.1 and keep only known nutrients', () => {
+        assert.deepStrictEqual(scaleMicronutrients({ fiber: 3.3, sodium: 95 }, 1 / 3), { fiber: 1.1, sodium: 31.7 });
+        assert.deepStrictEqual(sumMicronutrients([{ fiber: 1.15 }, null, { fiber: 2, iron: 0.4 }]), { fiber: 3.2, iron: 0.4 });
+        assert.deepStrictEqual(sumMicronutrients([]), {});
+    });
+
+    logSubsection('Foods and diary items');
+
+    await setupTestDatabase();
+    const foodService = require('../src/database/foodService');
+    const mealService = require('../src/database/mealService');
+    const userId = await createTestUser();
+    const day = '2026-10-19';
+
+    await runTest('Foods store only the micronutrients that were entered', async () => {
+        await foodService.addFood({ item: 'Lentils', amount: 100, calories: 116, carbs: 20, protein: 9, proteinGeneral: 9, fat: 0.4, micronutrients: { fiber: 7.9, iron: 3.3, sugar: -2 } }, userId);
+        const lentils = (await foodService.getAllFoods(userId)).find(food => food.item === 'Lentils');
+        assert.deepStrictEqual(lentils.micronutrients, { fiber: 7.9, iron: 3.3 });
+    });
+
+    await runTest('Editing a food without micronutrients keeps the stored ones', async () => {
+        const lentils = (await foodService.getAllFoods(userId)).find(food => food.item === 'Lentils');
+        const updated = await foodService.updateFoodById('user', lentils.id, { item: 'Red lentils', amount: 100, calories: 116, carbs: 20, protein: 9, proteinGeneral: 9, fat: 0.4 }, userId);
+        assert.deepStrictEqual(updated.micronutrients, { fiber: 7.9, iron: 3.3 });
+    });
+
+    await runTest('Diary items keep their micronutrients through edits and copies', async () => {
+        const item = await mealService.addMealItem(userId, day, 1, { name: 'Lentils', amount: 200, calories: 232, micronutrients: { fiber: 15.8 } }, '12:00');
+        await mealService.updateMealItem(userId, day, item.id, { name: 'Lentils', amount: 200, calories: 232 });
+        let stored = (await mealService.getUserDayMeals(userId, day)).meals[0].items[0];
+        assert.deepStrictEqual(stored.micronutrients, { fiber: 15.8 });
+
+        await mealService.updateMealItem(userId, day, item.id, { name: 'Lentils', amount: 200, calories: 232, micronutrients: {} });
+        stored = (await mealService.getUserDayMeals(userId, day)).meals[0].items[0];
+        assert.deepStrictEqual(stored.micronutrients, {});
+
+        await mealService.updateMealItem(userId, day, item.id, { name: 'Lentils', amount: 200, calories: 232, micronutrients: { iron: 6.6 } });
+        await mealService.copyDay(userId, day, '2026-10-20');
+        const copied = (await mealService.getUserDayMeals(userId, '2026-10-20')).meals[0].items[0];
+        assert.deepStrictEqual(copied.micronutrients, { iron: 6.6 });
+    });
+}
+
+runSuite(testMicronutrients);
@@ -0,0 +1,145 @@
+// Tests for nutrition over a date range grouped by day, week or month
+// (mealService.getUserMealsBetween, reportService.getNutritionBreakdown, GET /api/reports/nutrition)
+const assert = require('assert');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, createTestUser, createAuthToken, startTestApp, requestJson, runSuite } = require('./testUtils');
+
+useTestDatabase('nutrition-breakdown');
+
+async function testNutritionBreakdown() {
+    logSection('NUTRITION BREAKDOWN TEST SUITE');
+
+    await setupTestDatabase();
+    const settingsService = require('../src/database/settingsService');
+    const mealService = require('../src/database/mealService');
+    const dailyMacroService = require('../src/database/dailyMacroService');
+    const reportService = require('../src/services/reportService');
+    const { getWeekDateKeys } = require('../src/utils/dayKeys');
+    const reportsRoutes = require('../src/routes/reportsRoutes');
+
+    const userId = await createTestUser();
+    const otherUserId = await createTestUser();
+    const current = await settingsService.getUserSettings(userId);
+    await settingsService.saveUserSettings(userId, { ...current, weight: '80', totalCalories: 2000, addExerciseCalories: false });
+
+    // 2026-09-28 is a Monday; the range ends on Tuesday 2026-10-06
+    await mealService.addMealItem(userId, '2026-09-30', 1, { name: 'Oats', amount: 100, calories: 500, protein: 20, fat: 10, carbs: 80 }, '08:00');
+    await mealService.addMealItem(userId, '2026-09-30', 3, { name: 'Pasta', amount: 400, calories: 1500, protein: 60, fat: 40, carbs: 220 }, '14:00');
+    await dailyMacroService.saveDailyMacros(userId, '2026-09-30', { proteinLevel: 2, fatLevel: 1, calorieAdjustment: 100 });
+    await mealService.addMealItem(userId, '2026-10-02', 1, { name: 'Toast', amount: 100, calories: 400, protein: 12, fat: 8, carbs: 60 }, '08:00');
+    await mealService.addMealItem(userId, '2026-10-05', 5, { name: 'Curry', amount: 350, calories: 1000, protein: 40, fat: 30, carbs: 130 }, '20:00');
+    // Neither the weekday template nor another user's diary is part of the range
+    await mealService.addMealItem(userId, 'monday', 1, { name: 'Template', amount: 100, calories: 999 }, '08:00');
+    await mealService.addMealItem(otherUserId, '2026-09-30', 1, { name: 'Someone else', amount: 100, calories: 777 }, '08:00');
+
+    logSubsection('Meals for a date range');
+
+    await runTest('Every day in the range has the same data as when it\'s loaded alone', async () => {
+        const days = await mealService.getUserMealsBetween(userId, '2026-09-28', '2026-10-06');
+        assert.strictEqual(days.size, 9);
+        for (const date of ['2026-09-28', '2026-09-30', '2026-10-05']) {
+            assert.deepStrictEqual(days.get(date), await mealService.getUserDayMeals(userId, date), date);
+        }
+        assert.strictEqual(days.get('2026-09-30').calorieAdjustment, 100);
+    });
+
+    await runTest('Weekday templates and other users\' meals are left out', async () => {
+        const days = await mealService.getUserMealsBetween(userId, '2026-09-28', '2026-10-06');
+        const names = [...days.values()].flatMap(day => day.meals.flatMap(meal => meal.items.map(item => item.name)));
+        assert.deepStrictEqual(names.sort(), ['Curry', 'Oats', 'Pasta', 'Toast']);
+    });
+
+    logSubsection('Grouping');
+
+    const breakdown = (groupBy) => reportService.getNutritionBreakdown(userId, '2026-09-28', '2026-10-06', groupBy);
+
+    await runTest('Days are their own periods', async () => {
+        const report = await breakdown('day');
+        assert.strictEqual(report.periods.length, 9);
+        assert.ok(report.periods.every(period => period.period === period.from && period.from === period.to && period.days === 1));
+        assert.deepStrictEqual(report.periods.filter(period => period.daysLogged).map(period => period.period), ['2026-09-30', '2026-10-02', '2026-10-05']);
+    });
+
+    await runTest('Weeks run Sunday to Saturday, keyed by their Sunday and cut at the range', async () => {
+        const report = await breakdown('week');
+        assert.deepStrictEqual(report.periods.map(period => [period.period, period.from, period.to, period.days]), [
+            ['2026-09-27', '2026-09-28', '2026-10-03', 6],
+            ['2026-10-04', '2026-10-04', '2026-10-06', 3]
+        ]);
+        assert.deepStrictEqual(report.periods.map(period => period.totals.calories), [2400, 1000]);
+    });
+
+    await runTest('Months are keyed by year and month', async () => {
+        const report = await breakdown('month');
+        assert.deepStrictEqual(report.periods.map(period => [period.period, period.days, period.daysLogged]), [['2026-09', 3, 1], ['2026-10', 6, 2]]);
+    });
+
+    logSubsection('Totals and goals');
+
+    await runTest('Totals and goals cover the whole range, with the daily adjustments', async () => {
+        const { total } = await breakdown('week');
+        assert.strictEqual(total.days, 9);
+        assert.strictEqual(total.daysLogged, 3);
+        assert.strictEqual(total.totals.calories, 3400);
+        assert.strictEqual(total.totals.protein, 132);
+        assert.strictEqual(total.goals.calories, 9 * 2000 + 100);
+        assert.strictEqual(total.goals.adjustment, 100);
+        assert.strictEqual(total.adherence.calories, (3400 / 18100) * 100);
+        assert.strictEqual(total.status, 'needs-improvement');
+    });
+
+    await runTest('Macro goals come from each day\'s g/kg levels', async () => {
+        const { periods } = await breakdown('day');
+        const day = periods.find(period => period.period === '2026-09-30');
+        assert.strictEqual(day.goals.calories, 2100);
+        assert.strictEqual(day.goals.protein, 160);
+        assert.strictEqual(day.goals.fat, 80);
+        // The calories left over after the protein and fat targets
+        assert.strictEqual(day.goals.carbs, (2100 - 160 * 4 - 80 * 9) / 4);
+        assert.strictEqual(day.adherence.calories, (2000 / 2100) * 100);
+        assert.strictEqual(day.status, 'excellent');
+        assert.strictEqual(day.daysOnTrack, 1);
+    });
+
+    await runTest('Meals are summed over the period in diary order with their share', async () => {
+        const { total } = await breakdown('month');
+        assert.deepStrictEqual(total.meals.map(meal => [meal.id, meal.calories, meal.days]), [[1, 900, 2], [3, 1500, 1], [5, 1000, 1]]);
+        assert.strictEqual(total.meals[0].share, (900 / 3400) * 100);
+        assert.ok(total.meals.every(meal => meal.position === undefined));
+    });
+
+    logSubsection('Route');
+
+    const app = await startTestApp('/api/reports', reportsRoutes);
+    const get = async (path) => requestJson(`${app.url}${path}`, { token: await createAuthToken(userId) });
+
+    try {
+        await runTest('Date ranges and groupings are checked', async () => {
+            assert.strictEqual((await get('/nutrition?from=2026-09-28')).status, 400);
+            assert.strictEqual((await get('/nutrition?from=2026-10-06&to=2026-09-28')).status, 400);
+            assert.strictEqual((await get('/nutrition?from=2025-01-01&to=2026-10-06')).status, 400);
+            assert.strictEqual((await get('/nutrition?from=1000-01-01&to=9999-12-31')).data.error, 'Date range can be at most 366 days');
+            assert.strictEqual((await get('/nutrition?from=2026-09-28&to=2026-10-06&groupBy=year')).status, 400);
+        });
+
+        await runTest('The report is returned for the range', async () => {
+            const { status, data } = await get('/nutrition?from=2026-09-28&to=2026-10-06&groupBy=month');
+            assert.strictEqual(status, 200);
+            assert.strictEqual(data.groupBy, 'month');
+            assert.strictEqual(data.total.totals.calories, 3400);
+            assert.strictEqual(data.hydration.days.length, 9);
+        });
+
+        await runTest('Without a range the report covers the current week by day', async () => {
+            const { data } = await get('/nutrition');
+            const week = getWeekDateKeys();
+            assert.strictEqual(data.from, week.sunday);
+            assert.strictEqual(data.to, week.saturday);
+            assert.strictEqual(data.groupBy, 'day');
+            assert.strictEqual(data.periods.length, 7);
+        });
+    } finally {
+        await app.close();
+    }
+}
+
+runSuite(testNutritionBreakdown);
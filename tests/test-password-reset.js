@@ -0,0 +1,161 @@
+// Tests for resetting a forgotten password (src/database/passwordResetService.js,
+// POST /api/auth/forgot-password and POST /api/auth/reset-password)
+const assert = require('assert');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, createTestUser, startTestApp, requestJson, runSuite } = require('./testUtils');
+
+useTestDatabase('password-reset');
+
+const EmailService = require('../src/services/emailService');
+
+// Keep the reset emails instead of sending them
+const sentEmails = [];
+EmailService.prototype.sendPasswordResetEmail = async function (resetData) {
+    sentEmails.push(resetData);
+    return true;
+};
+
+async function testPasswordReset() {
+    logSection('PASSWORD RESET TEST SUITE');
+
+    await setupTestDatabase();
+    const { query } = require('../src/database/connection');
+    const userService = require('../src/database/userService');
+    const tokenService = require('../src/database/tokenService');
+    const passwordResetService = require('../src/database/passwordResetService');
+    const { hashPassword, comparePassword } = require('../src/middleware/auth');
+    const authRoutes = require('../src/routes/auth');
+    const app = await startTestApp('/api/auth', authRoutes);
+    const userId = await createTestUser('forgetful@test.local');
+
+    // Reset emails are sent after the response
+    const emailsSent = () => new Promise(resolve => setTimeout(resolve, 100));
+    const passwordIs = async (password) => comparePassword(password, (await userService.getUserById(userId)).password);
+
+    try {
+        logSubsection('Reset tokens');
+
+        await runTest('A token resets the password once', async () => {
+            const { token, expiresAt } = await passwordResetService.createToken(userId);
+            const minutes = (new Date(expiresAt) - Date.now()) / 60000;
+            assert.ok(minutes > 59 && minutes <= 60);
+
+            assert.strictEqual(await passwordResetService.resetPassword(token, await hashPassword('First1234')), userId);
+            assert.ok(await passwordIs('First1234'));
+            assert.strictEqual(await passwordResetService.resetPassword(token, await hashPassword('Again1234')), false);
+            assert.ok(await passwordIs('First1234'));
+        });
+
+        await runTest('Only the latest token works', async () => {
+            const first = await passwordResetService.createToken(userId);
+            const second = await passwordResetService.createToken(userId);
+            assert.strictEqual(await passwordResetService.resetPassword(first.token, 'x'), false);
+            assert.strictEqual(await passwordResetService.resetPassword(second.token, await hashPassword('Second1234')), userId);
+        });
+
+        await runTest('Expired, revoked and unknown tokens don\'t work', async () => {
+            const expired = await passwordResetService.createToken(userId);
+            await query('UPDATE password_reset_tokens SET expires_at = ? WHERE used_at IS NULL', [new Date(Date.now() - 1000).toISOString()]);
+            assert.strictEqual(await passwordResetService.resetPassword(expired.token, 'x'), false);
+
+            const revoked = await passwordResetService.createToken(userId);
+            assert.strictEqual(await passwordResetService.revokeTokens(userId), true);
+            assert.strictEqual(await passwordResetService.resetPassword(revoked.token, 'x'), false);
+
+            assert.strictEqual(await passwordResetService.resetPassword('not-a-token', 'x'), false);
+            assert.ok(await passwordIs('Second1234'));
+        });
+
+        await runTest('Only hashes of the tokens are stored', async () => {
+            const { token } = await passwordResetService.createToken(userId);
+            const rows = (await query('SELECT token_hash FROM password_reset_tokens WHERE user_id = ?', [userId])).rows;
+            assert.ok(rows.every(row => row.token_hash !== token && row.token_hash.length === 64));
+        });
+
+        logSubsection('Forgot password');
+
+        await runTest('Known and unknown emails get the same answer', async () => {
+            process.env.APP_URL = 'https://nutristats.example/';
+            sentEmails.length = 0;
+
+            const known = await requestJson(`${app.url}/forgot-password`, { method: 'POST', body: { email: 'Forgetful@test.local' } });
+            const unknown = await requestJson(`${app.url}/forgot-password`, { method: 'POST', body: { email: 'nobody@test.local' } });
+            assert.strictEqual(known.status, 200);
+            assert.strictEqual(unknown.status, 200);
+            assert.deepStrictEqual(unknown.data, known.data);
+            await emailsSent();
+            assert.strictEqual(sentEmails.length, 1);
+        });
+
+        await runTest('The answer doesn\'t wait for the email', async () => {
+            const sendPasswordResetEmail = EmailService.prototype.sendPasswordResetEmail;
+            EmailService.prototype.sendPasswordResetEmail = async function (resetData) {
+                await new Promise(resolve => setTimeout(resolve, 1000));
+                return sendPasswordResetEmail.call(this, resetData);
+            };
+            try {
+                sentEmails.length = 0;
+                const started = Date.now();
+                assert.strictEqual((await requestJson(`${app.url}/forgot-password`, { method: 'POST', body: { email: 'forgetful@test.local' } })).status, 200);
+                assert.ok(Date.now() - started < 500);
+                assert.strictEqual(sentEmails.length, 0);
+                await new Promise(resolve => setTimeout(resolve, 1100));
+                assert.strictEqual(sentEmails.length, 1);
+            } finally {
+                EmailService.prototype.sendPasswordResetEmail = sendPasswordResetEmail;
+            }
+        });
+
+        await runTest('The link is built from APP_URL, not the request', async () => {
+            sentEmails.length = 0;
+            await requestJson(`${app.url}/forgot-password`, { method: 'POST', body: { email: 'forgetful@test.local' }, headers: { 'X-Forwarded-Host': 'evil.example' } });
+            await emailsSent();
+            assert.match(sentEmails[0].resetUrl, /^https:\/\/nutristats\.example\/login\.html\?resetToken=[0-9a-f]{64}$/);
+        });
+
+        await runTest('Without APP_URL no email is sent, with the same answer', async () => {
+            delete process.env.APP_URL;
+            sentEmails.length = 0;
+            const { status, data } = await requestJson(`${app.url}/forgot-password`, { method: 'POST', body: { email: 'forgetful@test.local' } });
+            assert.strictEqual(status, 200);
+            assert.match(data.message, /If an account exists/);
+            await emailsSent();
+            assert.strictEqual(sentEmails.length, 0);
+        });
+
+        await runTest('Requests are limited per address and client', async () => {
+            const forgot = (email) => requestJson(`${app.url}/forgot-password`, { method: 'POST', body: { email } });
+            for (let i = 0; i < 5; i++) {
+                assert.strictEqual((await forgot('limited@test.local')).status, 200);
+            }
+            assert.strictEqual((await forgot('limited@test.local')).status, 429);
+            assert.strictEqual((await forgot('other@test.local')).status, 200);
+
+            const { rows } = await query("SELECT key FROM rate_limits WHERE key LIKE 'passwordReset:limited@test.local:%'");
+            assert.strictEqual(rows.length, 1);
+        });
+
+        logSubsection('Reset password');
+
+        await runTest('Resetting checks the new password before the token', async () => {
+            const { token } = await passwordResetService.createToken(userId);
+            const reset = (body) => requestJson(`${app.url}/reset-password`, { method: 'POST', body: { token, ...body } });
+            assert.strictEqual((await reset({ newPassword: 'weak', confirmPassword: 'weak' })).status, 400);
+            assert.strictEqual((await reset({ newPassword: 'Strong1234', confirmPassword: 'Strong1235' })).data.error, 'Passwords do not match');
+            assert.strictEqual((await reset({ token: 'not-a-token', newPassword: 'Strong1234', confirmPassword: 'Strong1234' })).status, 400);
+            assert.ok(await passwordIs('Second1234'));
+        });
+
+        await runTest('A reset logs out every session', async () => {
+            const session = await tokenService.createSession(userId);
+            const { token } = await passwordResetService.createToken(userId);
+            const { status } = await requestJson(`${app.url}/reset-password`, { method: 'POST', body: { token, newPassword: 'Final1234', confirmPassword: 'Final1234' } });
+            assert.strictEqual(status, 200);
+            assert.ok(await passwordIs('Final1234'));
+            assert.strictEqual(await tokenService.isSessionRevoked(session.sessionId), true);
+        });
+    } finally {
+        await app.close();
+    }
+}
+
+runSuite(testPasswordReset);
@@ -0,0 +1,135 @@
+// Tests for rate limiting stored in the database (src/middleware/rateLimit.js,
+// src/database/rateLimitService.js)
+const assert = require('assert');
+const express = require('express');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, createTestUser, createAuthToken, startTestApp, requestJson, runSuite } = require('./testUtils');
+
+useTestDatabase('rate-limits');
+
+// Small limits, read when the middleware is loaded
+process.env.RATE_LIMIT_WRITES_MAX = '3';
+process.env.RATE_LIMIT_FOOD_SEARCH_MAX = '2';
+process.env.RATE_LIMIT_FOOD_SEARCH_WINDOW_MINUTES = '0.01';
+
+const PASSWORD = 'Limited1234';
+
+async function testRateLimits() {
+    logSection('RATE LIMITS TEST SUITE');
+
+    await setupTestDatabase();
+    const userService = require('../src/database/userService');
+    const { hashPassword } = require('../src/middleware/auth');
+    const { checkRateLimit, recordAttempt, clearAttempts, writeRateLimit } = require('../src/middleware/rateLimit');
+
+    logSubsection('Counting attempts');
+
+    await runTest('Attempts are counted per key until the limit is passed', async () => {
+        for (let i = 1; i <= 5; i++) {
+            const state = await recordAttempt('login', 'counted@test.local');
+            assert.strictEqual(state.count, i);
+            assert.strictEqual(state.remaining, 5 - i);
+            assert.strictEqual(state.limited, false);
+        }
+        assert.strictEqual((await recordAttempt('login', 'counted@test.local')).limited, true);
+        assert.strictEqual((await checkRateLimit('login', 'other@test.local')).limited, false);
+    });
+
+    await runTest('Checking doesn\'t count; clearing starts over', async () => {
+        const checked = await checkRateLimit('login', 'counted@test.local');
+        assert.strictEqual(checked.count, 6);
+        assert.strictEqual(checked.limited, true);
+        assert.strictEqual((await checkRateLimit('login', 'counted@test.local')).count, 6);
+
+        await clearAttempts('login', 'counted@test.local');
+        assert.strictEqual((await checkRateLimit('login', 'counted@test.local')).count, 0);
+    });
+
+    await runTest('A new window starts once the last one has ended', async () => {
+        await recordAttempt('foodSearch', 'user-1');
+        await recordAttempt('foodSearch', 'user-1');
+        assert.strictEqual((await recordAttempt('foodSearch', 'user-1')).limited, true);
+
+        await new Promise(resolve => setTimeout(resolve, 700));
+        const state = await recordAttempt('foodSearch', 'user-1');
+        assert.strictEqual(state.count, 1);
+        assert.strictEqual(state.limited, false);
+    });
+
+    await runTest('Policies are set from the environment and unknown ones are refused', async () => {
+        const state = await checkRateLimit('writes', 'nobody');
+        assert.strictEqual(state.policy.max, 3);
+        await assert.rejects(() => checkRateLimit('downloads', 'nobody'), /Unknown rate limit policy/);
+    });
+
+    logSubsection('Write requests');
+
+    const router = express.Router();
+    router.use(writeRateLimit);
+    router.all('/things', (req, res) => res.json({ ok: true }));
+    const app = await startTestApp('/api', router);
+    const write = (token) => requestJson(`${app.url}/things`, { method: 'POST', body: {}, token });
+
+    try {
+        const firstToken = await createAuthToken(await createTestUser());
+        const secondToken = await createAuthToken(await createTestUser());
+
+        await runTest('Writes are limited per user, with rate limit headers', async () => {
+            const first = await write(firstToken);
+            assert.strictEqual(first.headers.get('ratelimit-limit'), '3');
+            assert.strictEqual(first.headers.get('ratelimit-remaining'), '2');
+            await write(firstToken);
+            await write(firstToken);
+
+            const limited = await write(firstToken);
+            assert.strictEqual(limited.status, 429);
+            assert.ok(Number(limited.headers.get('retry-after')) > 0);
+            assert.match(limited.data.error, /^Too many requests\. Try again in (\d+ seconds?|1 minute)\.$/);
+        });
+
+        await runTest('Other users and clients without a token have their own count', async () => {
+            assert.strictEqual((await write(secondToken)).status, 200);
+            assert.strictEqual((await write()).status, 200);
+            assert.strictEqual((await write('not-a-valid-token')).status, 200);
+            assert.strictEqual((await write()).status, 200);
+            assert.strictEqual((await write()).status, 429);
+        });
+
+        await runTest('Reads are not counted', async () => {
+            assert.strictEqual((await requestJson(`${app.url}/things`, { token: firstToken })).status, 200);
+        });
+    } finally {
+        await app.close();
+    }
+
+    logSubsection('Login');
+
+    const authRoutes = require('../src/routes/auth');
+    const auth = await startTestApp('/api/auth', authRoutes);
+    const login = (password) => requestJson(`${auth.url}/login`, { method: 'POST', body: { email: 'locked@test.local', password } });
+
+    try {
+        await runTest('Five failed logins lock the email out, even with the right password', async () => {
+            const userId = await createTestUser('locked@test.local');
+            await userService.updatePassword(userId, await hashPassword(PASSWORD));
+
+            assert.strictEqual((await login(PASSWORD)).status, 200);
+            for (let i = 0; i < 5; i++) {
+                assert.strictEqual((await login('Wrong1234')).status, 401);
+            }
+            const locked = await login(PASSWORD);
+            assert.strictEqual(locked.status, 429);
+            assert.match(locked.data.error, /^Too many login attempts\. Try again in 15 minutes\.$/);
+        });
+
+        await runTest('A successful login clears the failed attempts', async () => {
+            await clearAttempts('login', 'locked@test.local');
+            await login('Wrong1234');
+            assert.strictEqual((await login(PASSWORD)).status, 200);
+            assert.strictEqual((await checkRateLimit('login', 'locked@test.local')).count, 0);
+        });
+    } finally {
+        await auth.close();
+    }
+}
+
+runSuite(testRateLimits);
@@ -0,0 +1,107 @@
+// Tests for recipes built from foods (src/database/recipeService.js)
+const assert = require('assert');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, createTestUser, runSuite } = require('./testUtils');
+
+useTestDatabase('recipes');
+
+async function testRecipes() {
+    logSection('RECIPES TEST SUITE');
+
+    await setupTestDatabase();
+    const { query } = require('../src/database/connection');
+    const foodService = require('../src/database/foodService');
+    const recipeService = require('../src/database/recipeService');
+    const userId = await createTestUser();
+    const otherUserId = await createTestUser();
+
+    await foodService.addFood({ item: 'Oats', amount: 100, calories: 380, carbs: 66, protein: 13, proteinGeneral: 16, fat: 7 }, userId);
+    await foodService.addFood({ item: 'Milk', amount: 100, calories: 60, carbs: 5, protein: 3.4, proteinGeneral: 3.4, fat: 3 }, userId);
+    const foods = await foodService.getAllFoods(userId);
+    const oats = foods.find(food => food.item === 'Oats');
+    const milk = foods.find(food => food.item === 'Milk');
+    const ingredients = [
+        { foodId: oats.id, foodSource: 'user', amount: 100 },
+        { foodId: milk.id, foodSource: 'user', amount: 300 }
+    ];
+
+    logSubsection('Ingredients and totals');
+
+    await runTest('Ingredients are scaled from their foods to the amount used', async () => {
+        const resolved = await recipeService.resolveIngredients(userId, ingredients);
+        assert.deepStrictEqual(resolved.map(ingredient => [ingredient.name, ingredient.calories, ingredient.protein]), [['Oats', 380, 13], ['Milk', 180, 10.2]]);
+        assert.strictEqual(await recipeService.resolveIngredients(otherUserId, ingredients), null);
+        assert.strictEqual(await recipeService.resolveIngredients(userId, [{ foodId: 999, foodSource: 'user', amount: 10 }]), null);
+    });
+
+    let recipeId;
+    await runTest('Totals are given per recipe, per 100 g of the yield and per serving', async () => {
+        const recipe = await recipeService.createRecipe(userId, {
+            name: 'Overnight oats',
+            servings: 2,
+            ingredients: await recipeService.resolveIngredients(userId, ingredients)
+        });
+        recipeId = recipe.id;
+        assert.strictEqual(recipe.totalYield, 400);
+        assert.strictEqual(recipe.yieldIsMeasured, false);
+        assert.strictEqual(recipe.servingSize, 200);
+        assert.strictEqual(recipe.total.calories, 560);
+        assert.strictEqual(recipe.per100g.calories, 140);
+        assert.strictEqual(recipe.perServing.calories, 280);
+    });
+
+    await runTest('A measured yield changes the per 100 g values, not the servings', async () => {
+        const recipe = await recipeService.updateRecipe(userId, recipeId, {
+            name: 'Overnight oats',
+            servings: 2,
+            totalYield: 500,
+            ingredients: await recipeService.resolveIngredients(userId, ingredients)
+        });
+        assert.strictEqual(recipe.per100g.calories, 112);
+        assert.strictEqual(recipe.servingSize, 250);
+        assert.strictEqual(recipe.perServing.calories, 280);
+
+        const asFood = recipeService.toFood(recipe);
+        assert.deepStrictEqual([asFood.item, asFood.amount, asFood.calories, asFood.source], ['Overnight oats', 250, 280, 'recipe']);
+    });
+
+    logSubsection('Transactions and ownership');
+
+    await runTest('A recipe whose ingredients fail to save is not created', async () => {
+        const before = (await query('SELECT COUNT(*) as count FROM recipes')).rows[0].count;
+        const broken = await recipeService.createRecipe(userId, {
+            name: 'Broken',
+            servings: 1,
+            ingredients: [{ foodId: oats.id, foodSource: 'user', name: 'Oats', amount: null }]
+        });
+        assert.strictEqual(broken, null);
+        assert.strictEqual((await query('SELECT COUNT(*) as count FROM recipes')).rows[0].count, before);
+    });
+
+    await runTest('A failed update keeps the old ingredients', async () => {
+        const updated = await recipeService.updateRecipe(userId, recipeId, {
+            name: 'Renamed',
+            servings: 4,
+            ingredients: [{ foodId: oats.id, foodSource: 'user', name: 'Oats', amount: null }]
+        });
+        assert.strictEqual(updated, null);
+        const recipe = await recipeService.getRecipe(userId, recipeId);
+        assert.strictEqual(recipe.name, 'Overnight oats');
+        assert.strictEqual(recipe.ingredients.length, 2);
+    });
+
+    await runTest('Other users can neither update nor delete the recipe', async () => {
+        assert.strictEqual(await recipeService.getRecipe(otherUserId, recipeId), null);
+        assert.strictEqual(await recipeService.updateRecipe(otherUserId, recipeId, { name: 'Mine', servings: 1, ingredients: [] }), null);
+        assert.strictEqual(await recipeService.deleteRecipe(otherUserId, recipeId), false);
+    });
+
+    await runTest('Deleting a recipe removes its ingredients', async () => {
+        assert.strictEqual(await recipeService.deleteRecipe(userId, recipeId), true);
+        assert.strictEqual(await recipeService.getRecipe(userId, recipeId), null);
+        const rows = await query('SELECT COUNT(*) as count FROM recipe_ingredients WHERE recipe_id = ?', [recipeId]);
+        assert.strictEqual(rows.rows[0].count, 0);
+        assert.strictEqual(await recipeService.deleteRecipe(userId, recipeId), false);
+    });
+}
+
+runSuite(testRecipes);
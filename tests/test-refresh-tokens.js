@@ -0,0 +1,114 @@
+// Tests for login sessions with refresh token rotation (src/database/tokenService.js,
+// POST /api/auth/refresh, /logout and /logout-all)
+const assert = require('assert');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, createTestUser, startTestApp, requestJson, runSuite } = require('./testUtils');
+
+useTestDatabase('refresh-tokens');
+
+const PASSWORD = 'Session1234';
+
+async function testRefreshTokens() {
+    logSection('REFRESH TOKENS TEST SUITE');
+
+    await setupTestDatabase();
+    const { query } = require('../src/database/connection');
+    const userService = require('../src/database/userService');
+    const tokenService = require('../src/database/tokenService');
+    const { hashPassword } = require('../src/middleware/auth');
+    const authRoutes = require('../src/routes/auth');
+    const app = await startTestApp('/api/auth', authRoutes);
+    const userId = await createTestUser('sessions@test.local');
+    await userService.updatePassword(userId, await hashPassword(PASSWORD));
+
+    const login = async () => (await requestJson(`${app.url}/login`, { method: 'POST', body: { email: 'sessions@test.local', password: PASSWORD } })).data;
+    const refresh = (refreshToken) => requestJson(`${app.url}/refresh`, { method: 'POST', body: { refreshToken } });
+    const isValid = async (token) => (await requestJson(`${app.url}/verify`, { token })).status === 200;
+
+    try {
+        logSubsection('Rotation');
+
+        await runTest('A refresh token is exchanged for a new one in the same session', async () => {
+            const session = await tokenService.createSession(userId);
+            const rotated = await tokenService.rotateRefreshToken(session.refreshToken);
+            assert.strictEqual(rotated.userId, userId);
+            assert.strictEqual(rotated.sessionId, session.sessionId);
+            assert.notStrictEqual(rotated.refreshToken, session.refreshToken);
+            assert.ok(await tokenService.rotateRefreshToken(rotated.refreshToken));
+        });
+
+        await runTest('Reusing a refresh token revokes the whole session', async () => {
+            const session = await tokenService.createSession(userId);
+            const rotated = await tokenService.rotateRefreshToken(session.refreshToken);
+
+            // Someone replays the old token: neither copy can be used any more
+            assert.strictEqual(await tokenService.rotateRefreshToken(session.refreshToken), false);
+            assert.strictEqual(await tokenService.rotateRefreshToken(rotated.refreshToken), false);
+            assert.strictEqual(await tokenService.isSessionRevoked(session.sessionId), true);
+        });
+
+        await runTest('Expired and unknown refresh tokens are refused', async () => {
+            const session = await tokenService.createSession(userId);
+            await query('UPDATE refresh_tokens SET expires_at = ? WHERE session_id = ?', [new Date(Date.now() - 1000).toISOString(), session.sessionId]);
+            assert.strictEqual(await tokenService.rotateRefreshToken(session.refreshToken), false);
+            assert.strictEqual(await tokenService.rotateRefreshToken('not-a-token'), false);
+        });
+
+        await runTest('Refresh tokens expire after 30 days and only their hashes are stored', async () => {
+            const session = await tokenService.createSession(userId);
+            const row = (await query('SELECT * FROM refresh_tokens WHERE session_id = ?', [session.sessionId])).rows[0];
+            assert.notStrictEqual(row.token_hash, session.refreshToken);
+            const days = (new Date(row.expires_at) - Date.now()) / (24 * 60 * 60 * 1000);
+            assert.ok(days > 29.9 && days <= 30);
+        });
+
+        logSubsection('Routes');
+
+        await runTest('Refreshing returns a working access token and a new refresh token', async () => {
+            const { refreshToken } = await login();
+            const { status, data } = await refresh(refreshToken);
+            assert.strictEqual(status, 200);
+            assert.ok(await isValid(data.token));
+            assert.notStrictEqual(data.refreshToken, refreshToken);
+
+            assert.strictEqual((await refresh(refreshToken)).status, 401);
+            assert.strictEqual(await isValid(data.token), false);
+            assert.strictEqual((await refresh(data.refreshToken)).status, 401);
+        });
+
+        await runTest('Logging out ends only that session', async () => {
+            const first = await login();
+            const second = await login();
+            assert.strictEqual((await requestJson(`${app.url}/logout`, { method: 'POST', token: first.token })).status, 200);
+            assert.strictEqual(await isValid(first.token), false);
+            assert.strictEqual((await refresh(first.refreshToken)).status, 401);
+            assert.ok(await isValid(second.token));
+        });
+
+        await runTest('Logging out everywhere ends every session', async () => {
+            const first = await login();
+            const second = await login();
+            const { data } = await requestJson(`${app.url}/logout-all`, { method: 'POST', token: first.token });
+            assert.ok(data.sessions >= 2);
+            assert.strictEqual(await isValid(first.token), false);
+            assert.strictEqual(await isValid(second.token), false);
+        });
+
+        await runTest('Changing the password keeps only the current session', async () => {
+            const current = await login();
+            const other = await login();
+            const { status } = await requestJson(`${app.url}/password`, {
+                method: 'PUT',
+                token: current.token,
+                body: { currentPassword: PASSWORD, newPassword: 'Changed1234', confirmPassword: 'Changed1234' }
+            });
+            assert.strictEqual(status, 200);
+            assert.ok(await isValid(current.token));
+            assert.strictEqual(await isValid(other.token), false);
+            assert.strictEqual((await refresh(other.refreshToken)).status, 401);
+        });
+    } finally {
+        await app.close();
+    }
+}
+
+runSuite(testRefreshTokens);
@@ -0,0 +1,203 @@
+// Tests for the data behind the nutrition, weight and measurement reports
+// (src/services/reportService.js) and the report routes (src/routes/reportsRoutes.js)
+const assert = require('assert');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, createTestUser, createAuthToken, startTestApp, requestJson, runSuite } = require('./testUtils');
+
+useTestDatabase('reports');
+
+async function testReports() {
+    logSection('REPORTS TEST SUITE');
+
+    await setupTestDatabase();
+    const settingsService = require('../src/database/settingsService');
+    const mealService = require('../src/database/mealService');
+    const waterService = require('../src/database/waterService');
+    const weightService = require('../src/database/weightService');
+    const measurementsService = require('../src/database/measurementsService');
+    const reportService = require('../src/services/reportService');
+    const pdfReportService = require('../src/services/pdfReportService');
+    const { calculateTrendLine } = require('../src/utils/weightTrend');
+    const reportsRoutes = require('../src/routes/reportsRoutes');
+
+    const userId = await createTestUser();
+    const current = await settingsService.getUserSettings(userId);
+    await settingsService.saveUserSettings(userId, { ...current, weight: '80', targetWeight: '75', totalCalories: 2000, addExerciseCalories: false });
+
+    logSubsection('Nutrition');
+
+    await mealService.addMealItem(userId, '2026-10-19', 1, { name: 'Pasta', amount: 500, calories: 2000, protein: 80, fat: 50, carbs: 300 }, '12:00');
+    await mealService.addMealItem(userId, '2026-10-20', 1, { name: 'Rice', amount: 250, calories: 1000, protein: 20, fat: 10, carbs: 200 }, '12:00');
+    await waterService.addEntry(userId, { date: '2026-10-19', amount: 3000, beverage: 'water' });
+    await waterService.addEntry(userId, { date: '2026-10-20', amount: 1400, beverage: 'water' });
+
+    await runTest('Every day in the range is reported, including empty ones', async () => {
+        const report = await reportService.getNutritionReport(userId, '2026-10-19', '2026-10-21');
+        assert.deepStrictEqual(report.days.map(day => [day.date, day.day, day.calories]), [
+            ['2026-10-19', 'Monday', 2000],
+            ['2026-10-20', 'Tuesday', 1000],
+            ['2026-10-21', 'Wednesday', 0]
+        ]);
+        assert.deepStrictEqual(report.days.map(day => day.status), ['excellent', 'needs-improvement', 'needs-improvement']);
+        assert.strictEqual(report.days[0].meals.length, 1);
+        assert.deepStrictEqual(report.days[2].meals, []);
+    });
+
+    await runTest('The summary averages over every day and counts days on track', async () => {
+        const { summary } = await reportService.getNutritionReport(userId, '2026-10-19', '2026-10-21');
+        assert.strictEqual(summary.avgDailyCalories, 1000);
+        assert.strictEqual(summary.avgGoalCalories, 2000);
+        assert.strictEqual(summary.goalAchievement, 50);
+        assert.strictEqual(summary.avgProtein, 100 / 3);
+        assert.strictEqual(summary.daysOnTrack, 1);
+        assert.strictEqual(summary.totalDays, 3);
+    });
+
+    await runTest('Hydration is measured against the goal from the body weight', async () => {
+        const { hydration } = await reportService.getNutritionReport(userId, '2026-10-19', '2026-10-21');
+        assert.strictEqual(hydration.goal, 2800);
+        assert.deepStrictEqual(hydration.days.map(day => day.total), [3000, 1400, 0]);
+        assert.strictEqual(hydration.days[1].achievement, 50);
+        assert.strictEqual(hydration.avgDailyWater, 4400 / 3);
+        assert.strictEqual(hydration.daysAtGoal, 1);
+    });
+
+    await runTest('An empty range and a zero goal don\'t divide by zero', () => {
+        const summary = reportService.summarizeNutrition([]);
+        assert.strictEqual(summary.avgDailyCalories, 0);
+        assert.strictEqual(summary.goalAchievement, 0);
+        const hydration = reportService.summarizeHydration([{ date: '2026-10-19', total: 500 }], 0);
+        assert.strictEqual(hydration.days[0].achievement, 0);
+        assert.strictEqual(reportService.summarizeHydration([], 2000).avgDailyWater, 0);
+    });
+
+    await runTest('Nutrition statistics are formatted for the report', async () => {
+        const { summary } = await reportService.getNutritionReport(userId, '2026-10-19', '2026-10-21');
+        const rows = reportService.formatNutritionStats(summary);
+        assert.deepStrictEqual(rows[0], { label: 'Average Daily Calories:', value: '1000 kcal' });
+        assert.deepStrictEqual(rows[1], { label: 'Goal Achievement:', value: '50.0%' });
+        assert.deepStrictEqual(rows[5], { label: 'Days On Track:', value: '1/3 days' });
+        assert.deepStrictEqual(rows[6], { label: 'Calories Burned (Exercise):', value: '0 kcal (0 days)' });
+    });
+
+    logSubsection('Weight');
+
+    await weightService.addWeightEntry(userId, { date: '2026-10-01', weight: 82 });
+    await weightService.addWeightEntry(userId, { date: '2026-10-08', weight: 81 });
+    await weightService.addWeightEntry(userId, { date: '2026-10-15', weight: 80 });
+
+    await runTest('Entries in the range come newest first with their change', async () => {
+        const report = await reportService.getWeightReport(userId, '2026-10-08', '2026-10-15');
+        assert.strictEqual(report.unit, 'kg');
+        assert.deepStrictEqual(report.entries.map(entry => [entry.date, entry.change]), [['2026-10-15', -1], ['2026-10-08', 0]]);
+        assert.strictEqual(report.stats.currentWeight, 80);
+        assert.strictEqual(report.stats.latestChange, -1);
+        assert.strictEqual(report.stats.overallChange, -1);
+        assert.strictEqual(report.stats.avgWeeklyChange, -1);
+    });
+
+    await runTest('The trend carries over from entries before the range', async () => {
+        const report = await reportService.getWeightReport(userId, '2026-10-08', '2026-10-15');
+        const trendLine = calculateTrendLine((await weightService.getUserWeightEntries(userId)).entries);
+        assert.strictEqual(report.entries[0].trend, trendLine[2].trend);
+        assert.strictEqual(report.stats.trendWeight, trendLine[2].trend);
+        assert.strictEqual(report.stats.trend, 'Decreasing');
+        assert.strictEqual(report.stats.goal.status, 'on-track');
+    });
+
+    await runTest('Weight statistics are formatted for the report', async () => {
+        const rows = reportService.formatWeightStats(await reportService.getWeightReport(userId, '2026-10-08', '2026-10-15'));
+        const value = (label) => rows.find(row => row.label === label).value;
+        assert.strictEqual(value('Current Weight:'), '80.0 kg');
+        assert.strictEqual(value('Latest Change:'), '-1.0 kg');
+        assert.strictEqual(value('Average Change:'), '-1.0 kg/week');
+        assert.match(value('Weekly Rate:'), /^-\d\.\d\d kg\/week$/);
+        assert.match(value('Goal (75 kg):'), /^Expected [A-Z][a-z]{2} \d{1,2}, \d{4}$/);
+    });
+
+    await runTest('Without entries every statistic says there is no data', () => {
+        const rows = reportService.formatWeightStats({
+            unit: 'lb',
+            stats: reportService.calculateWeightStats([], { trendWeight: null, weeklyRate: null, direction: 'Insufficient data', goal: null })
+        });
+        assert.deepStrictEqual(rows.map(row => row.value), ['No data', 'No data', 'No change', 'No data', 'No data', 'No data', 'Insufficient data']);
+    });
+
+    await runTest('Goal projections are described in words', () => {
+        assert.strictEqual(reportService.formatGoalProjection({ status: 'reached' }), 'Reached');
+        assert.strictEqual(reportService.formatGoalProjection({ status: 'on-track', date: '2026-12-25' }), 'Expected Dec 25, 2026');
+        assert.strictEqual(reportService.formatGoalProjection({ status: 'insufficient-data' }), 'Not enough data');
+        assert.strictEqual(reportService.formatGoalProjection({ status: 'off-track' }), 'Not on track at the current rate');
+    });
+
+    logSubsection('Measurements');
+
+    await measurementsService.addMeasurementEntry(userId, { date: '2026-10-01', measurementType: 'waist', value: 90, unit: 'cm' });
+    await measurementsService.addMeasurementEntry(userId, { date: '2026-10-08', measurementType: 'waist', value: 88, unit: 'cm' });
+    await measurementsService.addMeasurementEntry(userId, { date: '2026-10-15', measurementType: 'waist', value: 87, unit: 'cm' });
+    await measurementsService.addMeasurementEntry(userId, { date: '2026-10-15', measurementType: 'chest', value: 100, unit: 'cm' });
+
+    await runTest('Measurements are grouped by type with statistics for each', async () => {
+        const report = await reportService.getMeasurementsReport(userId);
+        assert.strictEqual(report.entries.length, 4);
+        assert.deepStrictEqual(report.types.map(type => [type.type, type.entries.length]), [['chest', 1], ['waist', 3]]);
+
+        const waist = report.types[1].stats;
+        assert.strictEqual(waist.latestValue, 87);
+        assert.strictEqual(waist.latestChange, -1);
+        assert.strictEqual(waist.overallChange, -3);
+        assert.strictEqual(waist.avgChange, -1.5);
+        assert.strictEqual(waist.progress, 'Decreasing');
+    });
+
+    await runTest('Measurement statistics are formatted for the report', async () => {
+        const [chest, waist] = (await reportService.getMeasurementsReport(userId)).types;
+        assert.deepStrictEqual(reportService.formatMeasurementStats(waist).map(row => row.value), ['87 cm', '-1.0 cm', '-3.0 cm', '-1.5 cm', 'Decreasing']);
+        assert.deepStrictEqual(reportService.formatMeasurementStats(chest).map(row => row.value), ['100 cm', '-', '-', '-', 'First Entry']);
+    });
+
+    logSubsection('Routes');
+
+    const app = await startTestApp('/api/reports', reportsRoutes);
+    const token = await createAuthToken(userId);
+    const get = (path) => requestJson(`${app.url}${path}`, { token });
+
+    try {
+        await runTest('Unknown PDF reports are not found and the range is checked', async () => {
+            assert.strictEqual((await get('/diet.pdf')).status, 404);
+            assert.strictEqual((await get('/weight.pdf?from=2026-10-19')).status, 400);
+            assert.strictEqual((await get('/weight.pdf?from=2026-10-19&to=yesterday')).status, 400);
+            assert.strictEqual((await get('/weight.pdf?from=2026-10-21&to=2026-10-19')).status, 400);
+        });
+
+        await runTest('Ranges longer than a year are refused without listing their days', async () => {
+            assert.notStrictEqual((await get('/weight.pdf?from=2025-10-19&to=2026-10-19')).status, 400);
+            const started = Date.now();
+            const { status, data } = await get('/weight.pdf?from=1000-01-01&to=9999-12-31');
+            assert.strictEqual(status, 400);
+            assert.strictEqual(data.error, 'Date range can be at most 366 days');
+            assert.ok(Date.now() - started < 500);
+        });
+
+        await runTest('PDFs are sent as downloads, or refused where canvas isn\'t built', async () => {
+            if (!pdfReportService.isAvailable()) {
+                assert.strictEqual((await get('/weight.pdf')).status, 503);
+                return;
+            }
+            const response = await fetch(`${app.url}/weight.pdf`, { headers: { Authorization: `Bearer ${token}` } });
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(response.headers.get('content-type'), 'application/pdf');
+            assert.match(response.headers.get('content-disposition'), /filename="weight-report-\d{4}-\d{2}-\d{2}\.pdf"/);
+            assert.strictEqual(Buffer.from(await response.arrayBuffer()).subarray(0, 5).toString(), '%PDF-');
+        });
+
+        await runTest('Report files are named after the type and the date', () => {
+            const date = new Date('2026-10-19T12:00:00Z');
+            assert.strictEqual(pdfReportService.getFileName('nutrition', date), 'nutrition-report-2026-10-19.pdf');
+            assert.strictEqual(pdfReportService.getFileName('complete', date), 'complete-health-report-2026-10-19.pdf');
+        });
+    } finally {
+        await app.close();
+    }
+}
+
+runSuite(testReports);
@@ -0,0 +1,95 @@
+// Tests for saved meals (src/database/savedMealService.js) and inserting
+// them into a diary meal (mealService.addMealItems)
+const assert = require('assert');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, createTestUser, runSuite } = require('./testUtils');
+
+useTestDatabase('saved-meals');
+
+async function testSavedMeals() {
+    logSection('SAVED MEALS TEST SUITE');
+
+    await setupTestDatabase();
+    const savedMealService = require('../src/database/savedMealService');
+    const mealService = require('../src/database/mealService');
+    const userId = await createTestUser();
+    const otherUserId = await createTestUser();
+    const day = '2026-10-19';
+    const mealItems = async (mealId) => (await mealService.getUserDayMeals(userId, day)).meals.find(meal => meal.id === mealId).items;
+
+    logSubsection('Saved meals');
+
+    let savedMeal;
+    await runTest('A saved meal keeps its items in order with their totals', async () => {
+        savedMeal = await savedMealService.createSavedMeal(userId, 'Breakfast', [
+            { name: 'Eggs', amount: 120, calories: 170, protein: 15, fat: 12 },
+            { name: 'Toast', amount: 60, calories: 155.5, carbs: 28, protein: 5 }
+        ]);
+        assert.deepStrictEqual(savedMeal.items.map(item => item.name), ['Eggs', 'Toast']);
+        assert.strictEqual(savedMeal.totals.calories, 325.5);
+        assert.strictEqual(savedMeal.totals.protein, 20);
+    });
+
+    await runTest('Saved meals are only visible to their owner', async () => {
+        assert.strictEqual(await savedMealService.getSavedMeal(otherUserId, savedMeal.id), null);
+        assert.strictEqual(await savedMealService.updateSavedMeal(otherUserId, savedMeal.id, { name: 'Mine' }), null);
+        assert.strictEqual(await savedMealService.deleteSavedMeal(otherUserId, savedMeal.id), false);
+        assert.deepStrictEqual(await savedMealService.getUserSavedMeals(otherUserId), []);
+    });
+
+    await runTest('scaleItems scales amounts and macros to one decimal', () => {
+        const half = savedMealService.scaleItems(savedMeal.items, 0.5);
+        assert.deepStrictEqual(half.map(item => [item.name, item.amount, item.calories]), [['Eggs', 60, 85], ['Toast', 30, 77.8]]);
+        assert.strictEqual(savedMeal.items[0].amount, 120);
+    });
+
+    logSubsection('Inserting into the diary');
+
+    await runTest('Inserting adds the items after those already in the meal', async () => {
+        await mealService.addMealItem(userId, day, 1, { name: 'Coffee', amount: 200, calories: 5 }, '08:00');
+        const added = await mealService.addMealItems(userId, day, 1, savedMeal.items, '08:00');
+        assert.strictEqual(added.length, 2);
+        assert.ok(added.every(item => item.id));
+        assert.deepStrictEqual((await mealItems(1)).map(item => item.name), ['Coffee', 'Eggs', 'Toast']);
+    });
+
+    await runTest('Replacing clears the meal first', async () => {
+        const added = await mealService.addMealItems(userId, day, 1, savedMealService.scaleItems(savedMeal.items, 2), '08:00', true);
+        assert.strictEqual(added.length, 2);
+        assert.deepStrictEqual((await mealItems(1)).map(item => [item.name, item.amount]), [['Eggs', 240], ['Toast', 120]]);
+    });
+
+    await runTest('A failed insert leaves the meal as it was, even when replacing', async () => {
+        const broken = [{ name: 'Juice', amount: 250, calories: 110 }, { name: null, amount: 10 }];
+        assert.strictEqual(await mealService.addMealItems(userId, day, 1, broken, '08:00', true), null);
+        assert.deepStrictEqual((await mealItems(1)).map(item => item.name), ['Eggs', 'Toast']);
+
+        assert.strictEqual(await mealService.addMealItems(userId, day, 3, broken, '13:00'), null);
+        assert.strictEqual((await mealItems(3)).length, 0);
+    });
+
+    logSubsection('Updating and deleting');
+
+    await runTest('Updating replaces the items; deleting keeps diary items', async () => {
+        const updated = await savedMealService.updateSavedMeal(userId, savedMeal.id, { items: [{ name: 'Porridge', amount: 250, calories: 300 }] });
+        assert.strictEqual(updated.name, 'Breakfast');
+        assert.deepStrictEqual(updated.items.map(item => item.name), ['Porridge']);
+
+        assert.strictEqual(await savedMealService.deleteSavedMeal(userId, savedMeal.id), true);
+        assert.strictEqual(await savedMealService.getSavedMeal(userId, savedMeal.id), null);
+        assert.strictEqual((await mealItems(1)).length, 2);
+    });
+
+    await runTest('A failed item leaves the saved meal as it was', async () => {
+        const broken = [{ name: 'Juice', amount: 250, calories: 110 }, { name: null, amount: 10 }];
+        assert.strictEqual(await savedMealService.createSavedMeal(userId, 'Half saved', broken), null);
+        assert.deepStrictEqual(await savedMealService.getUserSavedMeals(userId), []);
+
+        const lunch = await savedMealService.createSavedMeal(userId, 'Lunch', [{ name: 'Soup', amount: 300, calories: 200 }]);
+        assert.strictEqual(await savedMealService.updateSavedMeal(userId, lunch.id, { name: 'Dinner', items: broken }), null);
+        const unchanged = await savedMealService.getSavedMeal(userId, lunch.id);
+        assert.strictEqual(unchanged.name, 'Lunch');
+        assert.deepStrictEqual(unchanged.items.map(item => item.name), ['Soup']);
+    });
+}
+
+runSuite(testSavedMeals);
@@ -0,0 +1,182 @@
+// Tests for estimating energy expenditure (TDEE) from logged calories and the weight
+// trend (src/services/insightsService.js, GET /api/insights/tdee)
+const assert = require('assert');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, createTestUser, createAuthToken, startTestApp, requestJson, runSuite } = require('./testUtils');
+
+useTestDatabase('tdee');
+
+// 28 days before this the four week period starts: 2026-09-21 to 2026-10-18
+const TODAY = new Date(2026, 9, 19);
+
+async function testTdee() {
+    logSection('TDEE ESTIMATE TEST SUITE');
+
+    await setupTestDatabase();
+    const settingsService = require('../src/database/settingsService');
+    const mealService = require('../src/database/mealService');
+    const weightService = require('../src/database/weightService');
+    const insightsService = require('../src/services/insightsService');
+    const { getDateKeysBetween } = require('../src/utils/dayKeys');
+    const { calculateTrendLine } = require('../src/utils/weightTrend');
+    const insightsRoutes = require('../src/routes/insightsRoutes');
+
+    // Every other day of the period, 14 days in all
+    const loggedDates = getDateKeysBetween('2026-09-21', '2026-10-18').filter((date, index) => index % 2 === 0);
+
+    const createUser = async (settings = {}) => {
+        const id = await createTestUser();
+        const current = await settingsService.getUserSettings(id);
+        await settingsService.saveUserSettings(id, { ...current, weight: '80', totalCalories: 2200, ...settings });
+        return id;
+    };
+    const logCalories = async (id, dates, calories) => {
+        for (const date of dates) {
+            await mealService.addMealItem(id, date, 1, { name: 'Meal', amount: 100, calories }, '12:00');
+        }
+    };
+    const logWeights = async (id, weights) => {
+        for (const [date, weight] of Object.entries(weights)) {
+            await weightService.addWeightEntry(id, { date, weight });
+        }
+    };
+    const estimate = (id, weeks = 4) => insightsService.estimateTdee(id, weeks, TODAY);
+
+    logSubsection('Period');
+
+    await runTest('The period is the given weeks up to yesterday', () => {
+        assert.deepStrictEqual(insightsService.getPeriod(4, TODAY), { from: '2026-09-21', to: '2026-10-18' });
+        assert.deepStrictEqual(insightsService.getPeriod(2, new Date(2026, 0, 5)), { from: '2025-12-22', to: '2026-01-04' });
+    });
+
+    logSubsection('Not enough data');
+
+    await runTest('Fewer than seven logged days give no estimate', async () => {
+        const id = await createUser();
+        await logCalories(id, loggedDates.slice(0, 6), 2400);
+        await logWeights(id, { '2026-09-21': 80, '2026-10-18': 79 });
+
+        const result = await estimate(id);
+        assert.strictEqual(result.status, 'insufficient-data');
+        assert.strictEqual(result.tdee, null);
+        assert.match(result.message, /at least 7 days in the last 4 weeks/);
+        assert.deepStrictEqual(result.intake, { average: 2400, loggedDays: 6, totalDays: 28 });
+    });
+
+    await runTest('Weigh-ins less than seven days apart give no estimate', async () => {
+        const id = await createUser();
+        await logCalories(id, loggedDates, 2400);
+        await logWeights(id, { '2026-10-12': 80, '2026-10-18': 79 });
+
+        const result = await estimate(id);
+        assert.strictEqual(result.status, 'insufficient-data');
+        assert.strictEqual(result.weight, null);
+        assert.match(result.message, /Log your weight at least twice/);
+    });
+
+    logSubsection('Estimate');
+
+    await runTest('With a steady weight the estimate is the average intake of logged days', async () => {
+        const id = await createUser({ calorieGoalSource: 'adaptive' });
+        await logCalories(id, loggedDates, 2456);
+        // Today's log isn't finished and isn't counted
+        await logCalories(id, ['2026-10-19'], 5000);
+        await logWeights(id, { '2026-09-21': 80, '2026-10-01': 80, '2026-10-18': 80 });
+
+        const result = await estimate(id);
+        assert.strictEqual(result.status, 'ok');
+        assert.deepStrictEqual(result.intake, { average: 2456, loggedDays: 14, totalDays: 28 });
+        assert.strictEqual(result.weight.change, 0);
+        assert.strictEqual(result.tdee, 2456);
+        assert.strictEqual(result.suggestedGoalCalories, 2460);
+        assert.strictEqual(result.currentGoalCalories, 2200);
+        assert.strictEqual(result.calorieGoalSource, 'adaptive');
+    });
+
+    await runTest('Weight lost on the trend adds 7700 kcal per kg to the estimate', async () => {
+        const id = await createUser();
+        await logCalories(id, loggedDates, 2456);
+        await logWeights(id, { '2026-09-21': 80, '2026-10-18': 78 });
+
+        const result = await estimate(id);
+        // The trend moves 1 - 0.9^27 of the way to the second weigh-in
+        const change = (1 - Math.pow(0.9, 27)) * -2;
+        assert.ok(Math.abs(result.weight.change - change) < 1e-9);
+        assert.strictEqual(result.weight.days, 27);
+        assert.ok(Math.abs(result.weight.weeklyRate - (change / 27) * 7) < 1e-9);
+        assert.strictEqual(result.tdee, Math.round(2456 - (change * 7700) / 27));
+        assert.strictEqual(result.suggestedGoalCalories, Math.round(result.tdee / 10) * 10);
+    });
+
+    await runTest('Imperial users\' weight change counts 3500 kcal per lb', async () => {
+        const id = await createUser({ unitSystem: 'imperial', weight: '176' });
+        await logCalories(id, loggedDates, 2456);
+        await logWeights(id, { '2026-09-21': 176, '2026-10-18': 180 });
+
+        const result = await estimate(id);
+        assert.strictEqual(result.weight.unit, 'lb');
+        assert.strictEqual(result.tdee, Math.round(2456 - (result.weight.change * 3500) / 27));
+    });
+
+    await runTest('An estimate that doesn\'t add up is not suggested', async () => {
+        const id = await createUser();
+        await logCalories(id, loggedDates, 300);
+        await logWeights(id, { '2026-09-21': 80, '2026-10-18': 84 });
+
+        const result = await estimate(id);
+        assert.strictEqual(result.status, 'insufficient-data');
+        assert.strictEqual(result.tdee, null);
+        assert.match(result.message, /don't add up/);
+    });
+
+    logSubsection('Weight change');
+
+    await runTest('A weigh-in up to seven days before the period is its starting trend', async () => {
+        const id = await createUser();
+        await logWeights(id, { '2026-09-01': 83, '2026-09-15': 82, '2026-09-25': 81, '2026-10-18': 80, '2026-10-19': 70 });
+
+        const weight = await insightsService.getWeightChange(id, '2026-09-21', '2026-10-18', 'kg');
+        const trendLine = calculateTrendLine((await weightService.getUserWeightEntries(id)).entries.filter(entry => entry.date <= '2026-10-18'));
+        assert.deepStrictEqual(weight.start, { date: '2026-09-15', trend: trendLine[1].trend });
+        // Weigh-ins after the period are left out
+        assert.deepStrictEqual(weight.end, { date: '2026-10-18', trend: trendLine[3].trend });
+        assert.strictEqual(weight.days, 33);
+        assert.strictEqual(weight.weighIns, 2);
+    });
+
+    await runTest('Older weigh-ins carry the trend but the period starts at its first weigh-in', async () => {
+        const id = await createUser();
+        await logWeights(id, { '2026-09-01': 83, '2026-09-25': 81, '2026-10-18': 80 });
+
+        const weight = await insightsService.getWeightChange(id, '2026-09-21', '2026-10-18', 'kg');
+        const trendLine = calculateTrendLine((await weightService.getUserWeightEntries(id)).entries);
+        assert.deepStrictEqual(weight.start, { date: '2026-09-25', trend: trendLine[1].trend });
+        assert.strictEqual(weight.days, 23);
+        assert.strictEqual(await insightsService.getWeightChange(id, '2026-10-19', '2026-10-25', 'kg'), null);
+    });
+
+    logSubsection('Route');
+
+    const app = await startTestApp('/api/insights', insightsRoutes);
+    const token = await createAuthToken(await createUser());
+
+    try {
+        await runTest('weeks has to be a whole number from 2 to 12', async () => {
+            for (const weeks of ['1', '13', '2.5', 'four']) {
+                assert.strictEqual((await requestJson(`${app.url}/tdee?weeks=${weeks}`, { token })).status, 400, weeks);
+            }
+        });
+
+        await runTest('The estimate covers four weeks up to yesterday by default', async () => {
+            const { status, data } = await requestJson(`${app.url}/tdee`, { token });
+            assert.strictEqual(status, 200);
+            assert.strictEqual(data.weeks, 4);
+            assert.deepStrictEqual({ from: data.from, to: data.to }, insightsService.getPeriod(4));
+            assert.strictEqual(data.status, 'insufficient-data');
+            assert.strictEqual((await requestJson(`${app.url}/tdee?weeks=12`, { token })).data.intake.totalDays, 84);
+        });
+    } finally {
+        await app.close();
+    }
+}
+
+runSuite(testTdee);
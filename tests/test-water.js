@@ -0,0 +1,88 @@
+// Tests for water and beverage intake (src/database/waterService.js) and the daily goal
+const assert = require('assert');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, createTestUser, createAuthToken, startTestApp, requestJson, runSuite } = require('./testUtils');
+
+useTestDatabase('water');
+
+async function testWater() {
+    logSection('WATER TEST SUITE');
+
+    await setupTestDatabase();
+    const waterService = require('../src/database/waterService');
+    const settingsService = require('../src/database/settingsService');
+    const userId = await createTestUser();
+    const otherUserId = await createTestUser();
+
+    logSubsection('Entries and totals');
+
+    let coffee;
+    await runTest('Drinks are listed per date in the order they were logged', async () => {
+        await waterService.addEntry(userId, { date: '2026-10-19', amount: 500, beverage: 'water' });
+        coffee = await waterService.addEntry(userId, { date: '2026-10-19', amount: 250, beverage: 'coffee' });
+        await waterService.addEntry(userId, { date: '2026-10-21', amount: 330, beverage: 'juice' });
+
+        const entries = await waterService.getDayEntries(userId, '2026-10-19');
+        assert.deepStrictEqual(entries.map(entry => [entry.beverage, entry.amount]), [['water', 500], ['coffee', 250]]);
+        assert.deepStrictEqual(await waterService.getDayEntries(otherUserId, '2026-10-19'), []);
+    });
+
+    await runTest('Daily totals cover only dates with drinks in the range', async () => {
+        const totals = await waterService.getDailyTotals(userId, '2026-10-18', '2026-10-21');
+        assert.deepStrictEqual(totals, [
+            { date: '2026-10-19', total: 750, entries: 2 },
+            { date: '2026-10-21', total: 330, entries: 1 }
+        ]);
+        assert.deepStrictEqual(await waterService.getDailyTotals(userId, '2026-10-20', '2026-10-20'), []);
+    });
+
+    await runTest('Only the owner can delete a drink', async () => {
+        assert.strictEqual(await waterService.deleteEntry(otherUserId, coffee.id), false);
+        assert.strictEqual(await waterService.deleteEntry(userId, coffee.id), true);
+        assert.strictEqual(await waterService.deleteEntry(userId, coffee.id), false);
+        assert.strictEqual((await waterService.getDailyTotals(userId, '2026-10-19', '2026-10-19'))[0].total, 500);
+    });
+
+    logSubsection('Daily goal');
+
+    await runTest('The goal is 35 ml per kg, rounded to 50 ml', () => {
+        assert.strictEqual(settingsService.calculateWaterGoal(70), 2450);
+        assert.strictEqual(settingsService.calculateWaterGoal(72), 2500);
+        assert.strictEqual(settingsService.calculateWaterGoal(180, 'imperial'), 2850);
+    });
+
+    await runTest('Without a weight the goal is 2 litres', async () => {
+        assert.strictEqual(settingsService.calculateWaterGoal(''), 2000);
+        assert.strictEqual(settingsService.calculateWaterGoal(0), 2000);
+        assert.strictEqual(await settingsService.getWaterGoal(userId), 2000);
+    });
+
+    logSubsection('Summary route');
+
+    const waterRoutes = require('../src/routes/waterRoutes');
+    const app = await startTestApp('/api/water', waterRoutes);
+    const token = await createAuthToken(userId);
+    const summary = (query) => requestJson(`${app.url}/summary?${query}`, { token });
+
+    try {
+        await runTest('Every date in the range is listed, up to a year', async () => {
+            const { status, data } = await summary('from=2026-10-18&to=2026-10-20');
+            assert.strictEqual(status, 200);
+            assert.deepStrictEqual(data.days.map(day => day.date), ['2026-10-18', '2026-10-19', '2026-10-20']);
+            assert.deepStrictEqual(data.days[0], { date: '2026-10-18', total: 0, entries: 0 });
+            assert.strictEqual((await summary('from=2025-10-20&to=2026-10-20')).status, 200);
+        });
+
+        await runTest('Longer ranges are refused without listing their days', async () => {
+            assert.strictEqual((await summary('from=2025-10-19&to=2026-10-20')).status, 400);
+            const started = Date.now();
+            const { status, data } = await summary('from=1000-01-01&to=9999-12-31');
+            assert.strictEqual(status, 400);
+            assert.strictEqual(data.error, 'Date range can be at most 366 days');
+            assert.ok(Date.now() - started < 500);
+        });
+    } finally {
+        await app.close();
+    }
+}
+
+runSuite(testWater);
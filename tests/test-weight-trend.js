@@ -0,0 +1,161 @@
+// Tests for the smoothed weight trend, weekly rate and goal projection
+// (src/utils/weightTrend.js and its browser copy) and the target weight setting
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { logSection, logSubsection, runTest, useTestDatabase, setupTestDatabase, createTestUser, createAuthToken, startTestApp, requestJson, runSuite } = require('./testUtils');
+
+useTestDatabase('weight-trend');
+
+const {
+    calculateTrendLine,
+    calculateWeeklyRate,
+    describeTrend,
+    projectGoal,
+    analyzeWeightTrend
+} = require('../src/utils/weightTrend');
+
+// The browser copy used by the reports page sets window.analyzeWeightTrend
+const loadBrowserAnalyzeWeightTrend = () => {
+    const context = { window: {} };
+    vm.runInNewContext(fs.readFileSync(path.join(__dirname, '../public/js/utils/weightTrend.js'), 'utf8'), context);
+    return context.window.analyzeWeightTrend;
+};
+
+async function testWeightTrend() {
+    logSection('WEIGHT TREND TEST SUITE');
+
+    logSubsection('Trend line');
+
+    await runTest('Each entry pulls the trend 10% of the way towards it per day', () => {
+        const trendLine = calculateTrendLine([
+            { date: '2026-10-05', weight: 81 },
+            { date: '2026-10-01', weight: 80 },
+            { date: '2026-10-02', weight: 81 }
+        ]);
+        assert.deepStrictEqual(trendLine.map(point => point.date), ['2026-10-01', '2026-10-02', '2026-10-05']);
+        assert.strictEqual(trendLine[0].trend, 80);
+        assert.ok(Math.abs(trendLine[1].trend - 80.1) < 1e-9);
+        // Three days later the pull is 1 - 0.9^3 of the distance
+        assert.ok(Math.abs(trendLine[2].trend - (80.1 + (1 - Math.pow(0.9, 3)) * (81 - 80.1))) < 1e-9);
+    });
+
+    await runTest('Entries on the same day count as a day apart and keep their fields', () => {
+        const trendLine = calculateTrendLine([{ id: 1, date: '2026-10-01', weight: 80 }, { id: 2, date: '2026-10-01', weight: 82 }]);
+        assert.ok(Math.abs(trendLine[1].trend - 80.2) < 1e-9);
+        assert.strictEqual(trendLine[1].id, 2);
+        assert.deepStrictEqual(calculateTrendLine([]), []);
+    });
+
+    logSubsection('Weekly rate');
+
+    await runTest('The rate is measured over the last four weeks of the trend', () => {
+        const trendLine = calculateTrendLine([
+            { date: '2026-09-01', weight: 84 },
+            { date: '2026-10-03', weight: 80 },
+            { date: '2026-10-10', weight: 79 },
+            { date: '2026-10-17', weight: 78 }
+        ]);
+        // 2026-09-01 is more than 28 days before the latest entry
+        const expected = ((trendLine[3].trend - trendLine[1].trend) / 14) * 7;
+        assert.ok(Math.abs(calculateWeeklyRate(trendLine) - expected) < 1e-9);
+    });
+
+    await runTest('A single entry in the window is measured from the one before it', () => {
+        const trendLine = calculateTrendLine([{ date: '2026-09-01', weight: 80 }, { date: '2026-10-13', weight: 78 }]);
+        assert.ok(Math.abs(calculateWeeklyRate(trendLine) - ((trendLine[1].trend - 80) / 42) * 7) < 1e-9);
+    });
+
+    await runTest('There is no rate without two days of data', () => {
+        assert.strictEqual(calculateWeeklyRate([]), null);
+        assert.strictEqual(calculateWeeklyRate(calculateTrendLine([{ date: '2026-10-01', weight: 80 }])), null);
+        assert.strictEqual(calculateWeeklyRate([{ date: '2026-10-01', trend: 80 }, { date: '2026-10-01', trend: 81 }]), null);
+    });
+
+    await runTest('Rates slower than 0.1 a week are stable', () => {
+        assert.strictEqual(describeTrend(null), 'Insufficient data');
+        assert.strictEqual(describeTrend(0.1), 'Increasing');
+        assert.strictEqual(describeTrend(-0.1), 'Decreasing');
+        assert.strictEqual(describeTrend(0.09), 'Stable');
+        assert.strictEqual(describeTrend(0), 'Stable');
+    });
+
+    logSubsection('Goal projection');
+
+    const latest = { date: '2026-10-19', trend: 80 };
+
+    await runTest('The goal date is projected at the current rate', () => {
+        assert.deepStrictEqual(projectGoal(latest, -0.5, 75), { targetWeight: 75, remaining: -5, status: 'on-track', date: '2026-12-28' });
+        assert.strictEqual(projectGoal(latest, 0.25, 82).date, '2026-12-14');
+    });
+
+    await runTest('Within 0.2 of the target counts as reached', () => {
+        assert.strictEqual(projectGoal(latest, null, 80.15).status, 'reached');
+        assert.strictEqual(projectGoal(latest, 0.5, 79.85).status, 'reached');
+        assert.strictEqual(projectGoal(latest, -0.5, 79.7).status, 'on-track');
+    });
+
+    await runTest('Moving away, too slowly or without a rate the goal isn\'t projected', () => {
+        assert.deepStrictEqual(projectGoal(latest, 0.5, 75), { targetWeight: 75, remaining: -5, status: 'off-track', date: null });
+        assert.strictEqual(projectGoal(latest, 0, 75).status, 'off-track');
+        // 5 kg at 0.04 kg a week is more than two years away
+        assert.strictEqual(projectGoal(latest, -0.04, 75).status, 'off-track');
+        assert.strictEqual(projectGoal(latest, null, 75).status, 'insufficient-data');
+    });
+
+    await runTest('Without a target or entries there is no goal', () => {
+        assert.strictEqual(projectGoal(latest, -0.5, null), null);
+        assert.strictEqual(projectGoal(null, -0.5, 75), null);
+        assert.deepStrictEqual(analyzeWeightTrend([], 75), {
+            trendLine: [],
+            trendWeight: null,
+            weeklyRate: null,
+            direction: 'Insufficient data',
+            goal: null
+        });
+    });
+
+    await runTest('The browser copy gives the same results', () => {
+        const browserAnalyzeWeightTrend = loadBrowserAnalyzeWeightTrend();
+        const entries = [
+            { date: '2026-08-20', weight: 86.4 },
+            { date: '2026-09-01', weight: 85.1 },
+            { date: '2026-09-02', weight: 85.6 },
+            { date: '2026-09-20', weight: 83.9 },
+            { date: '2026-10-03', weight: 83.2 },
+            { date: '2026-10-17', weight: 82.8 }
+        ];
+        for (const target of [null, 80, 83, 90]) {
+            assert.strictEqual(JSON.stringify(browserAnalyzeWeightTrend(entries, target)), JSON.stringify(analyzeWeightTrend(entries, target)));
+        }
+    });
+
+    logSubsection('Target weight setting');
+
+    await setupTestDatabase();
+    const settingsRoutes = require('../src/routes/settingsRoutes');
+    const app = await startTestApp('/api/settings', settingsRoutes);
+    const token = await createAuthToken(await createTestUser());
+    const save = (targetWeight) => requestJson(app.url, { method: 'POST', token, body: { activityLevel: '1.2', weight: '80', targetWeight } });
+
+    try {
+        await runTest('The target weight is saved and can be cleared', async () => {
+            assert.strictEqual((await save('75')).status, 200);
+            assert.strictEqual(Number((await requestJson(app.url, { token })).data.targetWeight), 75);
+
+            assert.strictEqual((await save('')).status, 200);
+            assert.strictEqual((await requestJson(app.url, { token })).data.targetWeight, '');
+        });
+
+        await runTest('The target weight has to be a positive number', async () => {
+            assert.strictEqual((await save('0')).status, 400);
+            assert.strictEqual((await save('-5')).status, 400);
+            assert.strictEqual((await save('heavy')).status, 400);
+        });
+    } finally {
+        await app.close();
+    }
+}
+
+runSuite(testWeightTrend);
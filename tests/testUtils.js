@@ -0,0 +1,178 @@
+// Shared helpers for the test scripts: the logging format of
+// test-database-comprehensive.js, pass/fail counting and a throwaway database.
+// Run a script with `node tests/test-<name>.js`; it exits with 1 if any test failed.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const testResults = {
+    total: 0,
+    passed: 0,
+    failed: 0,
+    errors: []
+};
+const startTime = Date.now();
+let testDbPath = null;
+
+function logSection(title) {
+    console.log('\n' + '='.repeat(60));
+    console.log(`🧪 ${title}`);
+    console.log('='.repeat(60));
+}
+
+function logSubsection(title) {
+    console.log(`\n📋 ${title}`);
+    console.log('-'.repeat(40));
+}
+
+/**
+ * Run one test. It fails when fn throws, e.g. from an assert call.
+ * @param {string} testName - Name shown in the log
+ * @param {Function} fn - Test body, may be async
+ */
+async function runTest(testName, fn) {
+    testResults.total++;
+    try {
+        await fn();
+        testResults.passed++;
+        console.log(`   ✅ ${testName}`);
+    } catch (error) {
+        testResults.failed++;
+        testResults.errors.push({ test: testName, error: error.message });
+        console.log(`   ❌ ${testName}`);
+        console.log(`      Error: ${error.message}`);
+    }
+}
+
+/**
+ * Point the database connection at a new file in the temp directory. Call this
+ * before anything requires src/database/connection, which opens DB_PATH on load.
+ * @param {string} name - Short name for the file
+ * @returns {string} - Path of the test database
+ */
+function useTestDatabase(name) {
+    testDbPath = path.join(os.tmpdir(), `nutristats-test-${name}-${process.pid}.db`);
+    fs.rmSync(testDbPath, { force: true });
+    process.env.DB_PATH = testDbPath;
+    return testDbPath;
+}
+
+// Create the schema and run every migration on the test database
+async function setupTestDatabase() {
+    const { testConnection, initializeDatabase } = require('../src/database/init');
+    const migrations = require('../src/database/migrations');
+
+    // Wait for the connection opened when connection.js was loaded
+    await new Promise(resolve => setTimeout(resolve, 200));
+    if (!await testConnection()) {
+        throw new Error('Test database not available');
+    }
+    await initializeDatabase();
+    await migrations.migrate();
+}
+
+// Create a user row for tests that need one. Returns the user's ID.
+async function createTestUser(email = `user_${Date.now()}_${Math.random().toString(36).slice(2, 8)}@test.local`) {
+    const userService = require('../src/database/userService');
+    const id = `user_test_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+    if (!await userService.createUser({ id, email, name: 'Test User', password: 'not-a-hash' })) {
+        throw new Error(`Could not create test user ${email}`);
+    }
+    return id;
+}
+
+// Sign a test user in: a new session and an access token for the Authorization header
+async function createAuthToken(userId) {
+    const userService = require('../src/database/userService');
+    const tokenService = require('../src/database/tokenService');
+    const { generateToken } = require('../src/middleware/auth');
+    const session = await tokenService.createSession(userId);
+    return generateToken(await userService.getUserById(userId), session.sessionId);
+}
+
+/**
+ * Serve one router on a free local port, mounted as server.js mounts it
+ * @param {string} mountPath - Path the router is mounted on, e.g. '/api/foods'
+ * @param {Function} router - Express router
+ * @returns {Promise<{ url: string, close: Function }>} - Base URL of the router and a function that stops the server
+ */
+async function startTestApp(mountPath, router) {
+    const express = require('express');
+    const app = express();
+    app.use(express.json({ limit: '25mb' }));
+    app.use(mountPath, router);
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    return {
+        url: `http://127.0.0.1:${server.address().port}${mountPath}`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Send a request to a test app and read the JSON response
+ * @param {string} url - Full URL
+ * @param {object} [options] - method, a body to send as JSON, a bearer token and extra headers
+ * @returns {Promise<{ status: number, headers: Headers, data: object }>} - Response status, headers and body
+ */
+async function requestJson(url, { method = 'GET', body, token, headers = {} } = {}) {
+    const response = await fetch(url, {
+        method,
+        headers: {
+            ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, data: text ? JSON.parse(text) : null };
+}
+
+// Print the summary, remove the test database and exit (1 when a test failed)
+function finishTests() {
+    logSection('TEST RESULTS SUMMARY');
+    console.log(`📊 Total Tests: ${testResults.total}`);
+    console.log(`✅ Passed: ${testResults.passed}`);
+    console.log(`❌ Failed: ${testResults.failed}`);
+    console.log(`⏱️ Test duration: ${((Date.now() - startTime) / 1000).toFixed(1)} seconds`);
+
+    if (testResults.failed > 0) {
+        console.log('\n💥 FAILED TESTS:');
+        testResults.errors.forEach((error, index) => {
+            console.log(`   ${index + 1}. ${error.test}`);
+            console.log(`      ${error.error}`);
+        });
+    }
+
+    if (testDbPath) {
+        fs.rmSync(testDbPath, { force: true });
+    }
+    process.exit(testResults.failed > 0 ? 1 : 0);
+}
+
+// Run a test suite function and finish, treating a crash as a failure
+function runSuite(suite) {
+    suite()
+        .catch(error => {
+            console.error('\n💥 FATAL TEST SUITE ERROR:', error);
+            testResults.failed++;
+            testResults.errors.push({ test: 'Test suite', error: error.message });
+        })
+        .finally(finishTests);
+}
+
+module.exports = {
+    logSection,
+    logSubsection,
+    runTest,
+    useTestDatabase,
+    setupTestDatabase,
+    createTestUser,
+    createAuthToken,
+    startTestApp,
+    requestJson,
+    runSuite
+};